@@ -0,0 +1,50 @@
+// Get the packages we need
+var express = require('express'),
+    router = express.Router(),
+    bodyParser = require('body-parser'),
+    logger = require('./lib/logger'),
+    metrics = require('./lib/metrics'),
+    health = require('./lib/health');
+
+// Create our Express application; server.js connects the store and listens, tests use it directly
+var app = express();
+
+// JSON request logs with request ids, and request counts and latencies for /metrics
+app.use(logger.requests);
+app.use(metrics.middleware);
+
+// while shutting down, close keep-alive connections once their current response is sent
+app.use(function (req, res, next) {
+    if (health.isDraining()) res.set('Connection', 'close');
+    next();
+});
+
+// Allow CORS so that backend and frontend could be put on different servers
+var allowCrossDomain = function (req, res, next) {
+    res.header("Access-Control-Allow-Origin", "*");
+    res.header("Access-Control-Allow-Headers", "X-Requested-With, X-HTTP-Method-Override, Content-Type, Accept, Authorization, If-Match, If-None-Match, X-Request-Id");
+    res.header("Access-Control-Allow-Methods", "POST, GET, PUT, PATCH, DELETE, OPTIONS");
+    res.header("Access-Control-Expose-Headers", "Link, ETag, Content-Disposition, X-Request-Id");
+    next();
+};
+app.use(allowCrossDomain);
+
+// Use the body-parser package in our application
+app.use(bodyParser.urlencoded({
+    extended: true
+}));
+// also parse JSON Patch / JSON Merge Patch bodies sent to PATCH routes
+app.use(bodyParser.json({
+    type: ['application/json', 'application/json-patch+json', 'application/merge-patch+json'],
+    limit: '1mb' // room for bulk requests
+}));
+// CSV bodies for POST /api/tasks/import
+app.use(bodyParser.text({
+    type: 'text/csv',
+    limit: '5mb'
+}));
+
+// Use routes as a module (see index.js)
+require('./routes')(app, router);
+
+module.exports = app;
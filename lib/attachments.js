@@ -0,0 +1,129 @@
+var fs = require('fs');
+var path = require('path');
+var pipeline = require('stream').pipeline;
+var mongoose = require('mongoose');
+var store = require('./store');
+var logger = require('./logger');
+
+/*
+ * Where attachment content lives. Attachment documents hold the metadata;
+ * each file store keeps the bytes under the document's _id:
+ *  - disk: files in ATTACHMENT_DIR (default ./uploads)
+ *  - gridfs: the 'attachments' GridFS bucket of the MongoDB database (needs STORAGE=mongo)
+ * ATTACHMENT_STORAGE picks where new uploads go; each attachment remembers
+ * its own store, so switching does not lose older files.
+ */
+var STORAGE = process.env.ATTACHMENT_STORAGE || 'disk';
+var DIR = path.resolve(process.env.ATTACHMENT_DIR || 'uploads');
+var MAX_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES) || 10 * 1024 * 1024;
+// allowed content types; type/* allows a whole family
+var TYPES = (process.env.ATTACHMENT_TYPES || 'image/*,text/plain,text/csv,application/pdf,application/json,application/zip')
+    .split(',').map(function (t) { return t.trim().toLowerCase(); }).filter(Boolean);
+
+function bucket() {
+    return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: 'attachments' });
+}
+
+// write(id, info) returns a writable stream; read(id) resolves with a readable one, or null if the file is missing
+var fileStores = {
+    disk: {
+        write: function (id) {
+            fs.mkdirSync(DIR, { recursive: true });
+            return fs.createWriteStream(path.join(DIR, id));
+        },
+        read: function (id) {
+            var file = path.join(DIR, id);
+            return fs.promises.access(file).then(function () {
+                return fs.createReadStream(file);
+            }, function (err) {
+                if (err.code === 'ENOENT') return null;
+                throw err;
+            });
+        },
+        remove: function (id) {
+            return fs.promises.unlink(path.join(DIR, id)).catch(function (err) {
+                if (err.code !== 'ENOENT') throw err;
+            });
+        }
+    },
+    gridfs: {
+        write: function (id, info) {
+            return bucket().openUploadStreamWithId(new mongoose.Types.ObjectId(id), info.filename, { contentType: info.contentType });
+        },
+        read: function (id) {
+            var b = bucket();
+            var _id = new mongoose.Types.ObjectId(id);
+            return b.find({ _id: _id }).hasNext().then(function (exists) {
+                return exists ? b.openDownloadStream(_id) : null;
+            });
+        },
+        remove: function (id) {
+            return new Promise(function (resolve, reject) {
+                bucket().delete(new mongoose.Types.ObjectId(id), function (err) {
+                    if (err && !/FileNotFound/.test(err.message)) return reject(err);
+                    resolve();
+                });
+            });
+        }
+    }
+};
+
+// the store new uploads go to; throws (status 501) if it cannot be used with the current STORAGE
+function uploadStorage() {
+    if (!fileStores[STORAGE]) {
+        throw Object.assign(new Error('unknown ATTACHMENT_STORAGE ' + STORAGE + ', use disk or gridfs'), { status: 501 });
+    }
+    if (STORAGE === 'gridfs' && store.name() !== 'mongo') {
+        throw Object.assign(new Error('ATTACHMENT_STORAGE=gridfs needs STORAGE=mongo'), { status: 501 });
+    }
+    return STORAGE;
+}
+
+function allowedType(contentType) {
+    return TYPES.some(function (t) {
+        if (t.slice(-2) === '/*') return contentType.indexOf(t.slice(0, -1)) === 0;
+        return t === contentType;
+    });
+}
+
+// copy stream into file store storage as id; resolves with the number of bytes written
+function save(storage, id, info, stream) {
+    var size = 0;
+    stream.on('data', function (chunk) { size += chunk.length; });
+    return new Promise(function (resolve, reject) {
+        pipeline(stream, fileStores[storage].write(id, info), function (err) {
+            if (err) return reject(err);
+            resolve(size);
+        });
+    });
+}
+
+// resolves with a readable stream of an attachment's content, or null if its file is missing
+function open(attachment) {
+    return fileStores[attachment.storage].read(attachment._id.toString());
+}
+
+/*
+ * Remove the content of attachments (documents or { _id, storage }) whose
+ * documents are gone. Never rejects: a file left behind only takes up space.
+ */
+async function removeFiles(attachments) {
+    for (var i = 0; i < attachments.length; i++) {
+        var a = attachments[i];
+        try {
+            await fileStores[a.storage].remove(a._id.toString());
+        } catch (err) {
+            logger.error('Removing an attachment\'s file failed', { attachmentId: a._id.toString(), error: err });
+        }
+    }
+}
+
+module.exports = {
+    MAX_BYTES: MAX_BYTES,
+    TYPES: TYPES,
+    uploadStorage: uploadStorage,
+    allowedType: allowedType,
+    save: save,
+    open: open,
+    removeFiles: removeFiles
+};
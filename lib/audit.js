@@ -0,0 +1,138 @@
+var mongoose = require('mongoose');
+var AuditEntry = require('../models/audit');
+var store = require('./store');
+var pagination = require('./pagination');
+
+// fields never compared, and fields whose values never go into the log
+var IGNORED_FIELDS = ['_id', '__v'];
+var REDACTED_FIELDS = ['password'];
+
+// who is making the change and through which route, for transaction.run()
+function context(req, resource) {
+    return {
+        actor: req.user ? req.user._id.toString() : '',
+        actorName: req.user ? req.user.name : '',
+        route: req.method + ' ' + req.baseUrl + (req.route ? req.route.path : req.path),
+        resource: resource
+    };
+}
+
+function comparable(v) {
+    return JSON.stringify(v === undefined ? null : v);
+}
+
+// field-level differences between two plain documents (either may be null)
+function diff(before, after) {
+    var fields = Object.keys(Object.assign({}, before, after)).filter(function (f) {
+        return IGNORED_FIELDS.indexOf(f) === -1;
+    });
+    var changes = [];
+    fields.forEach(function (f) {
+        var from = before ? before[f] : undefined;
+        var to = after ? after[f] : undefined;
+        if (comparable(from) === comparable(to)) return;
+        if (REDACTED_FIELDS.indexOf(f) !== -1) {
+            changes.push({ field: f, from: '[redacted]', to: '[redacted]' });
+        } else {
+            changes.push({ field: f, from: from === undefined ? null : from, to: to === undefined ? null : to });
+        }
+    });
+    return changes;
+}
+
+// what a change did, telling moves in and out of the trash apart from other updates
+function action(before, after) {
+    if (!before) return 'create';
+    if (!after) return before.deletedAt ? 'purge' : 'delete';
+    if (after.deletedAt && !before.deletedAt) return 'delete';
+    if (before.deletedAt && !after.deletedAt) return 'restore';
+    return 'update';
+}
+
+/*
+ * Append one entry per document the transaction changed. Documents of a
+ * different resource than the route's own are marked as cascades.
+ * Resolves with the changes from tx.changes().
+ */
+async function record(tx, ctx) {
+    ctx = ctx || {};
+    var changes = await tx.changes();
+    var entries = [];
+    changes.forEach(function (c) {
+        var fields = diff(c.before, c.after);
+        if (fields.length === 0) return;
+        var resource = c.Model.modelName.toLowerCase();
+        entries.push(new AuditEntry({
+            resource: resource,
+            resourceId: c.id.toString(),
+            action: action(c.before, c.after),
+            actor: ctx.actor || '',
+            actorName: ctx.actorName || '',
+            route: ctx.route || '',
+            cascade: !!ctx.resource && ctx.resource !== resource,
+            changes: fields
+        }));
+    });
+    if (entries.length === 0) return changes;
+
+    if (!tx.session) {
+        // without a session a partially failed insert must be undone too; bypasses the append-only hooks
+        var ids = entries.map(function (e) { return e._id; });
+        tx.undo.push(function () {
+            return store.auditEntries.deleteMany({ _id: { $in: ids } }, { raw: true });
+        });
+    }
+    await store.auditEntries.insertMany(entries, tx.opts());
+    return changes;
+}
+
+function parseDate(raw, param) {
+    var d = new Date(isNaN(Number(raw)) ? raw : Number(raw));
+    if (isNaN(d.getTime())) {
+        var err = new Error(param + ': invalid date');
+        err.status = 400;
+        throw err;
+    }
+    return d;
+}
+
+/*
+ * Route handler for GET /api/<resource>s/:id/history, newest first. Supports
+ * from/to (date strings or timestamps) and actor (user id) filters plus the
+ * usual limit/cursor paging.
+ */
+function historyHandler(resource) {
+    return function (req, res) {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ message: 'Bad Request: invalid id format', data: {} });
+        }
+
+        var where = { resource: resource, resourceId: req.params.id };
+        try {
+            if (req.query.from || req.query.to) {
+                where.timestamp = {};
+                if (req.query.from) where.timestamp.$gte = parseDate(req.query.from, 'from');
+                if (req.query.to) where.timestamp.$lte = parseDate(req.query.to, 'to');
+            }
+        } catch (err) {
+            return res.status(400).json({ message: 'Bad Request: ' + err.message, data: {} });
+        }
+        if (req.query.actor) where.actor = String(req.query.actor);
+
+        pagination.paginate(AuditEntry, req, { where: where, sort: { timestamp: -1 } }).then(function (page) {
+            res.set('Link', pagination.linkHeader(req, page.meta));
+            return res.status(200).json({ message: 'OK', data: page.data, meta: page.meta });
+        }).catch(function (err) {
+            if (err.status === 400) return res.status(400).json({ message: 'Bad Request: ' + err.message, data: {} });
+            return res.status(500).json({ message: 'Server error', data: err });
+        });
+    };
+}
+
+module.exports = {
+    context: context,
+    diff: diff,
+    action: action,
+    record: record,
+    historyHandler: historyHandler
+};
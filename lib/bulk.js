@@ -0,0 +1,64 @@
+var transaction = require('./transaction');
+
+var MAX_OPERATIONS = parseInt(process.env.BULK_MAX_OPERATIONS) || 1000;
+
+// thrown inside an atomic run to abort the transaction on the first failed item
+function BulkAbort(index) {
+    this.index = index;
+}
+
+function entry(index, op, r) {
+    return { index: index, op: op.op, status: r.status, message: r.message, data: r.data };
+}
+
+/*
+ * Run handler(op, tx) for every operation; handler resolves with a
+ * { status, message, data } result. With atomic set, everything runs in one
+ * transaction and the first result with status >= 400 undoes all of it.
+ * Otherwise each operation commits (or fails) on its own. context is passed
+ * on to transaction.run() for the audit log.
+ */
+async function run(operations, atomic, handler, context) {
+    var results = [];
+
+    if (atomic) {
+        try {
+            await transaction.run(async function (tx) {
+                results = []; // the driver may retry the whole transaction
+                for (var i = 0; i < operations.length; i++) {
+                    var r = await handler(operations[i], tx);
+                    results.push(entry(i, operations[i], r));
+                    if (r.status >= 400) throw new BulkAbort(i);
+                }
+            }, context);
+        } catch (err) {
+            if (!(err instanceof BulkAbort)) throw err;
+            return {
+                status: 400,
+                message: 'Bad Request: operation ' + err.index + ' failed, no changes were applied',
+                data: { atomic: true, failedIndex: err.index, results: results }
+            };
+        }
+        return { status: 200, message: 'OK', data: { atomic: true, succeeded: results.length, failed: 0, results: results } };
+    }
+
+    var failed = 0;
+    for (var i = 0; i < operations.length; i++) {
+        var r;
+        try {
+            r = await transaction.run(function (tx) {
+                return handler(operations[i], tx);
+            }, context);
+        } catch (err) {
+            r = { status: 500, message: 'Server error', data: err };
+        }
+        if (r.status >= 400) failed++;
+        results.push(entry(i, operations[i], r));
+    }
+    return { status: 200, message: 'OK', data: { atomic: false, succeeded: results.length - failed, failed: failed, results: results } };
+}
+
+module.exports = {
+    MAX_OPERATIONS: MAX_OPERATIONS,
+    run: run
+};
@@ -0,0 +1,58 @@
+var store = require('./store');
+
+/*
+ * @-mentions in a comment body. A mention is @ followed by an email
+ * (@ann@example.com), a single-word name (@Ann) or a quoted name
+ * (@"Ann Lee"); the @ must not follow a letter or digit, so emails in the
+ * text are not mistaken for mentions. Names and emails match users
+ * case-insensitively; a name shared by several users mentions none of them.
+ */
+var MENTION = /(^|[^\w@])@(?:"([^"\r\n]{1,100})"|([^\s@"]+@[^\s@"]+\.[^\s@"]*[a-z0-9])|(\w[\w.-]{0,99}))/gi;
+var CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+var MAX_MENTIONS = 50;
+
+// the names and emails a body mentions, as { names, emails }, lowercased and without duplicates
+function parseMentions(body) {
+    var names = [];
+    var emails = [];
+    var m;
+    MENTION.lastIndex = 0;
+    while ((m = MENTION.exec(body)) !== null && names.length + emails.length < MAX_MENTIONS) {
+        var list = m[3] ? emails : names;
+        // a sentence may end right after the mention
+        var value = (m[2] || m[3] || m[4].replace(/[.-]+$/, '')).trim().toLowerCase();
+        if (value && list.indexOf(value) === -1) list.push(value);
+    }
+    return { names: names, emails: emails };
+}
+
+// resolve the mentions in body to user ids; resolves with the ids, in no particular order
+async function resolveMentions(tx, body) {
+    var wanted = parseMentions(body);
+    var ids = [];
+    function add(id) {
+        id = id.toString();
+        if (ids.indexOf(id) === -1) ids.push(id);
+    }
+    if (wanted.emails.length > 0) {
+        var byEmail = await store.users.find({ email: { $in: wanted.emails } }, tx.opts({ select: '_id', collation: CASE_INSENSITIVE }));
+        byEmail.forEach(function (u) { add(u._id); });
+    }
+    if (wanted.names.length > 0) {
+        var byName = await store.users.find({ name: { $in: wanted.names } }, tx.opts({ select: '_id name', collation: CASE_INSENSITIVE }));
+        var counts = {};
+        byName.forEach(function (u) {
+            var key = u.name.toLowerCase();
+            counts[key] = (counts[key] || 0) + 1;
+        });
+        byName.forEach(function (u) {
+            if (counts[u.name.toLowerCase()] === 1) add(u._id);
+        });
+    }
+    return ids;
+}
+
+module.exports = {
+    parseMentions: parseMentions,
+    resolveMentions: resolveMentions
+};
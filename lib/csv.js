@@ -0,0 +1,82 @@
+/*
+ * Minimal RFC 4180 CSV: quoted fields may contain commas, quotes ("") and
+ * line breaks; lines end in CRLF or LF.
+ */
+
+// parse CSV text into an array of rows, each an array of strings; throws on an unterminated quote
+function parse(text) {
+    var rows = [];
+    var row = [];
+    var field = '';
+    var quoted = false;
+    var i = 0;
+    text = text.replace(/^\uFEFF/, ''); // spreadsheets like to add a BOM
+
+    while (i < text.length) {
+        var c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                field += '"';
+                i += 2;
+                continue;
+            }
+            if (c === '"') quoted = false;
+            else field += c;
+            i++;
+            continue;
+        }
+        if (c === '"' && field === '') {
+            quoted = true;
+        } else if (c === ',') {
+            row.push(field);
+            field = '';
+        } else if (c === '\r' || c === '\n') {
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+            if (c === '\r' && text[i + 1] === '\n') i++;
+        } else {
+            field += c;
+        }
+        i++;
+    }
+    if (quoted) throw new Error('unterminated quoted field');
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    // blank lines carry no data
+    return rows.filter(function (r) { return r.length > 1 || r[0] !== ''; });
+}
+
+// spreadsheets run cells starting with these as formulas
+var FORMULA_START = /^[=+\-@\t\r]/;
+
+/*
+ * A field as CSV. Text a spreadsheet would read as a formula gets a
+ * leading ' so it shows as text; readField() takes it off again.
+ */
+function formatField(value) {
+    if (value === null || value === undefined) return '';
+    var s = value instanceof Date ? value.toISOString() : String(value);
+    if (FORMULA_START.test(s)) s = '\'' + s;
+    if (/[",\r\n]/.test(s)) return '"' + s.replace(/"/g, '""') + '"';
+    return s;
+}
+
+// a parsed field as it was before formatField() protected it
+function readField(s) {
+    return s[0] === '\'' && FORMULA_START.test(s.slice(1)) ? s.slice(1) : s;
+}
+
+// one CSV line, CRLF-terminated
+function formatRow(values) {
+    return values.map(formatField).join(',') + '\r\n';
+}
+
+module.exports = {
+    parse: parse,
+    formatRow: formatRow,
+    readField: readField
+};
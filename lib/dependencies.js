@@ -0,0 +1,172 @@
+var mongoose = require('mongoose');
+var store = require('./store');
+
+// guards against walking absurdly deep hierarchies
+var MAX_DEPTH = 100;
+var MAX_TREE_DEPTH = 10;
+
+function result(status, message, data) {
+    return { status: status, message: message, data: data };
+}
+
+// ids that are not valid, or do not belong to an existing task; resolves with an error result or null
+async function checkExisting(tx, ids, field) {
+    for (var i = 0; i < ids.length; i++) {
+        if (typeof ids[i] !== 'string' || !mongoose.Types.ObjectId.isValid(ids[i])) {
+            return result(400, 'Bad Request: invalid task id format in ' + field, ids[i]);
+        }
+    }
+    var found = await store.tasks.find({ _id: { $in: ids } }, tx.opts({ select: '_id' }));
+    if (found.length !== ids.length) {
+        var foundIds = found.map(function (t) { return t._id.toString(); });
+        return result(404, 'Not Found: some ' + field + ' tasks do not exist', ids.filter(function (id) {
+            return foundIds.indexOf(id) === -1;
+        }));
+    }
+    return null;
+}
+
+/*
+ * Check that taskId may have parentId as its parent: the parent exists and
+ * taskId is not one of its ancestors. Resolves with an error result or null.
+ */
+async function checkParent(tx, taskId, parentId) {
+    if (!parentId) return null;
+    if (parentId === taskId) return result(400, 'Bad Request: a task cannot be its own parent', {});
+    var missing = await checkExisting(tx, [parentId], 'parentTask');
+    if (missing) return missing;
+
+    var current = parentId;
+    for (var depth = 0; current && depth < MAX_DEPTH; depth++) {
+        if (current === taskId) {
+            return result(400, 'Bad Request: parentTask would create a cycle', { parentTask: parentId });
+        }
+        var t = await store.tasks.findById(current, tx.opts({ select: 'parentTask', lean: true }));
+        current = t ? t.parentTask : '';
+    }
+    if (current) return result(400, 'Bad Request: task hierarchy is nested too deeply', {});
+    return null;
+}
+
+/*
+ * Check that taskId may be blocked by blockerIds: they exist and none of
+ * them is (transitively) blocked by taskId. Resolves with an error result or null.
+ */
+async function checkBlockers(tx, taskId, blockerIds) {
+    if (blockerIds.length === 0) return null;
+    if (blockerIds.indexOf(taskId) !== -1) return result(400, 'Bad Request: a task cannot block itself', {});
+    var missing = await checkExisting(tx, blockerIds, 'blockedBy');
+    if (missing) return missing;
+
+    // breadth-first walk of what the new blockers are themselves blocked by
+    var seen = {};
+    var frontier = blockerIds.slice();
+    for (var depth = 0; frontier.length > 0; depth++) {
+        if (depth >= MAX_DEPTH) return result(400, 'Bad Request: dependency chain is too long', {});
+        frontier.forEach(function (id) { seen[id] = true; });
+        var tasks = await store.tasks.find({ _id: { $in: frontier } }, tx.opts({ select: 'blockedBy', lean: true }));
+        var next = [];
+        for (var i = 0; i < tasks.length; i++) {
+            var upstream = tasks[i].blockedBy || [];
+            if (upstream.indexOf(taskId) !== -1) {
+                return result(400, 'Bad Request: blockedBy would create a cycle', { through: tasks[i]._id.toString() });
+            }
+            upstream.forEach(function (id) {
+                if (!seen[id] && next.indexOf(id) === -1) next.push(id);
+            });
+        }
+        frontier = next;
+    }
+    return null;
+}
+
+// ids among blockerIds whose tasks are still open
+async function openBlockers(tx, blockerIds) {
+    if (blockerIds.length === 0) return [];
+    var open = await store.tasks.find({ _id: { $in: blockerIds }, completed: false }, tx.opts({ select: '_id', lean: true }));
+    return open.map(function (t) { return t._id.toString(); });
+}
+
+// direct subtasks of taskId and tasks that list it in blockedBy
+async function dependents(tx, taskId) {
+    var children = await store.tasks.find({ parentTask: taskId }, tx.opts());
+    var blocked = await store.tasks.find({ blockedBy: taskId }, tx.opts());
+    return { subtasks: children, blocked: blocked };
+}
+
+// taskId's subtasks, nested as { ...task, subtasks: [...] } down to maxDepth levels
+async function subtaskTree(task, maxDepth) {
+    maxDepth = Math.min(maxDepth || MAX_TREE_DEPTH, MAX_TREE_DEPTH);
+    var root = task.toJSON();
+    var level = [root];
+    for (var depth = 0; depth < maxDepth && level.length > 0; depth++) {
+        var byId = {};
+        level.forEach(function (n) {
+            n.subtasks = [];
+            byId[n._id.toString()] = n;
+        });
+        var children = await store.tasks.find({ parentTask: { $in: Object.keys(byId) } }, { sort: { deadline: 1 } });
+        level = children.map(function (c) {
+            var node = c.toJSON();
+            byId[c.parentTask].subtasks.push(node);
+            return node;
+        });
+    }
+    return root;
+}
+
+/*
+ * The dependency graph around a task: everything it is transitively blocked
+ * by and everything transitively blocked by it. Edges point from a task to
+ * a task that blocks it.
+ */
+async function dependencyGraph(task) {
+    var nodes = {};
+    var edges = [];
+    var rootId = task._id.toString();
+    nodes[rootId] = task.toJSON();
+
+    async function walk(frontier, upstream) {
+        var visited = {};
+        visited[rootId] = true;
+        for (var depth = 0; frontier.length > 0 && depth < MAX_DEPTH; depth++) {
+            var tasks = upstream ?
+                await store.tasks.find({ _id: { $in: frontier.reduce(function (all, t) { return all.concat(t.blockedBy); }, []) } }) :
+                await store.tasks.find({ blockedBy: { $in: frontier.map(function (t) { return t._id.toString(); }) } });
+            var next = [];
+            frontier.forEach(function (from) {
+                tasks.forEach(function (to) {
+                    var fromId = from._id.toString();
+                    var toId = to._id.toString();
+                    if (upstream && from.blockedBy.indexOf(toId) !== -1) edges.push({ task: fromId, blockedBy: toId });
+                    if (!upstream && to.blockedBy.indexOf(fromId) !== -1) edges.push({ task: toId, blockedBy: fromId });
+                });
+            });
+            tasks.forEach(function (t) {
+                var id = t._id.toString();
+                nodes[id] = nodes[id] || t.toJSON();
+                if (!visited[id]) {
+                    visited[id] = true;
+                    next.push(t);
+                }
+            });
+            frontier = next;
+        }
+    }
+
+    await walk([task], true);
+    await walk([task], false);
+    return {
+        nodes: Object.keys(nodes).map(function (id) { return nodes[id]; }),
+        edges: edges
+    };
+}
+
+module.exports = {
+    checkParent: checkParent,
+    checkBlockers: checkBlockers,
+    openBlockers: openBlockers,
+    dependents: dependents,
+    subtaskTree: subtaskTree,
+    dependencyGraph: dependencyGraph
+};
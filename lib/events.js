@@ -0,0 +1,189 @@
+var EventEmitter = require('events');
+var mongoose = require('mongoose');
+var Task = require('../models/task');
+var User = require('../models/user');
+var Notification = require('../models/notification');
+var audit = require('./audit');
+var query = require('./query');
+var match = require('./match');
+
+var EVENT_TYPES = [
+    'task.created', 'task.updated', 'task.assigned', 'task.completed', 'task.deleted', 'task.restored',
+    'user.created', 'user.updated', 'user.deleted', 'user.restored',
+    'notification.created'
+];
+
+var MODELS = { task: Task, user: User, notification: Notification };
+
+// recent events, oldest first, so reconnecting clients can catch up (see since())
+var BUFFER_SIZE = parseInt(process.env.EVENT_BUFFER_SIZE) || 1000;
+var buffer = [];
+
+var emitter = new EventEmitter();
+// webhooks and every open event stream subscribe
+emitter.setMaxListeners(0);
+
+function strip(doc) {
+    if (!doc) return null;
+    var copy = Object.assign({}, doc);
+    delete copy.password;
+    return copy;
+}
+
+// event types a document change produces, e.g. an update that completes a task is task.updated + task.completed
+function typesFor(resource, before, after) {
+    var action = audit.action(before, after);
+    if (action === 'create') {
+        var created = [resource + '.created'];
+        if (resource === 'task' && after.assignedUser) created.push('task.assigned');
+        return created;
+    }
+    if (action === 'delete') return [resource + '.deleted'];
+    if (action === 'restore') return [resource + '.restored'];
+    // purging trashed documents changes nothing subscribers can see
+    if (action === 'purge') return [];
+
+    var types = [resource + '.updated'];
+    if (resource === 'task') {
+        if (after.assignedUser && after.assignedUser !== before.assignedUser) types.push('task.assigned');
+        if (after.completed && !before.completed) types.push('task.completed');
+    }
+    return types;
+}
+
+/*
+ * Turn the document changes of a committed transaction into events and
+ * notify subscribers. Each event is { id, type, resource, resourceId,
+ * timestamp, actor, actorName, route, cascade, data, changes }, where data
+ * is the document after the change (with deletedAt set, for deletes).
+ */
+function publish(changes, ctx) {
+    ctx = ctx || {};
+    var timestamp = new Date();
+    changes.forEach(function (c) {
+        var resource = c.Model.modelName.toLowerCase();
+        if (resource !== 'task' && resource !== 'user') return;
+        var fields = audit.diff(c.before, c.after);
+        if (fields.length === 0) return;
+
+        typesFor(resource, c.before, c.after).forEach(function (type) {
+            emit({
+                id: new mongoose.Types.ObjectId().toString(),
+                type: type,
+                resource: resource,
+                resourceId: c.id.toString(),
+                timestamp: timestamp,
+                actor: ctx.actor || '',
+                actorName: ctx.actorName || '',
+                route: ctx.route || '',
+                cascade: !!ctx.resource && ctx.resource !== resource,
+                data: strip(c.after || c.before),
+                changes: fields
+            });
+        });
+    });
+}
+
+// announce a deadline notification (see lib/notifier.js), e.g. to webhooks
+function publishNotification(notification) {
+    emit({
+        id: new mongoose.Types.ObjectId().toString(),
+        type: 'notification.created',
+        resource: 'notification',
+        resourceId: notification._id.toString(),
+        timestamp: new Date(),
+        actor: '',
+        actorName: '',
+        route: '',
+        cascade: false,
+        data: notification.toJSON(),
+        changes: []
+    });
+}
+
+function emit(event) {
+    buffer.push(event);
+    if (buffer.length > BUFFER_SIZE) buffer.shift();
+    emitter.emit('event', event);
+}
+
+// the buffered events published after the one with id lastId, or null if it is no longer buffered
+function since(lastId) {
+    for (var i = buffer.length - 1; i >= 0; i--) {
+        if (buffer[i].id === lastId) return buffer.slice(i + 1);
+    }
+    return null;
+}
+
+// what subscribers outside the server (webhooks, event streams) receive
+function toPayload(event) {
+    return {
+        id: event.id,
+        type: event.type,
+        timestamp: event.timestamp,
+        actor: event.actor,
+        resource: event.resource,
+        resourceId: event.resourceId,
+        data: event.data,
+        changes: event.changes
+    };
+}
+
+// the resources (task, user, notification) the event types given cover ('*' is all of them)
+function resourcesOf(eventTypes) {
+    var resources = [];
+    eventTypes.forEach(function (type) {
+        var names = type === '*' ? Object.keys(MODELS) : [type.split('.')[0]];
+        names.forEach(function (r) {
+            if (resources.indexOf(r) === -1) resources.push(r);
+        });
+    });
+    return resources;
+}
+
+/*
+ * Compile a where clause against the resources the event types cover, as
+ * { task: filter, user: filter }. A clause only fits some of them (an
+ * assignedUser filter is about tasks), so the others are left out and
+ * their events never match. Throws the lib/query.js error (status 400) of
+ * the first resource when the clause fits none.
+ */
+function compileWhere(where, eventTypes) {
+    var compiled = {};
+    var firstError = null;
+    resourcesOf(eventTypes).forEach(function (r) {
+        try {
+            compiled[r] = query.whereFromObject(MODELS[r], where || {}, 'where');
+        } catch (err) {
+            if (err.status !== 400) throw err;
+            firstError = firstError || err;
+        }
+    });
+    if (firstError && Object.keys(compiled).length === 0) throw firstError;
+    return compiled;
+}
+
+// whether an event's document passes the filters from compileWhere()
+function matches(event, compiled) {
+    var filter = compiled[event.resource];
+    return !!filter && match.matches(event.data, filter);
+}
+
+// call listener(event) for every published event; returns a function that unsubscribes
+function subscribe(listener) {
+    emitter.on('event', listener);
+    return function () {
+        emitter.removeListener('event', listener);
+    };
+}
+
+module.exports = {
+    EVENT_TYPES: EVENT_TYPES,
+    publish: publish,
+    publishNotification: publishNotification,
+    subscribe: subscribe,
+    since: since,
+    toPayload: toPayload,
+    compileWhere: compileWhere,
+    matches: matches
+};
@@ -0,0 +1,56 @@
+var store = require('./store');
+
+/*
+ * Whether this server can take requests. It is ready once the store is
+ * connected and until it starts shutting down (drain()), when load
+ * balancers should stop sending it traffic while in-flight requests finish.
+ */
+var draining = false;
+var drainListeners = [];
+
+// call fn when the server starts shutting down; returns a function that cancels this
+function onDrain(fn) {
+    drainListeners.push(fn);
+    return function () {
+        var i = drainListeners.indexOf(fn);
+        if (i !== -1) drainListeners.splice(i, 1);
+    };
+}
+
+function drain() {
+    if (draining) return;
+    draining = true;
+    drainListeners.splice(0).forEach(function (fn) {
+        fn();
+    });
+}
+
+// { ready, store, database, draining }; database is connected, connecting, disconnecting or disconnected
+function status() {
+    var database = store.connectionState();
+    return {
+        ready: database === 'connected' && !draining,
+        store: store.name(),
+        database: database,
+        draining: draining
+    };
+}
+
+/*
+ * Middleware answering 503 while the store is not connected, instead of
+ * leaving requests waiting on a database that may not come back.
+ */
+function requireStore(req, res, next) {
+    var database = store.connectionState();
+    if (database === 'connected') return next();
+    res.set('Retry-After', '5');
+    res.status(503).json({ message: 'Service Unavailable: the database is ' + database, data: {} });
+}
+
+module.exports = {
+    onDrain: onDrain,
+    drain: drain,
+    isDraining: function () { return draining; },
+    status: status,
+    requireStore: requireStore
+};
@@ -0,0 +1,87 @@
+/*
+ * Just enough iCalendar (RFC 5545) to publish tasks as VTODO or VEVENT
+ * components.
+ */
+
+var PRODID = '-//CS409 MP3//Tasks//EN';
+
+// TEXT values escape backslashes, semicolons, commas and newlines
+function escapeText(s) {
+    return String(s || '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// quoted parameter values may not contain double quotes
+function paramValue(s) {
+    return '"' + String(s).replace(/"/g, '\'') + '"';
+}
+
+// UTC DATE-TIME, e.g. 20251104T235900Z
+function formatDate(d) {
+    return new Date(d).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// content lines are folded at 75 octets, continuing with a leading space
+function fold(line) {
+    var out = '';
+    var current = '';
+    var bytes = 0;
+    for (var i = 0; i < line.length; i++) {
+        var ch = line[i];
+        var size = Buffer.byteLength(ch);
+        if (bytes + size > 75) {
+            out += current + '\r\n';
+            current = ' ';
+            bytes = 1;
+        }
+        current += ch;
+        bytes += size;
+    }
+    return out + current + '\r\n';
+}
+
+function header() {
+    return 'BEGIN:VCALENDAR\r\nVERSION:2.0\r\nPRODID:' + PRODID + '\r\nCALSCALE:GREGORIAN\r\n';
+}
+
+function footer() {
+    return 'END:VCALENDAR\r\n';
+}
+
+/*
+ * A task as a VTODO (component 'VTODO') or VEVENT, due/starting at its
+ * deadline. assignee is the assigned user ({ name, email }) or null.
+ * Recurring tasks get no RRULE: every instance of a series is a task of
+ * its own and is exported as one, so a rule would repeat them.
+ */
+function formatTask(task, component, assignee, domain) {
+    var lines = [
+        'BEGIN:' + component,
+        'UID:' + task._id + '@' + domain,
+        'DTSTAMP:' + formatDate(new Date()),
+        'CREATED:' + formatDate(task.dateCreated),
+        'SUMMARY:' + escapeText(task.name)
+    ];
+    var description = task.description || '';
+    var assigneeName = assignee ? assignee.name : (task.assignedUser ? task.assignedUserName : '');
+    if (assigneeName) description = (description ? description + '\n\n' : '') + 'Assigned to: ' + assigneeName;
+    if (description) lines.push('DESCRIPTION:' + escapeText(description));
+
+    if (component === 'VTODO') {
+        lines.push('DUE:' + formatDate(task.deadline));
+        lines.push('STATUS:' + (task.completed ? 'COMPLETED' : 'NEEDS-ACTION'));
+    } else {
+        lines.push('DTSTART:' + formatDate(task.deadline));
+        lines.push('STATUS:CONFIRMED');
+    }
+    if (assignee && assignee.email) {
+        lines.push('ATTENDEE;CN=' + paramValue(assignee.name) + ':mailto:' + assignee.email);
+    }
+    lines.push('END:' + component);
+    return lines.map(fold).join('');
+}
+
+module.exports = {
+    header: header,
+    footer: footer,
+    formatTask: formatTask
+};
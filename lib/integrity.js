@@ -0,0 +1,117 @@
+var Task = require('../models/task');
+var User = require('../models/user');
+var store = require('./store');
+var transaction = require('./transaction');
+
+/*
+ * Cross-check Task.assignedUser/assignedUserName against User.pendingTasks.
+ * Returns a report with one list per kind of problem:
+ *  - danglingTaskIds: pendingTasks entries whose task is missing, completed or assigned to someone else
+ *  - orphanedTasks: tasks assigned to a user that no longer exists
+ *  - staleAssignedUserNames: tasks whose assignedUserName differs from the user's current name
+ *  - missingPendingTasks: open assigned tasks that are not in the user's pendingTasks
+ * Users in the trash still count: their tasks keep pointing at them so a
+ * restore can give them back (see routes/users.js restoreUser). tx, when
+ * given, is the transaction to read in.
+ */
+async function check(tx) {
+    function opts(o) {
+        return tx ? tx.opts(o) : o;
+    }
+    var users = await store.users.find({}, opts({ select: '_id name pendingTasks deletedAt', lean: true, withDeleted: true }));
+    var tasks = await store.tasks.find({}, opts({ select: '_id completed assignedUser assignedUserName', lean: true }));
+
+    var usersById = {};
+    users.forEach(function (u) { usersById[u._id.toString()] = u; });
+    var tasksById = {};
+    tasks.forEach(function (t) { tasksById[t._id.toString()] = t; });
+
+    var report = { danglingTaskIds: [], orphanedTasks: [], staleAssignedUserNames: [], missingPendingTasks: [] };
+
+    users.forEach(function (u) {
+        var userId = u._id.toString();
+        (u.pendingTasks || []).forEach(function (taskId) {
+            var t = tasksById[taskId];
+            var reason = null;
+            if (!t) reason = 'missing';
+            else if (t.completed) reason = 'completed';
+            else if (t.assignedUser !== userId) reason = 'assigned_elsewhere';
+            if (reason) report.danglingTaskIds.push({ userId: userId, taskId: taskId, reason: reason });
+        });
+    });
+
+    tasks.forEach(function (t) {
+        if (!t.assignedUser) return;
+        var taskId = t._id.toString();
+        var u = usersById[t.assignedUser];
+        if (!u) {
+            report.orphanedTasks.push({ taskId: taskId, assignedUser: t.assignedUser });
+            return;
+        }
+        if (u.deletedAt) return;
+        if (t.assignedUserName !== u.name) {
+            report.staleAssignedUserNames.push({ taskId: taskId, assignedUser: t.assignedUser, assignedUserName: t.assignedUserName, expected: u.name });
+        }
+        if (!t.completed && (u.pendingTasks || []).indexOf(taskId) === -1) {
+            report.missingPendingTasks.push({ taskId: taskId, userId: t.assignedUser });
+        }
+    });
+
+    return report;
+}
+
+// whether taskId is still open and assigned to userId
+async function isPendingFor(tx, taskId, userId) {
+    return await store.tasks.count({ _id: taskId, assignedUser: userId, completed: false }, tx.opts()) > 0;
+}
+
+/*
+ * Check, then fix everything the report lists, atomically; context is for
+ * the audit log. Each fix only applies while its problem is still there,
+ * so a task assigned or completed meanwhile is left as it is. Resolves
+ * with { report, fixed } (fixed counts what changed, by kind).
+ */
+function repair(context) {
+    return transaction.run(async function (tx) {
+        var report = await check(tx);
+        var fixed = { danglingTaskIds: 0, orphanedTasks: 0, staleAssignedUserNames: 0, missingPendingTasks: 0 };
+        var i, item, filter;
+
+        for (i = 0; i < report.danglingTaskIds.length; i++) {
+            item = report.danglingTaskIds[i];
+            if (await isPendingFor(tx, item.taskId, item.userId)) continue;
+            filter = { _id: item.userId, pendingTasks: item.taskId };
+            await tx.snapshot(User, filter);
+            fixed.danglingTaskIds += (await store.users.updateOne(filter, { $pull: { pendingTasks: item.taskId } }, tx.opts())).modified;
+        }
+
+        for (i = 0; i < report.orphanedTasks.length; i++) {
+            item = report.orphanedTasks[i];
+            filter = { _id: item.taskId, assignedUser: item.assignedUser };
+            await tx.snapshot(Task, filter);
+            fixed.orphanedTasks += (await store.tasks.updateOne(filter, { assignedUser: '', assignedUserName: 'unassigned' }, tx.opts())).modified;
+        }
+
+        for (i = 0; i < report.staleAssignedUserNames.length; i++) {
+            item = report.staleAssignedUserNames[i];
+            filter = { _id: item.taskId, assignedUser: item.assignedUser, assignedUserName: item.assignedUserName };
+            await tx.snapshot(Task, filter);
+            fixed.staleAssignedUserNames += (await store.tasks.updateOne(filter, { assignedUserName: item.expected }, tx.opts())).modified;
+        }
+
+        for (i = 0; i < report.missingPendingTasks.length; i++) {
+            item = report.missingPendingTasks[i];
+            if (!await isPendingFor(tx, item.taskId, item.userId)) continue;
+            filter = { _id: item.userId, pendingTasks: { $ne: item.taskId } };
+            await tx.snapshot(User, filter);
+            fixed.missingPendingTasks += (await store.users.updateOne(filter, { $push: { pendingTasks: item.taskId } }, tx.opts())).modified;
+        }
+
+        return { report: report, fixed: fixed };
+    }, context);
+}
+
+module.exports = {
+    check: check,
+    repair: repair
+};
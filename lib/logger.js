@@ -0,0 +1,93 @@
+var crypto = require('crypto');
+var metrics = require('./metrics');
+
+/*
+ * Structured logs: one JSON object per line, info and debug on stdout, warn
+ * and error on stderr. LOG_LEVEL=debug|info|warn|error|silent sets the
+ * least severe level written (default info).
+ */
+var LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+function threshold() {
+    return LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+}
+
+// fields of an entry; errors are logged as their message
+function plain(fields) {
+    var out = {};
+    Object.keys(fields || {}).forEach(function (k) {
+        var v = fields[k];
+        out[k] = v instanceof Error ? v.message : v;
+    });
+    return out;
+}
+
+function write(level, message, fields) {
+    if (LEVELS[level] < threshold()) return;
+    var entry = Object.assign({ time: new Date().toISOString(), level: level, message: message }, plain(fields));
+    var out = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    out.write(JSON.stringify(entry) + '\n');
+}
+
+// a logger adding `bound` to every entry
+function child(bound) {
+    function log(level) {
+        return function (message, fields) {
+            write(level, message, Object.assign({}, bound, fields));
+        };
+    }
+    return {
+        debug: log('debug'),
+        info: log('info'),
+        warn: log('warn'),
+        error: log('error'),
+        child: function (more) { return child(Object.assign({}, bound, more)); }
+    };
+}
+
+var logger = child({});
+
+// a client's X-Request-Id is kept when it looks like an id, so requests can be followed across services
+var REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// the URL with the token EventSource clients pass in the query string blanked out
+function loggedUrl(url) {
+    return url.replace(/([?&]access_token=)[^&]*/g, '$1redacted');
+}
+
+/*
+ * Express middleware giving every request an id (req.id, echoed in the
+ * X-Request-Id response header) and a logger bound to it (req.log), and
+ * logging each request once its response is done.
+ */
+function requests(req, res, next) {
+    var start = process.hrtime.bigint();
+    // read now: the socket's address is gone once it has closed
+    var ip = req.ip;
+    var given = req.get('X-Request-Id');
+    req.id = given && REQUEST_ID.test(given) ? given : crypto.randomUUID();
+    req.log = logger.child({ requestId: req.id });
+    res.set('X-Request-Id', req.id);
+    res.once('close', function () {
+        var status = res.headersSent ? res.statusCode : 0;
+        var fields = {
+            method: req.method,
+            url: loggedUrl(req.originalUrl),
+            route: metrics.routeOf(req),
+            status: status,
+            durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100,
+            userId: req.user ? req.user._id.toString() : undefined,
+            ip: ip
+        };
+        // the client went away before the whole response was sent
+        if (!res.writableFinished) fields.aborted = true;
+        // 503s are expected while the database is down or the server shuts down
+        req.log[status >= 500 && status !== 503 ? 'error' : 'info']('request', fields);
+    });
+    next();
+}
+
+module.exports = Object.assign(logger, {
+    LEVELS: LEVELS,
+    requests: requests
+});
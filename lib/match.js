@@ -0,0 +1,126 @@
+/*
+ * Evaluate a where clause compiled by lib/query.js against a plain document
+ * in memory, for filtering events and for the in-memory store (see
+ * lib/store/memory.js). Supports the operators the compiler allows, plus
+ * dotted paths into subdocuments and $elemMatch.
+ */
+
+// compare ObjectIds as strings and dates as timestamps
+function normalize(v) {
+    if (v === undefined) return null;
+    if (v instanceof Date) return v.getTime();
+    if (v && v._bsontype) return v.toString();
+    return v;
+}
+
+function same(a, b) {
+    if (Array.isArray(a) || Array.isArray(b)) {
+        if (!Array.isArray(a) || !Array.isArray(b)) return false;
+        return JSON.stringify(a.map(normalize)) === JSON.stringify(b.map(normalize));
+    }
+    return normalize(a) === normalize(b);
+}
+
+// a value and, for arrays, each element: a scalar condition on an array field matches any element
+function candidates(value) {
+    return Array.isArray(value) ? value.concat([value]) : [value];
+}
+
+function equals(value, arg) {
+    return candidates(value).some(function (c) { return same(c, arg); });
+}
+
+function ordered(value, arg, test) {
+    var b = normalize(arg);
+    return candidates(value).some(function (c) {
+        var a = normalize(c);
+        if (a === null || b === null || typeof a !== typeof b) return false;
+        return test(a, b);
+    });
+}
+
+function regex(value, pattern, options) {
+    // JavaScript has no x flag
+    var re = new RegExp(pattern, (options || '').replace('x', ''));
+    return candidates(value).some(function (c) { return typeof c === 'string' && re.test(c); });
+}
+
+function matchOperators(value, expr) {
+    return Object.keys(expr).every(function (op) {
+        var arg = expr[op];
+        switch (op) {
+            case '$eq': return equals(value, arg);
+            case '$ne': return !equals(value, arg);
+            case '$gt': return ordered(value, arg, function (a, b) { return a > b; });
+            case '$gte': return ordered(value, arg, function (a, b) { return a >= b; });
+            case '$lt': return ordered(value, arg, function (a, b) { return a < b; });
+            case '$lte': return ordered(value, arg, function (a, b) { return a <= b; });
+            case '$in': return arg.some(function (a) { return equals(value, a); });
+            case '$nin': return !arg.some(function (a) { return equals(value, a); });
+            case '$all': return Array.isArray(value) && arg.every(function (a) { return equals(value, a); });
+            case '$exists': return (value !== undefined) === arg;
+            case '$size': return Array.isArray(value) && value.length === arg;
+            case '$regex': return regex(value, arg, expr.$options);
+            case '$options': return true;
+            case '$not': return !matchOperators(value, arg);
+            case '$elemMatch': return Array.isArray(value) && value.some(function (e) { return elemMatches(e, arg); });
+            default: return false;
+        }
+    });
+}
+
+function isOperatorObject(v) {
+    return v !== null && typeof v === 'object' && !Array.isArray(v) && !(v instanceof Date) && !v._bsontype;
+}
+
+// an array element against an $elemMatch condition: operators for scalars, a filter for subdocuments
+function elemMatches(elem, cond) {
+    var operators = Object.keys(cond).every(function (k) { return k[0] === '$' && ['$and', '$or', '$nor'].indexOf(k) === -1; });
+    if (operators) return matchOperators(elem, cond);
+    return elem !== null && typeof elem === 'object' && matches(elem, cond);
+}
+
+// the value at a dotted path; paths through arrays collect the values of every element
+function valueAt(doc, path) {
+    var parts = path.split('.');
+    var values = [doc];
+    for (var i = 0; i < parts.length; i++) {
+        var next = [];
+        values.forEach(function (v) {
+            if (v === null || v === undefined) return;
+            if (Array.isArray(v) && !/^\d+$/.test(parts[i])) {
+                v.forEach(function (e) {
+                    if (e !== null && typeof e === 'object' && e[parts[i]] !== undefined) next.push(e[parts[i]]);
+                });
+            } else if (typeof v === 'object' && v[parts[i]] !== undefined) {
+                next.push(v[parts[i]]);
+            }
+        });
+        values = next;
+    }
+    if (values.length === 0) return undefined;
+    if (parts.length > 1 && values.length > 1) {
+        // several elements matched: flatten so conditions apply to each
+        return values.reduce(function (all, v) { return all.concat(v); }, []);
+    }
+    return values[0];
+}
+
+// true if doc satisfies every clause of the compiled filter
+function matches(doc, filter) {
+    return Object.keys(filter || {}).every(function (key) {
+        var cond = filter[key];
+        if (key === '$and') return cond.every(function (c) { return matches(doc, c); });
+        if (key === '$or') return cond.some(function (c) { return matches(doc, c); });
+        if (key === '$nor') return !cond.some(function (c) { return matches(doc, c); });
+        var value = key.indexOf('.') === -1 ? doc[key] : valueAt(doc, key);
+        if (isOperatorObject(cond)) return matchOperators(value, cond);
+        return equals(value, cond);
+    });
+}
+
+module.exports = {
+    matches: matches,
+    valueAt: valueAt,
+    same: same
+};
@@ -0,0 +1,179 @@
+/*
+ * Counters, gauges and histograms kept in memory and rendered in the
+ * Prometheus text exposition format (version 0.0.4) for GET /metrics.
+ * Values are per process; a scraper adds them up across servers.
+ */
+var HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+var DB_BUCKETS = [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5];
+
+var metrics = [];
+
+function escapeLabel(v) {
+    return String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+// {a="1",b="2"} for labels (an object), '' without any
+function labelText(labels) {
+    var names = Object.keys(labels);
+    if (names.length === 0) return '';
+    return '{' + names.map(function (n) { return n + '="' + escapeLabel(labels[n]) + '"'; }).join(',') + '}';
+}
+
+function formatValue(v) {
+    if (v === Infinity) return '+Inf';
+    return String(v);
+}
+
+// a metric with one series per combination of labelNames
+function Metric(type, name, help, labelNames) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames || [];
+    this.series = {};
+    metrics.push(this);
+}
+
+Metric.prototype.get = function (labels, create) {
+    labels = labels || {};
+    var values = this.labelNames.map(function (n) { return labels[n] === undefined ? '' : String(labels[n]); });
+    var key = JSON.stringify(values);
+    if (!this.series[key]) {
+        var named = {};
+        this.labelNames.forEach(function (n, i) { named[n] = values[i]; });
+        this.series[key] = create(named);
+    }
+    return this.series[key];
+};
+
+function counter(name, help, labelNames) {
+    var m = new Metric('counter', name, help, labelNames);
+    return {
+        inc: function (labels, by) {
+            m.get(labels, function (l) { return { labels: l, value: 0 }; }).value += by === undefined ? 1 : by;
+        }
+    };
+}
+
+// a gauge whose value is read when metrics are rendered
+function gauge(name, help, read) {
+    var m = new Metric('gauge', name, help, []);
+    m.read = read;
+    return m;
+}
+
+function histogram(name, help, labelNames, buckets) {
+    var m = new Metric('histogram', name, help, labelNames);
+    m.buckets = buckets;
+    return {
+        observe: function (labels, value) {
+            var s = m.get(labels, function (l) {
+                return { labels: l, counts: buckets.map(function () { return 0; }), sum: 0, count: 0 };
+            });
+            for (var i = 0; i < buckets.length; i++) {
+                if (value <= buckets[i]) s.counts[i]++;
+            }
+            s.sum += value;
+            s.count++;
+        }
+    };
+}
+
+// every metric in the text exposition format
+function render() {
+    var lines = [];
+    metrics.forEach(function (m) {
+        lines.push('# HELP ' + m.name + ' ' + m.help);
+        lines.push('# TYPE ' + m.name + ' ' + m.type);
+        if (m.read) {
+            lines.push(m.name + ' ' + formatValue(m.read()));
+            return;
+        }
+        Object.keys(m.series).forEach(function (key) {
+            var s = m.series[key];
+            if (m.type === 'counter') {
+                lines.push(m.name + labelText(s.labels) + ' ' + formatValue(s.value));
+                return;
+            }
+            m.buckets.forEach(function (le, i) {
+                lines.push(m.name + '_bucket' + labelText(Object.assign({}, s.labels, { le: formatValue(le) })) + ' ' + s.counts[i]);
+            });
+            lines.push(m.name + '_bucket' + labelText(Object.assign({}, s.labels, { le: '+Inf' })) + ' ' + s.count);
+            lines.push(m.name + '_sum' + labelText(s.labels) + ' ' + formatValue(s.sum));
+            lines.push(m.name + '_count' + labelText(s.labels) + ' ' + s.count);
+        });
+    });
+    return lines.join('\n') + '\n';
+}
+
+var inFlight = 0;
+var startedAt = Date.now();
+
+var httpRequests = counter('http_requests_total', 'HTTP requests answered, by method, route and status.', ['method', 'route', 'status']);
+var httpDuration = histogram('http_request_duration_seconds', 'Time to answer HTTP requests, by method, route and status.', ['method', 'route', 'status'], HTTP_BUCKETS);
+var dbDuration = histogram('db_operation_duration_seconds', 'Time taken by storage operations (lib/store), by store, model, operation and outcome.', ['store', 'model', 'operation', 'outcome'], DB_BUCKETS);
+gauge('http_requests_in_flight', 'HTTP requests being answered.', function () { return inFlight; });
+gauge('process_uptime_seconds', 'Seconds since the server started.', function () { return (Date.now() - startedAt) / 1000; });
+gauge('process_resident_memory_bytes', 'Resident memory size in bytes.', function () { return process.memoryUsage().rss; });
+gauge('nodejs_heap_used_bytes', 'V8 heap in use, in bytes.', function () { return process.memoryUsage().heapUsed; });
+
+/*
+ * The pattern of the route that answered req (/api/tasks/:id), never the raw
+ * path, so ids do not turn into series of their own. Requests no route
+ * answered (unknown paths, failed authentication) are 'unmatched'.
+ */
+function routeOf(req) {
+    if (!req.route) return 'unmatched';
+    var path = String(req.route.path);
+    // routers mounted on a path with params (/tasks/:id/comments) see the values in baseUrl
+    var mountParams = Object.keys(req.params).filter(function (p) {
+        return req.params[p] && path.indexOf(':' + p) === -1;
+    });
+    var base = req.baseUrl.split('/').map(function (segment) {
+        var name = mountParams.find(function (p) { return encodeURIComponent(req.params[p]) === segment; });
+        return name ? ':' + name : segment;
+    }).join('/');
+    return base + (path === '/' && base ? '' : path);
+}
+
+// Express middleware counting and timing every request
+function middleware(req, res, next) {
+    var start = process.hrtime.bigint();
+    inFlight++;
+    res.once('close', function () {
+        inFlight--;
+        var labels = {
+            method: req.method,
+            route: routeOf(req),
+            status: res.headersSent ? res.statusCode : 0
+        };
+        httpRequests.inc(labels);
+        httpDuration.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    });
+    next();
+}
+
+// time a storage operation (a promise); resolves or rejects as it does
+function timeOperation(labels, promise) {
+    var start = process.hrtime.bigint();
+    function done(outcome) {
+        dbDuration.observe(Object.assign({ outcome: outcome }, labels), Number(process.hrtime.bigint() - start) / 1e9);
+    }
+    return promise.then(function (value) {
+        done('ok');
+        return value;
+    }, function (err) {
+        done('error');
+        throw err;
+    });
+}
+
+module.exports = {
+    counter: counter,
+    gauge: gauge,
+    histogram: histogram,
+    render: render,
+    routeOf: routeOf,
+    middleware: middleware,
+    timeOperation: timeOperation
+};
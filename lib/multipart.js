@@ -0,0 +1,227 @@
+var PassThrough = require('stream').PassThrough;
+
+/*
+ * Streaming multipart/form-data parser (RFC 7578) for uploads. Files are
+ * handed on as streams while the request is still arriving, so they are
+ * never held in memory whole; other fields are collected as strings.
+ */
+var MAX_HEADER_BYTES = 16 * 1024;
+var MAX_FIELD_BYTES = 64 * 1024;
+// with the per-field limit these bound what one body can make the server hold
+var MAX_PARTS = 20;
+var MAX_FIELDS = 10;
+
+function httpError(status, message) {
+    var err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+// the boundary of a multipart/form-data Content-Type, or null
+function boundaryOf(contentType) {
+    var m = /^multipart\/form-data\s*;(?:.*;)?\s*boundary=(?:"([^"]{1,70})"|([^;\s]{1,70}))/i.exec(contentType || '');
+    return m ? m[1] || m[2] : null;
+}
+
+// { name, filename, contentType } from a part's headers; filename is null for plain fields
+function partInfo(headers) {
+    var info = { name: '', filename: null, contentType: '' };
+    headers.split('\r\n').forEach(function (line) {
+        var colon = line.indexOf(':');
+        if (colon === -1) return;
+        var key = line.slice(0, colon).trim().toLowerCase();
+        var value = line.slice(colon + 1).trim();
+        if (key === 'content-type') {
+            info.contentType = value.split(';')[0].trim().toLowerCase();
+        } else if (key === 'content-disposition') {
+            var name = /(?:^|;)\s*name="([^"]*)"/i.exec(value);
+            var filename = /(?:^|;)\s*filename="([^"]*)"/i.exec(value);
+            var encoded = /(?:^|;)\s*filename\*=utf-8''([^;\s]+)/i.exec(value);
+            if (name) info.name = name[1];
+            if (encoded) {
+                try {
+                    info.filename = decodeURIComponent(encoded[1]);
+                } catch (e) {
+                    info.filename = encoded[1];
+                }
+            } else if (filename) {
+                info.filename = filename[1];
+            }
+        }
+    });
+    // some clients send the full path of the file
+    if (info.filename !== null) info.filename = info.filename.split(/[\\/]/).pop();
+    if (!info.contentType) info.contentType = info.filename !== null ? 'application/octet-stream' : 'text/plain';
+    return info;
+}
+
+/*
+ * Parse req's multipart body. options:
+ *  - boundary: from boundaryOf(Content-Type)
+ *  - maxFileBytes: a file part larger than this fails the parse with a 413 error
+ *  - maxParts, maxFields: more parts in all (default 20), or more plain
+ *    fields (default 10), fail the parse with a 413 error
+ *  - onFile(info, stream): called with partInfo() and a readable stream of
+ *    each file's content; must consume the stream and return a promise
+ * Resolves with { fields, files }, files being what the onFile promises
+ * resolved with. Rejects with an error with a status (400 for malformed
+ * bodies, 413 for oversized parts) or the error an onFile promise rejected
+ * with, once every onFile promise has settled so their callers can clean up.
+ */
+function parse(req, options) {
+    return new Promise(function (resolve, reject) {
+        var delimiter = Buffer.from('\r\n--' + options.boundary);
+        // the first boundary has no CRLF in front of it
+        var buf = Buffer.from('\r\n');
+        var state = 'preamble';
+        var part = null;
+        var fields = {};
+        var pending = [];
+        var failed = false;
+        var maxParts = options.maxParts || MAX_PARTS;
+        var maxFields = options.maxFields || MAX_FIELDS;
+        var parts = 0;
+        var fieldCount = 0;
+
+        function fail(err) {
+            if (failed) return;
+            failed = true;
+            if (part && part.stream) part.stream.destroy(err);
+            req.removeListener('data', onData);
+            // read (and drop) the rest of the body so the response still reaches the client
+            req.resume();
+            Promise.allSettled(pending).then(function () {
+                reject(err);
+            });
+        }
+
+        function startPart(info) {
+            if (++parts > maxParts) throw httpError(413, 'more than ' + maxParts + ' parts');
+            part = { info: info, size: 0 };
+            if (info.filename === null) {
+                if (++fieldCount > maxFields) throw httpError(413, 'more than ' + maxFields + ' fields');
+                part.chunks = [];
+                return;
+            }
+            var stream = new PassThrough();
+            // failures reach the consumer through its own reads; this only keeps an unread stream from throwing
+            stream.on('error', function () {});
+            part.stream = stream;
+            // called right away so the consumer is reading before the first chunk arrives
+            var done;
+            try {
+                done = Promise.resolve(options.onFile(info, stream));
+            } catch (err) {
+                done = Promise.reject(err);
+            }
+            done.catch(fail);
+            pending.push(done);
+        }
+
+        function write(chunk) {
+            if (chunk.length === 0) return;
+            part.size += chunk.length;
+            if (!part.stream) {
+                if (part.size > MAX_FIELD_BYTES) throw httpError(413, 'field ' + part.info.name + ' is larger than ' + MAX_FIELD_BYTES + ' bytes');
+                part.chunks.push(chunk);
+                return;
+            }
+            if (options.maxFileBytes && part.size > options.maxFileBytes) {
+                throw httpError(413, 'file is larger than ' + options.maxFileBytes + ' bytes');
+            }
+            // wait for the consumer before reading more of the request
+            if (!part.stream.write(chunk)) {
+                req.pause();
+                part.stream.once('drain', function () {
+                    if (!failed) req.resume();
+                });
+            }
+        }
+
+        function endPart() {
+            if (part.stream) part.stream.end();
+            else fields[part.info.name] = Buffer.concat(part.chunks).toString('utf8');
+            part = null;
+        }
+
+        // consume as much of buf as possible
+        function advance() {
+            for (;;) {
+                if (state === 'preamble' || state === 'body') {
+                    var at = buf.indexOf(delimiter);
+                    if (at === -1) {
+                        // the end of buf may be the start of a delimiter
+                        var keep = Math.min(buf.length, delimiter.length - 1);
+                        if (state === 'body') write(buf.slice(0, buf.length - keep));
+                        buf = buf.slice(buf.length - keep);
+                        return;
+                    }
+                    if (state === 'body') {
+                        write(buf.slice(0, at));
+                        endPart();
+                    }
+                    buf = buf.slice(at + delimiter.length);
+                    state = 'delimiter';
+                } else if (state === 'delimiter') {
+                    if (buf.length < 2) return;
+                    if (buf[0] === 0x2d && buf[1] === 0x2d) {
+                        state = 'end';
+                        return;
+                    }
+                    // skip transport padding, keeping the CRLF so a part without headers still parses
+                    var eol = buf.indexOf('\r\n');
+                    if (eol === -1) {
+                        if (buf.length > 1024) throw httpError(400, 'malformed multipart boundary');
+                        return;
+                    }
+                    buf = buf.slice(eol);
+                    state = 'headers';
+                } else if (state === 'headers') {
+                    var end = buf.indexOf('\r\n\r\n');
+                    if (end === -1) {
+                        if (buf.length > MAX_HEADER_BYTES) throw httpError(400, 'multipart part headers are too large');
+                        return;
+                    }
+                    startPart(partInfo(buf.slice(2, end).toString('utf8')));
+                    buf = buf.slice(end + 4);
+                    state = 'body';
+                } else {
+                    // the epilogue after the last boundary is ignored
+                    buf = Buffer.alloc(0);
+                    return;
+                }
+            }
+        }
+
+        function onData(chunk) {
+            if (failed) return;
+            buf = Buffer.concat([buf, chunk]);
+            try {
+                advance();
+            } catch (err) {
+                fail(err);
+            }
+        }
+
+        req.on('data', onData);
+        req.on('end', function () {
+            if (failed) return;
+            if (state !== 'end') return fail(httpError(400, 'multipart body ended before its closing boundary'));
+            Promise.all(pending).then(function (files) {
+                resolve({ fields: fields, files: files });
+            }, fail);
+        });
+        req.on('error', fail);
+        req.on('aborted', function () {
+            fail(httpError(400, 'upload aborted'));
+        });
+    });
+}
+
+module.exports = {
+    MAX_PARTS: MAX_PARTS,
+    MAX_FIELDS: MAX_FIELDS,
+    boundaryOf: boundaryOf,
+    partInfo: partInfo,
+    parse: parse
+};
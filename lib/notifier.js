@@ -0,0 +1,107 @@
+var Notification = require('../models/notification');
+var store = require('./store');
+var events = require('./events');
+var smtp = require('./smtp');
+var logger = require('./logger');
+
+/*
+ * Delivery channels for notifications. Each is send(notification, user),
+ * resolving once delivered; user is the recipient, or null if the account
+ * is gone. NOTIFY_CHANNELS picks which ones new notifications go out on.
+ */
+var channels = {
+    console: function (notification) {
+        logger.info('Notification', { userId: notification.user, message: notification.message });
+        return Promise.resolve();
+    },
+    smtp: function (notification, user) {
+        if (!user || !user.email) return Promise.reject(new Error('recipient has no email address'));
+        return smtp.send({
+            to: user.email,
+            subject: notification.kind === 'overdue' ? 'Overdue: ' + notification.taskName : 'Reminder: ' + notification.taskName,
+            text: 'Hi ' + user.name + ',\n\n' + notification.message + '\n'
+        });
+    },
+    // notification.created events, for webhook subscribers
+    webhook: function (notification) {
+        events.publishNotification(notification);
+        return Promise.resolve();
+    }
+};
+
+// add or replace a channel
+function register(name, send) {
+    channels[name] = send;
+}
+
+// the configured channels that exist, warning about the others
+function enabledChannels() {
+    var names = (process.env.NOTIFY_CHANNELS || 'console').split(',').map(function (c) { return c.trim(); }).filter(Boolean);
+    return names.filter(function (name) {
+        if (channels[name]) return true;
+        logger.warn('Unknown notification channel ' + name + ' in NOTIFY_CHANNELS');
+        return false;
+    });
+}
+
+/*
+ * Send a notification on each of its channels still pending. A channel is
+ * claimed ('sending') before it is tried and never tried again after that,
+ * so even a crash halfway cannot make it go out twice.
+ */
+async function deliver(notification) {
+    var user = await store.users.findById(notification.user);
+    for (var i = 0; i < notification.deliveries.length; i++) {
+        var channel = notification.deliveries[i].channel;
+        var claimed = await store.notifications.findOneAndUpdate(
+            { _id: notification._id, deliveries: { $elemMatch: { channel: channel, status: 'pending' } } },
+            { $set: { 'deliveries.$.status': 'sending', 'deliveries.$.at': new Date() } },
+            { new: true }
+        );
+        if (!claimed) continue;
+
+        var outcome = { 'deliveries.$.status': 'sent' };
+        try {
+            if (!channels[channel]) throw new Error('unknown channel');
+            await channels[channel](claimed, user);
+        } catch (err) {
+            outcome['deliveries.$.status'] = 'failed';
+            outcome['deliveries.$.error'] = err.message || String(err);
+        }
+        outcome['deliveries.$.at'] = new Date();
+        await store.notifications.updateOne({ _id: notification._id, 'deliveries.channel': channel }, { $set: outcome });
+    }
+}
+
+/*
+ * Create a notification and send it, unless one with the same key exists
+ * already. Resolves with the new notification, or null for a duplicate.
+ */
+async function notify(fields) {
+    var notification = new Notification(Object.assign({}, fields, {
+        deliveries: enabledChannels().map(function (channel) { return { channel: channel }; })
+    }));
+    try {
+        await store.notifications.save(notification);
+    } catch (err) {
+        if (err.code === 11000) return null;
+        throw err;
+    }
+    await deliver(notification);
+    return notification;
+}
+
+// finish deliveries a restart interrupted before they were claimed
+async function deliverPending(limit) {
+    var pending = await store.notifications.find({ 'deliveries.status': 'pending' }, { sort: { dateCreated: 1 }, limit: limit });
+    for (var i = 0; i < pending.length; i++) {
+        await deliver(pending[i]);
+    }
+    return pending.length;
+}
+
+module.exports = {
+    register: register,
+    notify: notify,
+    deliverPending: deliverPending
+};
@@ -0,0 +1,180 @@
+var schema = require('../schema');
+var pagination = require('../pagination');
+var schemas = require('./schemas');
+var paths = require('./paths');
+
+/*
+ * The OpenAPI 3.0 description of the API, served at GET /api/openapi.json.
+ * middleware/validate.js checks requests against it, and routes check the
+ * bodies they build (PATCH results, bulk operations) with validate().
+ */
+
+function ref(name) {
+    return { $ref: '#/components/schemas/' + name };
+}
+
+function jsonParam(name, description, example) {
+    return { name: name, in: 'query', description: description, example: example, schema: { type: 'string' } };
+}
+
+function errorResponse(description) {
+    return { description: description, content: { 'application/json': { schema: ref('Envelope') } } };
+}
+
+var document = {
+    openapi: '3.0.3',
+    info: {
+        title: 'Llama.io task API',
+        version: require('../../package.json').version,
+        description: 'Users, tasks and projects. Every JSON response is { message, data }, with meta on pages and searches.'
+    },
+    servers: [{ url: '/api' }],
+    security: [{ bearerAuth: [] }],
+    paths: paths,
+    components: {
+        securitySchemes: {
+            bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT', description: 'the token from /auth/register or /auth/login' },
+            accessToken: { type: 'apiKey', in: 'query', name: 'access_token', description: 'the same token, for EventSource clients' }
+        },
+        parameters: {
+            where: jsonParam('where', 'JSON filter on the allowed fields, with $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $regex, $and, $or and $nor', '{"completed":false}'),
+            sort: jsonParam('sort', 'JSON sort, e.g. {"deadline":1}, or fields like "name -deadline"', '{"deadline":1}'),
+            select: jsonParam('select', 'JSON projection: {"name":1} to include fields or {"description":0} to leave them out', '{"name":1}'),
+            filter: jsonParam('filter', 'alias of select; send only one of them', '{"name":1}'),
+            limit: {
+                name: 'limit',
+                in: 'query',
+                description: 'page size, at most ' + pagination.MAX_PAGE_SIZE,
+                schema: { type: 'integer', minimum: 1, default: pagination.DEFAULT_PAGE_SIZE }
+            },
+            skip: { name: 'skip', in: 'query', description: 'results to skip; not together with cursor', schema: { type: 'integer', minimum: 0, default: 0 } },
+            cursor: { name: 'cursor', in: 'query', description: 'meta.nextCursor or meta.prevCursor of a page', schema: { type: 'string' } },
+            count: { name: 'count', in: 'query', description: 'answer with the number of matches instead', schema: { type: 'boolean', default: false } },
+            q: { name: 'q', in: 'query', required: true, description: 'search words', schema: { type: 'string', minLength: 1, maxLength: 200 } },
+            ifMatch: { name: 'If-Match', in: 'header', description: 'ETag the document must still have', schema: { type: 'string' } },
+            ifNoneMatch: { name: 'If-None-Match', in: 'header', description: 'ETag the client has; 304 if it is current', schema: { type: 'string' } }
+        },
+        headers: {
+            ETag: { description: 'the document\'s version', schema: { type: 'string' } },
+            Link: { description: 'RFC 5988 links to the next and previous pages', schema: { type: 'string' } }
+        },
+        responses: {
+            NotModified: { description: 'The ETag in If-None-Match is current' },
+            BadRequest: {
+                description: 'Invalid input. Requests that do not match this description get ValidationError, listing every field at fault.',
+                content: { 'application/json': { schema: { anyOf: [ref('ValidationError'), ref('Envelope')] } } }
+            },
+            Unauthorized: errorResponse('Missing, invalid or expired token'),
+            Forbidden: errorResponse('Not allowed for the current user'),
+            NotFound: errorResponse('No such document'),
+            Conflict: errorResponse('The request conflicts with the current state'),
+            PreconditionFailed: errorResponse('If-Match names an older version'),
+            PayloadTooLarge: errorResponse('The upload is too large'),
+            UnsupportedMediaType: errorResponse('The body is not of a type the route takes'),
+            ServerError: errorResponse('Unexpected error'),
+            NotImplemented: errorResponse('Not available on this store'),
+            ServiceUnavailable: errorResponse('The database is not connected; retry after Retry-After seconds')
+        },
+        schemas: schemas
+    }
+};
+
+// the paths of keywords lib/schema would ignore in the schemas under node ('schema' of parameters, media types and headers)
+function uncheckedKeywords(node, path, found) {
+    Object.keys(node).forEach(function (key) {
+        var value = node[key];
+        if (!value || typeof value !== 'object') return;
+        var at = path + '/' + key;
+        if (key === 'schema') schema.unsupported(value, at, found);
+        else if (at !== '#/components/schemas') uncheckedKeywords(value, at, found);
+    });
+    return found;
+}
+
+// a constraint the validator does not know must not be described as if it were checked
+var unchecked = Object.keys(schemas).reduce(function (found, name) {
+    return schema.unsupported(schemas[name], '#/components/schemas/' + name, found);
+}, uncheckedKeywords(document, '#', []));
+if (unchecked.length > 0) throw new Error('lib/schema does not check ' + unchecked.join(', '));
+
+/*
+ * Validate value against a schema of the document, by name ('TaskInput') or
+ * as a schema object. Returns { value, errors }; see lib/schema.js.
+ */
+function validate(schemaOrName, value, options) {
+    var s = typeof schemaOrName === 'string' ? ref(schemaOrName) : schemaOrName;
+    return schema.validate(s, value, Object.assign({ root: document }, options));
+}
+
+// the 400 result ({ status, message, data }, as routes build them) listing errors
+function badRequest(errors) {
+    var message = errors.map(function (e) {
+        return (e.path ? e.param + '.' + e.path : e.param) + ': ' + e.reason;
+    }).join('; ');
+    return { status: 400, message: 'Bad Request: ' + message, data: { errors: errors } };
+}
+
+// operations by method, each with the segments of its path ('{id}' for parameters) to match against
+var operations = [];
+Object.keys(paths).forEach(function (path) {
+    ['get', 'put', 'post', 'patch', 'delete'].forEach(function (method) {
+        if (!paths[path][method]) return;
+        operations.push({
+            method: method.toUpperCase(),
+            path: path,
+            segments: path.split('/').slice(1),
+            pathItem: paths[path],
+            operation: paths[path][method]
+        });
+    });
+});
+
+// literal segments win over parameters, so /tasks/search is not /tasks/{id}
+function specificity(op) {
+    return op.segments.map(function (s) { return s[0] === '{' ? '0' : '1'; }).join('');
+}
+operations.sort(function (a, b) {
+    return specificity(b).localeCompare(specificity(a));
+});
+
+function decode(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch (e) {
+        return segment;
+    }
+}
+
+/*
+ * The operation answering method and path (relative to /api, e.g.
+ * /tasks/5f1d.../comments): { path, operation, parameters, params }, with
+ * parameters merged from the path and the operation and params the values
+ * of the path parameters. null if the API has no such operation.
+ */
+function findOperation(method, path) {
+    var segments = path.replace(/\/+$/, '').split('/').slice(1);
+    if (segments.length === 0) segments = [''];
+    for (var i = 0; i < operations.length; i++) {
+        var op = operations[i];
+        if (op.method !== method || op.segments.length !== segments.length) continue;
+        var params = {};
+        var matches = op.segments.every(function (s, j) {
+            if (s[0] !== '{') return s === segments[j];
+            params[s.slice(1, -1)] = decode(segments[j]);
+            return segments[j] !== '';
+        });
+        if (!matches) continue;
+        var parameters = (op.pathItem.parameters || []).concat(op.operation.parameters || []).map(function (p) {
+            return schema.resolve(document, p);
+        });
+        return { path: op.path, operation: op.operation, parameters: parameters, params: params };
+    }
+    return null;
+}
+
+module.exports = {
+    document: document,
+    validate: validate,
+    badRequest: badRequest,
+    findOperation: findOperation
+};
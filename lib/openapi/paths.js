@@ -0,0 +1,724 @@
+var events = require('../events');
+var search = require('../search');
+
+/*
+ * The paths of the API description, relative to the /api server (GET
+ * /metrics, outside it, has its own). Every route in routes/ is here;
+ * test/openapi.test.js fails when one is missing.
+ */
+
+function ref(name) {
+    return { $ref: '#/components/schemas/' + name };
+}
+
+function param(name) {
+    return { $ref: '#/components/parameters/' + name };
+}
+
+function arrayOf(items) {
+    return { type: 'array', items: items };
+}
+
+function pathParam(name, description) {
+    return { name: name, in: 'path', required: true, description: description, schema: ref('ObjectId') };
+}
+
+function queryParam(name, schema, description) {
+    return { name: name, in: 'query', description: description, schema: schema };
+}
+
+// a successful { message, data } response, with meta when the data is a page
+function ok(description, data, meta) {
+    var schema = { type: 'object', required: ['message', 'data'], properties: { message: { type: 'string' }, data: data }, additionalProperties: false };
+    if (meta) schema.properties.meta = meta;
+    return { description: description, content: { 'application/json': { schema: schema } } };
+}
+
+// a page of a list route, with the Link header pointing at the pages around it
+function page(description, items) {
+    var r = ok(description, arrayOf(items), ref('PageMeta'));
+    r.headers = { Link: { $ref: '#/components/headers/Link' } };
+    return r;
+}
+
+// a page, or with count=true just the number of matches
+function pageOrCount(description, items) {
+    var r = page(description, items);
+    var data = r.content['application/json'].schema.properties.data;
+    r.content['application/json'].schema.properties.data = { anyOf: [data, { type: 'integer', minimum: 0 }] };
+    return r;
+}
+
+function found(description, items) {
+    return ok(description, arrayOf(items), ref('SearchMeta'));
+}
+
+// a document read or written on its own, with its version as ETag
+function versioned(description, schema) {
+    var r = ok(description, schema);
+    r.headers = { ETag: { $ref: '#/components/headers/ETag' } };
+    return r;
+}
+
+var NO_CONTENT = { description: 'Done; no body' };
+
+function body(schema, types) {
+    var content = {};
+    (types || ['application/json']).forEach(function (type) {
+        content[type] = { schema: schema };
+    });
+    return { required: true, content: content };
+}
+
+// a JSON body, also accepted form-encoded (database_scripts/dbFill.py sends those)
+function formOrJson(schema) {
+    return body(schema, ['application/json', 'application/x-www-form-urlencoded']);
+}
+
+// PATCH bodies: a JSON Merge Patch, or JSON Patch operations
+var PATCH_BODY = {
+    required: true,
+    description: 'Applied to the writable fields of the current document; the result must be valid as a PUT body.',
+    content: {
+        'application/merge-patch+json': { schema: ref('MergePatch') },
+        'application/json': { schema: ref('MergePatch') },
+        'application/json-patch+json': { schema: ref('JsonPatch') }
+    }
+};
+
+var LIST = [param('where'), param('sort'), param('select'), param('filter'), param('limit'), param('skip'), param('cursor')];
+var PAGING = [param('limit'), param('skip'), param('cursor')];
+var HISTORY = [
+    queryParam('from', ref('DateInput'), 'entries at or after this time'),
+    queryParam('to', ref('DateInput'), 'entries at or before this time'),
+    queryParam('actor', { type: 'string' }, 'id of the user who made the change')
+].concat(PAGING);
+
+var RESPONSES = {
+    304: 'NotModified',
+    400: 'BadRequest',
+    401: 'Unauthorized',
+    403: 'Forbidden',
+    404: 'NotFound',
+    409: 'Conflict',
+    412: 'PreconditionFailed',
+    413: 'PayloadTooLarge',
+    415: 'UnsupportedMediaType',
+    500: 'ServerError',
+    501: 'NotImplemented',
+    503: 'ServiceUnavailable'
+};
+
+/*
+ * An operation. Besides the responses and errors (statuses) given, every
+ * operation can answer 400 when it takes parameters or a body, 415 when it
+ * takes a body, 401 unless it is public, 500, and 503 while the database
+ * is down unless it answers without it.
+ */
+function operation(tag, summary, options) {
+    var responses = Object.assign({}, options.responses);
+    var errors = (options.errors || []).slice();
+    if (options.params || options.body) errors.push(400);
+    if (options.body) errors.push(415);
+    if (!options.public) errors.push(401);
+    errors.push(500);
+    if (!options.withoutStore) errors.push(503);
+    errors.forEach(function (status) {
+        if (!responses[status]) responses[status] = { $ref: '#/components/responses/' + RESPONSES[status] };
+    });
+
+    var op = { tags: [tag], summary: summary };
+    if (options.description) op.description = options.description;
+    if (options.params) op.parameters = options.params;
+    if (options.body) op.requestBody = options.body;
+    op.responses = responses;
+    if (options.public) op.security = [];
+    if (options.security) op.security = options.security;
+    return op;
+}
+
+// a path with path parameters: every operation on it can answer 400 for malformed ones
+function route(parameters, operations) {
+    Object.keys(operations).forEach(function (method) {
+        var responses = operations[method].responses;
+        if (!responses[400]) responses[400] = { $ref: '#/components/responses/BadRequest' };
+    });
+    return Object.assign({ parameters: parameters }, operations);
+}
+
+var taskId = pathParam('id', 'task id');
+var userId = pathParam('id', 'user id');
+var projectId = pathParam('id', 'project id');
+var webhookId = pathParam('id', 'webhook id');
+var ignoreBlockers = queryParam('ignoreBlockers', { type: 'boolean', default: false }, 'allow completing a task while tasks it is blocked by are open');
+
+function home(summary, options) {
+    return operation('Service', summary, Object.assign({ public: true, withoutStore: true }, options));
+}
+
+function auth(summary, options) {
+    return operation('Auth', summary, options);
+}
+
+function users(summary, options) {
+    return operation('Users', summary, options);
+}
+
+function tasks(summary, options) {
+    return operation('Tasks', summary, options);
+}
+
+function projects(summary, options) {
+    return operation('Projects', summary, options);
+}
+
+function webhooks(summary, options) {
+    return operation('Webhooks', summary, Object.assign({}, options, { errors: [403].concat(options.errors || []) }));
+}
+
+module.exports = {
+    '/': {
+        get: home('Links to the health, readiness, metrics and API description routes', {
+            responses: { 200: ok('Links', { type: 'object', additionalProperties: { type: 'string' } }) }
+        })
+    },
+    '/health': {
+        get: home('Liveness: the process is up and answering', {
+            responses: {
+                200: ok('Up', {
+                    type: 'object',
+                    properties: { status: { type: 'string', enum: ['ok'] }, uptime: { type: 'integer', description: 'seconds' } },
+                    additionalProperties: false
+                })
+            }
+        })
+    },
+    '/ready': {
+        get: home('Readiness: whether the database is connected and the server is not shutting down', {
+            responses: {
+                200: ok('Ready', ref('Readiness')),
+                503: ok('Not ready', ref('Readiness'))
+            }
+        })
+    },
+    '/openapi.json': {
+        get: home('This API description (OpenAPI 3.0)', {
+            responses: { 200: { description: 'The document', content: { 'application/json': { schema: { type: 'object' } } } } }
+        })
+    },
+    '/metrics': {
+        servers: [{ url: '/', description: 'outside /api' }],
+        get: operation('Service', 'Prometheus metrics: request counts and latencies, storage timings, process figures', {
+            public: true,
+            withoutStore: true,
+            description: 'When METRICS_TOKEN is set, scrapers must send it as a bearer token.',
+            errors: [401],
+            responses: { 200: { description: 'Text exposition format 0.0.4', content: { 'text/plain': { schema: { type: 'string' } } } } }
+        })
+    },
+
+    '/auth/register': {
+        post: auth('Create an account and sign in', {
+            public: true,
+            body: body(ref('Registration')),
+            description: 'Emails listed in ADMIN_EMAILS get the admin role.',
+            responses: { 201: ok('Registered', ref('Session')) }
+        })
+    },
+    '/auth/login': {
+        post: auth('Sign in', {
+            public: true,
+            body: body(ref('Login')),
+            responses: { 200: ok('Signed in', ref('Session')) },
+            errors: [401]
+        })
+    },
+    '/auth/me': {
+        get: auth('The signed-in user', { responses: { 200: ok('OK', ref('User')) } })
+    },
+
+    '/users': {
+        get: users('List users', {
+            params: LIST.concat([param('count')]),
+            responses: { 200: pageOrCount('A page of users, or their number with count=true', ref('User')) }
+        }),
+        post: users('Create a user (admins)', {
+            body: formOrJson(ref('UserInput')),
+            responses: { 201: versioned('Created', ref('User')) },
+            errors: [403, 404]
+        })
+    },
+    '/users/search': {
+        get: users('Ranked full-text search over name and email', {
+            params: [param('q'), param('where'), param('select'), param('filter'), param('limit'), param('skip')],
+            responses: { 200: found('Best matches first', ref('UserSearchResult')) }
+        })
+    },
+    '/users/bulk': {
+        post: users('Create, update, delete or assign tasks to many users', {
+            body: body(ref('UserBulkRequest')),
+            description: 'Each operation follows the rules of its single-user route. With atomic, the first failure undoes everything and the request answers 400.',
+            responses: { 200: ok('One result per operation', ref('BulkResult')) }
+        })
+    },
+    '/users/{id}': route([userId], {
+        get: users('Get a user', {
+            params: [param('select'), param('filter'), param('ifNoneMatch')],
+            responses: { 200: versioned('OK', ref('User')) },
+            errors: [304, 404]
+        }),
+        put: users('Replace a user (the user themselves or an admin)', {
+            params: [param('ifMatch')],
+            body: formOrJson(ref('UserInput')),
+            responses: { 200: versioned('Updated', ref('User')) },
+            errors: [403, 404, 409, 412]
+        }),
+        patch: users('Change some fields of a user', {
+            params: [param('ifMatch')],
+            body: PATCH_BODY,
+            responses: { 200: versioned('Updated', ref('User')) },
+            errors: [403, 404, 409, 412]
+        }),
+        delete: users('Move a user to the trash, unassigning its tasks', {
+            params: [param('ifMatch')],
+            responses: { 204: NO_CONTENT },
+            errors: [403, 404, 412]
+        })
+    }),
+    '/users/{id}/history': route([userId], {
+        get: users('Audit log of a user, newest first', {
+            params: HISTORY,
+            responses: { 200: page('A page of entries', ref('AuditEntry')) },
+            errors: [403]
+        })
+    }),
+    '/users/{id}/restore': route([userId], {
+        post: users('Take a user out of the trash (admins)', {
+            responses: { 200: ok('Restored', ref('User')) },
+            errors: [403, 404, 409]
+        })
+    }),
+    '/users/{id}/notifications': route([userId], {
+        get: users('Deadline reminders and overdue notices, newest first', {
+            params: LIST,
+            responses: { 200: page('A page of notifications; meta.unread counts the unread ones', ref('Notification')) },
+            errors: [403]
+        })
+    }),
+    '/users/{id}/notifications/read': route([userId], {
+        post: users('Mark all notifications read', {
+            responses: {
+                200: ok('Marked', {
+                    type: 'object',
+                    properties: { updated: { type: 'integer', minimum: 0 } },
+                    additionalProperties: false
+                })
+            },
+            errors: [403]
+        })
+    }),
+    '/users/{id}/notifications/{notificationId}': route([userId, pathParam('notificationId', 'notification id')], {
+        patch: users('Mark a notification read or unread', {
+            body: body({ type: 'object', required: ['read'], properties: { read: { type: 'boolean' } } }),
+            responses: { 200: ok('Updated', ref('Notification')) },
+            errors: [403, 404]
+        })
+    }),
+
+    '/tasks': {
+        get: tasks('List tasks', {
+            params: LIST.concat([param('count')]),
+            responses: { 200: pageOrCount('A page of tasks, or their number with count=true', ref('Task')) }
+        }),
+        post: tasks('Create a task', {
+            params: [ignoreBlockers],
+            body: formOrJson(ref('TaskInput')),
+            description: 'Non-admins can only assign tasks to themselves.',
+            responses: { 201: versioned('Created', ref('Task')) },
+            errors: [403, 404, 409]
+        })
+    },
+    '/tasks/workflow': {
+        get: tasks('The statuses tasks move through and who may move them where', {
+            responses: { 200: ok('OK', ref('Workflow')) }
+        })
+    },
+    '/tasks/search': {
+        get: tasks('Ranked full-text search over name and description', {
+            params: [
+                param('q'),
+                queryParam('language', { type: 'string', enum: search.LANGUAGES }, 'stemming language of q; detected from it by default'),
+                param('where'), param('select'), param('filter'), param('limit'), param('skip')
+            ],
+            responses: { 200: found('Best matches first', ref('TaskSearchResult')) }
+        })
+    },
+    '/tasks/export': {
+        get: tasks('Every task matching where, streamed as CSV, iCalendar or JSON', {
+            params: [
+                queryParam('format', { type: 'string', enum: ['csv', 'ics', 'json'], default: 'csv' }),
+                queryParam('component', { type: 'string', default: 'VTODO' }, 'VTODO or VEVENT: the iCalendar component tasks become'),
+                param('where'), param('sort')
+            ],
+            responses: {
+                200: {
+                    description: 'A download (Content-Disposition: attachment), by deadline unless sorted otherwise',
+                    content: {
+                        'text/csv': { schema: { type: 'string' } },
+                        'text/calendar': { schema: { type: 'string' } },
+                        'application/json': { schema: { type: 'object', properties: { message: { type: 'string' }, data: arrayOf(ref('Task')) } } }
+                    }
+                }
+            }
+        })
+    },
+    '/tasks/import': {
+        post: tasks('Create tasks from CSV, one row per task', {
+            description: 'Send the CSV as a text/csv body with the options in the query string, or as JSON. Every row is reported; dryRun only validates. With atomic, one bad row imports nothing and the request answers 400.',
+            params: [
+                queryParam('mapping', { type: 'string' }, 'JSON object mapping task fields to column names'),
+                queryParam('dryRun', { type: 'boolean', default: false }),
+                queryParam('atomic', { type: 'boolean', default: false })
+            ],
+            body: {
+                required: true,
+                content: {
+                    'text/csv': { schema: { type: 'string' } },
+                    'application/json': { schema: ref('ImportRequest') }
+                }
+            },
+            responses: { 200: ok('What happened to each row', ref('ImportReport')) }
+        })
+    },
+    '/tasks/bulk': {
+        post: tasks('Create, update, delete or assign many tasks', {
+            params: [ignoreBlockers],
+            body: body(ref('TaskBulkRequest')),
+            description: 'Each operation follows the rules of its single-task route. With atomic, the first failure undoes everything and the request answers 400.',
+            responses: { 200: ok('One result per operation', ref('BulkResult')) }
+        })
+    },
+    '/tasks/series/{seriesId}': route([pathParam('seriesId', 'series id: the _id of its first task')], {
+        get: tasks('Every instance of a recurring task, by deadline', {
+            params: PAGING,
+            responses: { 200: page('A page of instances', ref('Task')) },
+            errors: [404]
+        }),
+        patch: tasks('Merge patch every open instance of a series', {
+            params: [ignoreBlockers],
+            body: body(ref('MergePatch'), ['application/json', 'application/merge-patch+json']),
+            responses: { 200: ok('The updated instances', arrayOf(ref('Task'))) },
+            errors: [403, 404, 409]
+        })
+    }),
+    '/tasks/series/{seriesId}/stop': route([pathParam('seriesId', 'series id')], {
+        post: tasks('Stop a series: no further instances are created', {
+            responses: { 200: ok('The open instances', arrayOf(ref('Task'))) },
+            errors: [403, 404, 409]
+        })
+    }),
+    '/tasks/{id}': route([taskId], {
+        get: tasks('Get a task', {
+            params: [param('select'), param('filter'), param('ifNoneMatch')],
+            responses: { 200: versioned('OK', ref('Task')) },
+            errors: [304, 404]
+        }),
+        put: tasks('Replace a task', {
+            params: [param('ifMatch'), ignoreBlockers],
+            body: formOrJson(ref('TaskInput')),
+            description: 'recurrence, parentTask, blockedBy and project are kept when left out.',
+            responses: { 200: versioned('Updated', ref('Task')) },
+            errors: [403, 404, 409, 412]
+        }),
+        patch: tasks('Change some fields of a task', {
+            params: [param('ifMatch'), ignoreBlockers],
+            body: PATCH_BODY,
+            responses: { 200: versioned('Updated', ref('Task')) },
+            errors: [403, 404, 409, 412]
+        }),
+        delete: tasks('Move a task to the trash', {
+            params: [
+                param('ifMatch'),
+                queryParam('dependents', { type: 'string', enum: ['refuse', 'cascade', 'reparent'], default: 'refuse' },
+                    'refuse fails with 409 while the task has subtasks or blocks others; cascade trashes subtasks too; reparent moves them to its parent')
+            ],
+            responses: { 204: NO_CONTENT },
+            errors: [403, 404, 409, 412]
+        })
+    }),
+    '/tasks/{id}/subtasks': route([taskId], {
+        get: tasks('A task with its subtasks nested under subtasks', {
+            params: [queryParam('depth', { type: 'integer', minimum: 1, maximum: 10, default: 10 }, 'levels of subtasks')],
+            responses: { 200: ok('The tree', ref('TaskTree')) },
+            errors: [404]
+        })
+    }),
+    '/tasks/{id}/dependencies': route([taskId], {
+        get: tasks('Everything blocking a task and everything it blocks', {
+            responses: { 200: ok('The graph; edges point from a task to a task that blocks it', ref('DependencyGraph')) },
+            errors: [404]
+        })
+    }),
+    '/tasks/{id}/history': route([taskId], {
+        get: tasks('Audit log of a task, newest first', {
+            params: HISTORY,
+            responses: { 200: page('A page of entries', ref('AuditEntry')) }
+        })
+    }),
+    '/tasks/{id}/restore': route([taskId], {
+        post: tasks('Take a task, and the subtasks trashed with it, out of the trash', {
+            responses: { 200: ok('Restored', ref('Task')) },
+            errors: [403, 404, 409]
+        })
+    }),
+
+    '/tasks/{id}/comments': route([taskId], {
+        get: operation('Comments', 'The discussion of a task, oldest first', {
+            params: LIST,
+            responses: { 200: page('A page of comments', ref('Comment')) },
+            errors: [404]
+        }),
+        post: operation('Comments', 'Comment on a task; @-mentions notify the users named', {
+            body: body(ref('CommentInput')),
+            responses: { 201: ok('Created', ref('Comment')) },
+            errors: [404]
+        })
+    }),
+    '/tasks/{id}/comments/{commentId}': route([taskId, pathParam('commentId', 'comment id')], {
+        get: operation('Comments', 'Get a comment', {
+            responses: { 200: ok('OK', ref('Comment')) },
+            errors: [404]
+        }),
+        put: operation('Comments', 'Edit a comment (its author)', {
+            body: body(ref('CommentInput')),
+            responses: { 200: ok('Updated', ref('Comment')) },
+            errors: [403, 404]
+        }),
+        delete: operation('Comments', 'Delete a comment (its author or an admin)', {
+            responses: { 204: NO_CONTENT },
+            errors: [403, 404]
+        })
+    }),
+
+    '/tasks/{id}/attachments': route([taskId], {
+        get: operation('Attachments', 'The files of a task, oldest first', {
+            params: LIST,
+            responses: { 200: page('A page of attachments', ref('Attachment')) },
+            errors: [404]
+        }),
+        post: operation('Attachments', 'Upload a file to a task', {
+            body: {
+                required: true,
+                content: {
+                    'multipart/form-data': {
+                        schema: { type: 'object', required: ['file'], properties: { file: { type: 'string', format: 'binary' } } }
+                    }
+                }
+            },
+            responses: { 201: ok('Created', ref('Attachment')) },
+            errors: [404, 413, 501]
+        })
+    }),
+    '/tasks/{id}/attachments/{attachmentId}': route([taskId, pathParam('attachmentId', 'attachment id')], {
+        get: operation('Attachments', 'An attachment\'s details', {
+            responses: { 200: ok('OK', ref('Attachment')) },
+            errors: [404]
+        }),
+        delete: operation('Attachments', 'Delete an attachment (its uploader or an admin)', {
+            responses: { 204: NO_CONTENT },
+            errors: [403, 404]
+        })
+    }),
+    '/tasks/{id}/attachments/{attachmentId}/content': route([taskId, pathParam('attachmentId', 'attachment id')], {
+        get: operation('Attachments', 'The file itself', {
+            responses: { 200: { description: 'The file, as an attachment of its own content type', content: { '*/*': { schema: { type: 'string', format: 'binary' } } } } },
+            errors: [404]
+        })
+    }),
+
+    '/projects': {
+        get: projects('The projects the current user is a member of (all of them for admins)', {
+            params: LIST,
+            responses: { 200: page('A page of projects', ref('Project')) }
+        }),
+        post: projects('Create a project; the creator becomes its owner', {
+            body: body(ref('ProjectInput')),
+            responses: { 201: ok('Created', ref('Project')) }
+        })
+    },
+    '/projects/{id}': route([projectId], {
+        get: projects('Get a project', {
+            responses: { 200: ok('OK', ref('Project')) },
+            errors: [404]
+        }),
+        put: projects('Replace name and description (owners and admins)', {
+            body: body(ref('ProjectInput')),
+            responses: { 200: ok('Updated', ref('Project')) },
+            errors: [403, 404]
+        }),
+        patch: projects('Change name or description (owners and admins)', {
+            body: PATCH_BODY,
+            responses: { 200: ok('Updated', ref('Project')) },
+            errors: [403, 404]
+        }),
+        delete: projects('Delete a project (owners and admins)', {
+            params: [queryParam('tasks', { type: 'string', enum: ['detach'] }, 'detach takes the project\'s tasks out of it; without it a project with tasks is not deleted')],
+            responses: { 204: NO_CONTENT },
+            errors: [403, 404, 409]
+        })
+    }),
+    '/projects/{id}/tasks': route([projectId], {
+        get: projects('The tasks of a project', {
+            params: LIST,
+            responses: { 200: page('A page of tasks', ref('Task')) },
+            errors: [404]
+        })
+    }),
+    '/projects/{id}/members': route([projectId], {
+        get: projects('The members of a project', {
+            responses: { 200: ok('OK', arrayOf(ref('Member'))) },
+            errors: [404]
+        }),
+        post: projects('Add a member (owners and admins)', {
+            body: body(ref('MemberInput')),
+            responses: { 201: ok('The members', arrayOf(ref('Member'))) },
+            errors: [403, 404, 409]
+        })
+    }),
+    '/projects/{id}/members/{userId}': route([projectId, pathParam('userId', 'user id of the member')], {
+        patch: projects('Change a member\'s role (owners and admins)', {
+            body: body(ref('MemberRole')),
+            responses: { 200: ok('The members', arrayOf(ref('Member'))) },
+            errors: [403, 404, 409]
+        }),
+        delete: projects('Remove a member (owners and admins, or the member leaving); their open tasks in it are unassigned', {
+            responses: { 204: NO_CONTENT },
+            errors: [403, 404, 409]
+        })
+    }),
+
+    '/trash': {
+        get: operation('Trash', 'Trashed tasks (your own, or everyone\'s for admins) or users (admins), most recently deleted first', {
+            params: [queryParam('resource', { type: 'string', enum: ['task', 'user'], default: 'task' })].concat(LIST),
+            responses: { 200: page('A page of trashed documents', { anyOf: [ref('Task'), ref('User')] }) },
+            errors: [403]
+        })
+    },
+    '/trash/purge': {
+        post: operation('Trash', 'Delete expired trash for good now, or all of it (admins)', {
+            body: {
+                required: false,
+                content: {
+                    'application/json': { schema: ref('PurgeRequest') },
+                    'application/x-www-form-urlencoded': { schema: ref('PurgeRequest') }
+                }
+            },
+            responses: { 200: ok('How many of each were purged', { type: 'object', additionalProperties: { type: 'integer' } }) },
+            errors: [403]
+        })
+    },
+
+    '/stats': {
+        get: operation('Stats', 'Task workload and completion numbers', {
+            params: [
+                param('where'),
+                queryParam('from', ref('DateInput'), 'start of the range'),
+                queryParam('to', ref('DateInput'), 'end of the range'),
+                queryParam('interval', { type: 'string', enum: ['day', 'week', 'month'], default: 'week' }, 'timeline buckets'),
+                queryParam('timezone', { type: 'string', default: 'UTC' }, 'IANA time zone of the buckets, e.g. Europe/Paris')
+            ],
+            responses: { 200: ok('Totals, per-user numbers and a timeline', { type: 'object' }) },
+            errors: [501]
+        })
+    },
+
+    '/admin/integrity': {
+        get: operation('Admin', 'Report broken task/user links (admins)', {
+            responses: { 200: ok('The report', { type: 'object' }) },
+            errors: [403]
+        })
+    },
+    '/admin/integrity/repair': {
+        post: operation('Admin', 'Fix everything the integrity report finds (admins)', {
+            responses: {
+                200: ok('The report and how many of each problem were fixed', {
+                    type: 'object',
+                    properties: { report: { type: 'object' }, fixed: { type: 'object', additionalProperties: { type: 'integer' } } },
+                    additionalProperties: false
+                })
+            },
+            errors: [403]
+        })
+    },
+
+    '/events': {
+        get: operation('Events', 'Server-Sent Events for task and user changes', {
+            description: 'Reconnecting clients send Last-Event-ID (or lastEventId) to get the events they missed. EventSource cannot set headers, so the token may also be passed as access_token.',
+            security: [{ bearerAuth: [] }, { accessToken: [] }],
+            params: [
+                queryParam('resource', { type: 'string', enum: ['task', 'user'] }, 'only this resource\'s events'),
+                queryParam('types', { type: 'string' }, 'comma-separated event types, of ' + events.EVENT_TYPES.join(', ') + '; created, updated and deleted by default'),
+                queryParam('where', { type: 'string' }, 'JSON filter on the changed document, as in the list routes; events of a resource that lacks a field it names are left out'),
+                queryParam('lastEventId', { type: 'string' }, 'like the Last-Event-ID header'),
+                { name: 'Last-Event-ID', in: 'header', schema: { type: 'string' } }
+            ],
+            responses: { 200: { description: 'The event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } } }
+        })
+    },
+
+    '/webhooks': {
+        get: webhooks('List webhook subscriptions (admins)', {
+            params: LIST,
+            responses: { 200: page('A page of webhooks', ref('Webhook')) }
+        }),
+        post: webhooks('Subscribe to events (admins)', {
+            body: body(ref('WebhookInput')),
+            responses: { 201: ok('Created; the response carries the signing secret', ref('Webhook')) }
+        })
+    },
+    '/webhooks/{id}': route([webhookId], {
+        get: webhooks('Get a webhook', {
+            responses: { 200: ok('OK', ref('Webhook')) },
+            errors: [404]
+        }),
+        put: webhooks('Replace a webhook; the secret only changes when sent', {
+            body: body(ref('WebhookInput')),
+            responses: { 200: ok('Updated', ref('Webhook')) },
+            errors: [404]
+        }),
+        patch: webhooks('Change some fields of a webhook', {
+            body: PATCH_BODY,
+            responses: { 200: ok('Updated', ref('Webhook')) },
+            errors: [404]
+        }),
+        delete: webhooks('Delete a webhook and its delivery log', {
+            responses: { 204: NO_CONTENT },
+            errors: [404]
+        })
+    }),
+    '/webhooks/{id}/deliveries': route([webhookId], {
+        get: webhooks('Delivery log of a webhook, newest first', {
+            params: LIST,
+            responses: { 200: page('A page of deliveries', ref('Delivery')) },
+            errors: [404]
+        })
+    }),
+    '/webhooks/{id}/deliveries/{deliveryId}/redeliver': route([webhookId, pathParam('deliveryId', 'delivery id')], {
+        post: webhooks('Retry a failed or dead delivery', {
+            responses: { 202: ok('Queued', { type: 'object', additionalProperties: false }) },
+            errors: [404, 409]
+        })
+    }),
+    '/webhooks/{id}/reactivate': route([webhookId], {
+        post: webhooks('Revive a dead webhook and redeliver its dead letters', {
+            responses: {
+                200: ok('Reactivated', {
+                    type: 'object',
+                    properties: { requeued: { type: 'integer', minimum: 0 } },
+                    additionalProperties: false
+                })
+            },
+            errors: [404]
+        })
+    })
+};
@@ -0,0 +1,517 @@
+var Comment = require('../../models/comment');
+var Project = require('../../models/project');
+var events = require('../events');
+var search = require('../search');
+var workflow = require('../workflow');
+var bulk = require('../bulk');
+
+/*
+ * components.schemas of the API description: the documents the API returns,
+ * the bodies it accepts and the { message, data, meta } envelope around
+ * them. Request bodies leave additionalProperties open, since clients
+ * often send back what they read (_id, dateCreated...); documents the API
+ * returns are closed, so the contract test notices undocumented fields.
+ */
+
+function ref(name) {
+    return { $ref: '#/components/schemas/' + name };
+}
+
+function nullable(schema) {
+    return schema.$ref ? { nullable: true, allOf: [schema] } : Object.assign({ nullable: true }, schema);
+}
+
+function arrayOf(items, extra) {
+    return Object.assign({ type: 'array', items: items }, extra);
+}
+
+// a document as the API returns it; select can leave out any field, so none is required
+function document(description, properties) {
+    return { type: 'object', description: description, properties: properties, additionalProperties: false };
+}
+
+var string = { type: 'string' };
+var dateTime = { type: 'string', format: 'date-time' };
+var count = { type: 'integer', minimum: 0 };
+var version = { type: 'integer', minimum: 0, description: 'Document version, also sent as its ETag' };
+
+var taskProperties = {
+    _id: ref('ObjectId'),
+    name: string,
+    description: string,
+    deadline: dateTime,
+    status: { type: 'string', enum: workflow.STATUSES.concat(['']) },
+    statusHistory: arrayOf({
+        type: 'object',
+        properties: {
+            from: Object.assign({ description: '"" when the task was created' }, string),
+            to: string,
+            by: Object.assign({ description: 'user id, "" for changes made by the server' }, string),
+            at: dateTime
+        },
+        additionalProperties: false
+    }),
+    completed: { type: 'boolean' },
+    completedAt: nullable(dateTime),
+    assignedUser: ref('OptionalId'),
+    assignedUserName: string,
+    dateCreated: dateTime,
+    recurrence: Object.assign({ description: 'iCalendar RRULE, e.g. FREQ=WEEKLY;BYDAY=MO' }, string),
+    seriesId: ref('OptionalId'),
+    seriesStart: dateTime,
+    parentTask: ref('OptionalId'),
+    blockedBy: arrayOf(ref('ObjectId')),
+    project: ref('OptionalId'),
+    language: { type: 'string', enum: search.LANGUAGES.concat(['']) },
+    deletedAt: nullable(dateTime),
+    deletedLinks: {
+        type: 'object',
+        properties: {
+            reparented: arrayOf(ref('ObjectId')),
+            unblocked: arrayOf(ref('ObjectId')),
+            cascaded: arrayOf(ref('ObjectId'))
+        },
+        additionalProperties: false
+    },
+    __v: version
+};
+
+var userProperties = {
+    _id: ref('ObjectId'),
+    name: string,
+    email: string,
+    role: { type: 'string', enum: ['user', 'admin'] },
+    pendingTasks: arrayOf(ref('ObjectId')),
+    dateCreated: dateTime,
+    deletedAt: nullable(dateTime),
+    deletedLinks: {
+        type: 'object',
+        properties: { tasks: arrayOf(ref('ObjectId')) },
+        additionalProperties: false
+    },
+    __v: version
+};
+
+// what search routes add to each document
+var searchProperties = {
+    score: { type: 'number', description: 'Relevance, higher is better' },
+    highlights: {
+        type: 'object',
+        description: 'HTML-escaped snippets of the matching fields with the matches in <mark>',
+        additionalProperties: string
+    }
+};
+
+var webhookInput = {
+    type: 'object',
+    required: ['url', 'events'],
+    properties: {
+        url: { type: 'string', format: 'uri' },
+        events: arrayOf({ type: 'string', enum: ['*'].concat(events.EVENT_TYPES) }, { minItems: 1 }),
+        where: {
+            description: 'where clause (see the list routes) the changed document must match, as an object or JSON text',
+            anyOf: [{ type: 'object' }, { type: 'string' }]
+        },
+        description: string,
+        secret: { type: 'string', minLength: 16, writeOnly: true, description: 'HMAC key for X-Webhook-Signature; generated when left out' }
+    }
+};
+
+// { operations: [...], atomic } for POST /tasks/bulk and /users/bulk; extra lists the fields specific to one
+function bulkRequest(extra) {
+    return {
+        type: 'object',
+        required: ['operations'],
+        properties: {
+            operations: arrayOf({
+                type: 'object',
+                required: ['op'],
+                properties: Object.assign({
+                    op: { type: 'string', enum: ['create', 'update', 'delete', 'assign'] },
+                    id: Object.assign({ description: 'the document to update, delete or assign' }, ref('ObjectId')),
+                    data: { type: 'object', description: 'the new document (create) or a merge patch (update)' }
+                }, extra)
+            }, { minItems: 1, maxItems: bulk.MAX_OPERATIONS }),
+            atomic: { type: 'boolean', default: false, description: 'roll everything back when one operation fails' }
+        }
+    };
+}
+
+module.exports = {
+    ObjectId: { type: 'string', format: 'objectid', example: '5f1d7f3e1c9d440000a1b2c3' },
+    OptionalId: { type: 'string', pattern: '^([0-9a-fA-F]{24})?$', description: 'an ObjectId, or "" for none' },
+    DateInput: {
+        description: 'milliseconds since the epoch, or an ISO 8601 date-time',
+        anyOf: [{ type: 'integer' }, dateTime]
+    },
+
+    // every response body, errors included
+    Envelope: {
+        type: 'object',
+        required: ['message', 'data'],
+        properties: { message: string, data: {}, meta: { type: 'object' } },
+        additionalProperties: false
+    },
+    FieldError: {
+        type: 'object',
+        required: ['param', 'path', 'reason'],
+        properties: {
+            param: Object.assign({ description: 'body, or the name of the path or query parameter' }, string),
+            path: Object.assign({ description: 'where in it, e.g. operations[2].id; "" for the whole value' }, string),
+            reason: string
+        },
+        additionalProperties: false
+    },
+    ValidationError: {
+        type: 'object',
+        required: ['message', 'data'],
+        properties: {
+            message: Object.assign({ example: 'Bad Request: body.name: is required; body.deadline: must be an integer or a date-time' }, string),
+            data: {
+                type: 'object',
+                required: ['errors'],
+                properties: { errors: arrayOf(ref('FieldError'), { minItems: 1 }) },
+                additionalProperties: false
+            }
+        },
+        additionalProperties: false
+    },
+    PageMeta: {
+        type: 'object',
+        required: ['total', 'limit', 'nextCursor', 'prevCursor'],
+        properties: {
+            total: count,
+            limit: count,
+            nextCursor: nullable(string),
+            prevCursor: nullable(string),
+            unread: Object.assign({ description: 'notifications only: how many are unread' }, count)
+        },
+        additionalProperties: false
+    },
+    Readiness: {
+        type: 'object',
+        properties: {
+            ready: { type: 'boolean' },
+            store: { type: 'string', enum: ['mongo', 'memory'] },
+            database: { type: 'string', enum: ['connected', 'connecting', 'disconnecting', 'disconnected', 'uninitialized'] },
+            draining: { type: 'boolean', description: 'the server is shutting down' }
+        },
+        additionalProperties: false
+    },
+    PurgeRequest: {
+        type: 'object',
+        properties: { all: { type: 'boolean', default: false, description: 'everything in the trash, not only what has expired' } }
+    },
+    SearchMeta: {
+        type: 'object',
+        required: ['total', 'limit', 'skip', 'language'],
+        properties: { total: count, limit: count, skip: count, language: string },
+        additionalProperties: false
+    },
+
+    Task: document('A task', taskProperties),
+    TaskSearchResult: document('A task found by GET /tasks/search', Object.assign({}, taskProperties, searchProperties)),
+    TaskTree: document('A task with its subtasks, nested', Object.assign({}, taskProperties, {
+        subtasks: arrayOf(ref('TaskTree'))
+    })),
+    TaskInput: {
+        type: 'object',
+        required: ['name', 'deadline'],
+        properties: {
+            name: { type: 'string', minLength: 1 },
+            description: string,
+            deadline: ref('DateInput'),
+            status: { type: 'string', enum: workflow.STATUSES, description: 'defaults to what completed implies' },
+            completed: { type: 'boolean' },
+            assignedUser: nullable(ref('OptionalId')),
+            assignedUserName: Object.assign({ description: 'must match the assigned user\'s name when given' }, string),
+            recurrence: nullable(Object.assign({ description: 'iCalendar RRULE; "" or null stops the series' }, string)),
+            parentTask: nullable(ref('OptionalId')),
+            blockedBy: nullable(arrayOf(ref('ObjectId'))),
+            project: nullable(ref('OptionalId')),
+            language: nullable({ type: 'string', enum: search.LANGUAGES.concat(['']), description: '"" detects it from name and description' })
+        }
+    },
+    DependencyGraph: {
+        type: 'object',
+        required: ['nodes', 'edges'],
+        properties: {
+            nodes: arrayOf(ref('Task'), { description: 'the task and every task linked to it' }),
+            edges: arrayOf({
+                type: 'object',
+                properties: { task: ref('ObjectId'), blockedBy: ref('ObjectId') },
+                additionalProperties: false
+            })
+        },
+        additionalProperties: false
+    },
+    Workflow: {
+        type: 'object',
+        properties: {
+            statuses: arrayOf({
+                type: 'object',
+                properties: { name: string, open: { type: 'boolean' } },
+                additionalProperties: false
+            }),
+            initial: string,
+            done: string,
+            transitions: arrayOf({
+                type: 'object',
+                description: 'a task can move from any of from to any of to; roles, when set, limits who may',
+                properties: { from: arrayOf(string), to: arrayOf(string), roles: arrayOf(string) }
+            }),
+            next: { type: 'object', description: 'status -> statuses the current user may move a task to', additionalProperties: arrayOf(string) }
+        },
+        additionalProperties: false
+    },
+    TaskBulkRequest: bulkRequest({
+        assignedUser: Object.assign({ description: 'assign: the new assignee, "" to unassign' }, ref('OptionalId')),
+        dependents: { type: 'string', enum: ['refuse', 'cascade', 'reparent'], description: 'delete: what happens to subtasks' }
+    }),
+    ImportRequest: {
+        type: 'object',
+        required: ['csv'],
+        properties: {
+            csv: { type: 'string', minLength: 1 },
+            mapping: { type: 'object', description: 'task field -> CSV column name', additionalProperties: string },
+            dryRun: { type: 'boolean', default: false },
+            atomic: { type: 'boolean', default: false }
+        }
+    },
+    ImportReport: {
+        type: 'object',
+        properties: {
+            dryRun: { type: 'boolean' },
+            atomic: { type: 'boolean' },
+            total: count,
+            failed: count,
+            created: count,
+            rows: arrayOf({
+                type: 'object',
+                properties: { row: count, status: { type: 'integer' }, message: string, data: {} },
+                additionalProperties: false
+            })
+        },
+        additionalProperties: false
+    },
+
+    User: document('A user; the password is never returned', userProperties),
+    UserSearchResult: document('A user found by GET /users/search', Object.assign({}, userProperties, searchProperties)),
+    UserInput: {
+        type: 'object',
+        required: ['name', 'email'],
+        properties: {
+            name: { type: 'string', minLength: 1 },
+            email: { type: 'string', format: 'email' },
+            password: { type: 'string', minLength: 8, writeOnly: true },
+            role: { type: 'string', enum: ['user', 'admin'], description: 'only admins can change roles' },
+            pendingTasks: arrayOf(ref('ObjectId'), { description: 'open tasks to assign to the user' })
+        }
+    },
+    UserBulkRequest: bulkRequest({
+        tasks: arrayOf(ref('ObjectId'), { description: 'assign: tasks to add to pendingTasks' })
+    }),
+    Registration: {
+        type: 'object',
+        required: ['name', 'email', 'password'],
+        properties: {
+            name: { type: 'string', minLength: 1 },
+            email: { type: 'string', format: 'email' },
+            password: { type: 'string', minLength: 8, writeOnly: true }
+        }
+    },
+    Login: {
+        type: 'object',
+        required: ['email', 'password'],
+        properties: {
+            email: { type: 'string', minLength: 1 },
+            password: { type: 'string', minLength: 1, writeOnly: true }
+        }
+    },
+    Session: {
+        type: 'object',
+        required: ['token', 'user'],
+        properties: { token: Object.assign({ description: 'send as Authorization: Bearer <token>' }, string), user: ref('User') },
+        additionalProperties: false
+    },
+    BulkResult: {
+        type: 'object',
+        required: ['atomic', 'results'],
+        properties: {
+            atomic: { type: 'boolean' },
+            succeeded: count,
+            failed: count,
+            failedIndex: count,
+            results: arrayOf({
+                type: 'object',
+                required: ['index', 'op', 'status', 'message'],
+                properties: { index: count, op: string, status: { type: 'integer' }, message: string, data: {} },
+                additionalProperties: false
+            })
+        },
+        additionalProperties: false
+    },
+
+    Notification: document('A deadline reminder or overdue notice', {
+        _id: ref('ObjectId'),
+        user: ref('ObjectId'),
+        task: ref('ObjectId'),
+        taskName: string,
+        kind: { type: 'string', enum: ['reminder', 'overdue'] },
+        leadMinutes: count,
+        deadline: dateTime,
+        message: string,
+        key: string,
+        read: { type: 'boolean' },
+        readAt: nullable(dateTime),
+        deliveries: arrayOf({
+            type: 'object',
+            properties: {
+                channel: string,
+                status: { type: 'string', enum: ['pending', 'sending', 'sent', 'failed'] },
+                at: dateTime,
+                error: string
+            },
+            additionalProperties: false
+        }),
+        dateCreated: dateTime,
+        __v: version
+    }),
+
+    Comment: document('A comment on a task', {
+        _id: ref('ObjectId'),
+        task: ref('ObjectId'),
+        author: ref('ObjectId'),
+        authorName: string,
+        body: string,
+        mentions: arrayOf(ref('ObjectId'), { description: 'users @-mentioned in body' }),
+        dateCreated: dateTime,
+        dateEdited: nullable(dateTime),
+        __v: version
+    }),
+    CommentInput: {
+        type: 'object',
+        required: ['body'],
+        properties: { body: { type: 'string', minLength: 1, maxLength: Comment.MAX_LENGTH } }
+    },
+
+    Attachment: document('A file uploaded to a task', {
+        _id: ref('ObjectId'),
+        task: ref('ObjectId'),
+        uploader: ref('ObjectId'),
+        uploaderName: string,
+        filename: string,
+        contentType: string,
+        size: Object.assign({ description: 'bytes' }, count),
+        storage: { type: 'string', enum: ['disk', 'gridfs'] },
+        dateCreated: dateTime,
+        __v: version
+    }),
+
+    Project: document('A team of users and the tasks they share', {
+        _id: ref('ObjectId'),
+        name: string,
+        description: string,
+        members: arrayOf({
+            type: 'object',
+            properties: {
+                user: ref('ObjectId'),
+                role: { type: 'string', enum: Project.ROLES },
+                dateAdded: dateTime
+            },
+            additionalProperties: false
+        }),
+        dateCreated: dateTime,
+        __v: version
+    }),
+    ProjectInput: {
+        type: 'object',
+        required: ['name'],
+        properties: { name: { type: 'string', minLength: 1 }, description: string }
+    },
+    Member: document('A project member', {
+        user: ref('ObjectId'),
+        name: string,
+        email: string,
+        role: { type: 'string', enum: Project.ROLES },
+        dateAdded: dateTime
+    }),
+    MemberInput: {
+        type: 'object',
+        required: ['user'],
+        properties: {
+            user: ref('ObjectId'),
+            role: { type: 'string', enum: Project.ROLES, default: 'member' }
+        }
+    },
+    MemberRole: {
+        type: 'object',
+        required: ['role'],
+        properties: { role: { type: 'string', enum: Project.ROLES } }
+    },
+
+    AuditEntry: document('One change to a document', {
+        _id: ref('ObjectId'),
+        resource: { type: 'string', enum: ['task', 'user', 'project', 'comment', 'attachment'] },
+        resourceId: ref('ObjectId'),
+        action: { type: 'string', enum: ['create', 'update', 'delete', 'restore', 'purge'] },
+        actor: Object.assign({ description: 'user id, "" for changes made by the server' }, string),
+        actorName: string,
+        route: Object.assign({ example: 'DELETE /api/users/:id' }, string),
+        cascade: { type: 'boolean', description: 'a side effect of a change to another document' },
+        changes: arrayOf({
+            type: 'object',
+            properties: { field: string, from: {}, to: {} },
+            additionalProperties: false
+        }),
+        timestamp: dateTime,
+        __v: version
+    }),
+
+    Webhook: document('A webhook subscription; secret is only returned when it is set', {
+        _id: ref('ObjectId'),
+        url: string,
+        events: arrayOf(string),
+        where: { type: 'object' },
+        description: string,
+        secret: string,
+        owner: ref('OptionalId'),
+        status: { type: 'string', enum: ['active', 'dead'] },
+        consecutiveFailures: count,
+        lastDeliveryAt: dateTime,
+        dateCreated: dateTime,
+        __v: version
+    }),
+    WebhookInput: webhookInput,
+    Delivery: document('One event sent (or to be sent) to a webhook', {
+        _id: ref('ObjectId'),
+        webhook: ref('ObjectId'),
+        eventId: string,
+        event: string,
+        payload: { type: 'object', description: 'the JSON body that was signed and sent' },
+        status: { type: 'string', enum: ['pending', 'succeeded', 'failed', 'dead'] },
+        attempts: arrayOf({
+            type: 'object',
+            properties: { at: dateTime, statusCode: { type: 'integer' }, error: string, durationMs: { type: 'number' } },
+            additionalProperties: false
+        }),
+        attemptsLeft: count,
+        nextAttemptAt: dateTime,
+        dateCreated: dateTime,
+        __v: version
+    }),
+
+    // JSON Patch (RFC 6902) for PATCH routes sent as application/json-patch+json
+    JsonPatch: arrayOf({
+        type: 'object',
+        required: ['op', 'path'],
+        properties: {
+            op: { type: 'string', enum: ['add', 'remove', 'replace', 'move', 'copy', 'test'] },
+            path: string,
+            from: string,
+            value: {}
+        }
+    }),
+    // JSON Merge Patch (RFC 7386): members to change, null removes one
+    MergePatch: { type: 'object' }
+};
@@ -0,0 +1,244 @@
+var mongoose = require('mongoose');
+var store = require('./store');
+
+var DEFAULT_PAGE_SIZE = parseInt(process.env.DEFAULT_PAGE_SIZE) || 100;
+var MAX_PAGE_SIZE = parseInt(process.env.MAX_PAGE_SIZE) || 1000;
+
+function badRequest(message) {
+    var err = new Error(message);
+    err.status = 400;
+    return err;
+}
+
+/*
+ * Turn a client sort ({ "name": 1 }, { "deadline": "desc" } or "name -deadline")
+ * into [[field, 1|-1], ...], always ending with _id so every key is unique.
+ */
+function normalizeSort(sort) {
+    var pairs = [];
+    if (typeof sort === 'string') {
+        sort.split(/\s+/).filter(Boolean).forEach(function (f) {
+            if (f[0] === '-') pairs.push([f.slice(1), -1]);
+            else pairs.push([f.replace(/^\+/, ''), 1]);
+        });
+    } else if (sort && typeof sort === 'object' && !Array.isArray(sort)) {
+        Object.keys(sort).forEach(function (f) {
+            var v = sort[f];
+            if (v === 1 || v === '1' || v === 'asc' || v === 'ascending') pairs.push([f, 1]);
+            else if (v === -1 || v === '-1' || v === 'desc' || v === 'descending') pairs.push([f, -1]);
+            else throw badRequest('sort direction for ' + f + ' must be 1 or -1');
+        });
+    } else if (sort !== undefined) {
+        throw badRequest('sort must be a JSON object');
+    }
+
+    var idIndex = pairs.findIndex(function (p) { return p[0] === '_id'; });
+    if (idIndex === -1) pairs.push(['_id', pairs.length > 0 ? pairs[pairs.length - 1][1] : 1]);
+    else pairs = pairs.slice(0, idIndex + 1); // fields after a unique key never matter
+    return pairs;
+}
+
+// JSON can't carry Dates or ObjectIds, so tag them
+function encodeValue(v) {
+    if (v instanceof Date) return { $date: v.toISOString() };
+    if (v instanceof mongoose.Types.ObjectId) return { $oid: v.toString() };
+    return v === undefined ? null : v;
+}
+
+/*
+ * A cursor value as it goes into the query. The cursor comes from the
+ * client, so only what encodeValue makes is taken: scalars, { $date },
+ * { $oid } and arrays of scalars. Anything else (an operator such as
+ * { $regex }) is a tampered cursor.
+ */
+function decodeValue(v) {
+    if (v === null || ['string', 'number', 'boolean'].indexOf(typeof v) !== -1) return v;
+    if (Array.isArray(v)) {
+        if (v.some(function (x) { return x !== null && typeof x === 'object'; })) throw badRequest('malformed cursor');
+        return v;
+    }
+    var keys = Object.keys(v);
+    if (keys.length === 1 && typeof v.$date === 'string' && !isNaN(Date.parse(v.$date))) return new Date(v.$date);
+    if (keys.length === 1 && typeof v.$oid === 'string' && mongoose.Types.ObjectId.isValid(v.$oid)) return new mongoose.Types.ObjectId(v.$oid);
+    throw badRequest('malformed cursor');
+}
+
+// what a cursor value for a path of each schema type decodes to
+var CURSOR_KINDS = {
+    Date: function (v) { return v instanceof Date; },
+    ObjectID: function (v) { return v instanceof mongoose.Types.ObjectId; },
+    String: function (v) { return typeof v === 'string'; },
+    Number: function (v) { return typeof v === 'number'; },
+    Boolean: function (v) { return typeof v === 'boolean'; },
+    Array: Array.isArray
+};
+
+// whether value can be Model's field, as encodeValue would have written it (null for a missing field)
+function fitsField(Model, field, value) {
+    var path = Model.schema.path(field);
+    var fits = path && CURSOR_KINDS[path.instance];
+    return value === null || !fits || fits(value);
+}
+
+// cursors carry the boundary document's sort values and which way to page from it
+function encodeCursor(sortPairs, doc, direction) {
+    var payload = {
+        s: sortPairs.map(function (p) { return p[0] + ':' + p[1]; }).join(','),
+        v: sortPairs.map(function (p) { return encodeValue(doc.get(p[0])); }),
+        d: direction
+    };
+    return Buffer.from(JSON.stringify(payload)).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeCursor(cursor, sortPairs, Model) {
+    var payload;
+    try {
+        payload = JSON.parse(Buffer.from(String(cursor).replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
+    } catch (e) {
+        throw badRequest('malformed cursor');
+    }
+    if (!payload || !Array.isArray(payload.v) || payload.v.length !== sortPairs.length || (payload.d !== 'next' && payload.d !== 'prev')) {
+        throw badRequest('malformed cursor');
+    }
+    if (payload.s !== sortPairs.map(function (p) { return p[0] + ':' + p[1]; }).join(',')) {
+        throw badRequest('cursor was issued for a different sort');
+    }
+    var values = payload.v.map(decodeValue);
+    sortPairs.forEach(function (p, i) {
+        if (!fitsField(Model, p[0], values[i])) throw badRequest('malformed cursor');
+    });
+    return { values: values, direction: payload.d };
+}
+
+/*
+ * Keyset condition for documents strictly after (forward) or before the
+ * boundary values in sort order:
+ *   f1 > v1 OR (f1 = v1 AND f2 > v2) OR ...
+ * Documents missing a sort field are not matched by these comparisons.
+ */
+function keysetFilter(sortPairs, values, forward) {
+    var or = [];
+    for (var i = 0; i < sortPairs.length; i++) {
+        var clause = {};
+        for (var j = 0; j < i; j++) clause[sortPairs[j][0]] = values[j];
+        var ascending = (sortPairs[i][1] === 1) === forward;
+        clause[sortPairs[i][0]] = ascending ? { $gt: values[i] } : { $lt: values[i] };
+        or.push(clause);
+    }
+    return { $or: or };
+}
+
+/*
+ * Make sure the projection returns the fields a cursor needs. Returns the
+ * projection to use and the fields to strip again from the output.
+ */
+function projectionFor(select, sortPairs) {
+    if (!select || typeof select !== 'object' || Array.isArray(select)) return { select: select, strip: [] };
+    var projection = Object.assign({}, select);
+    var strip = [];
+    var keys = Object.keys(projection).filter(function (k) { return k !== '_id'; });
+    var inclusive = keys.some(function (k) { return !!projection[k] && projection[k] !== '0'; });
+    sortPairs.forEach(function (p) {
+        var f = p[0];
+        if (inclusive && !(f in projection) && f !== '_id') {
+            projection[f] = 1;
+            strip.push(f);
+        } else if (f in projection && (!projection[f] || projection[f] === '0')) {
+            delete projection[f];
+            strip.push(f);
+        }
+    });
+    return { select: projection, strip: strip };
+}
+
+function parseLimit(raw) {
+    if (raw === undefined || raw === '') return DEFAULT_PAGE_SIZE;
+    var limit = parseInt(raw);
+    if (isNaN(limit) || limit < 1) throw badRequest('limit must be a positive integer');
+    return Math.min(limit, MAX_PAGE_SIZE);
+}
+
+/*
+ * Run one page of Model.find(where) for a list route. Reads skip, limit and
+ * cursor from req.query. Resolves with { data, meta } where data is the
+ * JSON-ready documents and meta is { total, limit, nextCursor, prevCursor }.
+ * Rejects with an Error whose status is 400 for bad paging parameters.
+ */
+async function paginate(Model, req, params) {
+    var where = params.where || {};
+    var sortPairs = normalizeSort(params.sort);
+    var limit = parseLimit(req.query.limit);
+    var skip = req.query.skip ? parseInt(req.query.skip) : 0;
+    if (isNaN(skip) || skip < 0) throw badRequest('skip must be a non-negative integer');
+    if (skip > 0 && req.query.cursor) throw badRequest('skip cannot be combined with cursor');
+
+    var cursor = req.query.cursor ? decodeCursor(req.query.cursor, sortPairs, Model) : null;
+    var forward = !cursor || cursor.direction === 'next';
+    var filter = cursor ? { $and: [where, keysetFilter(sortPairs, cursor.values, forward)] } : where;
+
+    var sortSpec = {};
+    sortPairs.forEach(function (p) { sortSpec[p[0]] = forward ? p[1] : -p[1]; });
+    var projection = projectionFor(params.select, sortPairs);
+
+    var repository = store.of(Model);
+    // params.withDeleted lists trashed documents too (see lib/softDelete.js)
+    var withDeleted = !!params.withDeleted;
+    // one extra document tells us whether there is another page
+    var docs = await repository.find(filter, {
+        select: projection.select,
+        sort: sortSpec,
+        skip: skip,
+        limit: limit + 1,
+        withDeleted: withDeleted
+    });
+    var total = await repository.count(where, { withDeleted: withDeleted });
+
+    var hasMore = docs.length > limit;
+    if (hasMore) docs = docs.slice(0, limit);
+    if (!forward) docs.reverse();
+
+    var hasNext = forward ? hasMore : true;
+    var hasPrev = forward ? (!!cursor || skip > 0) : hasMore;
+    var meta = {
+        total: total,
+        limit: limit,
+        nextCursor: (hasNext && docs.length > 0) ? encodeCursor(sortPairs, docs[docs.length - 1], 'next') : null,
+        prevCursor: (hasPrev && docs.length > 0) ? encodeCursor(sortPairs, docs[0], 'prev') : null
+    };
+
+    var data = docs.map(function (d) {
+        var json = d.toJSON();
+        projection.strip.forEach(function (f) { delete json[f]; });
+        return json;
+    });
+    return { data: data, meta: meta };
+}
+
+// RFC 5988 Link header for the pages around meta, or '' if there are none
+function linkHeader(req, meta) {
+    var base = req.protocol + '://' + req.get('host') + req.baseUrl + req.path;
+    function link(rel, cursor) {
+        var query = Object.assign({}, req.query, { limit: String(meta.limit) });
+        delete query.skip;
+        delete query.cursor;
+        if (cursor) query.cursor = cursor;
+        var qs = Object.keys(query).map(function (k) {
+            return encodeURIComponent(k) + '=' + encodeURIComponent(query[k]);
+        }).join('&');
+        return '<' + base + '?' + qs + '>; rel="' + rel + '"';
+    }
+
+    var links = [link('first', null)];
+    if (meta.prevCursor) links.push(link('prev', meta.prevCursor));
+    if (meta.nextCursor) links.push(link('next', meta.nextCursor));
+    return links.join(', ');
+}
+
+module.exports = {
+    DEFAULT_PAGE_SIZE: DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE: MAX_PAGE_SIZE,
+    normalizeSort: normalizeSort,
+    parseLimit: parseLimit,
+    paginate: paginate,
+    linkHeader: linkHeader
+};
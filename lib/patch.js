@@ -0,0 +1,57 @@
+var jsonpatch = require('fast-json-patch');
+
+var JSON_PATCH_TYPE = 'application/json-patch+json';
+var MERGE_PATCH_TYPE = 'application/merge-patch+json';
+
+function isPlainObject(v) {
+    return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+// RFC 7386: null removes a member, objects merge recursively, anything else replaces
+function mergePatch(target, patch) {
+    if (!isPlainObject(patch)) return patch;
+    var result = isPlainObject(target) ? Object.assign({}, target) : {};
+    Object.keys(patch).forEach(function (k) {
+        if (patch[k] === null) delete result[k];
+        else result[k] = mergePatch(result[k], patch[k]);
+    });
+    return result;
+}
+
+/*
+ * Apply the request body to doc according to its Content-Type:
+ * application/json-patch+json is RFC 6902, anything else is treated as an
+ * RFC 7386 merge patch. Returns a new object; throws an Error with a
+ * `details` property when the patch is malformed or a test op fails.
+ */
+function applyRequestPatch(req, doc) {
+    var body = req.body;
+    if (req.is(JSON_PATCH_TYPE)) {
+        if (!Array.isArray(body)) {
+            throw patchError('JSON Patch body must be an array of operations', {});
+        }
+        try {
+            return jsonpatch.applyPatch(jsonpatch.deepClone(doc), body, true, false).newDocument;
+        } catch (e) {
+            throw patchError(e.message.split('\n')[0], { index: e.index, operation: e.operation });
+        }
+    }
+
+    if (!isPlainObject(body)) {
+        throw patchError('merge patch body must be a JSON object', {});
+    }
+    return mergePatch(doc, body);
+}
+
+function patchError(message, details) {
+    var err = new Error(message);
+    err.details = details;
+    return err;
+}
+
+module.exports = {
+    JSON_PATCH_TYPE: JSON_PATCH_TYPE,
+    MERGE_PATCH_TYPE: MERGE_PATCH_TYPE,
+    mergePatch: mergePatch,
+    applyRequestPatch: applyRequestPatch
+};
@@ -0,0 +1,49 @@
+var mongoose = require('mongoose');
+var store = require('./store');
+
+function result(status, message, data) {
+    return { status: status, message: message, data: data };
+}
+
+/*
+ * Check a task's project fields for a create or update: the project exists,
+ * a non-admin moving the task into it is a member (joining says whether the
+ * task is new to the project), and assignedUser, if any, is a member.
+ * Resolves with an error result or null.
+ */
+async function checkTask(tx, user, isAdmin, projectId, assignedUser, joining) {
+    if (!projectId) return null;
+    if (typeof projectId !== 'string' || !mongoose.Types.ObjectId.isValid(projectId)) {
+        return result(400, 'Bad Request: invalid project id format', {});
+    }
+    var project = await store.projects.findById(projectId, tx.opts());
+    if (!project) return result(404, 'Not Found: project does not exist', {});
+    if (joining && !isAdmin && !project.roleOf(user._id)) {
+        return result(403, 'Forbidden: you are not a member of this project', {});
+    }
+    if (assignedUser && !project.roleOf(assignedUser)) {
+        return result(400, 'Bad Request: tasks in a project can only be assigned to its members', { assignedUser: assignedUser });
+    }
+    return null;
+}
+
+// ids among tasks (documents with _id and project) whose project userId is not a member of
+async function outsideProjects(tx, tasks, userId) {
+    var projectIds = tasks.map(function (t) { return t.project; }).filter(Boolean);
+    if (projectIds.length === 0) return [];
+    var projects = await store.projects.find({ _id: { $in: projectIds } }, tx.opts());
+    var memberOf = {};
+    projects.forEach(function (p) { memberOf[p._id.toString()] = !!userId && !!p.roleOf(userId); });
+    return tasks.filter(function (t) { return t.project && !memberOf[t.project]; }).map(function (t) { return t._id; });
+}
+
+// open tasks of projectId assigned to userId, which lose their assignee when userId leaves; completed ones keep who did them
+function memberTasks(tx, projectId, userId) {
+    return store.tasks.find({ project: projectId, assignedUser: userId, completed: false }, tx.opts());
+}
+
+module.exports = {
+    checkTask: checkTask,
+    outsideProjects: outsideProjects,
+    memberTasks: memberTasks
+};
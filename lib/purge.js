@@ -0,0 +1,104 @@
+var Task = require('../models/task');
+var User = require('../models/user');
+var Project = require('../models/project');
+var Comment = require('../models/comment');
+var Attachment = require('../models/attachment');
+var store = require('./store');
+var transaction = require('./transaction');
+var attachments = require('./attachments');
+var logger = require('./logger');
+
+// how long trashed tasks and users are kept before they are deleted for good
+var RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+var INTERVAL_MS = parseInt(process.env.TRASH_PURGE_INTERVAL_MS) || 60 * 60 * 1000;
+var DAY_MS = 24 * 60 * 60 * 1000;
+
+// the purge job runs as the server itself
+var SYSTEM_CONTEXT = { actor: '', actorName: '', route: 'purge job', resource: '' };
+
+// trashed documents older than the retention period
+function expiredBefore() {
+    return new Date(Date.now() - RETENTION_DAYS * DAY_MS);
+}
+
+/*
+ * Delete trashed tasks and users for good: those trashed before `before`, or
+ * the whole trash when `before` is null. The comments and attachments of
+ * purged tasks go with them (they are kept while a task is in the trash, so
+ * a restore brings them back). Tasks still assigned to a purged user are
+ * unassigned and the user leaves every project it was a member of (trashed
+ * users stay members, so a restore finds them there). Resolves with { tasks, users }, the numbers purged.
+ */
+async function purge(before, context) {
+    var filter = { deletedAt: before ? { $lt: before } : { $ne: null } };
+    var files = [];
+    var counts = await transaction.run(async function (tx) {
+        var tasks = await store.tasks.find(filter, tx.opts({ select: '_id', withDeleted: true, lean: true }));
+        var users = await store.users.find(filter, tx.opts({ select: '_id', withDeleted: true, lean: true }));
+        var taskIds = tasks.map(function (t) { return t._id; });
+        var userIds = users.map(function (u) { return u._id.toString(); });
+
+        if (taskIds.length > 0) {
+            var ofTasks = { task: { $in: taskIds.map(String) } };
+            await tx.snapshot(Comment, ofTasks);
+            await store.comments.deleteMany(ofTasks, tx.opts());
+            files = await store.attachments.find(ofTasks, tx.opts({ select: '_id storage', lean: true }));
+            await tx.snapshot(Attachment, ofTasks);
+            await store.attachments.deleteMany(ofTasks, tx.opts());
+            await tx.snapshot(Task, { _id: { $in: taskIds } });
+            await store.tasks.deleteMany({ _id: { $in: taskIds } }, tx.opts());
+        }
+        if (userIds.length > 0) {
+            var assigned = { assignedUser: { $in: userIds } };
+            await tx.snapshot(Task, assigned);
+            await store.tasks.updateMany(assigned, { assignedUser: '', assignedUserName: 'unassigned' }, tx.opts());
+            var memberships = { 'members.user': { $in: userIds } };
+            await tx.snapshot(Project, memberships);
+            await store.projects.updateMany(memberships, { $pull: { members: { user: { $in: userIds } } } }, tx.opts());
+            await tx.snapshot(User, { _id: { $in: userIds } });
+            await store.users.deleteMany({ _id: { $in: userIds } }, tx.opts());
+        }
+        return { tasks: taskIds.length, users: userIds.length };
+    }, context || SYSTEM_CONTEXT);
+    // files cannot be rolled back, so they go once the transaction has committed
+    await attachments.removeFiles(files);
+    return counts;
+}
+
+var timer = null;
+// the pass in progress, if any
+var running = null;
+
+function tick() {
+    if (running) return;
+    running = purge(expiredBefore()).catch(function (err) {
+        logger.error('Purging the trash failed', { error: err });
+    }).then(function () {
+        running = null;
+    });
+}
+
+// purge expired trash now and then every INTERVAL_MS
+function start() {
+    if (timer) return;
+    tick();
+    timer = setInterval(tick, INTERVAL_MS);
+    timer.unref();
+}
+
+// stop purging; resolves once the pass in progress, if any, is done
+function stop() {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+    return running || Promise.resolve();
+}
+
+module.exports = {
+    RETENTION_DAYS: RETENTION_DAYS,
+    expiredBefore: expiredBefore,
+    purge: purge,
+    start: start,
+    stop: stop
+};
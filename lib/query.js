@@ -0,0 +1,288 @@
+var mongoose = require('mongoose');
+
+var MAX_DEPTH = 5;
+var MAX_IN_VALUES = 1000;
+var MAX_REGEX_LENGTH = 200;
+
+var COMPARISON_OPS = ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte'];
+var LIST_OPS = ['$in', '$nin'];
+var LOGICAL_OPS = ['$and', '$or', '$nor'];
+
+/*
+ * Errors carry the query parameter and the path to the offending clause,
+ * e.g. where.$or[1].deadline.$gt, so clients can see exactly what was rejected.
+ * details has the { errors } shape of request validation errors (lib/openapi).
+ */
+function queryError(param, path, reason) {
+    var where = path ? param + '.' + path : param;
+    var err = new Error(where + ': ' + reason);
+    err.status = 400;
+    err.details = { errors: [{ param: param, path: path, reason: reason }] };
+    return err;
+}
+
+function join(path, key) {
+    if (typeof key === 'number') return path + '[' + key + ']';
+    return path ? path + '.' + key : key;
+}
+
+function isPlainObject(v) {
+    return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+// schema type of a top-level field: 'ObjectID', 'String', 'Date', 'Boolean', 'Number' or 'Array'
+function fieldType(Model, field) {
+    var schemaType = Model.schema.path(field);
+    return schemaType ? schemaType.instance : 'Mixed';
+}
+
+/*
+ * Reject regexes that are slow to evaluate: overly long ones, backreferences
+ * and quantified groups that contain a quantifier, like (a+)+, or an
+ * alternation, like (a|ab)*, whose branches can overlap.
+ * Returns a reason string, or null if the pattern is acceptable.
+ */
+function unsafeRegexReason(pattern) {
+    if (pattern.length > MAX_REGEX_LENGTH) return 'regex longer than ' + MAX_REGEX_LENGTH + ' characters';
+    if (/\\[1-9]/.test(pattern)) return 'backreferences are not allowed in regex';
+    try {
+        new RegExp(pattern);
+    } catch (e) {
+        return 'invalid regex';
+    }
+
+    var stripped = pattern.replace(/\\./g, 'x').replace(/\[[^\]]*\]/g, 'x');
+    // per open group: whether it holds a quantifier and whether it holds an alternation
+    var stack = [];
+    for (var i = 0; i < stripped.length; i++) {
+        var c = stripped[i];
+        var top = stack[stack.length - 1];
+        if (c === '(') {
+            stack.push({ quantified: false, alternation: false });
+        } else if (c === ')') {
+            var group = stack.pop();
+            var next = stripped[i + 1];
+            var repeated = next === '*' || next === '+' || next === '{';
+            if (group.quantified && repeated) return 'nested quantifiers are not allowed in regex';
+            if (group.alternation && repeated) return 'quantified alternations are not allowed in regex';
+            if (stack.length > 0) {
+                var parent = stack[stack.length - 1];
+                parent.quantified = parent.quantified || group.quantified || repeated;
+                parent.alternation = parent.alternation || group.alternation;
+            }
+        } else if ((c === '*' || c === '+' || c === '{') && top) {
+            top.quantified = true;
+        } else if (c === '|' && top) {
+            top.alternation = true;
+        }
+    }
+    return null;
+}
+
+// convert a single JSON value to the type stored in the field
+function compileValue(type, value, param, path) {
+    if (value === null) return null;
+    switch (type) {
+        case 'ObjectID':
+            if (typeof value !== 'string' || !mongoose.Types.ObjectId.isValid(value)) {
+                throw queryError(param, path, 'expected an ObjectId string');
+            }
+            return new mongoose.Types.ObjectId(value);
+        case 'Date':
+            if (typeof value !== 'string' && typeof value !== 'number') {
+                throw queryError(param, path, 'expected a date string or timestamp');
+            }
+            var d = new Date(value);
+            if (isNaN(d.getTime())) throw queryError(param, path, 'invalid date');
+            return d;
+        case 'Boolean':
+            if (value === true || value === 'true') return true;
+            if (value === false || value === 'false') return false;
+            throw queryError(param, path, 'expected true or false');
+        case 'Number':
+            if (typeof value !== 'number' || !isFinite(value)) throw queryError(param, path, 'expected a number');
+            return value;
+        case 'String':
+        case 'Array': // arrays here are arrays of strings; a scalar matches any element
+            if (typeof value === 'number') return String(value);
+            if (typeof value !== 'string') throw queryError(param, path, 'expected a string');
+            return value;
+        default:
+            throw queryError(param, path, 'field cannot be queried');
+    }
+}
+
+function compileOperators(type, expr, param, path, depth) {
+    if (depth > MAX_DEPTH) throw queryError(param, path, 'query nested deeper than ' + MAX_DEPTH + ' levels');
+    var out = {};
+    Object.keys(expr).forEach(function (op) {
+        var value = expr[op];
+        var opPath = join(path, op);
+
+        if (COMPARISON_OPS.indexOf(op) !== -1) {
+            if (type === 'Array' && Array.isArray(value)) {
+                out[op] = value.map(function (v, i) { return compileValue('String', v, param, join(opPath, i)); });
+            } else {
+                out[op] = compileValue(type, value, param, opPath);
+            }
+        } else if (LIST_OPS.indexOf(op) !== -1 || op === '$all') {
+            if (op === '$all' && type !== 'Array') throw queryError(param, opPath, '$all only applies to array fields');
+            if (!Array.isArray(value)) throw queryError(param, opPath, 'expected an array');
+            if (value.length > MAX_IN_VALUES) throw queryError(param, opPath, 'at most ' + MAX_IN_VALUES + ' values');
+            out[op] = value.map(function (v, i) { return compileValue(type, v, param, join(opPath, i)); });
+        } else if (op === '$exists') {
+            if (typeof value !== 'boolean') throw queryError(param, opPath, 'expected true or false');
+            out[op] = value;
+        } else if (op === '$size') {
+            if (type !== 'Array') throw queryError(param, opPath, '$size only applies to array fields');
+            if (typeof value !== 'number' || value < 0 || Math.floor(value) !== value) throw queryError(param, opPath, 'expected a non-negative integer');
+            out[op] = value;
+        } else if (op === '$regex') {
+            if (type !== 'String' && type !== 'Array') throw queryError(param, opPath, '$regex only applies to string fields');
+            if (typeof value !== 'string') throw queryError(param, opPath, 'expected a string');
+            var reason = unsafeRegexReason(value);
+            if (reason) throw queryError(param, opPath, reason);
+            out[op] = value;
+        } else if (op === '$options') {
+            if (!('$regex' in expr)) throw queryError(param, opPath, '$options requires $regex');
+            if (typeof value !== 'string' || !/^[imsx]*$/.test(value)) throw queryError(param, opPath, 'options may only contain i, m, s and x');
+            out[op] = value;
+        } else if (op === '$not') {
+            if (!isPlainObject(value)) throw queryError(param, opPath, 'expected an operator object');
+            out[op] = compileOperators(type, value, param, opPath, depth + 1);
+        } else {
+            throw queryError(param, opPath, 'operator ' + op + ' is not allowed');
+        }
+    });
+    return out;
+}
+
+function compileWhere(Model, where, fields, param, path, depth) {
+    if (depth > MAX_DEPTH) throw queryError(param, path, 'query nested deeper than ' + MAX_DEPTH + ' levels');
+    if (!isPlainObject(where)) throw queryError(param, path, 'expected a JSON object');
+
+    var out = {};
+    Object.keys(where).forEach(function (key) {
+        var value = where[key];
+        var keyPath = join(path, key);
+
+        if (LOGICAL_OPS.indexOf(key) !== -1) {
+            if (!Array.isArray(value) || value.length === 0) throw queryError(param, keyPath, 'expected a non-empty array');
+            out[key] = value.map(function (clause, i) {
+                return compileWhere(Model, clause, fields, param, join(keyPath, i), depth + 1);
+            });
+            return;
+        }
+        if (key[0] === '$') throw queryError(param, keyPath, 'operator ' + key + ' is not allowed');
+        if (fields.indexOf(key) === -1) throw queryError(param, keyPath, 'unknown or non-filterable field');
+
+        var type = fieldType(Model, key);
+        if (isPlainObject(value)) {
+            var keys = Object.keys(value);
+            if (keys.length === 0 || keys.some(function (k) { return k[0] !== '$'; })) {
+                throw queryError(param, keyPath, 'expected a value or an operator object');
+            }
+            out[key] = compileOperators(type, value, param, keyPath, depth + 1);
+        } else if (Array.isArray(value)) {
+            if (type !== 'Array') throw queryError(param, keyPath, 'use $in to match one of several values');
+            out[key] = value.map(function (v, i) { return compileValue('String', v, param, join(keyPath, i)); });
+        } else {
+            out[key] = compileValue(type, value, param, keyPath);
+        }
+    });
+    return out;
+}
+
+function compileSort(sort, fields) {
+    if (typeof sort === 'string') {
+        sort.split(/\s+/).filter(Boolean).forEach(function (f) {
+            var field = f.replace(/^[-+]/, '');
+            if (fields.indexOf(field) === -1) throw queryError('sort', field, 'unknown or non-sortable field');
+        });
+        return sort;
+    }
+    if (!isPlainObject(sort)) throw queryError('sort', '', 'expected a JSON object');
+    Object.keys(sort).forEach(function (f) {
+        if (fields.indexOf(f) === -1) throw queryError('sort', f, 'unknown or non-sortable field');
+        if ([1, -1, '1', '-1', 'asc', 'desc', 'ascending', 'descending'].indexOf(sort[f]) === -1) {
+            throw queryError('sort', f, 'direction must be 1 or -1');
+        }
+    });
+    return sort;
+}
+
+function compileSelect(select, fields, param) {
+    if (!isPlainObject(select)) throw queryError(param, '', 'expected a JSON object');
+    var out = {};
+    var mode = null;
+    Object.keys(select).forEach(function (f) {
+        if (fields.indexOf(f) === -1) throw queryError(param, f, 'unknown or non-selectable field');
+        var v = select[f];
+        if (v !== 0 && v !== 1 && v !== true && v !== false) throw queryError(param, f, 'expected 1 (include) or 0 (exclude)');
+        var include = v === 1 || v === true;
+        // _id may be excluded from an inclusion projection, nothing else may be mixed
+        if (f !== '_id') {
+            if (mode !== null && mode !== include) throw queryError(param, f, 'cannot mix included and excluded fields');
+            mode = include;
+        }
+        out[f] = include ? 1 : 0;
+    });
+    return out;
+}
+
+function parseParam(raw, param) {
+    if (raw === undefined || raw === '') return undefined;
+    if (typeof raw !== 'string') throw queryError(param, '', 'expected JSON');
+    try {
+        return JSON.parse(raw);
+    } catch (e) {
+        throw queryError(param, '', 'malformed JSON');
+    }
+}
+
+/*
+ * Compile the where/sort/select query parameters of a request against the
+ * Model's queryFields ({ filterable, selectable }). `filter` is accepted as an
+ * alias of `select` (the db scripts use it) but not together with it.
+ * Returns { where, sort, select } ready for Mongoose; throws an Error with
+ * status 400 and details { param, path, reason } when anything is rejected.
+ */
+function fromRequest(Model, query) {
+    var fields = Model.queryFields;
+    if (query.select !== undefined && query.filter !== undefined) {
+        throw queryError('filter', '', 'filter is an alias of select; send only one of them');
+    }
+    var selectParam = query.select !== undefined ? 'select' : 'filter';
+
+    var where = parseParam(query.where, 'where');
+    var sort = parseParam(query.sort, 'sort');
+    var select = parseParam(query[selectParam], selectParam);
+
+    return {
+        where: where === undefined ? {} : compileWhere(Model, where, fields.filterable, 'where', '', 0),
+        sort: sort === undefined ? undefined : compileSort(sort, fields.filterable),
+        select: select === undefined ? undefined : compileSelect(select, fields.selectable, selectParam)
+    };
+}
+
+// just the select/filter parameter, for single-document routes
+function selectFromRequest(Model, query) {
+    if (query.select !== undefined && query.filter !== undefined) {
+        throw queryError('filter', '', 'filter is an alias of select; send only one of them');
+    }
+    var selectParam = query.select !== undefined ? 'select' : 'filter';
+    var select = parseParam(query[selectParam], selectParam);
+    return select === undefined ? undefined : compileSelect(select, Model.queryFields.selectable, selectParam);
+}
+
+// a where clause that is already parsed JSON (e.g. stored with a webhook subscription)
+function whereFromObject(Model, where, param) {
+    return compileWhere(Model, where, Model.queryFields.filterable, param, '', 0);
+}
+
+module.exports = {
+    fromRequest: fromRequest,
+    selectFromRequest: selectFromRequest,
+    whereFromObject: whereFromObject,
+    unsafeRegexReason: unsafeRegexReason
+};
@@ -0,0 +1,85 @@
+var RRule = require('rrule').RRule;
+
+var FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+var WEEKDAY = '(MO|TU|WE|TH|FR|SA|SU)';
+var MAX_NUMBER = 1000;
+
+function isPositiveInt(v) {
+    return /^\d+$/.test(v) && parseInt(v) > 0 && parseInt(v) <= MAX_NUMBER;
+}
+
+/*
+ * Validate an iCalendar RRULE (RFC 5545) such as "FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10".
+ * Supports FREQ, INTERVAL, BYDAY, BYMONTHDAY, COUNT, UNTIL and WKST; an
+ * "RRULE:" prefix is allowed. Returns { rule } with the normalized rule
+ * string, or { error } describing the first problem.
+ */
+function parse(str) {
+    if (typeof str !== 'string') return { error: 'recurrence must be a string' };
+    var rule = str.trim().toUpperCase().replace(/^RRULE:/, '');
+    if (!rule) return { error: 'recurrence is empty' };
+
+    var parts = {};
+    var pairs = rule.split(';');
+    for (var i = 0; i < pairs.length; i++) {
+        var m = pairs[i].match(/^([A-Z]+)=(.+)$/);
+        if (!m) return { error: 'malformed rule part "' + pairs[i] + '"' };
+        if (m[1] in parts) return { error: m[1] + ' given more than once' };
+        parts[m[1]] = m[2];
+    }
+
+    var freq = parts.FREQ;
+    if (FREQUENCIES.indexOf(freq) === -1) return { error: 'FREQ must be one of ' + FREQUENCIES.join(', ') };
+
+    var keys = Object.keys(parts);
+    for (i = 0; i < keys.length; i++) {
+        var key = keys[i];
+        var value = parts[key];
+        switch (key) {
+            case 'FREQ':
+                break;
+            case 'INTERVAL':
+            case 'COUNT':
+                if (!isPositiveInt(value)) return { error: key + ' must be an integer between 1 and ' + MAX_NUMBER };
+                break;
+            case 'UNTIL':
+                if (!/^\d{8}(T\d{6}Z?)?$/.test(value)) return { error: 'UNTIL must look like 20251231 or 20251231T235959Z' };
+                break;
+            case 'BYDAY':
+                var dayPattern = (freq === 'MONTHLY' || freq === 'YEARLY') ? new RegExp('^[+-]?([1-9]|[1-4]\\d|5[0-3])?' + WEEKDAY + '$') : new RegExp('^' + WEEKDAY + '$');
+                if (!value.split(',').every(function (d) { return dayPattern.test(d); })) {
+                    return { error: 'BYDAY must be a list of weekdays (MO..SU)' + (freq === 'MONTHLY' || freq === 'YEARLY' ? ', optionally prefixed like 1MO or -1FR' : '') };
+                }
+                break;
+            case 'BYMONTHDAY':
+                if (freq === 'WEEKLY') return { error: 'BYMONTHDAY cannot be used with FREQ=WEEKLY' };
+                if (!value.split(',').every(function (d) { return /^-?\d{1,2}$/.test(d) && parseInt(d) !== 0 && Math.abs(parseInt(d)) <= 31; })) {
+                    return { error: 'BYMONTHDAY must be a list of days between -31 and 31' };
+                }
+                break;
+            case 'WKST':
+                if (!new RegExp('^' + WEEKDAY + '$').test(value)) return { error: 'WKST must be a weekday (MO..SU)' };
+                break;
+            default:
+                return { error: key + ' is not supported' };
+        }
+    }
+    if ('COUNT' in parts && 'UNTIL' in parts) return { error: 'COUNT and UNTIL cannot both be given' };
+
+    return { rule: rule };
+}
+
+/*
+ * The first occurrence strictly after `after` of a series that started at
+ * seriesStart (COUNT counts from there), or null once the series is over.
+ */
+function nextOccurrence(rule, seriesStart, after) {
+    var options = RRule.parseString(rule);
+    options.dtstart = new Date(seriesStart);
+    return new RRule(options).after(new Date(after), false);
+}
+
+module.exports = {
+    parse: parse,
+    nextOccurrence: nextOccurrence
+};
@@ -0,0 +1,138 @@
+var store = require('./store');
+var notifier = require('./notifier');
+var logger = require('./logger');
+
+var MINUTE_MS = 60 * 1000;
+var UNITS = { m: 1, h: 60, d: 24 * 60 };
+
+var INTERVAL_MS = parseInt(process.env.REMINDER_INTERVAL_MS) || MINUTE_MS;
+// overdue notices only for deadlines missed this recently, so old tasks do not flood inboxes
+var OVERDUE_LOOKBACK_MS = (parseInt(process.env.OVERDUE_LOOKBACK_DAYS) || 7) * 24 * 60 * MINUTE_MS;
+var PENDING_BATCH = 50;
+
+// '24h,1h,30m' -> [30, 60, 1440] minutes; bad entries are skipped with a warning
+function parseLeadTimes(raw) {
+    var minutes = [];
+    String(raw).split(',').map(function (s) { return s.trim(); }).filter(Boolean).forEach(function (s) {
+        var m = /^(\d+)([mhd])$/.exec(s);
+        if (!m || Number(m[1]) === 0) {
+            logger.warn('Ignoring reminder lead time ' + s + ' (use e.g. 30m, 2h or 1d)');
+            return;
+        }
+        var value = Number(m[1]) * UNITS[m[2]];
+        if (minutes.indexOf(value) === -1) minutes.push(value);
+    });
+    return minutes.sort(function (a, b) { return a - b; });
+}
+
+var LEAD_MINUTES = parseLeadTimes(process.env.REMINDER_LEAD_TIMES || '24h,1h');
+
+// e.g. '2 days', '1 hour', '45 minutes'
+function formatDuration(minutes) {
+    var units = [['day', 24 * 60], ['hour', 60], ['minute', 1]];
+    for (var i = 0; i < units.length; i++) {
+        if (minutes >= units[i][1] || i === units.length - 1) {
+            var n = Math.max(Math.round(minutes / units[i][1]), 1);
+            return n + ' ' + units[i][0] + (n === 1 ? '' : 's');
+        }
+    }
+}
+
+/*
+ * The notification fields for task. The key names the task, assignee, kind,
+ * lead time and deadline, so changing the deadline or the assignee makes
+ * the reminders due again while nothing is sent twice for the same one.
+ */
+function notificationFor(task, kind, leadMinutes, now) {
+    var deadline = new Date(task.deadline);
+    var message = kind === 'overdue' ?
+        'Task "' + task.name + '" is overdue: it was due ' + deadline.toISOString() + '.' :
+        'Task "' + task.name + '" is due in ' + formatDuration((deadline - now) / MINUTE_MS) + ', at ' + deadline.toISOString() + '.';
+    return {
+        user: task.assignedUser,
+        task: task._id.toString(),
+        taskName: task.name,
+        kind: kind,
+        leadMinutes: leadMinutes,
+        deadline: deadline,
+        message: message,
+        key: [task._id, task.assignedUser, kind, leadMinutes, deadline.getTime()].join(':')
+    };
+}
+
+/*
+ * Notify the assignees of open tasks that are due within a lead time or
+ * overdue. A task is reminded once per lead time, for the shortest one it
+ * falls within: a task created 30 minutes before its deadline only gets the
+ * 1h reminder, not the 24h one too. Resolves with the number created.
+ */
+async function scan(now) {
+    var open = { completed: false, assignedUser: { $ne: '' } };
+    var fields = 'name deadline assignedUser';
+    var candidates = [];
+
+    if (LEAD_MINUTES.length > 0) {
+        var horizon = new Date(now.getTime() + LEAD_MINUTES[LEAD_MINUTES.length - 1] * MINUTE_MS);
+        var upcoming = await store.tasks.find(Object.assign({ deadline: { $gt: now, $lte: horizon } }, open), { select: fields, lean: true });
+        upcoming.forEach(function (t) {
+            var remaining = (t.deadline - now) / MINUTE_MS;
+            var lead = LEAD_MINUTES.filter(function (l) { return remaining <= l; })[0];
+            candidates.push(notificationFor(t, 'reminder', lead, now));
+        });
+    }
+    var since = new Date(now.getTime() - OVERDUE_LOOKBACK_MS);
+    var overdue = await store.tasks.find(Object.assign({ deadline: { $lte: now, $gt: since } }, open), { select: fields, lean: true });
+    overdue.forEach(function (t) {
+        candidates.push(notificationFor(t, 'overdue', 0, now));
+    });
+    if (candidates.length === 0) return 0;
+
+    var existing = await store.notifications.find({ key: { $in: candidates.map(function (c) { return c.key; }) } }, { select: 'key', lean: true });
+    var sent = existing.map(function (n) { return n.key; });
+    var created = 0;
+    for (var i = 0; i < candidates.length; i++) {
+        if (sent.indexOf(candidates[i].key) !== -1) continue;
+        // notify() skips it too if another server process got there first
+        if (await notifier.notify(candidates[i])) created++;
+    }
+    return created;
+}
+
+var timer = null;
+// the pass in progress, if any
+var running = null;
+
+function tick() {
+    if (running) return;
+    running = notifier.deliverPending(PENDING_BATCH).then(function () {
+        return scan(new Date());
+    }).catch(function (err) {
+        logger.error('Deadline reminders failed', { error: err });
+    }).then(function () {
+        running = null;
+    });
+}
+
+// check deadlines now and then every INTERVAL_MS
+function start() {
+    if (timer) return;
+    tick();
+    timer = setInterval(tick, INTERVAL_MS);
+    timer.unref();
+}
+
+// stop checking; resolves once the pass in progress, if any, is done
+function stop() {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+    return running || Promise.resolve();
+}
+
+module.exports = {
+    parseLeadTimes: parseLeadTimes,
+    scan: scan,
+    start: start,
+    stop: stop
+};
@@ -0,0 +1,267 @@
+/*
+ * A validator for the JSON Schema subset OpenAPI 3.0 uses (see
+ * lib/openapi). It checks the keywords in KEYWORDS: type, nullable, enum,
+ * format (the ones in FORMATS), minLength/maxLength, pattern,
+ * minimum/maximum, items, minItems/maxItems, uniqueItems, properties,
+ * required, additionalProperties, minProperties, allOf/anyOf/oneOf and
+ * $refs into the document. Anything else (not, exclusiveMinimum,
+ * multipleOf, ...) would be ignored, so unsupported() lists it and
+ * lib/openapi refuses to load a document that uses it. Query strings and
+ * form bodies only carry strings, so with coerce set '42', 'true' and a
+ * lone value are read as the number, boolean or one-item array the schema
+ * asks for.
+ */
+
+var KEYWORDS = [
+    '$ref', 'type', 'nullable', 'enum', 'format',
+    'minLength', 'maxLength', 'pattern', 'minimum', 'maximum',
+    'items', 'minItems', 'maxItems', 'uniqueItems',
+    'properties', 'required', 'additionalProperties', 'minProperties',
+    'allOf', 'anyOf', 'oneOf'
+];
+
+// keywords for readers of the document, which constrain nothing
+var ANNOTATIONS = ['title', 'description', 'example', 'default', 'writeOnly', 'deprecated'];
+
+var TYPES = {
+    string: 'a string',
+    integer: 'an integer',
+    number: 'a number',
+    boolean: 'true or false',
+    array: 'an array',
+    object: 'an object'
+};
+
+var FORMATS = {
+    objectid: { expected: 'a 24-character hex id', test: function (v) { return /^[0-9a-fA-F]{24}$/.test(v); } },
+    'date-time': { expected: 'a date-time', test: function (v) { return !isNaN(Date.parse(v)); } },
+    email: { expected: 'an email address', test: function (v) { return /^[^\s@]+@[^\s@]+$/.test(v); } },
+    uri: { expected: 'an absolute http(s) URL', test: isHttpUrl }
+};
+
+// file parts of multipart bodies, which the routes read themselves
+var DESCRIBED_FORMATS = ['binary'];
+
+var NUMERIC = /^-?\d+(\.\d+)?([eE][+-]?\d+)?$/;
+
+function isHttpUrl(v) {
+    try {
+        var url = new URL(v);
+        return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch (e) {
+        return false;
+    }
+}
+
+function isPlainObject(v) {
+    return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function join(path, key) {
+    if (typeof key === 'number') return path + '[' + key + ']';
+    return path ? path + '.' + key : key;
+}
+
+function hasType(type, v) {
+    if (type === 'integer') return typeof v === 'number' && Number.isInteger(v);
+    if (type === 'number') return typeof v === 'number' && isFinite(v);
+    if (type === 'array') return Array.isArray(v);
+    if (type === 'object') return isPlainObject(v);
+    return typeof v === type;
+}
+
+function coerce(schema, v) {
+    if (schema.type === 'array') return v === undefined || Array.isArray(v) ? v : [v];
+    if (typeof v !== 'string') return v;
+    if (schema.type === 'integer' || schema.type === 'number') return NUMERIC.test(v) ? Number(v) : v;
+    if (schema.type === 'boolean') return v === 'true' ? true : v === 'false' ? false : v;
+    return v;
+}
+
+// the schema a $ref ('#/components/schemas/Task') points to in the root document
+function resolve(root, schema) {
+    while (schema && schema.$ref) {
+        var target = schema.$ref.replace(/^#\//, '').split('/').reduce(function (node, part) {
+            return node && node[part.replace(/~1/g, '/').replace(/~0/g, '~')];
+        }, root);
+        if (!target) throw new Error('unresolvable $ref ' + schema.$ref);
+        schema = target;
+    }
+    return schema;
+}
+
+function fail(ctx, path, reason) {
+    ctx.errors.push({ param: ctx.param, path: path, reason: reason });
+}
+
+function listed(values) {
+    return values.map(function (v) { return v === '' ? '""' : String(v); }).join(', ');
+}
+
+/*
+ * The value of the first branch value matches. When none does and each
+ * failed on the value itself ('must be an integer', 'must be a date-time')
+ * that becomes one reason ('must be an integer or a date-time'); otherwise
+ * the errors of the closest branch are reported.
+ */
+function checkBranches(ctx, branches, value, path, exactlyOne) {
+    var tried = branches.map(function (branch) {
+        var sub = { root: ctx.root, coerce: ctx.coerce, param: ctx.param, errors: [] };
+        return { value: check(sub, branch, value, path), errors: sub.errors };
+    });
+    var passed = tried.filter(function (t) { return t.errors.length === 0; });
+    if (passed.length === 1 || (passed.length > 1 && !exactlyOne)) return passed[0].value;
+    if (passed.length > 1) {
+        fail(ctx, path, 'must match exactly one of ' + passed.length + ' overlapping forms');
+        return value;
+    }
+    var flat = tried.every(function (t) {
+        return t.errors.length === 1 && t.errors[0].path === path && /^must be /.test(t.errors[0].reason);
+    });
+    if (flat) {
+        var expected = tried.map(function (t) { return t.errors[0].reason.slice('must be '.length); });
+        fail(ctx, path, 'must be ' + expected.filter(function (e, i) { return expected.indexOf(e) === i; }).join(' or '));
+    } else {
+        tried.reduce(function (best, t) { return t.errors.length < best.errors.length ? t : best; }).errors.forEach(function (e) {
+            ctx.errors.push(e);
+        });
+    }
+    return value;
+}
+
+function checkString(ctx, schema, value, path) {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+        fail(ctx, path, schema.minLength === 1 ? 'must not be empty' : 'must be at least ' + schema.minLength + ' characters');
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        fail(ctx, path, 'must be at most ' + schema.maxLength + ' characters');
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+        fail(ctx, path, 'must match ' + schema.pattern);
+    }
+    var format = FORMATS[schema.format];
+    if (format && !format.test(value)) fail(ctx, path, 'must be ' + format.expected);
+}
+
+function checkArray(ctx, schema, value, path) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+        fail(ctx, path, schema.minItems === 1 ? 'must not be empty' : 'must have at least ' + schema.minItems + ' items');
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        fail(ctx, path, 'must have at most ' + schema.maxItems + ' items');
+    }
+    if (schema.uniqueItems) {
+        var seen = value.map(function (v) { return JSON.stringify(v); });
+        if (seen.some(function (v, i) { return seen.indexOf(v) !== i; })) fail(ctx, path, 'must not contain duplicates');
+    }
+    if (!schema.items) return value;
+    return value.map(function (item, i) {
+        return check(ctx, schema.items, item, join(path, i));
+    });
+}
+
+function checkObject(ctx, schema, value, path) {
+    var out = Object.assign({}, value);
+    var properties = schema.properties || {};
+    (schema.required || []).forEach(function (key) {
+        if (value[key] === undefined) fail(ctx, join(path, key), 'is required');
+    });
+    Object.keys(value).forEach(function (key) {
+        if (value[key] === undefined) return;
+        if (properties[key]) {
+            out[key] = check(ctx, properties[key], value[key], join(path, key));
+        } else if (schema.additionalProperties === false) {
+            fail(ctx, join(path, key), 'is not allowed');
+        } else if (isPlainObject(schema.additionalProperties)) {
+            out[key] = check(ctx, schema.additionalProperties, value[key], join(path, key));
+        }
+    });
+    if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+        fail(ctx, path, 'must have at least ' + schema.minProperties + ' properties');
+    }
+    return out;
+}
+
+// check value against schema, recording errors in ctx; returns the value, coerced where ctx.coerce allows
+function check(ctx, schema, value, path) {
+    schema = resolve(ctx.root, schema);
+    if (value === null && schema.nullable) return value;
+
+    (schema.allOf || []).forEach(function (part) {
+        value = check(ctx, part, value, path);
+    });
+    if (schema.anyOf) return checkBranches(ctx, schema.anyOf, value, path, false);
+    if (schema.oneOf) return checkBranches(ctx, schema.oneOf, value, path, true);
+
+    if (ctx.coerce) value = coerce(schema, value);
+    if (schema.type && !hasType(schema.type, value)) {
+        fail(ctx, path, 'must be ' + TYPES[schema.type]);
+        return value;
+    }
+    if (schema.enum && schema.enum.indexOf(value) === -1) {
+        fail(ctx, path, 'must be one of ' + listed(schema.enum));
+        return value;
+    }
+
+    if (typeof value === 'string') checkString(ctx, schema, value, path);
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) fail(ctx, path, 'must be at least ' + schema.minimum);
+        if (schema.maximum !== undefined && value > schema.maximum) fail(ctx, path, 'must be at most ' + schema.maximum);
+    }
+    if (Array.isArray(value)) return checkArray(ctx, schema, value, path);
+    if (isPlainObject(value)) return checkObject(ctx, schema, value, path);
+    return value;
+}
+
+/*
+ * The keywords in schema (and the schemas inside it) that validate() would
+ * not check, as paths from path: ['#/components/schemas/Task.properties.tags.not'].
+ * Types and formats it does not know count as well. $refs are not followed;
+ * the schemas they point to are checked where they are declared.
+ */
+function unsupported(schema, path, found) {
+    found = found || [];
+    if (!isPlainObject(schema)) {
+        found.push(path);
+        return found;
+    }
+    Object.keys(schema).forEach(function (key) {
+        var at = join(path, key);
+        if (KEYWORDS.indexOf(key) === -1 && ANNOTATIONS.indexOf(key) === -1) found.push(at);
+        else if (key === 'type' && !TYPES[schema.type]) found.push(at);
+        else if (key === 'format' && !FORMATS[schema.format] && DESCRIBED_FORMATS.indexOf(schema.format) === -1) found.push(at);
+    });
+    Object.keys(schema.properties || {}).forEach(function (key) {
+        unsupported(schema.properties[key], join(join(path, 'properties'), key), found);
+    });
+    if (schema.items) unsupported(schema.items, join(path, 'items'), found);
+    if (isPlainObject(schema.additionalProperties)) unsupported(schema.additionalProperties, join(path, 'additionalProperties'), found);
+    ['allOf', 'anyOf', 'oneOf'].forEach(function (key) {
+        (schema[key] || []).forEach(function (branch, i) {
+            unsupported(branch, join(join(path, key), i), found);
+        });
+    });
+    return found;
+}
+
+/*
+ * Validate value against schema. options: root (the document $refs resolve
+ * against), coerce, and param (what errors are reported under: 'body' or
+ * the parameter's name). Returns { value, errors } where errors are
+ * { param, path, reason }, e.g. { param: 'body', path: 'operations[2].id',
+ * reason: 'must be a 24-character hex id' }.
+ */
+function validate(schema, value, options) {
+    options = options || {};
+    var ctx = { root: options.root || {}, coerce: !!options.coerce, param: options.param || 'body', errors: [] };
+    var out = check(ctx, schema, value, '');
+    return { value: out, errors: ctx.errors };
+}
+
+module.exports = {
+    FORMATS: FORMATS,
+    KEYWORDS: KEYWORDS,
+    validate: validate,
+    unsupported: unsupported,
+    resolve: resolve
+};
@@ -0,0 +1,159 @@
+var pagination = require('./pagination');
+var store = require('./store');
+
+// languages MongoDB text indexes can stem ('none' only tokenizes)
+var LANGUAGES = ['none', 'danish', 'dutch', 'english', 'finnish', 'french', 'german', 'hungarian', 'italian',
+    'norwegian', 'portuguese', 'romanian', 'russian', 'spanish', 'swedish', 'turkish'];
+var MAX_QUERY_LENGTH = 200;
+var SNIPPET_LENGTH = 160;
+
+// common short words that give a language away
+var STOPWORDS = {
+    english: ['the', 'a', 'an', 'and', 'or', 'for', 'with', 'my', 'to', 'of', 'in', 'on', 'at', 'it', 'is', 'this', 'that', 'your', 'our', 'up', 'out', 'some', 'new'],
+    french: ['le', 'la', 'les', 'des', 'du', 'de', 'un', 'une', 'et', 'ou', 'pour', 'avec', 'mon', 'ma', 'mes', 'ce', 'cette', 'que', 'qui', 'au', 'aux', 'en', 'dans', 'sur', 'pas', 'je', 'me', 'mieux', 'est']
+};
+var FRENCH_LETTERS = /[àâçéèêëîïôûùüÿœæ]/i;
+
+function badRequest(message) {
+    var err = new Error(message);
+    err.status = 400;
+    return err;
+}
+
+function words(text) {
+    return String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// 'english' or 'french' going by stopwords and accents, or null when the text gives no hint
+function detectText(text) {
+    var score = { english: 0, french: 0 };
+    words(text).forEach(function (w) {
+        if (STOPWORDS.english.indexOf(w) !== -1) score.english++;
+        if (STOPWORDS.french.indexOf(w) !== -1) score.french++;
+        if (FRENCH_LETTERS.test(w)) score.french++;
+    });
+    // elisions like d'envoyer or j'en
+    if (/(^|[^\p{L}])[dljmnst]'\p{L}/iu.test(text || '')) score.french++;
+    if (score.french === score.english) return null;
+    return score.french > score.english ? 'french' : 'english';
+}
+
+/*
+ * Guess the stemming language of a task: from its name, which is what
+ * people search for, or from its description if the name gives no hint.
+ */
+function detect(name, description) {
+    return detectText(name) || detectText(description) || 'english';
+}
+
+// crude stem for highlighting only: lowercase, no accents, common suffixes removed
+function root(word) {
+    var w = word.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    var suffixes = ['ements', 'ement', 'ations', 'ation', 'ings', 'ing', 'ies', 'ers', 'er', 'ed', 'es', 's', 'e'];
+    for (var i = 0; i < suffixes.length; i++) {
+        var s = suffixes[i];
+        if (w.length - s.length >= 3 && w.slice(-s.length) === s) return w.slice(0, -s.length);
+    }
+    return w;
+}
+
+// the positive terms of a $text search string (phrases included, -negated terms left out)
+function searchTerms(q) {
+    var terms = [];
+    var phrases = q.match(/"[^"]*"/g) || [];
+    phrases.forEach(function (p) { terms = terms.concat(words(p)); });
+    q.replace(/"[^"]*"/g, ' ').split(/\s+/).forEach(function (t) {
+        if (t && t[0] !== '-') terms = terms.concat(words(t));
+    });
+    return terms.map(root).filter(function (r, i, all) { return r && all.indexOf(r) === i; });
+}
+
+function escapeHtml(s) {
+    return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function isMatch(word, roots) {
+    var r = root(word);
+    return roots.some(function (t) { return r === t || (t.length >= 4 && r.indexOf(t) === 0); });
+}
+
+/*
+ * HTML-escaped text with matching words wrapped in <mark>, cut down to a
+ * window around the first match when longer than SNIPPET_LENGTH. Null if
+ * nothing in text matches.
+ */
+function highlight(text, roots) {
+    if (typeof text !== 'string' || !text) return null;
+    var re = /[\p{L}\p{N}]+/gu;
+    var matches = [];
+    var m;
+    while ((m = re.exec(text)) !== null) {
+        if (isMatch(m[0], roots)) matches.push({ start: m.index, end: m.index + m[0].length });
+    }
+    if (matches.length === 0) return null;
+
+    var from = 0;
+    var to = text.length;
+    if (text.length > SNIPPET_LENGTH) {
+        from = Math.max(0, matches[0].start - SNIPPET_LENGTH / 4);
+        to = Math.min(text.length, from + SNIPPET_LENGTH);
+        // do not cut words in half
+        while (from > 0 && /\S/.test(text[from - 1])) from--;
+        while (to < text.length && /\S/.test(text[to])) to++;
+    }
+
+    var out = '';
+    var pos = from;
+    matches.forEach(function (x) {
+        if (x.start < from || x.end > to) return;
+        out += escapeHtml(text.slice(pos, x.start)) + '<mark>' + escapeHtml(text.slice(x.start, x.end)) + '</mark>';
+        pos = x.end;
+    });
+    out += escapeHtml(text.slice(pos, to));
+    return (from > 0 ? '…' : '') + out + (to < text.length ? '…' : '');
+}
+
+/*
+ * Run a ranked $text search for a search route: req.query.q combined with
+ * params.where, best matches first, paged with limit/skip. Each result gets
+ * its relevance `score` and `highlights` for the params.fields it matched
+ * in. Resolves with { data, meta }; rejects with a status 400 Error for bad
+ * parameters.
+ */
+async function search(Model, req, params) {
+    var q = req.query.q;
+    if (typeof q !== 'string' || !q.trim()) throw badRequest('q is required');
+    if (q.length > MAX_QUERY_LENGTH) throw badRequest('q must be at most ' + MAX_QUERY_LENGTH + ' characters');
+    var limit = pagination.parseLimit(req.query.limit);
+    var skip = req.query.skip ? parseInt(req.query.skip) : 0;
+    if (isNaN(skip) || skip < 0) throw badRequest('skip must be a non-negative integer');
+
+    var found = await store.of(Model).search(q, params.where || {}, {
+        language: params.language,
+        select: params.select,
+        skip: skip,
+        limit: limit
+    });
+
+    var roots = searchTerms(q);
+    var data = found.docs.map(function (d) {
+        d.highlights = {};
+        params.fields.forEach(function (f) {
+            var h = highlight(d[f], roots);
+            if (h) d.highlights[f] = h;
+        });
+        return d;
+    });
+    return { data: data, meta: { total: found.total, limit: limit, skip: skip, language: params.language } };
+}
+
+module.exports = {
+    LANGUAGES: LANGUAGES,
+    detect: detect,
+    detectText: detectText,
+    highlight: highlight,
+    root: root,
+    words: words,
+    searchTerms: searchTerms,
+    search: search
+};
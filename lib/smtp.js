@@ -0,0 +1,171 @@
+/*
+ * Just enough SMTP (RFC 5321) to send a plain-text email: EHLO, AUTH PLAIN
+ * or LOGIN when a user is configured, one recipient, then QUIT. Connects in
+ * the clear (fine for a local test server such as MailHog or smtp4dev) or
+ * over TLS from the start with SMTP_SECURE=true; STARTTLS is not supported.
+ */
+var net = require('net');
+var tls = require('tls');
+var os = require('os');
+var crypto = require('crypto');
+
+var TIMEOUT_MS = parseInt(process.env.SMTP_TIMEOUT_MS) || 15000;
+
+function config() {
+    var secure = process.env.SMTP_SECURE === 'true';
+    return {
+        host: process.env.SMTP_HOST || 'localhost',
+        port: parseInt(process.env.SMTP_PORT) || (secure ? 465 : 25),
+        secure: secure,
+        user: process.env.SMTP_USER || '',
+        pass: process.env.SMTP_PASS || '',
+        from: process.env.SMTP_FROM || 'tasks@' + os.hostname()
+    };
+}
+
+/*
+ * Reads replies off the socket: reply() resolves with the next complete
+ * { code, lines } reply, or rejects once the connection fails.
+ */
+function Connection(socket) {
+    var self = this;
+    this.socket = socket;
+    this.pending = '';
+    this.lines = [];
+    this.replies = [];
+    this.waiting = null;
+    this.error = null;
+
+    socket.setEncoding('utf8');
+    socket.setTimeout(TIMEOUT_MS, function () {
+        socket.destroy(new Error('SMTP server timed out'));
+    });
+    socket.on('data', function (chunk) {
+        self.pending += chunk;
+        var parts = self.pending.split('\r\n');
+        self.pending = parts.pop();
+        parts.forEach(function (line) {
+            self.lines.push(line.slice(4));
+            // the last line of a reply has a space after the code, the others a dash
+            if (line[3] !== '-') {
+                self.replies.push({ code: parseInt(line.slice(0, 3)), lines: self.lines });
+                self.lines = [];
+            }
+        });
+        self.flush();
+    });
+    socket.on('error', function (err) {
+        self.fail(err);
+    });
+    socket.on('close', function () {
+        self.fail(new Error('SMTP connection closed'));
+    });
+}
+
+Connection.prototype.flush = function () {
+    if (!this.waiting) return;
+    var waiting = this.waiting;
+    if (this.replies.length > 0) {
+        this.waiting = null;
+        waiting.resolve(this.replies.shift());
+    } else if (this.error) {
+        this.waiting = null;
+        waiting.reject(this.error);
+    }
+};
+
+Connection.prototype.fail = function (err) {
+    if (!this.error) this.error = err;
+    this.flush();
+};
+
+// wait for the next reply and check its code is one of expected
+Connection.prototype.reply = function (expected) {
+    var self = this;
+    return new Promise(function (resolve, reject) {
+        self.waiting = { resolve: resolve, reject: reject };
+        self.flush();
+    }).then(function (r) {
+        if (expected.indexOf(r.code) === -1) {
+            throw new Error('SMTP server replied ' + r.code + ' ' + r.lines.join(' '));
+        }
+        return r;
+    });
+};
+
+Connection.prototype.command = function (line, expected) {
+    this.socket.write(line + '\r\n');
+    return this.reply(expected);
+};
+
+function connect(opts) {
+    return new Promise(function (resolve, reject) {
+        var socket = opts.secure ?
+            tls.connect({ host: opts.host, port: opts.port, servername: opts.host }) :
+            net.connect({ host: opts.host, port: opts.port });
+        var conn = new Connection(socket);
+        socket.once(opts.secure ? 'secureConnect' : 'connect', function () {
+            resolve(conn);
+        });
+        socket.once('error', reject);
+    });
+}
+
+// RFC 2047 encoded-word for headers that are not plain ASCII
+function encodeHeader(value) {
+    if (/^[\x20-\x7e]*$/.test(value)) return value;
+    return '=?UTF-8?B?' + Buffer.from(value, 'utf8').toString('base64') + '?=';
+}
+
+function formatMessage(opts, mail) {
+    var body = Buffer.from(mail.text.replace(/\r?\n/g, '\r\n'), 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+    return [
+        'From: ' + opts.from,
+        'To: ' + mail.to,
+        'Subject: ' + encodeHeader(mail.subject.replace(/[\r\n]+/g, ' ')),
+        'Date: ' + new Date().toUTCString(),
+        'Message-ID: <' + crypto.randomBytes(12).toString('hex') + '@' + os.hostname() + '>',
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        body
+    ].join('\r\n');
+}
+
+async function authenticate(conn, opts, features) {
+    var auth = features.filter(function (f) { return /^AUTH\b/i.test(f); })[0] || '';
+    if (/\bPLAIN\b/i.test(auth)) {
+        var plain = Buffer.from('\0' + opts.user + '\0' + opts.pass, 'utf8').toString('base64');
+        return conn.command('AUTH PLAIN ' + plain, [235]);
+    }
+    await conn.command('AUTH LOGIN', [334]);
+    await conn.command(Buffer.from(opts.user, 'utf8').toString('base64'), [334]);
+    return conn.command(Buffer.from(opts.pass, 'utf8').toString('base64'), [235]);
+}
+
+/*
+ * Send { to, subject, text } through the server configured with the SMTP_*
+ * environment variables. Resolves once the server has accepted the message.
+ */
+async function send(mail) {
+    var opts = config();
+    if (/[\s<>]/.test(mail.to)) throw new Error('invalid recipient address ' + JSON.stringify(mail.to));
+    var conn = await connect(opts);
+    try {
+        await conn.reply([220]);
+        var ehlo = await conn.command('EHLO ' + os.hostname(), [250]);
+        if (opts.user) await authenticate(conn, opts, ehlo.lines.slice(1));
+        await conn.command('MAIL FROM:<' + opts.from + '>', [250]);
+        await conn.command('RCPT TO:<' + mail.to + '>', [250, 251]);
+        await conn.command('DATA', [354]);
+        await conn.command(formatMessage(opts, mail) + '\r\n.', [250]);
+        await conn.command('QUIT', [221]).catch(function () {});
+    } finally {
+        conn.socket.destroy();
+    }
+}
+
+module.exports = {
+    send: send
+};
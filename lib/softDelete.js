@@ -0,0 +1,23 @@
+/*
+ * Mongoose plugin for soft deletes: adds a deletedAt date and hides documents
+ * that have one from find, findOne and count queries. Queries that need them
+ * (the trash, restores, snapshots) set the withDeleted option, e.g.
+ * store.tasks.find(filter, { withDeleted: true }) (see lib/store).
+ */
+function hideDeleted(next) {
+    if (this.getOptions().withDeleted) {
+        // not an option the driver knows
+        delete this.options.withDeleted;
+    } else {
+        this.where({ deletedAt: null });
+    }
+    next();
+}
+
+module.exports = function softDelete(schema) {
+    schema.add({ deletedAt: { type: Date, default: null } });
+    schema.index({ deletedAt: 1 });
+    ['find', 'findOne', 'count', 'countDocuments', 'findOneAndUpdate'].forEach(function (op) {
+        schema.pre(op, hideDeleted);
+    });
+};
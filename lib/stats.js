@@ -0,0 +1,143 @@
+var store = require('./store');
+
+// $dateToString formats naming the period a date falls in
+var INTERVALS = { day: '%Y-%m-%d', week: '%G-W%V', month: '%Y-%m' };
+var HOUR_MS = 60 * 60 * 1000;
+
+function badRequest(message) {
+    var err = new Error(message);
+    err.status = 400;
+    return err;
+}
+
+function parseDate(raw, param) {
+    var d = new Date(isNaN(Number(raw)) ? raw : Number(raw));
+    if (isNaN(d.getTime())) throw badRequest(param + ': invalid date');
+    return d;
+}
+
+function validTimezone(tz) {
+    try {
+        Intl.DateTimeFormat('en-US', { timeZone: tz });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/*
+ * Read the stats options from a query string: from/to (date strings or
+ * timestamps), interval (day, week or month) and timezone (IANA name).
+ * Throws a status 400 Error for bad values.
+ */
+function options(query) {
+    var opts = { from: null, to: null, interval: query.interval || 'week', timezone: query.timezone || 'UTC' };
+    if (query.from) opts.from = parseDate(query.from, 'from');
+    if (query.to) opts.to = parseDate(query.to, 'to');
+    if (!INTERVALS[opts.interval]) throw badRequest('interval must be one of ' + Object.keys(INTERVALS).join(', '));
+    if (!validTimezone(opts.timezone)) throw badRequest('timezone must be an IANA time zone, e.g. Europe/Paris');
+    return opts;
+}
+
+// { field: { $gte: from, $lte: to } } for the requested range, {} without one
+function inRange(field, opts) {
+    var range = {};
+    if (opts.from) range.$gte = opts.from;
+    if (opts.to) range.$lte = opts.to;
+    var match = {};
+    if (Object.keys(range).length > 0) match[field] = range;
+    return match;
+}
+
+// counts of the tasks in a $group: open/completed/overdue, on-time completions and time to completion
+function counters(now) {
+    var isCompleted = { $eq: ['$completed', true] };
+    var timed = { $and: [isCompleted, { $gt: ['$completedAt', null] }] };
+    return {
+        total: { $sum: 1 },
+        completed: { $sum: { $cond: [isCompleted, 1, 0] } },
+        overdue: { $sum: { $cond: [{ $and: [{ $not: [isCompleted] }, { $lt: ['$deadline', now] }] }, 1, 0] } },
+        completedOnTime: { $sum: { $cond: [{ $and: [timed, { $lte: ['$completedAt', '$deadline'] }] }, 1, 0] } },
+        timed: { $sum: { $cond: [timed, 1, 0] } },
+        completionMs: { $sum: { $cond: [timed, { $subtract: ['$completedAt', '$dateCreated'] }, 0] } }
+    };
+}
+
+// turn counters() output into the numbers clients see
+function summary(g) {
+    return {
+        total: g.total,
+        open: g.total - g.completed,
+        completed: g.completed,
+        overdue: g.overdue,
+        completedOnTime: g.completedOnTime,
+        completionRate: g.total ? round(g.completed / g.total) : null,
+        onTimeRate: g.timed ? round(g.completedOnTime / g.timed) : null,
+        avgCompletionHours: g.timed ? round(g.completionMs / g.timed / HOUR_MS) : null
+    };
+}
+
+function round(n) {
+    return Math.round(n * 100) / 100;
+}
+
+// { period, count } for every period in which field falls, oldest first
+function perPeriod(field, opts) {
+    return [
+        { $group: { _id: { $dateToString: { date: '$' + field, format: INTERVALS[opts.interval], timezone: opts.timezone } }, count: { $sum: 1 } } },
+        { $sort: { _id: 1 } },
+        { $project: { _id: 0, period: '$_id', count: 1 } }
+    ];
+}
+
+/*
+ * Task statistics for the tasks matching where (a compiled where clause, see
+ * lib/query.js) in one aggregation. Totals, per-user numbers and overdue
+ * tasks cover tasks created within opts.from/opts.to; the timeline counts
+ * tasks created and completed within it. Trashed tasks are left out.
+ */
+async function taskStats(where, opts) {
+    var now = new Date();
+    var created = inRange('dateCreated', opts);
+    var completed = Object.assign({ completedAt: { $ne: null } }, inRange('completedAt', opts));
+    var overdue = Object.assign({ completed: false, deadline: { $lt: now } }, created);
+
+    var facets = await store.tasks.aggregate([
+        // aggregations skip the soft-delete query hooks
+        { $match: { $and: [where, { deletedAt: null }] } },
+        {
+            $facet: {
+                totals: [{ $match: created }, { $group: Object.assign({ _id: null }, counters(now)) }],
+                users: [
+                    { $match: created },
+                    // oldest first, so $last is the name on the user's newest task
+                    { $sort: { dateCreated: 1, _id: 1 } },
+                    { $group: Object.assign({ _id: '$assignedUser', userName: { $last: '$assignedUserName' } }, counters(now)) },
+                    { $sort: { total: -1, _id: 1 } }
+                ],
+                overdue: [{ $match: overdue }].concat(perPeriod('deadline', opts)),
+                created: [{ $match: created }].concat(perPeriod('dateCreated', opts)),
+                completed: [{ $match: completed }].concat(perPeriod('completedAt', opts))
+            }
+        }
+    ]);
+    var f = facets[0];
+    var totals = f.totals[0] || { total: 0, completed: 0, overdue: 0, completedOnTime: 0, timed: 0, completionMs: 0 };
+
+    return {
+        range: { from: opts.from, to: opts.to },
+        totals: summary(totals),
+        users: f.users.map(function (u) {
+            // '' groups the unassigned tasks
+            return Object.assign({ userId: u._id, userName: u._id ? u.userName : 'unassigned' }, summary(u));
+        }),
+        overdueByDeadline: f.overdue,
+        timeline: { interval: opts.interval, timezone: opts.timezone, created: f.created, completed: f.completed }
+    };
+}
+
+module.exports = {
+    INTERVALS: INTERVALS,
+    options: options,
+    taskStats: taskStats
+};
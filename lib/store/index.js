@@ -0,0 +1,97 @@
+/*
+ * The data-access layer between the routes and storage. Each repository
+ * (store.tasks, store.users, ...) reads and writes one model's documents
+ * through the selected backend:
+ *  - mongo: MongoDB through Mongoose (lib/store/mongo.js)
+ *  - memory: plain objects in this process (lib/store/memory.js), for tests
+ *    and offline development; nothing survives a restart
+ * STORAGE picks one; without it the store is mongo when MONGODB_URI is set
+ * and memory when it is not. Both backends take the same filters, options
+ * and updates and run the models' middleware; lib/store/mongo.js describes
+ * the repository interface.
+ */
+var metrics = require('../metrics');
+
+var BACKENDS = {
+    mongo: './mongo',
+    memory: './memory'
+};
+
+// repository name -> model file; models load on first use so they may require lib modules that use the store
+var REPOSITORIES = {
+    tasks: 'task',
+    users: 'user',
+    projects: 'project',
+    notifications: 'notification',
+    webhooks: 'webhook',
+    deliveries: 'delivery',
+    auditEntries: 'audit',
+    comments: 'comment',
+    attachments: 'attachment'
+};
+
+// the repository methods timed in db_operation_duration_seconds (lib/metrics.js)
+var TIMED = ['find', 'findOne', 'findById', 'count', 'search', 'aggregate', 'save', 'insertMany',
+    'updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany', 'replace'];
+
+var backend = null;
+// model name -> the timed repository, for the current backend
+var timed = {};
+
+// the backend the environment asks for
+function configured() {
+    return process.env.STORAGE || (process.env.MONGODB_URI ? 'mongo' : 'memory');
+}
+
+// switch to a fresh instance of the named backend (an empty one, for memory)
+function use(name) {
+    if (!BACKENDS[name]) throw new Error('Unknown STORAGE ' + name + ': use mongo or memory');
+    backend = require(BACKENDS[name])();
+    timed = {};
+    return backend;
+}
+
+function current() {
+    return backend || use(configured());
+}
+
+// repository with every operation timed
+function withTimings(repository, storeName, modelName) {
+    var wrapped = Object.create(repository);
+    TIMED.forEach(function (operation) {
+        wrapped[operation] = function () {
+            var labels = { store: storeName, model: modelName, operation: operation };
+            return metrics.timeOperation(labels, repository[operation].apply(repository, arguments));
+        };
+    });
+    return wrapped;
+}
+
+// the repository for Model's documents
+function of(Model) {
+    var b = current();
+    if (!timed[Model.modelName]) timed[Model.modelName] = withTimings(b.repository(Model), b.name, Model.modelName);
+    return timed[Model.modelName];
+}
+
+module.exports = {
+    configured: configured,
+    use: use,
+    of: of,
+    // 'mongo' or 'memory'
+    name: function () { return current().name; },
+    connect: function (uri) { return current().connect(uri); },
+    disconnect: function () { return current().disconnect(); },
+    // connected, connecting, disconnecting or disconnected (always connected for memory)
+    connectionState: function () { return current().connectionState(); },
+    // whether writes can run in a multi-document transaction (lib/transaction.js)
+    supportsTransactions: function () { return current().supportsTransactions(); },
+    startSession: function () { return current().startSession(); }
+};
+
+Object.keys(REPOSITORIES).forEach(function (name) {
+    Object.defineProperty(module.exports, name, {
+        enumerable: true,
+        get: function () { return of(require('../../models/' + REPOSITORIES[name])); }
+    });
+});
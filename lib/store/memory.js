@@ -0,0 +1,647 @@
+/*
+ * In-memory storage backend, for tests and offline development: each
+ * model's documents are plain objects in an array. It keeps to what the
+ * MongoDB backend does where the routes can tell:
+ *  - the model's middleware runs: validation and save hooks on save, and
+ *    query hooks (soft deletes, version bumps, the audit log's append-only
+ *    guard) on reads and updates
+ *  - filters are cast by the schema and matched by lib/match.js; sorts
+ *    follow MongoDB's order of types; select, skip and limit work the same
+ *  - updates take $set, $unset, $inc, $push, $addToSet, $pull and $pullAll,
+ *    with the positional $ operator
+ *  - unique indexes are enforced (error code 11000)
+ * Text search ranks with lib/search.js's crude stemmer rather than
+ * MongoDB's, and aggregate() is not available. Nothing survives a restart.
+ */
+var mongoose = require('mongoose');
+var match = require('../match');
+var search = require('../search');
+
+// a copy of a value to store or hand out; ObjectIds are immutable and shared
+function copy(v) {
+    if (v === null || typeof v !== 'object') return v;
+    if (v instanceof Date) return new Date(v.getTime());
+    if (v._bsontype) return v;
+    if (Buffer.isBuffer(v)) return Buffer.from(v);
+    // Mongoose arrays and subdocuments
+    if (typeof v.toObject === 'function') return copy(v.toObject({ depopulate: true, transform: false, virtuals: false }));
+    if (Array.isArray(v)) return v.map(copy);
+    var out = {};
+    Object.keys(v).forEach(function (k) {
+        if (v[k] !== undefined) out[k] = copy(v[k]);
+    });
+    return out;
+}
+
+function isPlainObject(v) {
+    return v !== null && typeof v === 'object' && !Array.isArray(v) && !(v instanceof Date) && !v._bsontype;
+}
+
+function notAvailable(what) {
+    var err = new Error(what + ' is not available with the in-memory store');
+    err.status = 501;
+    return err;
+}
+
+function duplicateKey(Model, fields, doc) {
+    var key = {};
+    fields.forEach(function (f) { key[f] = match.valueAt(doc, f); });
+    var err = new Error('E11000 duplicate key error collection: ' + Model.collection.collectionName + ' dup key: ' + JSON.stringify(key));
+    err.name = 'MongoError';
+    err.code = 11000;
+    err.keyValue = key;
+    return err;
+}
+
+// run the model's pre or post middleware for name with context as this
+function hooks(Model, when, name, context, args) {
+    return new Promise(function (resolve, reject) {
+        var done = function (err) {
+            if (err) reject(err);
+            else resolve();
+        };
+        if (when === 'pre') Model.hooks.execPre(name, context, args || [], done);
+        else Model.hooks.execPost(name, context, args || [], done);
+    });
+}
+
+/*
+ * Run op's query middleware over a query holding filter and update, the
+ * way Mongoose would before sending it. Resolves with the filter cast to
+ * the schema and the update as the middleware left it.
+ */
+async function prepare(Model, op, filter, update, opts) {
+    var q = Model.find(filter || {});
+    if (update) q.setUpdate(Object.assign({}, update));
+    if (opts && opts.withDeleted) q.setOptions({ withDeleted: true });
+    await hooks(Model, 'pre', op, q);
+    return { filter: q.cast(Model), update: q.getUpdate() };
+}
+
+// collation at strength 1 or 2 compares strings case-insensitively
+function caseInsensitive(opts) {
+    return !!(opts && opts.collation && opts.collation.strength <= 2);
+}
+
+function lower(v) {
+    if (typeof v === 'string') return v.toLowerCase();
+    if (Array.isArray(v)) return v.map(lower);
+    if (!isPlainObject(v)) return v;
+    var out = {};
+    Object.keys(v).forEach(function (k) { out[k] = k === '$regex' ? v[k] : lower(v[k]); });
+    return out;
+}
+
+// MongoDB sorts values of different types in this order
+function typeRank(v) {
+    if (v === null || v === undefined) return 0;
+    if (typeof v === 'number') return 1;
+    if (typeof v === 'string') return 2;
+    if (v._bsontype) return 5;
+    if (typeof v === 'boolean') return 6;
+    if (v instanceof Date) return 7;
+    return 3;
+}
+
+function compareValues(a, b, ci) {
+    var ra = typeRank(a);
+    var rb = typeRank(b);
+    if (ra !== rb) return ra - rb;
+    if (ra === 0) return 0;
+    if (ra === 2 && ci) {
+        a = a.toLowerCase();
+        b = b.toLowerCase();
+    } else if (ra === 5) {
+        a = a.toString();
+        b = b.toString();
+    } else if (ra === 7) {
+        a = a.getTime();
+        b = b.getTime();
+    } else if (ra === 3) {
+        a = JSON.stringify(a);
+        b = JSON.stringify(b);
+    }
+    return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+// { name: 1, deadline: -1 }, 'name -deadline' or [['name', 1]] -> [[field, 1|-1], ...]
+function sortPairs(sort) {
+    if (Array.isArray(sort)) return sort;
+    if (typeof sort === 'string') {
+        return sort.split(/\s+/).filter(Boolean).map(function (f) {
+            return f[0] === '-' ? [f.slice(1), -1] : [f.replace(/^\+/, ''), 1];
+        });
+    }
+    return Object.keys(sort || {}).map(function (f) {
+        var v = sort[f];
+        return [f, (v === -1 || v === '-1' || v === 'desc' || v === 'descending') ? -1 : 1];
+    });
+}
+
+// an array sorts by its smallest element going up and its largest going down
+function sortValue(doc, field, direction, ci) {
+    var v = match.valueAt(doc, field);
+    if (!Array.isArray(v)) return v;
+    if (v.length === 0) return undefined;
+    return v.reduce(function (best, e) {
+        return compareValues(e, best, ci) * direction > 0 ? best : e;
+    });
+}
+
+function sorted(docs, sort, ci) {
+    var pairs = sortPairs(sort);
+    if (pairs.length === 0) return docs;
+    // Array#sort is stable, so ties keep insertion order like MongoDB's natural order
+    return docs.slice().sort(function (a, b) {
+        for (var i = 0; i < pairs.length; i++) {
+            var f = pairs[i][0];
+            var dir = pairs[i][1];
+            var c = compareValues(sortValue(a, f, dir, ci), sortValue(b, f, dir, ci), ci);
+            if (c !== 0) return c * dir;
+        }
+        return 0;
+    });
+}
+
+/*
+ * The projection for a select ('name -description +password' or
+ * { name: 1 }) as the object Mongoose takes, or null for whole documents.
+ * Fields the schema hides (select: false) are left out unless asked for.
+ */
+function projectionOf(Model, select) {
+    var fields = {};
+    var forced = [];
+    if (typeof select === 'string') {
+        select.split(/\s+/).filter(Boolean).forEach(function (t) {
+            if (t[0] === '+') forced.push(t.slice(1));
+            else if (t[0] === '-') fields[t.slice(1)] = 0;
+            else fields[t] = 1;
+        });
+    } else if (isPlainObject(select)) {
+        Object.keys(select).forEach(function (k) {
+            var v = select[k];
+            fields[k] = (v === 0 || v === '0' || v === false) ? 0 : 1;
+        });
+    }
+    // { _id: 1 } alone is an inclusion too
+    var inclusive = Object.keys(fields).some(function (k) { return fields[k] === 1; });
+    Object.keys(Model.schema.paths).forEach(function (p) {
+        if (Model.schema.paths[p].options.select !== false) return;
+        if (forced.indexOf(p) !== -1) {
+            if (inclusive) fields[p] = 1;
+        } else if (!inclusive && !(p in fields)) {
+            fields[p] = 0;
+        }
+    });
+    return Object.keys(fields).length > 0 ? fields : null;
+}
+
+function project(obj, fields) {
+    if (!fields) return obj;
+    var inclusive = Object.keys(fields).some(function (k) { return fields[k] === 1; });
+    var out = inclusive ? {} : obj;
+    Object.keys(fields).forEach(function (f) {
+        if (inclusive && fields[f] === 1 && obj[f] !== undefined) out[f] = obj[f];
+        else if (!inclusive && fields[f] === 0) delete out[f];
+    });
+    if (inclusive && fields._id !== 0) out._id = obj._id;
+    if (inclusive && fields._id === 0) delete out._id;
+    return out;
+}
+
+// the parent object and last key of a dotted path, creating objects on the way
+function locate(doc, path, create) {
+    var parts = path.split('.');
+    var target = doc;
+    for (var i = 0; i < parts.length - 1; i++) {
+        var next = target[parts[i]];
+        if (next === null || next === undefined) {
+            if (!create) return null;
+            next = target[parts[i]] = /^\d+$/.test(parts[i + 1]) ? [] : {};
+        }
+        if (typeof next !== 'object') return null;
+        target = next;
+    }
+    return { parent: target, key: parts[parts.length - 1] };
+}
+
+/*
+ * Replace the positional $ in path with the index of the first element of
+ * its array that filter's conditions on that array match.
+ */
+function resolvePositional(doc, path, filter) {
+    var at = path.indexOf('.$');
+    if (at === -1) return path;
+    var field = path.slice(0, at);
+    var array = match.valueAt(doc, field);
+    var conditions = [];
+    Object.keys(filter).forEach(function (k) {
+        if (k === field && isPlainObject(filter[k]) && filter[k].$elemMatch) conditions.push(filter[k].$elemMatch);
+        else if (k.indexOf(field + '.') === 0) {
+            var c = {};
+            c[k.slice(field.length + 1)] = filter[k];
+            conditions.push(c);
+        }
+    });
+    var index = Array.isArray(array) ? array.findIndex(function (e) {
+        return conditions.every(function (c) { return match.matches(e, c); });
+    }) : -1;
+    if (index === -1) throw new Error('The positional operator did not find the match needed from the query.');
+    return field + '.' + index + path.slice(at + 2);
+}
+
+function each(v) {
+    return isPlainObject(v) && Array.isArray(v.$each) ? v.$each : [v];
+}
+
+// whether an array element is one a $pull condition removes
+function pulled(elem, cond) {
+    if (!isPlainObject(cond)) return match.same(elem, cond);
+    var operators = Object.keys(cond).every(function (k) { return k[0] === '$'; });
+    if (operators) return match.matches({ v: elem }, { v: cond });
+    return isPlainObject(elem) && match.matches(elem, cond);
+}
+
+// cast a value set on a top-level path the way Mongoose would
+function castValue(Model, path, value) {
+    var type = Model.schema.path(path);
+    if (!type || value === null || value === undefined) return copy(value);
+    if (['String', 'Number', 'Date', 'Boolean', 'ObjectID'].indexOf(type.instance) === -1) return copy(value);
+    return type.cast(value);
+}
+
+/*
+ * Apply a MongoDB update to doc in place. filter is the query's, for the
+ * positional operator. Returns whether anything changed.
+ */
+function applyUpdate(Model, doc, update, filter) {
+    var before = JSON.stringify(doc);
+    var ops = {};
+    Object.keys(update).forEach(function (k) {
+        if (k[0] === '$') ops[k] = update[k];
+        else {
+            ops.$set = ops.$set || {};
+            ops.$set[k] = update[k];
+        }
+    });
+    // resolve every $ first, as MongoDB does, so an earlier $set of the
+    // matched element cannot stop the later paths from finding it
+    var paths = {};
+    Object.keys(ops).forEach(function (op) {
+        Object.keys(ops[op]).forEach(function (rawPath) {
+            paths[rawPath] = resolvePositional(doc, rawPath, filter);
+        });
+    });
+    Object.keys(ops).forEach(function (op) {
+        Object.keys(ops[op]).forEach(function (rawPath) {
+            var arg = ops[op][rawPath];
+            var path = paths[rawPath];
+            var loc = locate(doc, path, op !== '$unset' && op !== '$pull' && op !== '$pullAll');
+            if (!loc) return;
+            var current = loc.parent[loc.key];
+            switch (op) {
+                case '$set':
+                    loc.parent[loc.key] = path.indexOf('.') === -1 ? castValue(Model, path, arg) : copy(arg);
+                    break;
+                case '$unset':
+                    delete loc.parent[loc.key];
+                    break;
+                case '$inc':
+                    loc.parent[loc.key] = (current || 0) + arg;
+                    break;
+                case '$push':
+                    loc.parent[loc.key] = (current || []).concat(each(arg).map(copy));
+                    break;
+                case '$addToSet':
+                    var set = (current || []).slice();
+                    each(arg).forEach(function (v) {
+                        if (!set.some(function (e) { return match.same(e, v); })) set.push(copy(v));
+                    });
+                    loc.parent[loc.key] = set;
+                    break;
+                case '$pull':
+                    if (Array.isArray(current)) loc.parent[loc.key] = current.filter(function (e) { return !pulled(e, arg); });
+                    break;
+                case '$pullAll':
+                    if (Array.isArray(current)) {
+                        loc.parent[loc.key] = current.filter(function (e) {
+                            return !arg.some(function (v) { return match.same(e, v); });
+                        });
+                    }
+                    break;
+                default:
+                    throw new Error('Unsupported update operator ' + op);
+            }
+        });
+    });
+    return JSON.stringify(doc) !== before;
+}
+
+// the weighted fields of Model's text index, or null
+function textFields(Model) {
+    var index = Model.schema.indexes().filter(function (i) {
+        return Object.keys(i[0]).some(function (f) { return i[0][f] === 'text'; });
+    })[0];
+    if (!index) return null;
+    var weights = {};
+    Object.keys(index[0]).forEach(function (f) {
+        if (index[0][f] === 'text') weights[f] = (index[1].weights && index[1].weights[f]) || 1;
+    });
+    return weights;
+}
+
+// a $text search string as the roots of its terms and -negated terms, and its "phrases"
+function parseText(text) {
+    var phrases = (text.match(/"[^"]*"/g) || []).map(function (p) { return p.slice(1, -1).toLowerCase(); }).filter(Boolean);
+    var negated = [];
+    text.replace(/"[^"]*"/g, ' ').split(/\s+/).forEach(function (t) {
+        if (t[0] === '-') negated = negated.concat(search.words(t).map(search.root));
+    });
+    return { roots: search.searchTerms(text), negated: negated, phrases: phrases };
+}
+
+// relevance of doc to a parsed search: its matching words weighted by field, 0 for no match
+function textScore(doc, weights, query) {
+    var score = 0;
+    var fields = Object.keys(weights);
+    var all = fields.map(function (f) { return typeof doc[f] === 'string' ? doc[f] : ''; }).join(' ').toLowerCase();
+    if (query.phrases.some(function (p) { return all.indexOf(p) === -1; })) return 0;
+    for (var i = 0; i < fields.length; i++) {
+        var words = search.words(doc[fields[i]]);
+        var matched = 0;
+        for (var j = 0; j < words.length; j++) {
+            var r = search.root(words[j]);
+            if (query.negated.indexOf(r) !== -1) return 0;
+            if (query.roots.indexOf(r) !== -1) matched++;
+        }
+        if (words.length > 0) score += weights[fields[i]] * (matched / words.length + (matched > 0 ? 0.5 : 0));
+    }
+    return score;
+}
+
+function Repository(Model) {
+    this.Model = Model;
+    this.docs = [];
+    this.unique = [['_id']].concat(Model.schema.indexes().filter(function (i) {
+        return i[1] && i[1].unique;
+    }).map(function (i) { return Object.keys(i[0]); }));
+}
+
+// stored documents matching a cast filter
+Repository.prototype.matching = function (filter, opts) {
+    if (caseInsensitive(opts)) {
+        var f = lower(filter);
+        return this.docs.filter(function (d) { return match.matches(lower(d), f); });
+    }
+    return this.docs.filter(function (d) { return match.matches(d, filter); });
+};
+
+Repository.prototype.indexOf = function (id) {
+    var key = id.toString();
+    return this.docs.findIndex(function (d) { return d._id.toString() === key; });
+};
+
+// throw a duplicate key error if doc would break a unique index; self is the stored version of doc
+Repository.prototype.checkUnique = function (doc, self) {
+    var Model = this.Model;
+    var docs = this.docs;
+    this.unique.forEach(function (fields) {
+        var clash = docs.some(function (d) {
+            return d !== self && fields.every(function (f) { return match.same(match.valueAt(d, f), match.valueAt(doc, f)); });
+        });
+        if (clash) throw duplicateKey(Model, fields, doc);
+    });
+};
+
+// a stored document as a read returns it
+Repository.prototype.output = function (raw, opts) {
+    var fields = projectionOf(this.Model, opts.select);
+    var obj = project(copy(raw), fields);
+    return opts.lean ? obj : this.Model.hydrate(obj, fields || undefined);
+};
+
+Repository.prototype.read = async function (op, filter, opts) {
+    var p = await prepare(this.Model, op, filter, null, opts);
+    var docs = this.matching(p.filter, opts);
+    if (opts.sort) docs = sorted(docs, opts.sort, caseInsensitive(opts));
+    var skip = opts.skip || 0;
+    return docs.slice(skip, opts.limit ? skip + opts.limit : undefined);
+};
+
+Repository.prototype.find = async function (filter, opts) {
+    opts = opts || {};
+    var self = this;
+    var docs = await this.read('find', filter, opts);
+    return docs.map(function (d) { return self.output(d, opts); });
+};
+
+Repository.prototype.findOne = async function (filter, opts) {
+    opts = Object.assign({}, opts, { limit: 1 });
+    var docs = await this.read('findOne', filter, opts);
+    return docs.length > 0 ? this.output(docs[0], opts) : null;
+};
+
+Repository.prototype.findById = function (id, opts) {
+    if (id === null || id === undefined) return Promise.resolve(null);
+    return this.findOne({ _id: id }, opts);
+};
+
+Repository.prototype.count = async function (filter, opts) {
+    var p = await prepare(this.Model, 'countDocuments', filter, null, opts);
+    return this.matching(p.filter, opts || {}).length;
+};
+
+Repository.prototype.cursor = function (filter, opts) {
+    var docs = null;
+    var i = 0;
+    var self = this;
+    return {
+        next: async function () {
+            if (docs === null) docs = await self.find(filter, opts);
+            return i < docs.length ? docs[i++] : null;
+        },
+        close: function () {
+            docs = [];
+            return Promise.resolve();
+        }
+    };
+};
+
+Repository.prototype.search = async function (text, filter, opts) {
+    opts = opts || {};
+    var weights = textFields(this.Model);
+    if (!weights) throw new Error('text index required for $text query');
+    var query = parseText(text);
+    var p = await prepare(this.Model, 'find', filter, null, opts);
+    var scored = this.matching(p.filter, opts).map(function (d) {
+        return { doc: d, score: textScore(d, weights, query) };
+    }).filter(function (s) { return s.score > 0; });
+    scored.sort(function (a, b) {
+        return (b.score - a.score) || compareValues(a.doc._id, b.doc._id);
+    });
+    var skip = opts.skip || 0;
+    var page = scored.slice(skip, opts.limit ? skip + opts.limit : undefined);
+    var self = this;
+    return {
+        docs: page.map(function (s) {
+            var d = self.output(s.doc, { select: opts.select, lean: true });
+            d.score = s.score;
+            return d;
+        }),
+        total: scored.length
+    };
+};
+
+Repository.prototype.aggregate = function () {
+    return Promise.reject(notAvailable('aggregate()'));
+};
+
+Repository.prototype.save = async function (doc) {
+    var Model = this.Model;
+    var versionKey = Model.schema.options.versionKey;
+    if (doc.isNew && versionKey && doc.get(versionKey) === undefined) doc.set(versionKey, 0);
+    await hooks(Model, 'pre', 'save', doc, [{}]);
+    var raw = copy(doc);
+
+    if (doc.isNew) {
+        this.checkUnique(raw, null);
+        this.docs.push(raw);
+    } else {
+        var index = this.indexOf(doc._id);
+        if (index === -1) throw new mongoose.Error.DocumentNotFoundError({ _id: doc._id }, Model.modelName, 0, {});
+        var stored = this.docs[index];
+        var optimistic = versionKey && Model.schema.options.optimisticConcurrency && doc.get(versionKey) !== undefined;
+        if (optimistic && stored[versionKey] !== doc.get(versionKey)) {
+            throw new mongoose.Error.VersionError(doc, doc.get(versionKey), doc.modifiedPaths());
+        }
+        // write only what changed: doc may have been read with a projection
+        var paths = doc.modifiedPaths().filter(function (p) { return p.indexOf('.') === -1; });
+        if (paths.length > 0) {
+            var next = Object.assign({}, stored);
+            paths.forEach(function (p) {
+                if (raw[p] === undefined) delete next[p];
+                else next[p] = raw[p];
+            });
+            if (optimistic) next[versionKey] = (stored[versionKey] || 0) + 1;
+            this.checkUnique(next, stored);
+            this.docs[index] = next;
+            if (optimistic) doc.set(versionKey, next[versionKey]);
+        }
+    }
+    doc.isNew = false;
+    doc.$__reset();
+    await hooks(Model, 'post', 'save', doc, [doc]);
+    return doc;
+};
+
+Repository.prototype.insertMany = async function (docs) {
+    var Model = this.Model;
+    var versionKey = Model.schema.options.versionKey;
+    var out = [];
+    for (var i = 0; i < docs.length; i++) {
+        var doc = docs[i] instanceof Model ? docs[i] : new Model(docs[i]);
+        if (versionKey && doc.get(versionKey) === undefined) doc.set(versionKey, 0);
+        await doc.validate();
+        var raw = copy(doc);
+        this.checkUnique(raw, null);
+        this.docs.push(raw);
+        doc.isNew = false;
+        doc.$__reset();
+        out.push(doc);
+    }
+    return out;
+};
+
+Repository.prototype.update = async function (op, filter, update, opts, multi) {
+    var p = await prepare(this.Model, op, filter, update, opts);
+    var targets = this.matching(p.filter, opts || {});
+    if (!multi) targets = targets.slice(0, 1);
+    var modified = 0;
+    for (var i = 0; i < targets.length; i++) {
+        if (this.write(targets[i], p.update, p.filter)) modified++;
+    }
+    return { matched: targets.length, modified: modified };
+};
+
+// apply update to the stored document raw, replacing it; returns whether it changed
+Repository.prototype.write = function (raw, update, filter) {
+    var next = copy(raw);
+    if (!applyUpdate(this.Model, next, update, filter)) return false;
+    this.checkUnique(next, raw);
+    this.docs[this.docs.indexOf(raw)] = next;
+    return next;
+};
+
+Repository.prototype.updateOne = function (filter, update, opts) {
+    return this.update('updateOne', filter, update, opts, false);
+};
+
+Repository.prototype.updateMany = function (filter, update, opts) {
+    return this.update('updateMany', filter, update, opts, true);
+};
+
+Repository.prototype.findOneAndUpdate = async function (filter, update, opts) {
+    opts = opts || {};
+    var p = await prepare(this.Model, 'findOneAndUpdate', filter, update, opts);
+    var found = this.matching(p.filter, opts);
+    if (opts.sort) found = sorted(found, opts.sort, caseInsensitive(opts));
+    if (found.length === 0) return null;
+    var after = this.write(found[0], p.update, p.filter) || found[0];
+    return this.output(opts.new ? after : found[0], opts);
+};
+
+Repository.prototype.remove = async function (op, filter, opts, multi) {
+    opts = opts || {};
+    var cast = filter;
+    if (!opts.raw) cast = (await prepare(this.Model, op, filter, null, opts)).filter;
+    var targets = this.matching(cast, opts);
+    if (!multi) targets = targets.slice(0, 1);
+    this.docs = this.docs.filter(function (d) { return targets.indexOf(d) === -1; });
+    return { deleted: targets.length };
+};
+
+Repository.prototype.deleteOne = function (filter, opts) {
+    return this.remove('deleteOne', filter, opts, false);
+};
+
+Repository.prototype.deleteMany = function (filter, opts) {
+    return this.remove('deleteMany', filter, opts, true);
+};
+
+Repository.prototype.replace = function (docs) {
+    var self = this;
+    docs.forEach(function (d) {
+        var index = self.indexOf(d._id);
+        if (index === -1) self.docs.push(copy(d));
+        else self.docs[index] = copy(d);
+    });
+    return Promise.resolve();
+};
+
+module.exports = function memory() {
+    var repositories = {};
+
+    return {
+        name: 'memory',
+        repository: function (Model) {
+            if (!repositories[Model.modelName]) repositories[Model.modelName] = new Repository(Model);
+            return repositories[Model.modelName];
+        },
+        connect: function () {
+            return Promise.resolve();
+        },
+        disconnect: function () {
+            return Promise.resolve();
+        },
+        connectionState: function () {
+            return 'connected';
+        },
+        // writes are undone by lib/transaction.js's rollback instead
+        supportsTransactions: function () {
+            return Promise.resolve(false);
+        },
+        startSession: function () {
+            return Promise.reject(notAvailable('Transactions'));
+        }
+    };
+};
@@ -0,0 +1,181 @@
+/*
+ * MongoDB storage backend: repositories are thin wrappers around the
+ * Mongoose models. The repository interface both backends implement:
+ *
+ *   find(filter, opts)              documents matching filter
+ *   findOne(filter, opts)           the first one, or null
+ *   findById(id, opts)
+ *   count(filter, opts)
+ *   cursor(filter, opts)            { next(), close() } over the matches, for streaming
+ *   search(text, filter, opts)      $text search: { docs, total }, docs lean with a score, best first
+ *   aggregate(pipeline)
+ *   save(doc, opts)                 insert or update a document, running its validation and save hooks
+ *   insertMany(docs, opts)
+ *   updateOne(filter, update, opts) { matched, modified }
+ *   updateMany(filter, update, opts)
+ *   findOneAndUpdate(filter, update, opts)   the document before the update, or after it with opts.new
+ *   deleteOne(filter, opts)         { deleted }
+ *   deleteMany(filter, opts)
+ *   replace(docs, opts)             write raw documents back as they are, inserting missing ones (rollbacks)
+ *
+ * opts may hold select, sort, skip, limit and collation for reads; lean for
+ * plain objects instead of documents; withDeleted to include trashed
+ * documents (lib/softDelete.js); session to join a transaction; and raw on
+ * deleteMany to bypass the model's middleware.
+ */
+var mongoose = require('mongoose');
+
+mongoose.set('useFindAndModify', false);
+
+// the Mongoose query options in opts
+function queryOptions(Model, opts) {
+    var o = {};
+    if (opts.session) o.session = opts.session;
+    // only the soft delete hooks know withDeleted; the driver would reject it
+    if (opts.withDeleted && Model.schema.path('deletedAt')) o.withDeleted = true;
+    return o;
+}
+
+function sessionOptions(opts) {
+    return opts.session ? { session: opts.session } : {};
+}
+
+function shape(q, opts) {
+    if (opts.select) q = q.select(opts.select);
+    if (opts.sort) q = q.sort(opts.sort);
+    if (opts.skip) q = q.skip(opts.skip);
+    if (opts.limit) q = q.limit(opts.limit);
+    if (opts.collation) q = q.collation(opts.collation);
+    if (opts.lean) q = q.lean();
+    return q;
+}
+
+function writeResult(r) {
+    return { matched: r.n, modified: r.nModified };
+}
+
+function Repository(Model) {
+    this.Model = Model;
+}
+
+Repository.prototype.find = function (filter, opts) {
+    opts = opts || {};
+    return shape(this.Model.find(filter, null, queryOptions(this.Model, opts)), opts).exec();
+};
+
+Repository.prototype.findOne = function (filter, opts) {
+    opts = opts || {};
+    return shape(this.Model.findOne(filter, null, queryOptions(this.Model, opts)), opts).exec();
+};
+
+Repository.prototype.findById = function (id, opts) {
+    opts = opts || {};
+    return shape(this.Model.findById(id, null, queryOptions(this.Model, opts)), opts).exec();
+};
+
+Repository.prototype.count = function (filter, opts) {
+    return this.Model.countDocuments(filter).setOptions(queryOptions(this.Model, opts || {})).exec();
+};
+
+Repository.prototype.cursor = function (filter, opts) {
+    opts = opts || {};
+    return shape(this.Model.find(filter, null, queryOptions(this.Model, opts)), opts).cursor();
+};
+
+Repository.prototype.search = async function (text, filter, opts) {
+    opts = opts || {};
+    var q = { $and: [{ $text: { $search: text, $language: opts.language } }, filter || {}] };
+    var score = { score: { $meta: 'textScore' } };
+    var find = this.Model.find(q, opts.select || {}).select(score).sort({ score: { $meta: 'textScore' }, _id: 1 });
+    var docs = await find.skip(opts.skip || 0).limit(opts.limit || 0).lean();
+    var total = await this.Model.countDocuments(q);
+    return { docs: docs, total: total };
+};
+
+Repository.prototype.aggregate = function (pipeline) {
+    return this.Model.aggregate(pipeline).exec();
+};
+
+Repository.prototype.save = function (doc, opts) {
+    return doc.save(sessionOptions(opts || {}));
+};
+
+Repository.prototype.insertMany = function (docs, opts) {
+    return this.Model.insertMany(docs, sessionOptions(opts || {}));
+};
+
+Repository.prototype.updateOne = function (filter, update, opts) {
+    return this.Model.updateOne(filter, update, queryOptions(this.Model, opts || {})).exec().then(writeResult);
+};
+
+Repository.prototype.updateMany = function (filter, update, opts) {
+    return this.Model.updateMany(filter, update, queryOptions(this.Model, opts || {})).exec().then(writeResult);
+};
+
+Repository.prototype.findOneAndUpdate = function (filter, update, opts) {
+    opts = opts || {};
+    var o = Object.assign(queryOptions(this.Model, opts), { new: !!opts.new });
+    return shape(this.Model.findOneAndUpdate(filter, update, o), opts).exec();
+};
+
+Repository.prototype.deleteOne = function (filter, opts) {
+    return this.Model.deleteOne(filter, queryOptions(this.Model, opts || {})).exec().then(function (r) {
+        return { deleted: r.deletedCount };
+    });
+};
+
+Repository.prototype.deleteMany = function (filter, opts) {
+    opts = opts || {};
+    var done = opts.raw ?
+        this.Model.collection.deleteMany(filter, sessionOptions(opts)) :
+        this.Model.deleteMany(filter, queryOptions(this.Model, opts)).exec();
+    return done.then(function (r) { return { deleted: r.deletedCount }; });
+};
+
+Repository.prototype.replace = function (docs, opts) {
+    if (docs.length === 0) return Promise.resolve();
+    return this.Model.bulkWrite(docs.map(function (d) {
+        return { replaceOne: { filter: { _id: d._id }, replacement: d, upsert: true } };
+    }), sessionOptions(opts || {}));
+};
+
+module.exports = function mongo() {
+    var repositories = {};
+    // null until we have asked the connected server whether it can run transactions
+    var transactionsSupported = null;
+
+    return {
+        name: 'mongo',
+        repository: function (Model) {
+            if (!repositories[Model.modelName]) repositories[Model.modelName] = new Repository(Model);
+            return repositories[Model.modelName];
+        },
+        connect: function (uri) {
+            return mongoose.connect(uri, { useNewUrlParser: true, useUnifiedTopology: true });
+        },
+        disconnect: function () {
+            return mongoose.disconnect();
+        },
+        // connected, connecting, disconnecting or disconnected
+        connectionState: function () {
+            return mongoose.STATES[mongoose.connection.readyState];
+        },
+        // Multi-document transactions need a replica set or a sharded cluster
+        supportsTransactions: function () {
+            if (process.env.MONGODB_TRANSACTIONS === 'off') return Promise.resolve(false);
+            if (transactionsSupported !== null) return Promise.resolve(transactionsSupported);
+
+            var db = mongoose.connection.db;
+            if (!db) return Promise.resolve(false);
+            return db.admin().command({ isMaster: 1 }).then(function (info) {
+                transactionsSupported = !!(info.setName || info.msg === 'isdbgrid');
+                return transactionsSupported;
+            }).catch(function () {
+                return false;
+            });
+        },
+        startSession: function () {
+            return mongoose.startSession();
+        }
+    };
+};
@@ -0,0 +1,170 @@
+var store = require('./store');
+var audit = require('./audit');
+var events = require('./events');
+var logger = require('./logger');
+
+/*
+ * Handle passed to the unit of work. Writes take tx.opts() so they join the
+ * session, and must be preceded by tx.snapshot() (or followed by tx.created())
+ * so they can be undone without a session and audited either way.
+ */
+function Transaction(session) {
+    this.session = session || null;
+    this.undo = [];
+    // state of every touched document before the first write, keyed by model and id
+    this.before = {};
+}
+
+// query/save options that bind a write to the session, if there is one
+Transaction.prototype.opts = function (extra) {
+    var o = Object.assign({}, extra);
+    if (this.session) o.session = this.session;
+    return o;
+};
+
+// read matching documents including fields the schema hides by default (e.g. password) and trashed ones
+function findFull(Model, filter, opts) {
+    var hidden = Object.keys(Model.schema.paths).filter(function (p) {
+        return Model.schema.paths[p].options.select === false;
+    });
+    var select = hidden.map(function (p) { return '+' + p; }).join(' ');
+    return store.of(Model).find(filter, Object.assign({ select: select, withDeleted: true, lean: true }, opts));
+}
+
+function key(Model, id) {
+    return Model.modelName + ':' + id.toString();
+}
+
+// remember the current state of every document matching filter
+Transaction.prototype.snapshot = async function (Model, filter) {
+    var self = this;
+    var docs = await findFull(Model, filter, this.opts());
+    docs.forEach(function (d) {
+        var k = key(Model, d._id);
+        if (!(k in self.before)) self.before[k] = { Model: Model, id: d._id, doc: d };
+    });
+    if (this.session) return;
+    this.undo.push(function () {
+        return store.of(Model).replace(docs);
+    });
+};
+
+// remember a newly inserted document so it can be removed again
+Transaction.prototype.created = function (Model, id) {
+    var k = key(Model, id);
+    if (!(k in this.before)) this.before[k] = { Model: Model, id: id, doc: null };
+    if (this.session) return;
+    this.undo.push(function () {
+        return store.of(Model).deleteOne({ _id: id });
+    });
+};
+
+/*
+ * Every document touched so far as { Model, id, before, after }; before is
+ * null for created documents and after is null for deleted ones.
+ */
+Transaction.prototype.changes = async function () {
+    var self = this;
+    var byModel = {};
+    Object.keys(this.before).forEach(function (k) {
+        var entry = self.before[k];
+        var name = entry.Model.modelName;
+        byModel[name] = byModel[name] || { Model: entry.Model, entries: [] };
+        byModel[name].entries.push(entry);
+    });
+
+    var changes = [];
+    var names = Object.keys(byModel);
+    for (var i = 0; i < names.length; i++) {
+        var group = byModel[names[i]];
+        var ids = group.entries.map(function (e) { return e.id; });
+        var after = await findFull(group.Model, { _id: { $in: ids } }, this.opts());
+        var afterById = {};
+        after.forEach(function (d) { afterById[d._id.toString()] = d; });
+        group.entries.forEach(function (e) {
+            changes.push({ Model: group.Model, id: e.id, before: e.doc, after: afterById[e.id.toString()] || null });
+        });
+    }
+    return changes;
+};
+
+// undo recorded writes, newest first; keep going if one step fails
+Transaction.prototype.rollback = async function () {
+    while (this.undo.length > 0) {
+        var step = this.undo.pop();
+        try {
+            await step();
+        } catch (e) {
+            logger.error('Rollback step failed', { error: e });
+        }
+    }
+};
+
+// tell event subscribers about committed changes; their failures must not fail the request
+function announce(changes, context) {
+    try {
+        events.publish(changes, context);
+    } catch (e) {
+        logger.error('Publishing events failed', { error: e });
+    }
+}
+
+// work resolved with an error result ({ status: 4xx/5xx, ... }, as routes build them)
+function failed(value) {
+    return value !== null && typeof value === 'object' && typeof value.status === 'number' && value.status >= 400;
+}
+
+// thrown inside a MongoDB transaction to abort it when work resolved with an error result
+function Abort() {}
+
+/*
+ * Run work(tx) atomically: inside a MongoDB transaction when the store
+ * supports one, otherwise with a compensating rollback on failure. Work
+ * fails by rejecting or by resolving with an error result, so a route may
+ * return result(403, ...) after it has started writing. Every document
+ * change is written to the audit log as part of the same unit,
+ * attributed to context ({ actor, actorName, route, resource }, see lib/audit.js),
+ * and published as events (lib/events.js) once committed.
+ * Resolves with whatever work resolves with; rejects with its error.
+ */
+async function run(work, context) {
+    var changes;
+    if (await store.supportsTransactions()) {
+        var session = await store.startSession();
+        var result;
+        try {
+            await session.withTransaction(async function () {
+                var tx = new Transaction(session);
+                result = await work(tx);
+                if (failed(result)) throw new Abort();
+                changes = await audit.record(tx, context);
+            });
+            announce(changes, context);
+            return result;
+        } catch (err) {
+            if (err instanceof Abort) return result;
+            throw err;
+        } finally {
+            session.endSession();
+        }
+    }
+
+    var tx = new Transaction(null);
+    try {
+        var value = await work(tx);
+        if (failed(value)) {
+            await tx.rollback();
+            return value;
+        }
+        changes = await audit.record(tx, context);
+    } catch (err) {
+        await tx.rollback();
+        throw err;
+    }
+    announce(changes, context);
+    return value;
+}
+
+module.exports = {
+    run: run
+};
@@ -0,0 +1,82 @@
+/*
+ * Document versions for optimistic concurrency. The plugin makes __v count
+ * every change to a document: saves increment it (and fail with a
+ * VersionError if the document changed since it was loaded) and so do
+ * updateOne, updateMany and findOneAndUpdate. Single-document routes expose
+ * the version as an ETag, and check If-Match / If-None-Match against it.
+ */
+
+function bumpVersion(next) {
+    var update = this.getUpdate() || {};
+    update.$inc = Object.assign({}, update.$inc, { __v: 1 });
+    this.setUpdate(update);
+    next();
+}
+
+function plugin(schema) {
+    schema.set('optimisticConcurrency', true);
+    ['update', 'updateOne', 'updateMany', 'findOneAndUpdate'].forEach(function (op) {
+        schema.pre(op, bumpVersion);
+    });
+}
+
+// strong ETag of a document: its id and version
+function etag(doc) {
+    return '"' + doc._id + '-' + (doc.__v || 0) + '"';
+}
+
+/*
+ * A compiled select (see lib/query.js) that also returns what etag() needs.
+ * Returns { select, strip }: the projection to query with and the fields to
+ * remove again from the response.
+ */
+function projection(select) {
+    if (!select) return { select: select, strip: [] };
+    var out = Object.assign({}, select);
+    var strip = [];
+    var inclusive = Object.keys(out).some(function (f) { return f !== '_id' && out[f] === 1; });
+    if (out._id === 0) {
+        delete out._id;
+        strip.push('_id');
+    }
+    if (inclusive && !out.__v) {
+        out.__v = 1;
+        strip.push('__v');
+    } else if (!inclusive && out.__v === 0) {
+        delete out.__v;
+        strip.push('__v');
+    }
+    return { select: out, strip: strip };
+}
+
+// the entity tags listed in an If-Match / If-None-Match header; ['*'] for a wildcard
+function parseTags(header) {
+    return String(header).split(',').map(function (t) { return t.trim(); }).filter(Boolean);
+}
+
+// false when the request's If-Match names other versions than doc's (true without If-Match)
+function ifMatch(req, doc) {
+    var header = req.get('If-Match');
+    if (!header) return true;
+    var tags = parseTags(header);
+    // If-Match uses the strong comparison, so weak tags never match
+    return tags.indexOf('*') !== -1 || tags.indexOf(etag(doc)) !== -1;
+}
+
+// true when the request's If-None-Match already names doc's current version
+function ifNoneMatch(req, doc) {
+    var header = req.get('If-None-Match');
+    if (!header) return false;
+    var current = etag(doc);
+    return parseTags(header).some(function (t) {
+        return t === '*' || t.replace(/^W\//, '') === current;
+    });
+}
+
+module.exports = {
+    plugin: plugin,
+    etag: etag,
+    projection: projection,
+    ifMatch: ifMatch,
+    ifNoneMatch: ifNoneMatch
+};
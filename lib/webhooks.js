@@ -0,0 +1,244 @@
+var crypto = require('crypto');
+var http = require('http');
+var https = require('https');
+var Delivery = require('../models/delivery');
+var store = require('./store');
+var events = require('./events');
+var logger = require('./logger');
+
+var MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+var RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 10000;
+var MAX_RETRY_MS = 60 * 60 * 1000;
+// failed deliveries in a row (each after all its retries) before a webhook is marked dead
+var DEAD_AFTER = parseInt(process.env.WEBHOOK_DEAD_AFTER) || 5;
+var TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+var POLL_MS = parseInt(process.env.WEBHOOK_POLL_MS) || 5000;
+var POLL_BATCH = 20;
+
+// X-Webhook-Signature value: HMAC-SHA256 over "<timestamp>.<body>"
+function sign(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(timestamp + '.' + body).digest('hex');
+}
+
+function retryDelay(failedAttempts) {
+    var delay = Math.min(RETRY_BASE_MS * Math.pow(2, failedAttempts - 1), MAX_RETRY_MS);
+    // up to 10% jitter so retries of one outage do not all arrive together
+    return delay + Math.floor(Math.random() * delay / 10);
+}
+
+// POST a delivery; resolves with { statusCode } or { error }, never rejects
+function post(hook, delivery) {
+    return new Promise(function (resolve) {
+        var timestamp = String(Math.floor(Date.now() / 1000));
+        var url;
+        try {
+            url = new URL(hook.url);
+        } catch (e) {
+            return resolve({ error: 'invalid url' });
+        }
+        var client = url.protocol === 'https:' ? https : http;
+        var req = client.request(url, {
+            method: 'POST',
+            timeout: TIMEOUT_MS,
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(delivery.payload),
+                'X-Webhook-Id': hook._id.toString(),
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Delivery': delivery._id.toString(),
+                'X-Webhook-Timestamp': timestamp,
+                'X-Webhook-Signature': sign(hook.secret, timestamp, delivery.payload)
+            }
+        }, function (res) {
+            res.resume();
+            res.on('end', function () {
+                resolve({ statusCode: res.statusCode });
+            });
+        });
+        req.on('timeout', function () {
+            req.destroy(new Error('timed out after ' + TIMEOUT_MS + 'ms'));
+        });
+        req.on('error', function (err) {
+            resolve({ error: err.message });
+        });
+        req.end(delivery.payload);
+    });
+}
+
+// stop delivering to a webhook: it and its pending deliveries go to the dead-letter state
+async function markDead(webhookId) {
+    await store.webhooks.updateOne({ _id: webhookId }, { status: 'dead' });
+    await store.deliveries.updateMany({ webhook: webhookId, status: 'pending' }, { status: 'dead' });
+    logger.warn('Webhook marked dead after ' + DEAD_AFTER + ' failed deliveries', { webhookId: String(webhookId) });
+}
+
+/*
+ * Make one attempt at a due delivery. The delivery is claimed first so that
+ * the poller and an immediate attempt (or several servers) never send it twice.
+ */
+async function attempt(deliveryId) {
+    var now = new Date();
+    var delivery = await store.deliveries.findOneAndUpdate(
+        { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+        { nextAttemptAt: new Date(now.getTime() + 2 * TIMEOUT_MS) },
+        { new: true }
+    );
+    if (!delivery) return;
+
+    var hook = await store.webhooks.findById(delivery.webhook, { select: '+secret' });
+    if (!hook || hook.status === 'dead') {
+        delivery.status = hook ? 'dead' : 'failed';
+        await store.deliveries.save(delivery);
+        return;
+    }
+
+    var outcome = await post(hook, delivery);
+    var ok = outcome.statusCode >= 200 && outcome.statusCode < 300;
+    delivery.attempts.push({
+        at: now,
+        statusCode: outcome.statusCode,
+        error: ok ? undefined : (outcome.error || 'HTTP ' + outcome.statusCode),
+        durationMs: Date.now() - now.getTime()
+    });
+
+    if (ok) {
+        delivery.status = 'succeeded';
+        await store.deliveries.save(delivery);
+        await store.webhooks.updateOne({ _id: hook._id }, { consecutiveFailures: 0, lastDeliveryAt: now });
+        return;
+    }
+
+    delivery.attemptsLeft -= 1;
+    if (delivery.attemptsLeft > 0) {
+        delivery.nextAttemptAt = new Date(Date.now() + retryDelay(MAX_ATTEMPTS - delivery.attemptsLeft));
+        await store.deliveries.save(delivery);
+        return;
+    }
+
+    delivery.status = 'failed';
+    await store.deliveries.save(delivery);
+    var updated = await store.webhooks.findOneAndUpdate({ _id: hook._id }, { $inc: { consecutiveFailures: 1 }, lastDeliveryAt: now }, { new: true });
+    if (updated && updated.status === 'active' && updated.consecutiveFailures >= DEAD_AFTER) {
+        await markDead(hook._id);
+    }
+}
+
+// attempts started by events, which stop() waits for
+var inBackground = new Set();
+
+function attemptInBackground(deliveryId) {
+    var p = attempt(deliveryId).catch(function (err) {
+        logger.error('Webhook delivery failed', { deliveryId: String(deliveryId), error: err });
+    }).then(function () {
+        inBackground.delete(p);
+    });
+    inBackground.add(p);
+}
+
+// record a delivery for every webhook the event matches and try the live ones right away
+async function enqueue(event) {
+    var hooks = await store.webhooks.find({ events: { $in: [event.type, '*'] } });
+    var payload = JSON.stringify(events.toPayload(event));
+
+    var deliveries = [];
+    hooks.forEach(function (hook) {
+        if (hook.where) {
+            try {
+                var compiled = events.compileWhere(JSON.parse(hook.where), [event.type]);
+            } catch (e) {
+                logger.error('Webhook has an unusable where clause', { webhookId: String(hook._id), error: e });
+                return;
+            }
+            if (!events.matches(event, compiled)) return;
+        }
+        deliveries.push(new Delivery({
+            webhook: hook._id.toString(),
+            eventId: event.id,
+            event: event.type,
+            payload: payload,
+            status: hook.status === 'dead' ? 'dead' : 'pending',
+            attemptsLeft: MAX_ATTEMPTS
+        }));
+    });
+    if (deliveries.length === 0) return;
+
+    await store.deliveries.insertMany(deliveries);
+    deliveries.forEach(function (d) {
+        if (d.status === 'pending') attemptInBackground(d._id);
+    });
+}
+
+// put dead (or failed) deliveries back in the queue with a fresh set of attempts
+function requeue(filter) {
+    return store.deliveries.updateMany(filter, { status: 'pending', attemptsLeft: MAX_ATTEMPTS, nextAttemptAt: new Date() });
+}
+
+// revive a dead webhook and redeliver everything that piled up in its dead-letter queue
+async function reactivate(webhookId) {
+    await store.webhooks.updateOne({ _id: webhookId }, { status: 'active', consecutiveFailures: 0 });
+    var r = await requeue({ webhook: webhookId, status: 'dead' });
+    return r.modified;
+}
+
+var unsubscribe = null;
+var timer = null;
+// the retry pass in progress, if any
+var polling = null;
+
+// retry whatever is due
+async function retryDue() {
+    try {
+        var due = await store.deliveries.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } }, {
+            sort: { nextAttemptAt: 1 },
+            limit: POLL_BATCH,
+            select: '_id'
+        });
+        for (var i = 0; i < due.length; i++) {
+            var id = due[i]._id;
+            await attempt(id).catch(function (err) {
+                logger.error('Webhook delivery failed', { deliveryId: String(id), error: err });
+            });
+        }
+    } catch (err) {
+        logger.error('Webhook poll failed', { error: err });
+    }
+}
+
+// one pass at a time
+function poll() {
+    if (polling) return;
+    polling = retryDue().then(function () {
+        polling = null;
+    });
+}
+
+// start turning events into deliveries and retrying due ones; call once connected to the database
+function start() {
+    if (timer) return;
+    unsubscribe = events.subscribe(function (event) {
+        enqueue(event).catch(function (err) {
+            logger.error('Queueing webhook deliveries failed', { error: err });
+        });
+    });
+    timer = setInterval(poll, POLL_MS);
+    timer.unref();
+}
+
+// stop delivering; resolves once the attempts in progress are done
+function stop() {
+    if (timer) {
+        unsubscribe();
+        clearInterval(timer);
+        timer = null;
+    }
+    return Promise.all([polling].concat(Array.from(inBackground)));
+}
+
+module.exports = {
+    MAX_ATTEMPTS: MAX_ATTEMPTS,
+    sign: sign,
+    requeue: requeue,
+    reactivate: reactivate,
+    start: start,
+    stop: stop
+};
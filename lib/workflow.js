@@ -0,0 +1,185 @@
+/*
+ * The status workflow tasks move through. TASK_WORKFLOW may name a JSON
+ * file with the same shape as DEFAULT_WORKFLOW:
+ *  - statuses: each status and whether it is open; completed is true for
+ *    the closed ones, and only open tasks are in their assignee's pendingTasks
+ *  - initial: the status of new tasks, and of tasks reopened with completed: false
+ *  - done: the status completed: true moves a task to
+ *  - transitions: { from, to, roles }, the moves allowed between statuses
+ *    (each a list); roles (user roles) limits who may make them
+ */
+var fs = require('fs');
+var store = require('./store');
+var logger = require('./logger');
+
+function result(status, message, data) {
+    return { status: status, message: message, data: data };
+}
+
+var DEFAULT_WORKFLOW = {
+    statuses: {
+        todo: { open: true },
+        in_progress: { open: true },
+        blocked: { open: true },
+        done: { open: false }
+    },
+    initial: 'todo',
+    done: 'done',
+    transitions: [
+        { from: ['todo'], to: ['in_progress', 'blocked', 'done'] },
+        { from: ['in_progress'], to: ['todo', 'blocked', 'done'] },
+        { from: ['blocked'], to: ['todo', 'in_progress', 'done'] },
+        // reopening finished work is for admins
+        { from: ['done'], to: ['todo', 'in_progress'], roles: ['admin'] }
+    ]
+};
+
+function isList(v) {
+    return Array.isArray(v) && v.every(function (s) { return typeof s === 'string'; });
+}
+
+// check a workflow definition, throwing on the first problem
+function validate(w) {
+    if (!w || typeof w.statuses !== 'object' || Object.keys(w.statuses).length === 0) throw new Error('statuses must name at least one status');
+    var names = Object.keys(w.statuses);
+    names.forEach(function (s) {
+        if (!/^[a-z][a-z0-9_]*$/.test(s)) throw new Error('status ' + s + ' must be lowercase letters, digits and _');
+        if (typeof w.statuses[s].open !== 'boolean') throw new Error('status ' + s + ' needs open: true or false');
+    });
+    if (!w.statuses[w.initial] || !w.statuses[w.initial].open) throw new Error('initial must be an open status');
+    if (!w.statuses[w.done] || w.statuses[w.done].open) throw new Error('done must be a closed status');
+    if (!Array.isArray(w.transitions)) throw new Error('transitions must be an array');
+    w.transitions.forEach(function (t, i) {
+        if (!isList(t.from) || !isList(t.to)) throw new Error('transitions[' + i + '] needs from and to lists of statuses');
+        t.from.concat(t.to).forEach(function (s) {
+            if (!w.statuses[s]) throw new Error('transitions[' + i + '] names unknown status ' + s);
+        });
+        if (t.roles !== undefined && !isList(t.roles)) throw new Error('transitions[' + i + '].roles must be a list of roles');
+    });
+    return w;
+}
+
+// the configured workflow, or the default one (with a warning) if it cannot be used
+function load() {
+    var file = process.env.TASK_WORKFLOW;
+    if (!file) return DEFAULT_WORKFLOW;
+    try {
+        return validate(JSON.parse(fs.readFileSync(file, 'utf8')));
+    } catch (err) {
+        logger.warn('Ignoring TASK_WORKFLOW ' + file + '; using the default workflow', { error: err });
+        return DEFAULT_WORKFLOW;
+    }
+}
+
+var workflow = load();
+var STATUSES = Object.keys(workflow.statuses);
+
+/*
+ * Statuses a task may hold without being in the workflow (one dropped from
+ * TASK_WORKFLOW since it was set) count as open, and may move anywhere.
+ */
+function isOpen(status) {
+    return !workflow.statuses[status] || workflow.statuses[status].open;
+}
+
+function openStatuses() {
+    return STATUSES.filter(isOpen);
+}
+
+// a task's status; tasks saved before there were statuses go by completed
+function statusOf(task) {
+    return task.status || (task.completed ? workflow.done : workflow.initial);
+}
+
+/*
+ * The status body asks task (null for a new task) to be in: its status,
+ * else the one completed implies, else the current one. Returns { status }
+ * or { error }.
+ */
+function requested(body, task) {
+    var current = task ? statusOf(task) : workflow.initial;
+    var hasCompleted = 'completed' in body && body.completed !== undefined && body.completed !== null;
+    var completed = body.completed === true || body.completed === 'true';
+    if (body.status) {
+        if (!workflow.statuses[body.status]) return { error: 'status must be one of ' + STATUSES.join(', ') };
+        if (hasCompleted && completed === isOpen(body.status)) return { error: 'completed does not match status ' + body.status };
+        return { status: body.status };
+    }
+    if (!hasCompleted || completed === !isOpen(current)) return { status: current };
+    return { status: completed ? workflow.done : workflow.initial };
+}
+
+/*
+ * Check that a user with role may move a task from one status to another.
+ * Returns a 409 result for moves the workflow does not have, a 403
+ * result for ones only other roles may make, or null.
+ */
+function checkTransition(from, to, role) {
+    if (from === to || !workflow.statuses[from]) return null;
+    var moves = workflow.transitions.filter(function (t) {
+        return t.from.indexOf(from) !== -1 && t.to.indexOf(to) !== -1;
+    });
+    if (moves.length === 0) {
+        return result(409, 'Conflict: a task cannot move from ' + from + ' to ' + to, { allowed: nextStatuses(from, role) });
+    }
+    var permitted = moves.some(function (t) { return !t.roles || t.roles.indexOf(role) !== -1; });
+    if (!permitted) return result(403, 'Forbidden: your role cannot move a task from ' + from + ' to ' + to, {});
+    return null;
+}
+
+// statuses a user with role may move a task in status from to
+function nextStatuses(from, role) {
+    var next = [];
+    workflow.transitions.forEach(function (t) {
+        if (t.from.indexOf(from) === -1 || (t.roles && t.roles.indexOf(role) === -1)) return;
+        t.to.forEach(function (s) {
+            if (s !== from && next.indexOf(s) === -1) next.push(s);
+        });
+    });
+    return next;
+}
+
+// move task to status (keeping completed in step), recording the change in its statusHistory
+function setStatus(task, status, userId) {
+    var from = task.isNew ? '' : statusOf(task);
+    task.status = status;
+    task.completed = !isOpen(status);
+    if (from !== status) task.statusHistory.push({ from: from, to: status, by: userId || '', at: new Date() });
+}
+
+// the workflow as GET /api/tasks/workflow shows it
+function describe() {
+    return {
+        statuses: STATUSES.map(function (s) { return { name: s, open: isOpen(s) }; }),
+        initial: workflow.initial,
+        done: workflow.done,
+        transitions: workflow.transitions
+    };
+}
+
+/*
+ * Give tasks saved before there were statuses the one completed implies,
+ * so where/sort on status covers them. Resolves with the number updated.
+ */
+async function backfill() {
+    var missing = { status: { $in: [null, ''] } };
+    var done = await store.tasks.updateMany(Object.assign({ completed: true }, missing), { $set: { status: workflow.done } });
+    var open = await store.tasks.updateMany(Object.assign({ completed: { $ne: true } }, missing), { $set: { status: workflow.initial } });
+    return done.modified + open.modified;
+}
+
+module.exports = {
+    DEFAULT_WORKFLOW: DEFAULT_WORKFLOW,
+    STATUSES: STATUSES,
+    INITIAL: workflow.initial,
+    validate: validate,
+    isOpen: isOpen,
+    openStatuses: openStatuses,
+    statusOf: statusOf,
+    requested: requested,
+    checkTransition: checkTransition,
+    nextStatuses: nextStatuses,
+    setStatus: setStatus,
+    describe: describe,
+    backfill: backfill
+};
@@ -0,0 +1,86 @@
+var crypto = require('crypto');
+var jwt = require('jsonwebtoken');
+var mongoose = require('mongoose');
+var store = require('../lib/store');
+var logger = require('../lib/logger');
+
+// Fall back to a per-process secret so the server still runs in development;
+// tokens issued with it stop working after a restart.
+var secret = process.env.JWT_SECRET;
+if (!secret) {
+    logger.warn('JWT_SECRET is not set. Using a random secret; issued tokens will not survive a restart.');
+    secret = crypto.randomBytes(32).toString('hex');
+}
+var expiresIn = process.env.JWT_EXPIRES_IN || '12h';
+
+function signToken(user) {
+    return jwt.sign({ sub: user._id.toString(), role: user.role }, secret, { expiresIn: expiresIn });
+}
+
+function isAdmin(user) {
+    return !!user && user.role === 'admin';
+}
+
+function bearerToken(req) {
+    var header = req.headers.authorization || '';
+    var match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1] : null;
+}
+
+// Verify the bearer token and attach the current user document as req.user
+function authenticate(req, res, next) {
+    verify(bearerToken(req), req, res, next);
+}
+
+// Like authenticate, but also accepts ?access_token= since browsers' EventSource cannot send headers
+function authenticateStream(req, res, next) {
+    verify(bearerToken(req) || req.query.access_token || null, req, res, next);
+}
+
+function verify(token, req, res, next) {
+    if (!token) {
+        return res.status(401).json({ message: 'Unauthorized: missing bearer token', data: {} });
+    }
+
+    var payload;
+    try {
+        payload = jwt.verify(token, secret);
+    } catch (e) {
+        return res.status(401).json({ message: 'Unauthorized: invalid or expired token', data: {} });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(payload.sub)) {
+        return res.status(401).json({ message: 'Unauthorized: invalid or expired token', data: {} });
+    }
+
+    // Re-read the user so deleted accounts and role changes take effect immediately
+    store.users.findById(payload.sub).then(function (user) {
+        if (!user) return res.status(401).json({ message: 'Unauthorized: user no longer exists', data: {} });
+        req.user = user;
+        next();
+    }).catch(function (err) {
+        return res.status(500).json({ message: 'Server error', data: err });
+    });
+}
+
+// Only allow users whose role is in the given list
+function requireRole() {
+    var roles = Array.prototype.slice.call(arguments);
+    return function (req, res, next) {
+        if (!req.user) {
+            return res.status(401).json({ message: 'Unauthorized: missing bearer token', data: {} });
+        }
+        if (roles.indexOf(req.user.role) === -1) {
+            return res.status(403).json({ message: 'Forbidden: requires role ' + roles.join(' or '), data: {} });
+        }
+        next();
+    };
+}
+
+module.exports = {
+    signToken: signToken,
+    isAdmin: isAdmin,
+    authenticate: authenticate,
+    authenticateStream: authenticateStream,
+    requireRole: requireRole
+};
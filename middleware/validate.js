@@ -0,0 +1,83 @@
+var openapi = require('../lib/openapi');
+
+var API_PREFIX = '/api';
+
+// a form body only has strings; JSON has the types the schema asks for already
+var FORM_TYPE = 'application/x-www-form-urlencoded';
+// bodies left for the route to read as it arrives
+var STREAMED_TYPES = ['multipart/form-data'];
+
+function reply(req, res, r) {
+    // the body of an upload may still be arriving
+    req.resume();
+    return res.status(r.status).json({ message: r.message, data: r.data });
+}
+
+function checkParameters(req, found, errors) {
+    found.parameters.forEach(function (p) {
+        if (p.in !== 'path' && p.in !== 'query') return;
+        var value = p.in === 'path' ? found.params[p.name] : req.query[p.name];
+        // ?limit= is the same as leaving limit out
+        if (value === undefined || value === '') {
+            if (p.required) errors.push({ param: p.name, path: '', reason: 'is required' });
+            return;
+        }
+        var checked = openapi.validate(p.schema, value, { coerce: true, param: p.name });
+        Array.prototype.push.apply(errors, checked.errors);
+    });
+}
+
+/*
+ * Check the body against the schema for its Content-Type, recording
+ * errors. Returns the body to hand on (form bodies coerced to the
+ * schema's types), or false when the route does not take this type.
+ */
+function checkBody(req, requestBody, errors) {
+    var types = Object.keys(requestBody.content);
+    var type = req.is(types);
+    if (type === false) return false;
+    if (type === null) {
+        // no body at all: check an empty one, so required fields are named
+        if (!requestBody.required) return req.body;
+        type = types[0];
+    }
+    if (STREAMED_TYPES.indexOf(type) !== -1) return req.body;
+    var form = type === FORM_TYPE;
+    var checked = openapi.validate(requestBody.content[type].schema, req.body === undefined ? {} : req.body, { coerce: form });
+    Array.prototype.push.apply(errors, checked.errors);
+    return form ? checked.value : req.body;
+}
+
+/*
+ * Express middleware checking a request against its operation in the API
+ * description (lib/openapi): path parameters, query parameters and the
+ * body. Mount it after authentication; requests that do not match answer
+ * 400 with every error found ({ errors: [{ param, path, reason }] }).
+ * Paths the description does not have are left to the routes (and 404).
+ */
+function request(req, res, next) {
+    // the /tasks router sees /tasks/:id/comments requests before the comments router does
+    if (req.validated) return next();
+    var path = (req.baseUrl + req.path).slice(API_PREFIX.length);
+    var found = openapi.findOperation(req.method, path);
+    if (!found) return next();
+    req.validated = true;
+
+    var errors = [];
+    checkParameters(req, found, errors);
+    if (found.operation.requestBody) {
+        var requestBody = found.operation.requestBody;
+        var body = checkBody(req, requestBody, errors);
+        if (body === false) {
+            var types = Object.keys(requestBody.content).join(' or ');
+            return reply(req, res, { status: 415, message: 'Unsupported Media Type: send ' + types, data: {} });
+        }
+        if (errors.length === 0) req.body = body;
+    }
+    if (errors.length > 0) return reply(req, res, openapi.badRequest(errors));
+    next();
+}
+
+module.exports = {
+    request: request
+};
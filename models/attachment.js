@@ -0,0 +1,26 @@
+// Load required packages
+var mongoose = require('mongoose');
+
+// Define our attachment schema: a file uploaded to a task; the bytes live in the file store (lib/attachments.js)
+var AttachmentSchema = new mongoose.Schema({
+    task: { type: String, required: true }, // task id
+    uploader: { type: String, required: true }, // user id
+    uploaderName: { type: String, default: '' },
+    filename: { type: String, required: true },
+    contentType: { type: String, required: true },
+    size: { type: Number, required: true }, // bytes
+    // the file store holding the content, under this document's _id
+    storage: { type: String, enum: ['disk', 'gridfs'], required: true },
+    dateCreated: { type: Date, default: Date.now }
+});
+
+AttachmentSchema.index({ task: 1, dateCreated: 1 });
+
+// Fields clients may use in where/sort and in select (enforced by lib/query.js)
+AttachmentSchema.statics.queryFields = {
+    filterable: ['_id', 'task', 'uploader', 'filename', 'contentType', 'size', 'dateCreated'],
+    selectable: ['_id', 'task', 'uploader', 'uploaderName', 'filename', 'contentType', 'size', 'storage', 'dateCreated', '__v']
+};
+
+// Export the Mongoose model
+module.exports = mongoose.model('Attachment', AttachmentSchema);
@@ -0,0 +1,44 @@
+// Load required packages
+var mongoose = require('mongoose');
+
+// Define our audit entry schema: one entry per changed document per request
+var AuditEntrySchema = new mongoose.Schema({
+    resource: { type: String, required: true }, // 'task', 'user' or 'project'
+    resourceId: { type: String, required: true },
+    // delete moves to the trash, purge removes for good
+    action: { type: String, enum: ['create', 'update', 'delete', 'restore', 'purge'], required: true },
+    actor: { type: String, default: '' }, // user id, '' for changes made by the server itself
+    actorName: { type: String, default: '' },
+    route: { type: String, default: '' }, // e.g. 'DELETE /api/users/:id'
+    cascade: { type: Boolean, default: false }, // side effect of a change to another resource
+    changes: [{
+        _id: false,
+        field: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed
+    }],
+    timestamp: { type: Date, default: Date.now }
+});
+
+AuditEntrySchema.index({ resource: 1, resourceId: 1, timestamp: -1 });
+
+// The log is append-only: refuse updates and deletes through the model
+function appendOnly(next) {
+    next(new Error('Audit entries cannot be modified or deleted'));
+}
+['updateOne', 'updateMany', 'update', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove', 'remove'].forEach(function (op) {
+    AuditEntrySchema.pre(op, appendOnly);
+});
+AuditEntrySchema.pre('save', function (next) {
+    if (!this.isNew) return appendOnly(next);
+    next();
+});
+
+// Fields clients may use in where/sort and in select (enforced by lib/query.js)
+AuditEntrySchema.statics.queryFields = {
+    filterable: ['_id', 'action', 'actor', 'cascade', 'timestamp'],
+    selectable: ['_id', 'resource', 'resourceId', 'action', 'actor', 'actorName', 'route', 'cascade', 'changes', 'timestamp']
+};
+
+// Export the Mongoose model
+module.exports = mongoose.model('AuditEntry', AuditEntrySchema);
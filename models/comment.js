@@ -0,0 +1,30 @@
+// Load required packages
+var mongoose = require('mongoose');
+
+var MAX_LENGTH = parseInt(process.env.COMMENT_MAX_LENGTH) || 10000;
+
+// Define our comment schema: one message in the discussion of a task
+var CommentSchema = new mongoose.Schema({
+    task: { type: String, required: true }, // task id
+    author: { type: String, required: true }, // user id
+    authorName: { type: String, default: '' }, // kept in step with the author's name, like a task's assignedUserName
+    body: { type: String, required: true, maxlength: MAX_LENGTH },
+    mentions: { type: [String], default: [] }, // ids of the users @-mentioned in body (lib/comments.js)
+    dateCreated: { type: Date, default: Date.now },
+    dateEdited: { type: Date, default: null }
+});
+
+CommentSchema.index({ task: 1, dateCreated: 1 });
+CommentSchema.index({ author: 1 });
+CommentSchema.index({ mentions: 1 });
+
+CommentSchema.statics.MAX_LENGTH = MAX_LENGTH;
+
+// Fields clients may use in where/sort and in select (enforced by lib/query.js)
+CommentSchema.statics.queryFields = {
+    filterable: ['_id', 'task', 'author', 'authorName', 'mentions', 'dateCreated', 'dateEdited'],
+    selectable: ['_id', 'task', 'author', 'authorName', 'body', 'mentions', 'dateCreated', 'dateEdited', '__v']
+};
+
+// Export the Mongoose model
+module.exports = mongoose.model('Comment', CommentSchema);
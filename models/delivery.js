@@ -0,0 +1,42 @@
+// Load required packages
+var mongoose = require('mongoose');
+
+// Define our webhook delivery schema: one per event per subscription, with every attempt made
+var DeliverySchema = new mongoose.Schema({
+    webhook: { type: String, required: true },
+    eventId: { type: String, required: true },
+    event: { type: String, required: true },
+    payload: { type: String, required: true }, // the exact JSON body that is signed and sent
+    // pending until delivered (succeeded) or out of retries (failed); dead while the webhook is dead
+    status: { type: String, enum: ['pending', 'succeeded', 'failed', 'dead'], default: 'pending' },
+    attempts: [{
+        _id: false,
+        at: Date,
+        statusCode: Number, // HTTP status of the response, absent if there was none
+        error: String,
+        durationMs: Number
+    }],
+    attemptsLeft: { type: Number, default: 0 }, // reset when a delivery is requeued
+    nextAttemptAt: { type: Date, default: Date.now },
+    dateCreated: { type: Date, default: Date.now }
+});
+
+DeliverySchema.index({ webhook: 1, dateCreated: -1 });
+DeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Show the payload as JSON rather than the string that was sent
+DeliverySchema.set('toJSON', {
+    transform: function (doc, ret) {
+        if (typeof ret.payload === 'string') ret.payload = JSON.parse(ret.payload);
+        return ret;
+    }
+});
+
+// Fields clients may use in where/sort and in select (enforced by lib/query.js)
+DeliverySchema.statics.queryFields = {
+    filterable: ['_id', 'eventId', 'event', 'status', 'nextAttemptAt', 'dateCreated'],
+    selectable: ['_id', 'webhook', 'eventId', 'event', 'payload', 'status', 'attempts', 'nextAttemptAt', 'dateCreated']
+};
+
+// Export the Mongoose model
+module.exports = mongoose.model('WebhookDelivery', DeliverySchema);
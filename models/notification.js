@@ -0,0 +1,39 @@
+// Load required packages
+var mongoose = require('mongoose');
+
+// Define our notification schema: a deadline reminder or overdue notice for the assigned user
+var NotificationSchema = new mongoose.Schema({
+    user: { type: String, required: true }, // id of the user notified
+    task: { type: String, required: true },
+    taskName: { type: String, default: '' },
+    kind: { type: String, enum: ['reminder', 'overdue'], required: true },
+    leadMinutes: { type: Number, default: 0 }, // how long before the deadline a reminder was due; 0 for overdue
+    deadline: { type: Date, required: true }, // the deadline it was about
+    message: { type: String, default: '' },
+    // one per task, kind, lead time and deadline, so no reminder is ever created (and sent) twice
+    key: { type: String, required: true },
+    read: { type: Boolean, default: false },
+    readAt: { type: Date, default: null },
+    // one per channel (see lib/notifier.js); 'sending' is never retried in case it went out
+    deliveries: [{
+        _id: false,
+        channel: String,
+        status: { type: String, enum: ['pending', 'sending', 'sent', 'failed'], default: 'pending' },
+        at: Date,
+        error: String
+    }],
+    dateCreated: { type: Date, default: Date.now }
+});
+
+NotificationSchema.index({ key: 1 }, { unique: true });
+NotificationSchema.index({ user: 1, dateCreated: -1 });
+NotificationSchema.index({ 'deliveries.status': 1 });
+
+// Fields clients may use in where/sort and in select (enforced by lib/query.js)
+NotificationSchema.statics.queryFields = {
+    filterable: ['_id', 'user', 'task', 'kind', 'leadMinutes', 'deadline', 'read', 'readAt', 'dateCreated'],
+    selectable: ['_id', 'user', 'task', 'taskName', 'kind', 'leadMinutes', 'deadline', 'message', 'read', 'readAt', 'deliveries', 'dateCreated', '__v']
+};
+
+// Export the Mongoose model
+module.exports = mongoose.model('Notification', NotificationSchema);
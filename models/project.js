@@ -0,0 +1,37 @@
+// Load required packages
+var mongoose = require('mongoose');
+
+var ROLES = ['owner', 'member'];
+
+// Define our project schema: a team of users and the tasks they share
+var ProjectSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    description: { type: String, default: '' },
+    // owners manage the project and its members; only members can be assigned its tasks
+    members: [{
+        _id: false,
+        user: { type: String, required: true }, // user id
+        role: { type: String, enum: ROLES, default: 'member' },
+        dateAdded: { type: Date, default: Date.now }
+    }],
+    dateCreated: { type: Date, default: Date.now }
+});
+
+ProjectSchema.index({ 'members.user': 1 });
+
+ProjectSchema.statics.ROLES = ROLES;
+
+// the role of userId in this project, or null if they are not a member
+ProjectSchema.methods.roleOf = function (userId) {
+    var member = this.members.filter(function (m) { return m.user === String(userId); })[0];
+    return member ? member.role : null;
+};
+
+// Fields clients may use in where/sort and in select (enforced by lib/query.js)
+ProjectSchema.statics.queryFields = {
+    filterable: ['_id', 'name', 'dateCreated'],
+    selectable: ['_id', 'name', 'description', 'members', 'dateCreated', '__v']
+};
+
+// Export the Mongoose model
+module.exports = mongoose.model('Project', ProjectSchema);
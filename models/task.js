@@ -1,16 +1,97 @@
 // Load required packages
 var mongoose = require('mongoose');
+var search = require('../lib/search');
+var softDelete = require('../lib/softDelete');
+var versioning = require('../lib/versioning');
+var workflow = require('../lib/workflow');
 
 // Define our task schema
 var TaskSchema = new mongoose.Schema({
     name: { type: String, required: true },
     description: { type: String, default: '' },
     deadline: { type: Date, required: true },
+    // workflow status (lib/workflow.js); completed is kept as whether it is a closed one
+    status: { type: String, default: '' },
+    statusHistory: [{
+        _id: false,
+        from: String, // '' when the task was created
+        to: String,
+        by: String, // user id, '' for changes made by the server itself
+        at: Date
+    }],
     completed: { type: Boolean, default: false },
+    completedAt: { type: Date, default: null }, // set when completed becomes true
     assignedUser: { type: String, default: '' },
     assignedUserName: { type: String, default: 'unassigned' },
-    dateCreated: { type: Date, default: Date.now }
+    dateCreated: { type: Date, default: Date.now },
+    // iCalendar RRULE, e.g. 'FREQ=WEEKLY;BYDAY=MO'; completing an instance creates the next one
+    recurrence: { type: String, default: '' },
+    seriesId: { type: String, default: '' }, // _id of the first task of the series
+    seriesStart: { type: Date }, // DTSTART of the rule; COUNT counts occurrences from here
+    parentTask: { type: String, default: '' }, // _id of the task this is a subtask of
+    blockedBy: { type: [String], default: [] }, // _ids of tasks that must be completed first
+    project: { type: String, default: '' }, // _id of the project the task belongs to; its assignee must be a member
+    // stemming language of the text index; detected from name/description unless set explicitly
+    language: { type: String, enum: search.LANGUAGES, default: '' },
+    // links undone when the task was moved to the trash, put back by a restore
+    deletedLinks: {
+        reparented: { type: [String], default: undefined }, // subtasks moved up to this task's parent
+        unblocked: { type: [String], default: undefined }, // tasks this one was removed from blockedBy of
+        cascaded: { type: [String], default: undefined } // subtasks trashed along with it
+    }
 });
 
+// deletedAt; trashed tasks are hidden from queries
+TaskSchema.plugin(softDelete);
+// __v counts every change; it is the task's ETag
+TaskSchema.plugin(versioning.plugin);
+
+// Detect the language when the text changes, unless the client has just chosen one
+TaskSchema.pre('validate', function (next) {
+    if (!this.language || (!this.isModified('language') && (this.isModified('name') || this.isModified('description')))) {
+        this.language = search.detect(this.name, this.description);
+    }
+    next();
+});
+
+// Keep status and completed in step for writes that set only one of them
+TaskSchema.pre('validate', function (next) {
+    if (this.isModified('status') && this.status) this.completed = !workflow.isOpen(this.status);
+    else if (!this.status || this.isModified('completed')) this.status = workflow.statusOf({ completed: this.completed });
+    next();
+});
+
+// Record when a task is completed (and forget it should one be reopened)
+TaskSchema.pre('validate', function (next) {
+    if (this.isModified('completed') || (this.isNew && this.completed)) {
+        this.completedAt = this.completed ? (this.completedAt || new Date()) : null;
+    }
+    next();
+});
+
+// Indexes backing the filters and sorts clients use most
+TaskSchema.index({ assignedUser: 1, completed: 1 });
+TaskSchema.index({ assignedUser: 1, status: 1 });
+TaskSchema.index({ deadline: 1 });
+TaskSchema.index({ dateCreated: 1 });
+TaskSchema.index({ completedAt: 1 });
+TaskSchema.index({ seriesId: 1, deadline: 1 });
+TaskSchema.index({ parentTask: 1 });
+TaskSchema.index({ blockedBy: 1 });
+TaskSchema.index({ project: 1, assignedUser: 1 });
+// GET /api/tasks/search; each task is stemmed in its own language
+TaskSchema.index({ name: 'text', description: 'text' }, {
+    name: 'task_text',
+    weights: { name: 10, description: 2 },
+    default_language: 'english',
+    language_override: 'language'
+});
+
+// Fields clients may use in where/sort and in select (enforced by lib/query.js)
+TaskSchema.statics.queryFields = {
+    filterable: ['_id', 'name', 'deadline', 'status', 'completed', 'completedAt', 'assignedUser', 'assignedUserName', 'dateCreated', 'seriesId', 'parentTask', 'blockedBy', 'project', 'language', 'deletedAt'],
+    selectable: ['_id', 'name', 'description', 'deadline', 'status', 'statusHistory', 'completed', 'completedAt', 'assignedUser', 'assignedUserName', 'dateCreated', 'recurrence', 'seriesId', 'seriesStart', 'parentTask', 'blockedBy', 'project', 'language', 'deletedAt', 'deletedLinks', '__v']
+};
+
 // Export the Mongoose model
 module.exports = mongoose.model('Task', TaskSchema);
@@ -1,13 +1,63 @@
 // Load required packages
 var mongoose = require('mongoose');
+var bcrypt = require('bcryptjs');
+var softDelete = require('../lib/softDelete');
+var versioning = require('../lib/versioning');
+
+var SALT_ROUNDS = 10;
 
 // Define our user schema
 var UserSchema = new mongoose.Schema({
     name: { type: String, required: true },
     email: { type: String, required: true, unique: true },
+    // bcrypt hash; never returned unless explicitly selected with '+password'
+    password: { type: String, select: false },
+    role: { type: String, enum: ['user', 'admin'], default: 'user' },
     pendingTasks: { type: [String], default: [] },
-    dateCreated: { type: Date, default: Date.now }
+    dateCreated: { type: Date, default: Date.now },
+    // links undone when the user was moved to the trash, put back by a restore
+    deletedLinks: {
+        tasks: { type: [String], default: undefined } // pending tasks that were unassigned
+    }
 });
 
+// deletedAt; trashed users are hidden from queries (and can no longer sign in)
+UserSchema.plugin(softDelete);
+// __v counts every change; it is the user's ETag
+UserSchema.plugin(versioning.plugin);
+
+// Hash the password whenever it is set or changed
+UserSchema.pre('save', function (next) {
+    var user = this;
+    if (!user.isModified('password') || !user.password) return next();
+    bcrypt.hash(user.password, SALT_ROUNDS).then(function (hash) {
+        user.password = hash;
+        next();
+    }).catch(next);
+});
+
+UserSchema.methods.checkPassword = function (candidate) {
+    if (!this.password) return Promise.resolve(false);
+    return bcrypt.compare(candidate, this.password);
+};
+
+// Never leak the hash, even if a client managed to select it
+UserSchema.set('toJSON', {
+    transform: function (doc, ret) {
+        delete ret.password;
+        return ret;
+    }
+});
+
+UserSchema.index({ name: 1 });
+// GET /api/users/search; names and emails are not stemmed
+UserSchema.index({ name: 'text', email: 'text' }, { name: 'user_text', weights: { name: 5, email: 1 }, default_language: 'none' });
+
+// Fields clients may use in where/sort and in select (enforced by lib/query.js); never password
+UserSchema.statics.queryFields = {
+    filterable: ['_id', 'name', 'email', 'role', 'pendingTasks', 'dateCreated', 'deletedAt'],
+    selectable: ['_id', 'name', 'email', 'role', 'pendingTasks', 'dateCreated', 'deletedAt', 'deletedLinks', '__v']
+};
+
 // Export the Mongoose model
 module.exports = mongoose.model('User', UserSchema);
@@ -0,0 +1,38 @@
+// Load required packages
+var mongoose = require('mongoose');
+
+// Define our webhook subscription schema
+var WebhookSchema = new mongoose.Schema({
+    url: { type: String, required: true },
+    events: { type: [String], required: true }, // e.g. ['task.created', 'task.completed'], or ['*']
+    // JSON where clause (see lib/query.js) the changed task/user must match; stored as text since it holds $-keys
+    where: { type: String, default: '' },
+    // HMAC key for the X-Webhook-Signature header; only returned when the subscription is created
+    secret: { type: String, required: true, select: false },
+    description: { type: String, default: '' },
+    owner: { type: String, default: '' }, // id of the user who registered it
+    // 'dead' after too many failed deliveries in a row; new events then go straight to the dead-letter queue
+    status: { type: String, enum: ['active', 'dead'], default: 'active' },
+    consecutiveFailures: { type: Number, default: 0 },
+    lastDeliveryAt: { type: Date },
+    dateCreated: { type: Date, default: Date.now }
+});
+
+WebhookSchema.index({ status: 1, events: 1 });
+
+// Return where as the JSON object it was sent as
+WebhookSchema.set('toJSON', {
+    transform: function (doc, ret) {
+        if (typeof ret.where === 'string') ret.where = ret.where ? JSON.parse(ret.where) : {};
+        return ret;
+    }
+});
+
+// Fields clients may use in where/sort and in select (enforced by lib/query.js)
+WebhookSchema.statics.queryFields = {
+    filterable: ['_id', 'url', 'events', 'owner', 'status', 'consecutiveFailures', 'lastDeliveryAt', 'dateCreated'],
+    selectable: ['_id', 'url', 'events', 'where', 'description', 'owner', 'status', 'consecutiveFailures', 'lastDeliveryAt', 'dateCreated', '__v']
+};
+
+// Export the Mongoose model
+module.exports = mongoose.model('Webhook', WebhookSchema);
@@ -0,0 +1,28 @@
+var express = require('express');
+var integrity = require('../lib/integrity');
+var audit = require('../lib/audit');
+
+module.exports = function (router) {
+    var admin = express.Router();
+
+    // GET /api/admin/integrity - report broken Task <-> User links
+    admin.get('/integrity', function (req, res) {
+        integrity.check().then(function (report) {
+            return res.status(200).json({ message: 'OK', data: report });
+        }).catch(function (err) {
+            return res.status(500).json({ message: 'Server error', data: err });
+        });
+    });
+
+    // POST /api/admin/integrity/repair - fix everything the report finds
+    admin.post('/integrity/repair', async function (req, res) {
+        try {
+            var repaired = await integrity.repair(audit.context(req, ''));
+            return res.status(200).json({ message: 'Integrity repaired', data: repaired });
+        } catch (err) {
+            return res.status(500).json({ message: 'Server error', data: err });
+        }
+    });
+
+    return admin;
+};
@@ -0,0 +1,211 @@
+var pipeline = require('stream').pipeline;
+var express = require('express');
+var mongoose = require('mongoose');
+var Attachment = require('../models/attachment');
+var store = require('../lib/store');
+var auth = require('../middleware/auth');
+var transaction = require('../lib/transaction');
+var audit = require('../lib/audit');
+var pagination = require('../lib/pagination');
+var query = require('../lib/query');
+var multipart = require('../lib/multipart');
+var attachments = require('../lib/attachments');
+
+// /api/tasks/:id/attachments - files uploaded to a task
+module.exports = function (router) {
+    var attachmentRoutes = express.Router({ mergeParams: true });
+
+    // route results are { status, message, data }, as in the task and user routes
+    function result(status, message, data) {
+        return { status: status, message: message, data: data };
+    }
+
+    function send(res, r) {
+        if (r.status === 204) return res.status(204).send();
+        return res.status(r.status).json({ message: r.message, data: r.data });
+    }
+
+    // the task of the route: 400 for malformed ids, 404 if missing or in the trash
+    async function loadTask(req, tx) {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return result(400, 'Bad Request: invalid task id format', {});
+        }
+        var task = await store.tasks.findById(req.params.id, tx ? tx.opts({ select: '_id' }) : { select: '_id' });
+        if (!task) return result(404, 'Not Found: task does not exist', {});
+        return result(200, 'OK', task);
+    }
+
+    // an attachment of the route's task: 400 for malformed ids, 404 if missing
+    async function loadAttachment(req, tx) {
+        var found = await loadTask(req, tx);
+        if (found.status !== 200) return found;
+        if (!mongoose.Types.ObjectId.isValid(req.params.attachmentId)) {
+            return result(400, 'Bad Request: invalid attachment id format', {});
+        }
+        var attachment = await store.attachments.findOne({ _id: req.params.attachmentId, task: req.params.id }, tx ? tx.opts() : {});
+        if (!attachment) return result(404, 'Not Found', {});
+        return result(200, 'OK', attachment);
+    }
+
+    /*
+     * Store the file of a multipart upload. Resolves with the attachment
+     * (not yet saved) or an error result; removes what it stored on failure.
+     */
+    async function receive(req, storage) {
+        var boundary = multipart.boundaryOf(req.get('Content-Type'));
+        if (!boundary) return result(415, 'Unsupported Media Type: upload the file as multipart/form-data', {});
+        var length = parseInt(req.get('Content-Length'));
+        if (length > attachments.MAX_BYTES + 64 * 1024) {
+            return result(413, 'Payload Too Large: attachments can be at most ' + attachments.MAX_BYTES + ' bytes', {});
+        }
+
+        var stored = [];
+        try {
+            var parsed = await multipart.parse(req, {
+                boundary: boundary,
+                maxFileBytes: attachments.MAX_BYTES,
+                onFile: async function (info, stream) {
+                    if (info.name !== 'file' || stored.length > 0) {
+                        throw Object.assign(new Error('send exactly one file, in the field named file'), { status: 400 });
+                    }
+                    if (!attachments.allowedType(info.contentType)) {
+                        throw Object.assign(new Error(info.contentType + ' files are not allowed, use one of ' + attachments.TYPES.join(', ')), { status: 415 });
+                    }
+                    var attachment = new Attachment({
+                        task: req.params.id,
+                        uploader: req.user._id.toString(),
+                        uploaderName: req.user.name,
+                        filename: info.filename || 'file',
+                        contentType: info.contentType,
+                        size: 0,
+                        storage: storage
+                    });
+                    stored.push(attachment);
+                    attachment.size = await attachments.save(storage, attachment._id.toString(), info, stream);
+                    return attachment;
+                }
+            });
+        } catch (err) {
+            await attachments.removeFiles(stored);
+            if (err.status === 400) return result(400, 'Bad Request: ' + err.message, {});
+            if (err.status === 413) return result(413, 'Payload Too Large: ' + err.message, {});
+            if (err.status === 415) return result(415, 'Unsupported Media Type: ' + err.message, {});
+            throw err;
+        }
+        if (parsed.files.length === 0) return result(400, 'Bad Request: send exactly one file, in the field named file', {});
+        return result(200, 'OK', parsed.files[0]);
+    }
+
+    // GET /api/tasks/:id/attachments - oldest first, with where/sort/select and paging like GET /api/tasks
+    attachmentRoutes.get('/', async function (req, res) {
+        try {
+            var found = await loadTask(req, null);
+            if (found.status !== 200) return send(res, found);
+            try {
+                var q = query.fromRequest(Attachment, req.query);
+            } catch (err) {
+                return res.status(400).json({ message: 'Bad Request: ' + err.message, data: err.details });
+            }
+            var where = { $and: [q.where, { task: req.params.id }] };
+            var page = await pagination.paginate(Attachment, req, { where: where, sort: q.sort || { dateCreated: 1 }, select: q.select });
+            res.set('Link', pagination.linkHeader(req, page.meta));
+            return res.status(200).json({ message: 'OK', data: page.data, meta: page.meta });
+        } catch (err) {
+            if (err.status === 400) return res.status(400).json({ message: 'Bad Request: ' + err.message, data: {} });
+            return res.status(500).json({ message: 'Server error', data: err });
+        }
+    });
+
+    // POST /api/tasks/:id/attachments - multipart/form-data with the file in the field named file
+    attachmentRoutes.post('/', async function (req, res) {
+        var stored = null;
+        try {
+            var found = await loadTask(req, null);
+            if (found.status !== 200) {
+                req.resume();
+                return send(res, found);
+            }
+            try {
+                var storage = attachments.uploadStorage();
+            } catch (err) {
+                req.resume();
+                return res.status(501).json({ message: 'Not Implemented: ' + err.message, data: {} });
+            }
+            var received = await receive(req, storage);
+            if (received.status !== 200) {
+                req.resume();
+                return send(res, received);
+            }
+            stored = received.data;
+
+            var r = await transaction.run(async function (tx) {
+                // the task may have been deleted while the file was arriving
+                var task = await loadTask(req, tx);
+                if (task.status !== 200) return task;
+                var saved = await store.attachments.save(stored, tx.opts());
+                tx.created(Attachment, saved._id);
+                return result(201, 'Attachment created', saved);
+            }, audit.context(req, 'attachment'));
+            if (r.status !== 201) await attachments.removeFiles([stored]);
+            return send(res, r);
+        } catch (err) {
+            if (stored) await attachments.removeFiles([stored]);
+            return res.status(500).json({ message: 'Server error', data: err });
+        }
+    });
+
+    // GET /api/tasks/:id/attachments/:attachmentId - the attachment's details
+    attachmentRoutes.get('/:attachmentId', async function (req, res) {
+        try {
+            return send(res, await loadAttachment(req, null));
+        } catch (err) {
+            return res.status(500).json({ message: 'Server error', data: err });
+        }
+    });
+
+    // GET /api/tasks/:id/attachments/:attachmentId/content - the file itself, streamed
+    attachmentRoutes.get('/:attachmentId/content', async function (req, res) {
+        try {
+            var found = await loadAttachment(req, null);
+            if (found.status !== 200) return send(res, found);
+            var attachment = found.data;
+            var stream = await attachments.open(attachment);
+            if (!stream) return res.status(404).json({ message: 'Not Found: the attachment\'s file is missing', data: {} });
+        } catch (err) {
+            return res.status(500).json({ message: 'Server error', data: err });
+        }
+        res.status(200);
+        res.set('Content-Type', attachment.contentType);
+        res.set('Content-Length', String(attachment.size));
+        // never let a browser render an upload as a page of this site
+        res.set('X-Content-Type-Options', 'nosniff');
+        res.attachment(attachment.filename);
+        pipeline(stream, res, function (err) {
+            // too late for an error response; the client sees the download cut short
+            if (err && !res.destroyed) req.log.error('Sending an attachment failed', { attachmentId: attachment._id.toString(), error: err });
+        });
+    });
+
+    // DELETE /api/tasks/:id/attachments/:attachmentId - the uploader or an admin
+    attachmentRoutes.delete('/:attachmentId', async function (req, res) {
+        try {
+            var r = await transaction.run(async function (tx) {
+                var found = await loadAttachment(req, tx);
+                if (found.status !== 200) return found;
+                if (found.data.uploader !== req.user._id.toString() && !auth.isAdmin(req.user)) {
+                    return result(403, 'Forbidden: you can only delete your own attachments', {});
+                }
+                await tx.snapshot(Attachment, { _id: found.data._id });
+                await store.attachments.deleteOne({ _id: found.data._id }, tx.opts());
+                return result(204, 'Attachment deleted', found.data);
+            }, audit.context(req, 'attachment'));
+            // the file goes once the document is gone for good
+            if (r.status === 204) await attachments.removeFiles([r.data]);
+            return send(res, r);
+        } catch (err) {
+            return res.status(500).json({ message: 'Server error', data: err });
+        }
+    });
+
+    return attachmentRoutes;
+};
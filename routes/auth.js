@@ -0,0 +1,76 @@
+var express = require('express');
+var User = require('../models/user');
+var store = require('../lib/store');
+var auth = require('../middleware/auth');
+
+var MIN_PASSWORD_LENGTH = 8;
+
+module.exports = function (router) {
+    var authRoutes = express.Router();
+
+    // emails listed in ADMIN_EMAILS (comma separated) are given the admin role on registration
+    function adminEmails() {
+        return (process.env.ADMIN_EMAILS || '').split(',').map(function (e) {
+            return e.trim().toLowerCase();
+        }).filter(Boolean);
+    }
+
+    // POST /api/auth/register
+    authRoutes.post('/register', async function (req, res) {
+        try {
+            var name = req.body.name;
+            var email = req.body.email;
+            var password = req.body.password;
+
+            if (!name || !email || !password) {
+                return res.status(400).json({ message: 'Bad Request: name, email and password are required', data: {} });
+            }
+            if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+                return res.status(400).json({ message: 'Bad Request: password must be at least ' + MIN_PASSWORD_LENGTH + ' characters', data: {} });
+            }
+
+            // trashed accounts keep their email until purged
+            var existing = await store.users.findOne({ email: email }, { withDeleted: true });
+            if (existing) {
+                return res.status(400).json({ message: 'Bad Request: email already exists', data: {} });
+            }
+
+            var role = adminEmails().indexOf(String(email).toLowerCase()) !== -1 ? 'admin' : 'user';
+            var u = new User({ name: name, email: email, password: password, role: role });
+            var saved = await store.users.save(u);
+
+            return res.status(201).json({ message: 'User registered', data: { token: auth.signToken(saved), user: saved } });
+        } catch (err) {
+            return res.status(500).json({ message: 'Server error', data: err });
+        }
+    });
+
+    // POST /api/auth/login
+    authRoutes.post('/login', async function (req, res) {
+        try {
+            var email = req.body.email;
+            var password = req.body.password;
+
+            if (!email || !password) {
+                return res.status(400).json({ message: 'Bad Request: email and password are required', data: {} });
+            }
+
+            var user = await store.users.findOne({ email: email }, { select: '+password' });
+            // same response for unknown email and wrong password
+            if (!user || !(await user.checkPassword(String(password)))) {
+                return res.status(401).json({ message: 'Unauthorized: invalid email or password', data: {} });
+            }
+
+            return res.status(200).json({ message: 'OK', data: { token: auth.signToken(user), user: user } });
+        } catch (err) {
+            return res.status(500).json({ message: 'Server error', data: err });
+        }
+    });
+
+    // GET /api/auth/me
+    authRoutes.get('/me', auth.authenticate, function (req, res) {
+        return res.status(200).json({ message: 'OK', data: req.user });
+    });
+
+    return authRoutes;
+};
@@ -0,0 +1,158 @@
+var express = require('express');
+var mongoose = require('mongoose');
+var Comment = require('../models/comment');
+var store = require('../lib/store');
+var auth = require('../middleware/auth');
+var transaction = require('../lib/transaction');
+var audit = require('../lib/audit');
+var pagination = require('../lib/pagination');
+var query = require('../lib/query');
+var comments = require('../lib/comments');
+
+// /api/tasks/:id/comments - the discussion of a task
+module.exports = function (router) {
+    var commentRoutes = express.Router({ mergeParams: true });
+
+    // route results are { status, message, data }, as in the task and user routes
+    function result(status, message, data) {
+        return { status: status, message: message, data: data };
+    }
+
+    function send(res, r) {
+        if (r.status === 204) return res.status(204).send();
+        return res.status(r.status).json({ message: r.message, data: r.data });
+    }
+
+    // the task of the route: 400 for malformed ids, 404 if missing or in the trash
+    async function loadTask(req, tx) {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return result(400, 'Bad Request: invalid task id format', {});
+        }
+        var task = await store.tasks.findById(req.params.id, tx ? tx.opts({ select: '_id' }) : { select: '_id' });
+        if (!task) return result(404, 'Not Found: task does not exist', {});
+        return result(200, 'OK', task);
+    }
+
+    // a comment of the route's task: 400 for malformed ids, 404 if missing
+    async function loadComment(req, tx) {
+        var found = await loadTask(req, tx);
+        if (found.status !== 200) return found;
+        if (!mongoose.Types.ObjectId.isValid(req.params.commentId)) {
+            return result(400, 'Bad Request: invalid comment id format', {});
+        }
+        var comment = await store.comments.findOne({ _id: req.params.commentId, task: req.params.id }, tx ? tx.opts() : {});
+        if (!comment) return result(404, 'Not Found', {});
+        return result(200, 'OK', comment);
+    }
+
+    // 403 result unless the current user wrote comment (or is an admin, when admins may), otherwise null
+    function checkAuthor(req, comment, admins) {
+        if (comment.author === req.user._id.toString() || (admins && auth.isAdmin(req.user))) return null;
+        return result(403, 'Forbidden: you can only change your own comments', {});
+    }
+
+    function readBody(body) {
+        if (typeof body.body !== 'string' || !body.body.trim()) return { error: 'body is required' };
+        if (body.body.length > Comment.MAX_LENGTH) return { error: 'body must be at most ' + Comment.MAX_LENGTH + ' characters' };
+        return { body: body.body };
+    }
+
+    // GET /api/tasks/:id/comments - oldest first, with where/sort/select and paging like GET /api/tasks
+    commentRoutes.get('/', async function (req, res) {
+        try {
+            var found = await loadTask(req, null);
+            if (found.status !== 200) return send(res, found);
+            try {
+                var q = query.fromRequest(Comment, req.query);
+            } catch (err) {
+                return res.status(400).json({ message: 'Bad Request: ' + err.message, data: err.details });
+            }
+            var where = { $and: [q.where, { task: req.params.id }] };
+            var page = await pagination.paginate(Comment, req, { where: where, sort: q.sort || { dateCreated: 1 }, select: q.select });
+            res.set('Link', pagination.linkHeader(req, page.meta));
+            return res.status(200).json({ message: 'OK', data: page.data, meta: page.meta });
+        } catch (err) {
+            if (err.status === 400) return res.status(400).json({ message: 'Bad Request: ' + err.message, data: {} });
+            return res.status(500).json({ message: 'Server error', data: err });
+        }
+    });
+
+    // POST /api/tasks/:id/comments - { body }; @-mentions are resolved to users
+    commentRoutes.post('/', async function (req, res) {
+        try {
+            var r = await transaction.run(async function (tx) {
+                var found = await loadTask(req, tx);
+                if (found.status !== 200) return found;
+                var fields = readBody(req.body);
+                if (fields.error) return result(400, 'Bad Request: ' + fields.error, {});
+                var comment = new Comment({
+                    task: req.params.id,
+                    author: req.user._id.toString(),
+                    authorName: req.user.name,
+                    body: fields.body,
+                    mentions: await comments.resolveMentions(tx, fields.body)
+                });
+                var saved = await store.comments.save(comment, tx.opts());
+                tx.created(Comment, saved._id);
+                return result(201, 'Comment created', saved);
+            }, audit.context(req, 'comment'));
+            return send(res, r);
+        } catch (err) {
+            return res.status(500).json({ message: 'Server error', data: err });
+        }
+    });
+
+    // GET /api/tasks/:id/comments/:commentId
+    commentRoutes.get('/:commentId', async function (req, res) {
+        try {
+            return send(res, await loadComment(req, null));
+        } catch (err) {
+            return res.status(500).json({ message: 'Server error', data: err });
+        }
+    });
+
+    // PUT /api/tasks/:id/comments/:commentId - { body }; only the author can edit a comment
+    commentRoutes.put('/:commentId', async function (req, res) {
+        try {
+            var r = await transaction.run(async function (tx) {
+                var found = await loadComment(req, tx);
+                if (found.status !== 200) return found;
+                var forbidden = checkAuthor(req, found.data, false);
+                if (forbidden) return forbidden;
+                var fields = readBody(req.body);
+                if (fields.error) return result(400, 'Bad Request: ' + fields.error, {});
+                var comment = found.data;
+                if (comment.body !== fields.body) {
+                    comment.body = fields.body;
+                    comment.mentions = await comments.resolveMentions(tx, fields.body);
+                    comment.dateEdited = new Date();
+                }
+                await tx.snapshot(Comment, { _id: comment._id });
+                return result(200, 'Comment updated', await store.comments.save(comment, tx.opts()));
+            }, audit.context(req, 'comment'));
+            return send(res, r);
+        } catch (err) {
+            return res.status(500).json({ message: 'Server error', data: err });
+        }
+    });
+
+    // DELETE /api/tasks/:id/comments/:commentId - the author or an admin
+    commentRoutes.delete('/:commentId', async function (req, res) {
+        try {
+            var r = await transaction.run(async function (tx) {
+                var found = await loadComment(req, tx);
+                if (found.status !== 200) return found;
+                var forbidden = checkAuthor(req, found.data, true);
+                if (forbidden) return forbidden;
+                await tx.snapshot(Comment, { _id: found.data._id });
+                await store.comments.deleteOne({ _id: found.data._id }, tx.opts());
+                return result(204, 'Comment deleted', {});
+            }, audit.context(req, 'comment'));
+            return send(res, r);
+        } catch (err) {
+            return res.status(500).json({ message: 'Server error', data: err });
+        }
+    });
+
+    return commentRoutes;
+};
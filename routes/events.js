@@ -0,0 +1,101 @@
+var express = require('express');
+var events = require('../lib/events');
+var health = require('../lib/health');
+
+var HEARTBEAT_MS = 25000;
+var RETRY_MS = 3000;
+
+module.exports = function (router) {
+    var stream = express.Router();
+
+    function badRequest(res, message, data) {
+        return res.status(400).json({ message: 'Bad Request: ' + message, data: data || {} });
+    }
+
+    /*
+     * GET /api/events - Server-Sent Events for task and user changes.
+     * ?resource=task|user limits the stream to one resource, ?types= takes a
+     * comma-separated list of event types (default: created, updated and
+     * deleted) and ?where= filters on the changed document like the list
+     * routes do. Reconnecting clients send Last-Event-ID to get what they missed.
+     */
+    stream.get('/', function (req, res) {
+        var resources = req.query.resource ? [req.query.resource] : ['task', 'user'];
+        if (resources.some(function (r) { return r !== 'task' && r !== 'user'; })) {
+            return badRequest(res, 'resource must be task or user');
+        }
+
+        var types = [];
+        if (req.query.types) {
+            types = String(req.query.types).split(',').filter(Boolean);
+            var unknown = types.filter(function (t) {
+                return events.EVENT_TYPES.indexOf(t) === -1 || resources.indexOf(t.split('.')[0]) === -1;
+            });
+            if (unknown.length > 0) return badRequest(res, 'unknown event types for this resource', unknown);
+        } else {
+            resources.forEach(function (r) {
+                types.push(r + '.created', r + '.updated', r + '.deleted');
+            });
+        }
+
+        var filters;
+        try {
+            var where = req.query.where ? JSON.parse(req.query.where) : {};
+        } catch (e) {
+            return badRequest(res, 'where: malformed JSON', { errors: [{ param: 'where', path: '', reason: 'malformed JSON' }] });
+        }
+        try {
+            filters = events.compileWhere(where, types);
+        } catch (err) {
+            return badRequest(res, err.message, err.details);
+        }
+
+        function wanted(event) {
+            return types.indexOf(event.type) !== -1 && events.matches(event, filters);
+        }
+
+        function write(event) {
+            res.write('id: ' + event.id + '\nevent: ' + event.type + '\ndata: ' + JSON.stringify(events.toPayload(event)) + '\n\n');
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // keep proxies like nginx from holding events back
+        });
+        res.write('retry: ' + RETRY_MS + '\n\n');
+
+        // catch up first, then go live; both happen in this tick so nothing slips in between
+        var lastId = req.get('Last-Event-ID') || req.query.lastEventId;
+        if (lastId) {
+            var missed = events.since(lastId);
+            if (missed === null) {
+                // too old (or from before a restart): the client has to reload its data
+                res.write('event: resync\ndata: {}\n\n');
+            } else {
+                missed.filter(wanted).forEach(write);
+            }
+        }
+        var unsubscribe = events.subscribe(function (event) {
+            if (wanted(event)) write(event);
+        });
+
+        var heartbeat = setInterval(function () {
+            res.write(': keep-alive\n\n');
+        }, HEARTBEAT_MS);
+
+        // streams never finish by themselves; end them on shutdown so clients reconnect to another server
+        var stopDraining = health.onDrain(function () {
+            res.end();
+        });
+
+        req.on('close', function () {
+            clearInterval(heartbeat);
+            unsubscribe();
+            stopDraining();
+        });
+    });
+
+    return stream;
+};
@@ -1,10 +1,33 @@
+var health = require('../lib/health');
+var openapi = require('../lib/openapi');
+
 module.exports = function (router) {
 
-    var homeRoute = router.route('/');
+    // GET /api - where to look next
+    router.get('/', function (req, res) {
+        res.json({ message: 'OK', data: { health: '/api/health', ready: '/api/ready', metrics: '/metrics', openapi: '/api/openapi.json' } });
+    });
+
+    // GET /api/health - liveness: the process is up and answering
+    router.get('/health', function (req, res) {
+        res.json({ message: 'OK', data: { status: 'ok', uptime: Math.round(process.uptime()) } });
+    });
+
+    /*
+     * GET /api/ready - readiness: 200 once the database is connected, 503
+     * while it is not and once the server has started shutting down.
+     */
+    router.get('/ready', function (req, res) {
+        var status = health.status();
+        if (!status.ready) {
+            return res.status(503).json({ message: 'Service Unavailable', data: status });
+        }
+        res.json({ message: 'OK', data: status });
+    });
 
-    homeRoute.get(function (req, res) {
-        var connectionString = process.env.TOKEN;
-        res.json({ message: 'My connection string is ' + connectionString });
+    // GET /api/openapi.json - the API description, as it is (no { message, data } around it)
+    router.get('/openapi.json', function (req, res) {
+        res.json(openapi.document);
     });
 
     return router;
@@ -1,10 +1,31 @@
 /*
  * Connect all of your endpoints together here.
  */
+var auth = require('../middleware/auth');
+var health = require('../lib/health');
+var validate = require('../middleware/validate');
+
 module.exports = function (app, router) {
+    // Prometheus scrapes /metrics, outside /api
+    app.use('/metrics', require('./metrics')(router));
+    // health and readiness checks answer whatever state the database is in
     var apiRouter = require('./home.js')(router);
-    // mount users and tasks routes onto /api
-    apiRouter.use('/users', require('./users')(router));
-    apiRouter.use('/tasks', require('./tasks')(router));
+    apiRouter.use(health.requireStore);
+    // login/registration are public, everything else needs a bearer token
+    apiRouter.use('/auth', validate.request, require('./auth')(router));
+    // mount users and tasks routes onto /api; validate.request checks requests against lib/openapi
+    // after authentication, so a missing token stays a 401
+    apiRouter.use('/users', auth.authenticate, validate.request, require('./users')(router));
+    apiRouter.use('/tasks', auth.authenticate, validate.request, require('./tasks')(router));
+    // a task's discussion and files
+    apiRouter.use('/tasks/:id/comments', auth.authenticate, validate.request, require('./comments')(router));
+    apiRouter.use('/tasks/:id/attachments', auth.authenticate, validate.request, require('./attachments')(router));
+    apiRouter.use('/projects', auth.authenticate, validate.request, require('./projects')(router));
+    apiRouter.use('/trash', auth.authenticate, validate.request, require('./trash')(router));
+    apiRouter.use('/stats', auth.authenticate, validate.request, require('./stats')(router));
+    apiRouter.use('/admin', auth.authenticate, auth.requireRole('admin'), validate.request, require('./admin')(router));
+    // EventSource cannot set headers, so the stream also takes ?access_token=
+    apiRouter.use('/events', auth.authenticateStream, validate.request, require('./events')(router));
+    apiRouter.use('/webhooks', auth.authenticate, auth.requireRole('admin'), validate.request, require('./webhooks')(router));
     app.use('/api', apiRouter);
 };
@@ -0,0 +1,22 @@
+var express = require('express');
+var metrics = require('../lib/metrics');
+
+module.exports = function (router) {
+    var metricsRoutes = express.Router();
+
+    /*
+     * GET /metrics - request counts and latencies, storage timings and process
+     * figures in the Prometheus text format. When METRICS_TOKEN is set,
+     * scrapers must send it as a bearer token.
+     */
+    metricsRoutes.get('/', function (req, res) {
+        var token = process.env.METRICS_TOKEN;
+        if (token && req.get('Authorization') !== 'Bearer ' + token) {
+            return res.status(401).json({ message: 'Unauthorized: metrics need METRICS_TOKEN', data: {} });
+        }
+        res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.send(metrics.render());
+    });
+
+    return metricsRoutes;
+};
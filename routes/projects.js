@@ -0,0 +1,322 @@
+var express = require('express');
+var mongoose = require('mongoose');
+var Project = require('../models/project');
+var Task = require('../models/task');
+var User = require('../models/user');
+var store = require('../lib/store');
+var auth = require('../middleware/auth');
+var transaction = require('../lib/transaction');
+var audit = require('../lib/audit');
+var patch = require('../lib/patch');
+var pagination = require('../lib/pagination');
+var query = require('../lib/query');
+var projects = require('../lib/projects');
+
+module.exports = function (router) {
+    var projectRoutes = express.Router();
+
+    // route results are { status, message, data }, as in the task and user routes
+    function result(status, message, data) {
+        return { status: status, message: message, data: data };
+    }
+
+    function send(res, r) {
+        if (r.status === 204) return res.status(204).send();
+        return res.status(r.status).json({ message: r.message, data: r.data });
+    }
+
+    function isOwner(req, project) {
+        return auth.isAdmin(req.user) || project.roleOf(req.user._id) === 'owner';
+    }
+
+    // load a project: 400 for malformed ids, 404 if missing or (for non-admins) not one of theirs
+    async function loadProject(req, tx, id) {
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return result(400, 'Bad Request: invalid project id format', {});
+        }
+        var project = await store.projects.findById(id, tx ? tx.opts() : {});
+        if (!project || (!auth.isAdmin(req.user) && !project.roleOf(req.user._id))) {
+            return result(404, 'Not Found', {});
+        }
+        return result(200, 'OK', project);
+    }
+
+    // like loadProject, but 403 unless the current user owns the project
+    async function loadOwnProject(req, tx, id) {
+        var found = await loadProject(req, tx, id);
+        if (found.status === 200 && !isOwner(req, found.data)) {
+            return result(403, 'Forbidden: only project owners can do this', {});
+        }
+        return found;
+    }
+
+    function readFields(body) {
+        if (!body.name || typeof body.name !== 'string') return { error: 'name is required' };
+        if (body.description !== undefined && typeof body.description !== 'string') return { error: 'description must be a string' };
+        return { name: body.name, description: body.description || '' };
+    }
+
+    /*
+     * Unassign userId's open tasks in project, as deleting a user does: the tasks
+     * lose their assignee and leave the user's pendingTasks.
+     */
+    async function unassignMember(tx, project, userId) {
+        var projectId = project._id.toString();
+        var tasks = await projects.memberTasks(tx, projectId, userId);
+        if (tasks.length === 0) return;
+        var ids = tasks.map(function (t) { return t._id.toString(); });
+        await tx.snapshot(Task, { _id: { $in: ids } });
+        await store.tasks.updateMany({ _id: { $in: ids } }, { assignedUser: '', assignedUserName: 'unassigned' }, tx.opts());
+        await tx.snapshot(User, { _id: userId });
+        await store.users.updateOne({ _id: userId }, { $pull: { pendingTasks: { $in: ids } } }, tx.opts());
+    }
+
+    // GET /api/projects - the projects the current user is a member of (all of them for admins)
+    projectRoutes.get('/', function (req, res) {
+        try {
+            var q = query.fromRequest(Project, req.query);
+        } catch (err) {
+            return res.status(400).json({ message: 'Bad Request: ' + err.message, data: err.details });
+        }
+        var where = q.where;
+        if (!auth.isAdmin(req.user)) where = { $and: [where, { 'members.user': req.user._id.toString() }] };
+        pagination.paginate(Project, req, { where: where, sort: q.sort, select: q.select }).then(function (page) {
+            res.set('Link', pagination.linkHeader(req, page.meta));
+            return res.status(200).json({ message: 'OK', data: page.data, meta: page.meta });
+        }).catch(function (err) {
+            if (err.status === 400) return res.status(400).json({ message: 'Bad Request: ' + err.message, data: {} });
+            return res.status(500).json({ message: 'Server error', data: err });
+        });
+    });
+
+    // POST /api/projects - the creator becomes its owner
+    projectRoutes.post('/', async function (req, res) {
+        try {
+            var r = await transaction.run(async function (tx) {
+                var fields = readFields(req.body);
+                if (fields.error) return result(400, 'Bad Request: ' + fields.error, {});
+                var project = new Project(fields);
+                project.members.push({ user: req.user._id.toString(), role: 'owner' });
+                var saved = await store.projects.save(project, tx.opts());
+                tx.created(Project, saved._id);
+                return result(201, 'Project created', saved);
+            }, audit.context(req, 'project'));
+            return send(res, r);
+        } catch (err) {
+            return res.status(500).json({ message: 'Server error', data: err });
+        }
+    });
+
+    // GET /api/projects/:id
+    projectRoutes.get('/:id', async function (req, res) {
+        try {
+            return send(res, await loadProject(req, null, req.params.id));
+        } catch (err) {
+            return res.status(500).json({ message: 'Server error', data: err });
+        }
+    });
+
+    // replace name and description (members have their own routes)
+    async function updateProject(req, body) {
+        return transaction.run(async function (tx) {
+            var found = await loadOwnProject(req, tx, req.params.id);
+            if (found.status !== 200) return found;
+            var project = found.data;
+            try {
+                var fields = readFields(body(project));
+            } catch (e) {
+                return result(400, 'Bad Request: ' + e.message, e.details);
+            }
+            if (fields.error) return result(400, 'Bad Request: ' + fields.error, {});
+            project.name = fields.name;
+            project.description = fields.description;
+            await tx.snapshot(Project, { _id: project._id });
+            return result(200, 'Project updated', await store.projects.save(project, tx.opts()));
+        }, audit.context(req, 'project'));
+    }
+
+    // PUT /api/projects/:id - owners and admins
+    projectRoutes.put('/:id', async function (req, res) {
+        try {
+            return send(res, await updateProject(req, function () { return req.body; }));
+        } catch (err) {
+            return res.status(500).json({ message: 'Server error', data: err });
+        }
+    });
+
+    // PATCH /api/projects/:id - JSON Merge Patch or JSON Patch of name/description
+    projectRoutes.patch('/:id', async function (req, res) {
+        try {
+            var r = await updateProject(req, function (project) {
+                return patch.applyRequestPatch(req, { name: project.name, description: project.description });
+            });
+            return send(res, r);
+        } catch (err) {
+            return res.status(500).json({ message: 'Server error', data: err });
+        }
+    });
+
+    /*
+     * DELETE /api/projects/:id - owners and admins. 409 while it still has
+     * tasks, trashed ones included, unless ?tasks=detach, which takes them
+     * out of the project.
+     */
+    projectRoutes.delete('/:id', async function (req, res) {
+        try {
+            var r = await transaction.run(async function (tx) {
+                var found = await loadOwnProject(req, tx, req.params.id);
+                if (found.status !== 200) return found;
+                var projectId = found.data._id.toString();
+                // tasks in the trash count too: restored, they would point at a missing project
+                var count = await store.tasks.count({ project: projectId }, tx.opts({ withDeleted: true }));
+                if (count > 0) {
+                    if (req.query.tasks !== 'detach') {
+                        return result(409, 'Conflict: project still has tasks, move them out or pass tasks=detach', { tasks: count });
+                    }
+                    await tx.snapshot(Task, { project: projectId });
+                    await store.tasks.updateMany({ project: projectId }, { project: '' }, tx.opts());
+                }
+                await tx.snapshot(Project, { _id: found.data._id });
+                await store.projects.deleteOne({ _id: found.data._id }, tx.opts());
+                return result(204, 'Project deleted', {});
+            }, audit.context(req, 'project'));
+            return send(res, r);
+        } catch (err) {
+            return res.status(500).json({ message: 'Server error', data: err });
+        }
+    });
+
+    // GET /api/projects/:id/tasks - the project's tasks, with where/sort/select and paging like GET /api/tasks
+    projectRoutes.get('/:id/tasks', async function (req, res) {
+        try {
+            var found = await loadProject(req, null, req.params.id);
+            if (found.status !== 200) return send(res, found);
+            try {
+                var q = query.fromRequest(Task, req.query);
+            } catch (err) {
+                return res.status(400).json({ message: 'Bad Request: ' + err.message, data: err.details });
+            }
+            var where = { $and: [q.where, { project: found.data._id.toString() }] };
+            var page = await pagination.paginate(Task, req, { where: where, sort: q.sort, select: q.select });
+            res.set('Link', pagination.linkHeader(req, page.meta));
+            return res.status(200).json({ message: 'OK', data: page.data, meta: page.meta });
+        } catch (err) {
+            if (err.status === 400) return res.status(400).json({ message: 'Bad Request: ' + err.message, data: {} });
+            return res.status(500).json({ message: 'Server error', data: err });
+        }
+    });
+
+    // members as { user, name, email, role, dateAdded }
+    async function memberList(project, tx) {
+        var ids = project.members.map(function (m) { return m.user; });
+        var users = await store.users.find({ _id: { $in: ids } }, tx ? tx.opts({ select: 'name email' }) : { select: 'name email' });
+        var byId = {};
+        users.forEach(function (u) { byId[u._id.toString()] = u; });
+        return project.members.map(function (m) {
+            var u = byId[m.user];
+            return { user: m.user, name: u ? u.name : '', email: u ? u.email : '', role: m.role, dateAdded: m.dateAdded };
+        });
+    }
+
+    // GET /api/projects/:id/members
+    projectRoutes.get('/:id/members', async function (req, res) {
+        try {
+            var found = await loadProject(req, null, req.params.id);
+            if (found.status !== 200) return send(res, found);
+            return res.status(200).json({ message: 'OK', data: await memberList(found.data) });
+        } catch (err) {
+            return res.status(500).json({ message: 'Server error', data: err });
+        }
+    });
+
+    // POST /api/projects/:id/members - { user, role } (owners and admins)
+    projectRoutes.post('/:id/members', async function (req, res) {
+        try {
+            var r = await transaction.run(async function (tx) {
+                var found = await loadOwnProject(req, tx, req.params.id);
+                if (found.status !== 200) return found;
+                var project = found.data;
+                var userId = req.body.user;
+                var role = req.body.role || 'member';
+                if (typeof userId !== 'string' || !mongoose.Types.ObjectId.isValid(userId)) {
+                    return result(400, 'Bad Request: user must be a user id', {});
+                }
+                if (Project.ROLES.indexOf(role) === -1) {
+                    return result(400, 'Bad Request: role must be one of ' + Project.ROLES.join(', '), {});
+                }
+                if (project.roleOf(userId)) return result(409, 'Conflict: user is already a member', {});
+                if (!await store.users.findById(userId, tx.opts({ select: '_id' }))) return result(404, 'Not Found: user does not exist', {});
+
+                project.members.push({ user: userId, role: role });
+                await tx.snapshot(Project, { _id: project._id });
+                await store.projects.save(project, tx.opts());
+                return result(201, 'Member added', await memberList(project, tx));
+            }, audit.context(req, 'project'));
+            return send(res, r);
+        } catch (err) {
+            return res.status(500).json({ message: 'Server error', data: err });
+        }
+    });
+
+    // the member entry for userId, and whether changing it would leave the project without an owner
+    function findMember(project, userId) {
+        var member = project.members.filter(function (m) { return m.user === userId; })[0];
+        var owners = project.members.filter(function (m) { return m.role === 'owner'; }).length;
+        return { member: member, lastOwner: !!member && member.role === 'owner' && owners === 1 };
+    }
+
+    // PATCH /api/projects/:id/members/:userId - { role } (owners and admins)
+    projectRoutes.patch('/:id/members/:userId', async function (req, res) {
+        try {
+            var r = await transaction.run(async function (tx) {
+                var found = await loadOwnProject(req, tx, req.params.id);
+                if (found.status !== 200) return found;
+                var project = found.data;
+                if (Project.ROLES.indexOf(req.body.role) === -1) {
+                    return result(400, 'Bad Request: role must be one of ' + Project.ROLES.join(', '), {});
+                }
+                var m = findMember(project, req.params.userId);
+                if (!m.member) return result(404, 'Not Found: user is not a member', {});
+                if (m.lastOwner && req.body.role !== 'owner') {
+                    return result(409, 'Conflict: a project needs at least one owner', {});
+                }
+                m.member.role = req.body.role;
+                await tx.snapshot(Project, { _id: project._id });
+                await store.projects.save(project, tx.opts());
+                return result(200, 'Member updated', await memberList(project, tx));
+            }, audit.context(req, 'project'));
+            return send(res, r);
+        } catch (err) {
+            return res.status(500).json({ message: 'Server error', data: err });
+        }
+    });
+
+    /*
+     * DELETE /api/projects/:id/members/:userId - owners and admins, or the
+     * member leaving. Their open tasks in the project are unassigned.
+     */
+    projectRoutes.delete('/:id/members/:userId', async function (req, res) {
+        try {
+            var r = await transaction.run(async function (tx) {
+                var leaving = req.params.userId === req.user._id.toString();
+                var found = leaving ? await loadProject(req, tx, req.params.id) : await loadOwnProject(req, tx, req.params.id);
+                if (found.status !== 200) return found;
+                var project = found.data;
+                var m = findMember(project, req.params.userId);
+                if (!m.member) return result(404, 'Not Found: user is not a member', {});
+                if (m.lastOwner) return result(409, 'Conflict: a project needs at least one owner', {});
+
+                await unassignMember(tx, project, req.params.userId);
+                project.members.pull(m.member);
+                await tx.snapshot(Project, { _id: project._id });
+                await store.projects.save(project, tx.opts());
+                return result(204, 'Member removed', {});
+            }, audit.context(req, 'project'));
+            return send(res, r);
+        } catch (err) {
+            return res.status(500).json({ message: 'Server error', data: err });
+        }
+    });
+
+    return projectRoutes;
+};
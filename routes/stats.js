@@ -0,0 +1,27 @@
+var express = require('express');
+var Task = require('../models/task');
+var query = require('../lib/query');
+var stats = require('../lib/stats');
+
+module.exports = function (router) {
+    var statsRoutes = express.Router();
+
+    // GET /api/stats?where=&from=&to=&interval=day|week|month&timezone= - task workload and completion numbers
+    statsRoutes.get('/', function (req, res) {
+        try {
+            var where = query.fromRequest(Task, req.query).where;
+            var opts = stats.options(req.query);
+        } catch (err) {
+            return res.status(400).json({ message: 'Bad Request: ' + err.message, data: err.details || {} });
+        }
+        stats.taskStats(where, opts).then(function (data) {
+            return res.status(200).json({ message: 'OK', data: data });
+        }).catch(function (err) {
+            // the in-memory store has no aggregation pipeline
+            if (err.status === 501) return res.status(501).json({ message: 'Not Implemented: ' + err.message, data: {} });
+            return res.status(500).json({ message: 'Server error', data: err });
+        });
+    });
+
+    return statsRoutes;
+};
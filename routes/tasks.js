@@ -2,225 +2,1038 @@ var express = require('express');
 var mongoose = require('mongoose');
 var Task = require('../models/task');
 var User = require('../models/user');
+var store = require('../lib/store');
+var auth = require('../middleware/auth');
+var transaction = require('../lib/transaction');
+var audit = require('../lib/audit');
+var patch = require('../lib/patch');
+var bulk = require('../lib/bulk');
+var openapi = require('../lib/openapi');
+var pagination = require('../lib/pagination');
+var query = require('../lib/query');
+var recurrence = require('../lib/recurrence');
+var dependencies = require('../lib/dependencies');
+var projects = require('../lib/projects');
+var workflow = require('../lib/workflow');
+var csv = require('../lib/csv');
+var ical = require('../lib/ical');
+var search = require('../lib/search');
+var versioning = require('../lib/versioning');
+
+var EXPORT_FORMATS = { csv: 'text/csv', ics: 'text/calendar', json: 'application/json' };
+var CSV_COLUMNS = ['_id', 'name', 'description', 'deadline', 'status', 'completed', 'completedAt', 'assignedUser', 'assignedUserName', 'assigneeEmail', 'dateCreated', 'recurrence', 'parentTask', 'blockedBy'];
+// task fields a CSV column can be mapped to on import
+var IMPORT_FIELDS = ['name', 'description', 'deadline', 'status', 'completed', 'assigneeEmail', 'assignedUser', 'recurrence'];
 
 module.exports = function (router) {
     var tasks = express.Router();
 
-    function parseJSONParam(param) {
-        if (!param) return undefined;
-        try {
-            return JSON.parse(param);
-        } catch (e) {
-            return null;
-        }
+    // non-admins may only touch tasks assigned to themselves
+    function ownsTask(req, task) {
+        return auth.isAdmin(req.user) || task.assignedUser === req.user._id.toString();
+    }
+
+    // non-admins may only assign tasks to themselves (or leave them unassigned)
+    function canAssignTo(req, userId) {
+        return !userId || auth.isAdmin(req.user) || userId === req.user._id.toString();
+    }
+
+    // route results are { status, message, data } so single and bulk routes can share them
+    function result(status, message, data) {
+        return { status: status, message: message, data: data };
+    }
+
+    function send(res, r) {
+        if (r.status === 204) return res.status(204).send();
+        if (r.data instanceof Task) res.set('ETag', versioning.etag(r.data));
+        return res.status(r.status).json({ message: r.message, data: r.data });
+    }
+
+    // 412 result when the request's If-Match names another version of task, null if it may be written
+    function checkVersion(req, task) {
+        if (versioning.ifMatch(req, task)) return null;
+        return result(412, 'Precondition Failed: task has changed, current version is ' + versioning.etag(task), {});
+    }
+
+    // helper to add/remove task from user pendingTasks as part of transaction tx
+    async function addTaskToUser(tx, userId, taskId) {
+        if (!userId) return;
+        var filter = { _id: userId, pendingTasks: { $ne: taskId } };
+        await tx.snapshot(User, filter);
+        await store.users.updateOne(filter, { $push: { pendingTasks: taskId } }, tx.opts());
+    }
+
+    async function removeTaskFromUser(tx, userId, taskId) {
+        if (!userId) return;
+        var filter = { _id: userId, pendingTasks: taskId };
+        await tx.snapshot(User, filter);
+        await store.users.updateOne(filter, { $pull: { pendingTasks: taskId } }, tx.opts());
+    }
+
+    // ?ignoreBlockers=true lets a task be completed while tasks it is blocked by are still open
+    function ignoresBlockers(req) {
+        return req.query.ignoreBlockers === 'true' || req.query.ignoreBlockers === true;
     }
 
-    // helper to add/remove task from user pendingTasks
-    function addTaskToUser(userId, taskId) {
-        if (!userId) return Promise.resolve();
-        return User.updateOne({ _id: userId, pendingTasks: { $ne: taskId } }, { $push: { pendingTasks: taskId } });
+    /*
+     * Read parentTask/blockedBy from a body, keeping the task's current values
+     * for fields the body leaves out. Returns { parentTask, blockedBy }.
+     */
+    function dependencyFields(body, task) {
+        var parentTask = 'parentTask' in body ? body.parentTask || '' : (task ? task.parentTask : '');
+        var blockedBy = 'blockedBy' in body ? body.blockedBy || [] : (task ? task.blockedBy.toObject() : []);
+        blockedBy = blockedBy.filter(function (id, i) { return blockedBy.indexOf(id) === i; });
+        return { parentTask: parentTask, blockedBy: blockedBy };
     }
 
-    function removeTaskFromUser(userId, taskId) {
-        if (!userId) return Promise.resolve();
-        return User.updateOne({ _id: userId }, { $pull: { pendingTasks: taskId } });
+    // a 409 result if completing a task blocked by blockedBy has to wait, otherwise null
+    async function checkCompletable(req, tx, blockedBy) {
+        if (ignoresBlockers(req)) return null;
+        var open = await dependencies.openBlockers(tx, blockedBy);
+        if (open.length === 0) return null;
+        return result(409, 'Conflict: task is blocked by open tasks, complete them first or pass ignoreBlockers=true', { blockedBy: open });
     }
 
     // GET /api/tasks
     tasks.get('/', function (req, res) {
-        var where = parseJSONParam(req.query.where);
-        var sort = parseJSONParam(req.query.sort);
-        var select = parseJSONParam(req.query.select);
-        var skip = req.query.skip ? parseInt(req.query.skip) : undefined;
-        var limit = req.query.limit ? parseInt(req.query.limit) : 100; // default 100
-        var count = req.query.count === 'true' || req.query.count === true;
-
-        if (where === null || sort === null || select === null) {
-            return res.status(400).json({ message: 'Bad Request: malformed JSON in query parameters', data: {} });
+        try {
+            var q = query.fromRequest(Task, req.query);
+        } catch (err) {
+            return res.status(400).json({ message: 'Bad Request: ' + err.message, data: err.details });
         }
-
-        var q = Task.find(where || {});
-        if (select) q = q.select(select);
-        if (sort) q = q.sort(sort);
-        if (!isNaN(skip)) q = q.skip(skip);
-        if (!isNaN(limit)) q = q.limit(limit);
+        var where = q.where;
+        var count = req.query.count === 'true' || req.query.count === true;
 
         if (count) {
-            Task.countDocuments(where || {}).then(function (c) {
+            return store.tasks.count(where).then(function (c) {
                 return res.status(200).json({ message: 'OK', data: c });
             }).catch(function (err) {
                 return res.status(500).json({ message: 'Server error', data: err });
             });
-        } else {
-            q.exec().then(function (docs) {
-                return res.status(200).json({ message: 'OK', data: docs });
-            }).catch(function (err) {
-                return res.status(500).json({ message: 'Server error', data: err });
-            });
         }
+
+        pagination.paginate(Task, req, { where: where, sort: q.sort, select: q.select }).then(function (page) {
+            res.set('Link', pagination.linkHeader(req, page.meta));
+            return res.status(200).json({ message: 'OK', data: page.data, meta: page.meta });
+        }).catch(function (err) {
+            if (err.status === 400) return res.status(400).json({ message: 'Bad Request: ' + err.message, data: {} });
+            return res.status(500).json({ message: 'Server error', data: err });
+        });
     });
 
-    // POST /api/tasks
-    tasks.post('/', async function (req, res) {
-        try {
-            var name = req.body.name;
-            var deadline = req.body.deadline;
-            var description = req.body.description || '';
-            var completed = (req.body.completed === 'true' || req.body.completed === true);
-            var assignedUser = req.body.assignedUser || '';
-            var assignedUserName = req.body.assignedUserName;
+    /*
+     * Resolve the user a task is being assigned to. Resolves with the
+     * assignedUserName to store, or with an error result.
+     */
+    async function resolveAssignee(tx, assignedUser, assignedUserName) {
+        var theUser = await store.users.findById(assignedUser, tx.opts());
+        if (!theUser) return result(404, 'Not Found: assigned user does not exist', {});
+
+        // If client provided a name, it must match the user's current name
+        if (assignedUserName && assignedUserName !== theUser.name) {
+            return result(400, 'Bad Request: assignedUserName does not match user name', { provided: assignedUserName, actual: theUser.name });
+        }
+        return result(200, 'OK', theUser.name);
+    }
+
+    async function createTask(req, tx, body) {
+        var invalid = openapi.validate('TaskInput', body).errors;
+        if (invalid.length > 0) return openapi.badRequest(invalid);
 
-            if (!name || !deadline) {
-                return res.status(400).json({ message: 'Bad Request: name and deadline are required', data: {} });
+        var name = body.name;
+        var description = body.description || '';
+        var assignedUser = body.assignedUser || '';
+        var assignedUserName = body.assignedUserName;
+        var project = body.project || '';
+
+        if (!canAssignTo(req, assignedUser)) {
+            return result(403, 'Forbidden: you can only assign tasks to yourself', {});
+        }
+        var status = workflow.requested(body, null);
+        if (status.error) return result(400, 'Bad Request: ' + status.error, {});
+        var completed = !workflow.isOpen(status.status);
+
+        var rule = '';
+        if (body.recurrence) {
+            var parsed = recurrence.parse(body.recurrence);
+            if (parsed.error) return result(400, 'Bad Request: invalid recurrence: ' + parsed.error, {});
+            rule = parsed.rule;
+        }
+
+        var deps = dependencyFields(body, null);
+        // milliseconds or an ISO date-time, as TaskInput allows
+        var dl = new Date(body.deadline);
+        // If assignedUser provided, validate and resolve assignedUserName from the user document
+        if (assignedUser) {
+            var resolved = await resolveAssignee(tx, assignedUser, assignedUserName);
+            if (resolved.status !== 200) return resolved;
+            assignedUserName = resolved.data;
+        } else {
+            assignedUserName = assignedUserName || '';
+        }
+        var badProject = await projects.checkTask(tx, req.user, auth.isAdmin(req.user), project, assignedUser, true);
+        if (badProject) return badProject;
+
+        var t = new Task({ name: name, description: description, deadline: dl, assignedUser: assignedUser, assignedUserName: assignedUserName, parentTask: deps.parentTask, blockedBy: deps.blockedBy, project: project, language: body.language || '' });
+        workflow.setStatus(t, status.status, req.user._id.toString());
+        var taskId = t._id.toString();
+        var badDeps = await dependencies.checkParent(tx, taskId, deps.parentTask) || await dependencies.checkBlockers(tx, taskId, deps.blockedBy);
+        if (badDeps) return badDeps;
+        if (completed) {
+            var blocked = await checkCompletable(req, tx, deps.blockedBy);
+            if (blocked) return blocked;
+        }
+        if (rule) {
+            // a recurring task starts its own series
+            t.recurrence = rule;
+            t.seriesId = t._id.toString();
+            t.seriesStart = dl;
+        }
+        var saved = await store.tasks.save(t, tx.opts());
+        tx.created(Task, saved._id);
+
+        // If assigned and open, add to user's pendingTasks (do NOT change user's name)
+        if (assignedUser && !completed) {
+            await addTaskToUser(tx, assignedUser, saved._id.toString());
+        }
+
+        return result(201, 'Task created', saved);
+    }
+
+    // load a task for writing: 404 if missing, 403 if not the caller's
+    async function loadOwnTask(req, tx, id) {
+        var task = await store.tasks.findById(id, tx.opts());
+        if (!task) return result(404, 'Not Found', {});
+        if (!ownsTask(req, task)) {
+            return result(403, 'Forbidden: you can only change your own tasks', {});
+        }
+        return result(200, 'OK', task);
+    }
+
+    /*
+     * Replace task with body, applying the same assignment/pendingTasks rules for
+     * PUT, PATCH and bulk updates. Caller has already loaded the task and checked ownership.
+     */
+    async function replaceTask(req, tx, task, body) {
+        var invalid = openapi.validate('TaskInput', body).errors;
+        if (invalid.length > 0) return openapi.badRequest(invalid);
+        if (!canAssignTo(req, body.assignedUser)) {
+            return result(403, 'Forbidden: you can only assign tasks to yourself', {});
+        }
+
+        // a closed task has to be reopened (or moved to another status) before anything else changes
+        var oldStatus = workflow.statusOf(task);
+        var status = workflow.requested(body, task);
+        if (status.error) return result(400, 'Bad Request: ' + status.error, {});
+        if (!workflow.isOpen(oldStatus) && status.status === oldStatus) {
+            return result(400, 'Bad Request: cannot modify a completed task, reopen it first', {});
+        }
+        var badMove = workflow.checkTransition(oldStatus, status.status, req.user.role);
+        if (badMove) return badMove;
+        var completing = workflow.isOpen(oldStatus) && !workflow.isOpen(status.status);
+
+        // recurrence is kept unless the body sets it; '' or null stops the series
+        var rule = task.recurrence;
+        if ('recurrence' in body) {
+            rule = '';
+            if (body.recurrence) {
+                var parsed = recurrence.parse(body.recurrence);
+                if (parsed.error) return result(400, 'Bad Request: invalid recurrence: ' + parsed.error, {});
+                rule = parsed.rule;
             }
+        }
 
-            var dl = new Date(parseInt(deadline));
-            // If assignedUser provided, validate and resolve assignedUserName from the user document
-            if (assignedUser) {
-                // validate id format
-                if (!mongoose.Types.ObjectId.isValid(assignedUser)) {
-                    return res.status(400).json({ message: 'Bad Request: invalid assignedUser id format', data: {} });
-                }
-                var theUser = await User.findById(assignedUser);
-                if (!theUser) return res.status(404).json({ message: 'Not Found: assigned user does not exist', data: {} });
-
-                if (assignedUserName) {
-                    // If client provided a name, it must match the user's current name
-                    if (assignedUserName !== theUser.name) {
-                        return res.status(400).json({ message: 'Bad Request: assignedUserName does not match user name', data: { provided: assignedUserName, actual: theUser.name } });
-                    }
-                } else {
-                    // default the assignedUserName to the name from user object
-                    assignedUserName = theUser.name;
-                }
-            } else {
-                assignedUserName = assignedUserName || '';
+        var oldAssigned = task.assignedUser;
+        var taskId = task._id.toString();
+
+        // parentTask and blockedBy are kept unless the body sets them; only changes need the cycle checks
+        var deps = dependencyFields(body, task);
+        if (deps.parentTask !== task.parentTask) {
+            var badParent = await dependencies.checkParent(tx, taskId, deps.parentTask);
+            if (badParent) return badParent;
+        }
+        var newBlockers = deps.blockedBy.filter(function (id) { return task.blockedBy.indexOf(id) === -1; });
+        var badBlockers = await dependencies.checkBlockers(tx, taskId, newBlockers);
+        if (badBlockers) return badBlockers;
+        if (completing) {
+            var blocked = await checkCompletable(req, tx, deps.blockedBy);
+            if (blocked) return blocked;
+        }
+
+        // If assignedUser is provided in the update, resolve and validate assignedUserName against the user
+        var resolvedAssignedUserName;
+        if (body.assignedUser) {
+            var resolved = await resolveAssignee(tx, body.assignedUser, body.assignedUserName);
+            if (resolved.status !== 200) return resolved;
+            resolvedAssignedUserName = resolved.data;
+        }
+
+        // like parentTask, project is kept unless the body sets it
+        var project = 'project' in body ? body.project || '' : task.project;
+        var badProject = await projects.checkTask(tx, req.user, auth.isAdmin(req.user), project, body.assignedUser || '', project !== task.project);
+        if (badProject) return badProject;
+
+        // update fields
+        task.name = body.name;
+        task.description = body.description || '';
+        task.deadline = new Date(body.deadline);
+        workflow.setStatus(task, status.status, req.user._id.toString());
+        task.assignedUser = body.assignedUser || '';
+        task.assignedUserName = (typeof resolvedAssignedUserName !== 'undefined') ? resolvedAssignedUserName : (body.assignedUserName || (task.assignedUser ? task.assignedUserName : 'unassigned'));
+        if (rule && (rule !== task.recurrence || !task.seriesId)) {
+            // a new or changed rule starts counting (COUNT) from this instance
+            task.seriesId = task.seriesId || task._id.toString();
+            task.seriesStart = task.deadline;
+        }
+        task.recurrence = rule;
+        task.parentTask = deps.parentTask;
+        task.blockedBy = deps.blockedBy;
+        task.project = project;
+        // '' (or leaving it out of a patch) goes back to detecting the language
+        if ('language' in body) task.language = body.language || '';
+
+        await tx.snapshot(Task, { _id: task._id });
+        var saved = await store.tasks.save(task, tx.opts());
+
+        // If assigned user changed, remove from old user's pendingTasks
+        if (oldAssigned && oldAssigned.toString() !== (task.assignedUser || '').toString()) {
+            await removeTaskFromUser(tx, oldAssigned, taskId);
+        }
+
+        // If now assigned and open (e.g. reopened), add to user's pendingTasks
+        if (task.assignedUser && !task.completed) {
+            await addTaskToUser(tx, task.assignedUser, taskId);
+        }
+
+        // If moved to a closed status, ensure it's removed from user's pendingTasks
+        if (completing && task.assignedUser) {
+            await removeTaskFromUser(tx, task.assignedUser, taskId);
+        }
+
+        // Completing an instance of a recurring task schedules the next one
+        if (completing && task.recurrence) {
+            await createNextInstance(tx, task);
+        }
+
+        return result(200, 'Task updated', saved);
+    }
+
+    // create the instance following task in its series, with the same assignee; null once the series is over
+    async function createNextInstance(tx, task) {
+        var next = recurrence.nextOccurrence(task.recurrence, task.seriesStart || task.deadline, task.deadline);
+        if (!next) return null;
+        // completing an instance again after reopening it must not schedule its successor twice
+        var scheduled = await store.tasks.count({ seriesId: task.seriesId, deadline: next }, tx.opts({ withDeleted: true }));
+        if (scheduled > 0) return null;
+
+        var t = new Task({
+            name: task.name,
+            description: task.description,
+            deadline: next,
+            assignedUser: task.assignedUser,
+            assignedUserName: task.assignedUserName,
+            recurrence: task.recurrence,
+            seriesId: task.seriesId,
+            seriesStart: task.seriesStart,
+            parentTask: task.parentTask,
+            project: task.project,
+            language: task.language
+        });
+        workflow.setStatus(t, workflow.INITIAL, '');
+        var saved = await store.tasks.save(t, tx.opts());
+        tx.created(Task, saved._id);
+        if (saved.assignedUser) {
+            await addTaskToUser(tx, saved.assignedUser, saved._id.toString());
+        }
+        return saved;
+    }
+
+    // the fields of a task a client can write, as PUT would receive them
+    function writableFields(task) {
+        return {
+            name: task.name,
+            description: task.description,
+            deadline: task.deadline.getTime(),
+            status: workflow.statusOf(task),
+            completed: task.completed,
+            assignedUser: task.assignedUser,
+            assignedUserName: task.assignedUserName,
+            recurrence: task.recurrence,
+            parentTask: task.parentTask,
+            blockedBy: task.blockedBy.toObject(),
+            project: task.project,
+            language: task.language
+        };
+    }
+
+    /*
+     * Apply a merge patch to every open instance of a series, with the same
+     * rules as PATCH /api/tasks/:id. Resolves with the updated instances.
+     */
+    async function updateSeries(req, tx, seriesId, changes) {
+        var instances = await store.tasks.find({ seriesId: seriesId, completed: false }, tx.opts({ sort: { deadline: 1 } }));
+        var all = await store.tasks.count({ seriesId: seriesId }, tx.opts());
+        if (all === 0) return result(404, 'Not Found', {});
+
+        var updated = [];
+        for (var i = 0; i < instances.length; i++) {
+            if (!ownsTask(req, instances[i])) {
+                return result(403, 'Forbidden: you can only change your own tasks', {});
             }
+            var current = writableFields(instances[i]);
+            var r = await replaceTask(req, tx, instances[i], patchedBody(current, patch.mergePatch(current, changes)));
+            // the first failure aborts the whole series update
+            if (r.status !== 200) throw Object.assign(new Error(r.message), { result: r });
+            updated.push(r.data);
+        }
+        return result(200, 'Series updated', updated);
+    }
+
+    // finish a patched body: a reassignment without an explicit name should pick up the new user's name
+    function patchedBody(current, body) {
+        if (body.assignedUser !== current.assignedUser && body.assignedUserName === current.assignedUserName) {
+            delete body.assignedUserName;
+        }
+        // a patch that only flips completed moves to the status that implies
+        if (body.completed !== current.completed && body.status === current.status) delete body.status;
+        // removing recurrence in the patch stops the series (PUT keeps it when omitted)
+        if (!('recurrence' in body)) body.recurrence = '';
+        if (!('parentTask' in body)) body.parentTask = '';
+        if (!('blockedBy' in body)) body.blockedBy = [];
+        if (!('project' in body)) body.project = '';
+        if (!('language' in body)) body.language = '';
+        return body;
+    }
+
+    // the first task in subtasks or below them the caller does not own, or null
+    async function foreignSubtask(req, tx, subtasks) {
+        var level = subtasks;
+        while (level.length > 0) {
+            var other = level.find(function (t) { return !ownsTask(req, t); });
+            if (other) return other;
+            var ids = level.map(function (t) { return t._id.toString(); });
+            level = await store.tasks.find({ parentTask: { $in: ids } }, tx.opts());
+        }
+        return null;
+    }
 
-            var t = new Task({ name: name, description: description, deadline: dl, completed: completed, assignedUser: assignedUser, assignedUserName: assignedUserName });
-            var saved = await t.save();
+    /*
+     * Move a task to the trash. policy decides what happens to its subtasks:
+     * 'refuse' (the default) fails with 409 while it has subtasks or blocks
+     * other tasks, 'cascade' trashes the subtasks too and 'reparent' moves them
+     * up to this task's parent. Tasks it blocked are unblocked either way. The
+     * links undone are kept in deletedLinks so restoreTask can put them back.
+     */
+    async function deleteTask(req, tx, task, policy) {
+        policy = policy || 'refuse';
+        var taskId = task._id.toString();
+        var deps = await dependencies.dependents(tx, taskId);
 
-            // If assigned and not completed, add to user's pendingTasks (do NOT change user's name)
-            if (assignedUser && !completed) {
-                await addTaskToUser(assignedUser, saved._id.toString()).catch(function () { });
+        if (policy === 'refuse' && (deps.subtasks.length > 0 || deps.blocked.length > 0)) {
+            return result(409, 'Conflict: task has subtasks or blocks other tasks, pass dependents=cascade or dependents=reparent', {
+                subtasks: deps.subtasks.map(function (t) { return t._id; }),
+                blocked: deps.blocked.map(function (t) { return t._id; })
+            });
+        }
+
+        var ids = function (list) { return list.map(function (t) { return t._id.toString(); }); };
+        var links = { reparented: [], unblocked: ids(deps.blocked), cascaded: [] };
+        if (policy === 'cascade') {
+            // the whole subtree has to be the caller's before any of it is trashed
+            var foreign = await foreignSubtask(req, tx, deps.subtasks);
+            if (foreign) {
+                return result(403, 'Forbidden: you can only change your own tasks', { subtask: foreign._id });
             }
+            for (var i = 0; i < deps.subtasks.length; i++) {
+                var r = await deleteTask(req, tx, deps.subtasks[i], policy);
+                if (r.status !== 204) return r;
+            }
+            links.cascaded = ids(deps.subtasks);
+        } else if (deps.subtasks.length > 0) {
+            links.reparented = ids(deps.subtasks);
+            await tx.snapshot(Task, { _id: { $in: links.reparented } });
+            await store.tasks.updateMany({ _id: { $in: links.reparented } }, { parentTask: task.parentTask }, tx.opts());
+        }
+
+        if (links.unblocked.length > 0) {
+            await tx.snapshot(Task, { _id: { $in: links.unblocked } });
+            await store.tasks.updateMany({ _id: { $in: links.unblocked } }, { $pull: { blockedBy: taskId } }, tx.opts());
+        }
+
+        // remove from assigned user's pendingTasks; assignedUser stays so a restore can give it back
+        if (task.assignedUser) {
+            await removeTaskFromUser(tx, task.assignedUser, taskId);
+        }
 
-            return res.status(201).json({ message: 'Task created', data: saved });
+        await tx.snapshot(Task, { _id: task._id });
+        await store.tasks.updateOne({ _id: task._id }, { deletedAt: new Date(), deletedLinks: links }, tx.opts());
+        return result(204, 'Task deleted', {});
+    }
+
+    /*
+     * Take a trashed task out of the trash along with the subtasks that were
+     * cascaded with it, and put back the links deleteTask undid as far as they
+     * still make sense: the parent and blockers must still exist, reparented
+     * subtasks must not have been moved again, and blocking must not create a
+     * cycle. Links that no longer hold are dropped.
+     */
+    async function restoreTask(req, tx, id, cascaded) {
+        var task = await store.tasks.findById(id, tx.opts({ withDeleted: true }));
+        if (!task) return result(404, 'Not Found', {});
+        if (!cascaded && !ownsTask(req, task)) {
+            return result(403, 'Forbidden: you can only change your own tasks', {});
+        }
+        if (!task.deletedAt) return result(409, 'Conflict: task is not deleted', {});
+        var taskId = task._id.toString();
+        var links = task.deletedLinks || {};
+        var update = { deletedAt: null, $unset: { deletedLinks: 1 } };
+
+        if (task.parentTask && await dependencies.checkParent(tx, taskId, task.parentTask)) update.parentTask = '';
+        var blockers = task.blockedBy.length === 0 ? [] : await store.tasks.find({ _id: { $in: task.blockedBy } }, tx.opts({ select: '_id' }));
+        if (blockers.length !== task.blockedBy.length) {
+            update.blockedBy = blockers.map(function (t) { return t._id.toString(); });
+        }
+
+        // give the task back to its assignee, unless the account is gone
+        if (task.assignedUser) {
+            var assignee = await store.users.findById(task.assignedUser, tx.opts({ select: '_id' }));
+            if (!assignee) {
+                update.assignedUser = '';
+                update.assignedUserName = 'unassigned';
+            } else if (!task.completed) {
+                await addTaskToUser(tx, task.assignedUser, taskId);
+            }
+        }
+        await tx.snapshot(Task, { _id: task._id });
+        var restored = await store.tasks.findOneAndUpdate({ _id: task._id }, update, tx.opts({ new: true, withDeleted: true }));
+
+        // subtasks restored or purged on their own since are skipped
+        var cascade = links.cascaded || [];
+        for (var i = 0; i < cascade.length; i++) {
+            await restoreTask(req, tx, cascade[i], true);
+        }
+
+        // subtasks that still sit where deleteTask moved them
+        if (links.reparented && links.reparented.length > 0) {
+            var reparented = { _id: { $in: links.reparented }, parentTask: task.parentTask };
+            await tx.snapshot(Task, reparented);
+            await store.tasks.updateMany(reparented, { parentTask: taskId }, tx.opts());
+        }
+
+        var unblocked = links.unblocked || [];
+        for (var j = 0; j < unblocked.length; j++) {
+            if (await dependencies.checkBlockers(tx, unblocked[j], [taskId])) continue;
+            var filter = { _id: unblocked[j] };
+            await tx.snapshot(Task, filter);
+            await store.tasks.updateOne(filter, { $addToSet: { blockedBy: taskId } }, tx.opts());
+        }
+        return result(200, 'Task restored', restored);
+    }
+
+    // one operation of POST /api/tasks/bulk
+    async function runBulkOperation(req, tx, op) {
+        if (op.op === 'create') return createTask(req, tx, op.data || {});
+        if (!op.id) return openapi.badRequest([{ param: 'body', path: 'id', reason: 'is required' }]);
+
+        var found = await loadOwnTask(req, tx, op.id);
+        if (found.status !== 200) return found;
+        var task = found.data;
+
+        if (op.op === 'delete') return deleteTask(req, tx, task, op.dependents);
+
+        var current = writableFields(task);
+        var changes = op.op === 'assign' ? { assignedUser: op.assignedUser || '' } : op.data;
+        if (!changes) return openapi.badRequest([{ param: 'body', path: 'data', reason: 'is required' }]);
+        return replaceTask(req, tx, task, patchedBody(current, patch.mergePatch(current, changes)));
+    }
+
+    // POST /api/tasks
+    tasks.post('/', async function (req, res) {
+        try {
+            var r = await transaction.run(function (tx) {
+                return createTask(req, tx, req.body);
+            }, audit.context(req, 'task'));
+            return send(res, r);
         } catch (err) {
             return res.status(500).json({ message: 'Server error', data: err });
         }
     });
 
-    // GET /api/tasks/:id
-    tasks.get('/:id', function (req, res) {
-        var select = parseJSONParam(req.query.select);
-        if (select === null) return res.status(400).json({ message: 'Bad Request: malformed JSON in select', data: {} });
+    // write to a streamed response, waiting while the client is behind
+    function writeChunk(res, chunk) {
+        if (res.write(chunk)) return Promise.resolve();
+        return new Promise(function (resolve) {
+            res.once('drain', resolve);
+            res.once('close', resolve);
+        });
+    }
 
-        // validate id format and return 400 for malformed ids
-        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
-            return res.status(400).json({ message: 'Bad Request: invalid id format', data: {} });
+    // cached lookups of assignees ({ name, email }) while exporting
+    function assigneeLookup() {
+        var cache = {};
+        return function (userId) {
+            if (!userId || !mongoose.Types.ObjectId.isValid(userId)) return Promise.resolve(null);
+            if (!(userId in cache)) cache[userId] = store.users.findById(userId, { select: 'name email', lean: true });
+            return cache[userId];
+        };
+    }
+
+    function csvLine(task, assignee) {
+        return csv.formatRow(CSV_COLUMNS.map(function (c) {
+            if (c === 'assigneeEmail') return assignee ? assignee.email : '';
+            if (c === 'blockedBy') return (task.blockedBy || []).join(' ');
+            return task[c];
+        }));
+    }
+
+    // GET /api/tasks/workflow - the statuses tasks move through and who may move them where
+    tasks.get('/workflow', function (req, res) {
+        var w = workflow.describe();
+        w.next = {};
+        w.statuses.forEach(function (st) { w.next[st.name] = workflow.nextStatuses(st.name, req.user.role); });
+        return res.status(200).json({ message: 'OK', data: w });
+    });
+
+    /*
+     * GET /api/tasks/search?q= - ranked full-text search over name and
+     * description, narrowed by where. The query is stemmed in ?language
+     * (detected from q by default).
+     */
+    tasks.get('/search', function (req, res) {
+        try {
+            var q = query.fromRequest(Task, req.query);
+        } catch (err) {
+            return res.status(400).json({ message: 'Bad Request: ' + err.message, data: err.details });
+        }
+        var language = req.query.language || search.detectText(req.query.q) || 'english';
+        if (search.LANGUAGES.indexOf(language) === -1) {
+            return res.status(400).json({ message: 'Bad Request: language must be one of ' + search.LANGUAGES.join(', '), data: {} });
         }
 
-        var q = Task.findById(req.params.id);
-        if (select) q = q.select(select);
-        q.exec().then(function (task) {
-            if (!task) return res.status(404).json({ message: 'Not Found', data: {} });
-            return res.status(200).json({ message: 'OK', data: task });
+        search.search(Task, req, { where: q.where, select: q.select, language: language, fields: ['name', 'description'] }).then(function (found) {
+            return res.status(200).json({ message: 'OK', data: found.data, meta: found.meta });
         }).catch(function (err) {
+            if (err.status === 400) return res.status(400).json({ message: 'Bad Request: ' + err.message, data: {} });
             return res.status(500).json({ message: 'Server error', data: err });
         });
     });
 
-    // PUT /api/tasks/:id
-    tasks.put('/:id', async function (req, res) {
+    /*
+     * GET /api/tasks/export?format=csv|ics|json - every task matching where, in
+     * sort order (default by deadline), streamed from a cursor. ICS output
+     * uses VTODO components unless ?component=VEVENT.
+     */
+    tasks.get('/export', async function (req, res) {
+        var format = req.query.format || 'csv';
+        var component = String(req.query.component || 'VTODO').toUpperCase();
+        if (component !== 'VTODO' && component !== 'VEVENT') {
+            return res.status(400).json({ message: 'Bad Request: component must be VTODO or VEVENT', data: {} });
+        }
         try {
-            // validate id format
-            if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
-                return res.status(400).json({ message: 'Bad Request: invalid task id format', data: {} });
-            }
-            var body = req.body;
-            if (!body.name || !body.deadline) {
-                return res.status(400).json({ message: 'Bad Request: name and deadline are required', data: {} });
-            }
-
-            var task = await Task.findById(req.params.id);
-            if (!task) return res.status(404).json({ message: 'Not Found', data: {} });
+            var q = query.fromRequest(Task, req.query);
+        } catch (err) {
+            return res.status(400).json({ message: 'Bad Request: ' + err.message, data: err.details });
+        }
 
-            // Disallow modifying an already completed task
-            if (task.completed === true) {
-                return res.status(400).json({ message: 'Bad Request: cannot modify a completed task', data: {} });
-            }
+        var cursor = store.tasks.cursor(q.where, { sort: q.sort || { deadline: 1 }, lean: true });
+        var assignee = assigneeLookup();
+        try {
+            var task = await cursor.next();
+        } catch (err) {
+            return res.status(500).json({ message: 'Server error', data: err });
+        }
 
-            var oldAssigned = task.assignedUser;
-            var oldCompleted = task.completed;
+        res.status(200);
+        res.set('Content-Type', EXPORT_FORMATS[format] + '; charset=utf-8');
+        res.set('Content-Disposition', 'attachment; filename="tasks.' + format + '"');
+        try {
+            if (format === 'csv') await writeChunk(res, csv.formatRow(CSV_COLUMNS));
+            if (format === 'ics') await writeChunk(res, ical.header());
+            if (format === 'json') await writeChunk(res, '{"message":"OK","data":[');
 
-            // If assignedUser is provided in the update, resolve and validate assignedUserName against the user
-            var resolvedAssignedUserName;
-            if (body.assignedUser) {
-                if (!mongoose.Types.ObjectId.isValid(body.assignedUser)) {
-                    return res.status(400).json({ message: 'Bad Request: invalid assignedUser id format', data: {} });
-                }
-                var theUser = await User.findById(body.assignedUser);
-                if (!theUser) return res.status(404).json({ message: 'Not Found: assigned user does not exist', data: {} });
-
-                if (body.assignedUserName) {
-                    if (body.assignedUserName !== theUser.name) {
-                        return res.status(400).json({ message: 'Bad Request: assignedUserName does not match user name', data: { provided: body.assignedUserName, actual: theUser.name } });
-                    }
-                    resolvedAssignedUserName = body.assignedUserName;
+            for (var n = 0; task && !res.destroyed; n++) {
+                if (format === 'csv') {
+                    await writeChunk(res, csvLine(task, await assignee(task.assignedUser)));
+                } else if (format === 'ics') {
+                    await writeChunk(res, ical.formatTask(task, component, await assignee(task.assignedUser), req.hostname));
                 } else {
-                    resolvedAssignedUserName = theUser.name;
+                    await writeChunk(res, (n > 0 ? ',' : '') + JSON.stringify(task));
                 }
+                task = await cursor.next();
             }
 
-            // update fields
-            task.name = body.name;
-            task.description = body.description || '';
-            task.deadline = new Date(parseInt(body.deadline));
-            task.completed = (body.completed === 'true' || body.completed === true);
-            task.assignedUser = body.assignedUser || '';
-            task.assignedUserName = (typeof resolvedAssignedUserName !== 'undefined') ? resolvedAssignedUserName : (body.assignedUserName || (task.assignedUser ? task.assignedUserName : 'unassigned'));
+            if (format === 'ics') await writeChunk(res, ical.footer());
+            if (format === 'json') await writeChunk(res, ']}');
+            res.end();
+        } catch (err) {
+            // too late for an error response; cut the download short so it is not mistaken for complete
+            req.log.error('Task export failed', { error: err });
+            res.destroy(err);
+        } finally {
+            cursor.close().catch(function () {});
+        }
+    });
 
-            var saved = await task.save();
+    /*
+     * Work out which column each import field comes from. Without a mapping
+     * (or for fields it leaves out) a column named like the field is used,
+     * case-insensitively, with 'email' also accepted for assigneeEmail.
+     * Returns { indexes } or { error }.
+     */
+    function importColumns(headerRow, mapping) {
+        var names = headerRow.map(function (h) { return h.trim().toLowerCase(); });
+        var indexes = {};
+        var fields = Object.keys(mapping || {});
+        for (var i = 0; i < fields.length; i++) {
+            if (IMPORT_FIELDS.indexOf(fields[i]) === -1) {
+                return { error: 'mapping: unknown field ' + fields[i] + ', use any of ' + IMPORT_FIELDS.join(', ') };
+            }
+            var idx = names.indexOf(String(mapping[fields[i]]).trim().toLowerCase());
+            if (idx === -1) return { error: 'mapping: no column named ' + mapping[fields[i]] };
+            indexes[fields[i]] = idx;
+        }
+        IMPORT_FIELDS.forEach(function (f) {
+            if (f in indexes) return;
+            var idx = names.indexOf(f.toLowerCase());
+            if (idx === -1 && f === 'assigneeEmail') idx = names.indexOf('email');
+            if (idx !== -1) indexes[f] = idx;
+        });
+        if (!('name' in indexes) || !('deadline' in indexes)) {
+            return { error: 'name and deadline columns are required; map them with mapping' };
+        }
+        return { indexes: indexes };
+    }
+
+    function parseDeadline(value) {
+        var ms = /^-?\d+$/.test(value) ? Number(value) : Date.parse(value);
+        return isNaN(ms) ? null : ms;
+    }
+
+    /*
+     * Turn one CSV row into a createTask() body, checking everything that
+     * can be checked without writing. users maps lowercased emails and ids
+     * to existing users. Resolves with { body } or an error result.
+     */
+    function importRow(req, row, indexes, users) {
+        function cell(f) {
+            return f in indexes ? csv.readField(row[indexes[f]] || '').trim() : '';
+        }
+        var body = { name: cell('name'), description: cell('description') };
+        if (!body.name) return result(400, 'Bad Request: name is required', {});
+
+        body.deadline = parseDeadline(cell('deadline'));
+        if (body.deadline === null) return result(400, 'Bad Request: invalid deadline', { deadline: cell('deadline') });
 
-            // If assigned user changed, remove from old user's pendingTasks
-            if (oldAssigned && oldAssigned.toString() !== (task.assignedUser || '').toString()) {
-                await removeTaskFromUser(oldAssigned, task._id.toString());
+        var completed = cell('completed').toLowerCase();
+        if (['', 'false', 'no', '0'].indexOf(completed) !== -1) body.completed = false;
+        else if (['true', 'yes', '1', 'x'].indexOf(completed) !== -1) body.completed = true;
+        else return result(400, 'Bad Request: completed must be true or false', { completed: cell('completed') });
+        // a status column takes over from an empty completed one; createTask checks they agree
+        if (cell('status')) {
+            body.status = cell('status');
+            if (!completed) delete body.completed;
+        }
+
+        var email = cell('assigneeEmail');
+        var assignedUser = cell('assignedUser');
+        if (email) {
+            var byEmail = users['email:' + email.toLowerCase()];
+            if (!byEmail) return result(404, 'Not Found: no user with email ' + email, {});
+            if (assignedUser && assignedUser !== byEmail._id.toString()) {
+                return result(400, 'Bad Request: assignedUser does not match assigneeEmail', {});
             }
+            assignedUser = byEmail._id.toString();
+        } else if (assignedUser && !users['id:' + assignedUser]) {
+            return result(404, 'Not Found: assigned user does not exist', { assignedUser: assignedUser });
+        }
+        if (!canAssignTo(req, assignedUser)) {
+            return result(403, 'Forbidden: you can only assign tasks to yourself', {});
+        }
+        body.assignedUser = assignedUser;
 
-            // If now assigned and not completed, add to user's pendingTasks
-            if (task.assignedUser && !task.completed) {
-                await addTaskToUser(task.assignedUser, task._id.toString());
+        var rule = cell('recurrence');
+        if (rule) {
+            var parsed = recurrence.parse(rule);
+            if (parsed.error) return result(400, 'Bad Request: invalid recurrence: ' + parsed.error, {});
+            body.recurrence = parsed.rule;
+        }
+        return { body: body };
+    }
+
+    // the users referenced by assigneeEmail/assignedUser columns, keyed 'email:<lowercased>' and 'id:<id>'
+    async function importUsers(rows, indexes) {
+        var emails = [];
+        var ids = [];
+        rows.forEach(function (row) {
+            var email = 'assigneeEmail' in indexes ? (row[indexes.assigneeEmail] || '').trim() : '';
+            if (email) emails.push(email);
+            var id = 'assignedUser' in indexes ? (row[indexes.assignedUser] || '').trim() : '';
+            if (mongoose.Types.ObjectId.isValid(id)) ids.push(id);
+        });
+        var users = {};
+        var found = await store.users.find({ email: { $in: emails } }, { select: 'name email', collation: { locale: 'en', strength: 2 } });
+        found.forEach(function (u) { users['email:' + u.email.toLowerCase()] = u; });
+        found = await store.users.find({ _id: { $in: ids } }, { select: 'name email' });
+        found.forEach(function (u) { users['id:' + u._id.toString()] = u; });
+        return users;
+    }
+
+    /*
+     * POST /api/tasks/import - create tasks from CSV, one row per task.
+     * Send the CSV as a text/csv body (options in the query string) or as
+     * JSON { csv, mapping, dryRun, atomic }. mapping maps fields to column
+     * names, e.g. { "name": "Title", "deadline": "Due", "assigneeEmail": "Owner" }.
+     * Responds with a report of every row; dryRun only validates.
+     */
+    tasks.post('/import', async function (req, res) {
+        var options = typeof req.body === 'string' ? req.query : Object.assign({}, req.query, req.body);
+        var text = typeof req.body === 'string' ? req.body : options.csv;
+        var dryRun = options.dryRun === true || options.dryRun === 'true';
+        var atomic = options.atomic === true || options.atomic === 'true';
+        if (typeof text !== 'string' || !text.trim()) {
+            return res.status(400).json({ message: 'Bad Request: send the CSV as a text/csv body or as csv in a JSON body', data: {} });
+        }
+
+        var mapping = options.mapping;
+        if (typeof mapping === 'string') {
+            try {
+                mapping = JSON.parse(mapping);
+            } catch (e) {
+                return res.status(400).json({ message: 'Bad Request: mapping: malformed JSON', data: {} });
             }
+        }
+        if (mapping !== undefined && (mapping === null || typeof mapping !== 'object' || Array.isArray(mapping))) {
+            return res.status(400).json({ message: 'Bad Request: mapping must be a JSON object', data: {} });
+        }
+
+        try {
+            var rows = csv.parse(text);
+        } catch (e) {
+            return res.status(400).json({ message: 'Bad Request: invalid CSV: ' + e.message, data: {} });
+        }
+        var dataRows = rows.slice(1);
+        if (dataRows.length === 0) return res.status(400).json({ message: 'Bad Request: CSV has no data rows', data: {} });
+        if (dataRows.length > bulk.MAX_OPERATIONS) {
+            return res.status(400).json({ message: 'Bad Request: at most ' + bulk.MAX_OPERATIONS + ' rows per import', data: {} });
+        }
+        var columns = importColumns(rows[0], mapping);
+        if (columns.error) return res.status(400).json({ message: 'Bad Request: ' + columns.error, data: {} });
+
+        try {
+            var users = await importUsers(dataRows, columns.indexes);
+            // rows are numbered as in a spreadsheet: the header is row 1
+            var report = dataRows.map(function (row, i) {
+                var prepared = importRow(req, row, columns.indexes, users);
+                var entry = { row: i + 2 };
+                if (prepared.body) return Object.assign(entry, { status: 200, message: 'OK', data: prepared.body });
+                return Object.assign(entry, prepared);
+            });
+            var valid = report.filter(function (r) { return r.status === 200; });
+            var summary = { dryRun: dryRun, atomic: atomic, total: report.length, failed: report.length - valid.length };
 
-            // If marked completed, ensure it's removed from user's pendingTasks
-            if (task.completed && oldCompleted === false && task.assignedUser) {
-                await removeTaskFromUser(task.assignedUser, task._id.toString());
+            if (dryRun || valid.length === 0 || (atomic && summary.failed > 0)) {
+                var status = atomic && summary.failed > 0 ? 400 : 200;
+                summary.created = 0;
+                summary.rows = report;
+                return res.status(status).json({ message: dryRun ? 'Dry run, nothing was imported' : 'Nothing was imported', data: summary });
             }
 
-            return res.status(200).json({ message: 'Task updated', data: saved });
+            var operations = valid.map(function (r) { return { op: 'create', data: r.data }; });
+            var r = await bulk.run(operations, atomic, function (op, tx) {
+                return createTask(req, tx, op.data);
+            }, audit.context(req, 'task'));
+
+            valid.forEach(function (entry, i) {
+                var outcome = r.data.results[i];
+                if (r.status === 200 || (outcome && outcome.status >= 400)) {
+                    Object.assign(entry, { status: outcome.status, message: outcome.message, data: outcome.data });
+                } else {
+                    // an atomic import rolled back everything when another row failed
+                    var failedRow = valid[r.data.failedIndex].row;
+                    Object.assign(entry, { status: 400, message: 'Bad Request: not imported because row ' + failedRow + ' failed', data: {} });
+                }
+            });
+            summary.failed = report.filter(function (x) { return x.status >= 400; }).length;
+            summary.created = report.filter(function (x) { return x.status === 201; }).length;
+            summary.rows = report;
+            return res.status(r.status).json({ message: r.status === 200 ? 'Import finished' : r.message, data: summary });
         } catch (err) {
             return res.status(500).json({ message: 'Server error', data: err });
         }
     });
 
-    // DELETE /api/tasks/:id
-    tasks.delete('/:id', async function (req, res) {
+    // POST /api/tasks/bulk - { operations: [{ op: create|update|delete|assign, ... }], atomic }
+    tasks.post('/bulk', async function (req, res) {
         try {
-            // validate id format
-            if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
-                return res.status(400).json({ message: 'Bad Request: invalid task id format', data: {} });
+            var r = await bulk.run(req.body.operations, req.body.atomic === true, function (op, tx) {
+                return runBulkOperation(req, tx, op);
+            }, audit.context(req, 'task'));
+            return send(res, r);
+        } catch (err) {
+            return res.status(500).json({ message: 'Server error', data: err });
+        }
+    });
+
+    // GET /api/tasks/series/:seriesId - every instance of a recurring task, by deadline
+    tasks.get('/series/:seriesId', function (req, res) {
+        pagination.paginate(Task, req, { where: { seriesId: req.params.seriesId }, sort: { deadline: 1 } }).then(function (page) {
+            if (page.meta.total === 0) return res.status(404).json({ message: 'Not Found', data: {} });
+            res.set('Link', pagination.linkHeader(req, page.meta));
+            return res.status(200).json({ message: 'OK', data: page.data, meta: page.meta });
+        }).catch(function (err) {
+            if (err.status === 400) return res.status(400).json({ message: 'Bad Request: ' + err.message, data: {} });
+            return res.status(500).json({ message: 'Server error', data: err });
+        });
+    });
+
+    // run updateSeries for a route; changes(req) returns the merge patch to apply
+    function seriesRoute(changes) {
+        return async function (req, res) {
+            var body = changes(req);
+            try {
+                var r = await transaction.run(function (tx) {
+                    return updateSeries(req, tx, req.params.seriesId, body);
+                }, audit.context(req, 'task'));
+                return send(res, r);
+            } catch (err) {
+                if (err.result) return send(res, err.result);
+                return res.status(500).json({ message: 'Server error', data: err });
             }
-            var task = await Task.findById(req.params.id);
+        };
+    }
+
+    // PATCH /api/tasks/series/:seriesId - merge patch (name, description, recurrence, assignedUser...) for all open instances
+    tasks.patch('/series/:seriesId', seriesRoute(function (req) {
+        return req.body;
+    }));
+
+    // POST /api/tasks/series/:seriesId/stop - no further instances will be created
+    tasks.post('/series/:seriesId/stop', seriesRoute(function () {
+        return { recurrence: null };
+    }));
+
+    // GET /api/tasks/:id
+    tasks.get('/:id', function (req, res) {
+        try {
+            var select = query.selectFromRequest(Task, req.query);
+        } catch (err) {
+            return res.status(400).json({ message: 'Bad Request: ' + err.message, data: err.details });
+        }
+
+        // the ETag needs _id and __v even if select leaves them out
+        var projection = versioning.projection(select);
+        store.tasks.findById(req.params.id, { select: projection.select }).then(function (task) {
             if (!task) return res.status(404).json({ message: 'Not Found', data: {} });
+            res.set('ETag', versioning.etag(task));
+            if (versioning.ifNoneMatch(req, task)) return res.status(304).send();
+            var json = task.toJSON();
+            projection.strip.forEach(function (f) { delete json[f]; });
+            return res.status(200).json({ message: 'OK', data: json });
+        }).catch(function (err) {
+            return res.status(500).json({ message: 'Server error', data: err });
+        });
+    });
 
-            // remove from assigned user's pendingTasks
-            if (task.assignedUser) {
-                await removeTaskFromUser(task.assignedUser, task._id.toString());
-            }
+    // load a task for the read-only routes below, replying 404 itself; resolves with null if it did
+    async function findTaskOrReply(req, res) {
+        var task = await store.tasks.findById(req.params.id);
+        if (!task) res.status(404).json({ message: 'Not Found', data: {} });
+        return task;
+    }
 
-            await Task.deleteOne({ _id: req.params.id });
-            return res.status(204).send();
+    // GET /api/tasks/:id/subtasks - the task with its subtasks nested under `subtasks`, ?depth levels deep (max 10)
+    tasks.get('/:id/subtasks', async function (req, res) {
+        try {
+            var task = await findTaskOrReply(req, res);
+            if (!task) return;
+            var tree = await dependencies.subtaskTree(task, parseInt(req.query.depth));
+            return res.status(200).json({ message: 'OK', data: tree });
+        } catch (err) {
+            return res.status(500).json({ message: 'Server error', data: err });
+        }
+    });
+
+    // GET /api/tasks/:id/dependencies - { nodes, edges } of everything blocking this task and everything it blocks
+    tasks.get('/:id/dependencies', async function (req, res) {
+        try {
+            var task = await findTaskOrReply(req, res);
+            if (!task) return;
+            var graph = await dependencies.dependencyGraph(task);
+            return res.status(200).json({ message: 'OK', data: graph });
+        } catch (err) {
+            return res.status(500).json({ message: 'Server error', data: err });
+        }
+    });
+
+    // GET /api/tasks/:id/history - audit log of this task
+    tasks.get('/:id/history', audit.historyHandler('task'));
+
+    // PUT /api/tasks/:id
+    tasks.put('/:id', async function (req, res) {
+        try {
+            var r = await transaction.run(async function (tx) {
+                var found = await loadOwnTask(req, tx, req.params.id);
+                if (found.status !== 200) return found;
+                var stale = checkVersion(req, found.data);
+                if (stale) return stale;
+                return replaceTask(req, tx, found.data, req.body);
+            }, audit.context(req, 'task'));
+            return send(res, r);
+        } catch (err) {
+            // the task was saved by another request between loading and saving it
+            if (err.name === 'VersionError') return res.status(409).json({ message: 'Conflict: task was changed by another request, try again', data: {} });
+            return res.status(500).json({ message: 'Server error', data: err });
+        }
+    });
+
+    // PATCH /api/tasks/:id - JSON Merge Patch or JSON Patch against the current task
+    tasks.patch('/:id', async function (req, res) {
+        try {
+            var r = await transaction.run(async function (tx) {
+                var found = await loadOwnTask(req, tx, req.params.id);
+                if (found.status !== 200) return found;
+                var stale = checkVersion(req, found.data);
+                if (stale) return stale;
+
+                var current = writableFields(found.data);
+                try {
+                    var body = patch.applyRequestPatch(req, current);
+                } catch (e) {
+                    return result(400, 'Bad Request: ' + e.message, e.details);
+                }
+                return replaceTask(req, tx, found.data, patchedBody(current, body));
+            }, audit.context(req, 'task'));
+            return send(res, r);
+        } catch (err) {
+            // the task was saved by another request between loading and saving it
+            if (err.name === 'VersionError') return res.status(409).json({ message: 'Conflict: task was changed by another request, try again', data: {} });
+            return res.status(500).json({ message: 'Server error', data: err });
+        }
+    });
+
+    // POST /api/tasks/:id/restore - take a task (and the subtasks trashed with it) out of the trash
+    tasks.post('/:id/restore', async function (req, res) {
+        try {
+            var r = await transaction.run(function (tx) {
+                return restoreTask(req, tx, req.params.id, false);
+            }, audit.context(req, 'task'));
+            return send(res, r);
+        } catch (err) {
+            return res.status(500).json({ message: 'Server error', data: err });
+        }
+    });
+
+    // DELETE /api/tasks/:id?dependents=refuse|cascade|reparent
+    tasks.delete('/:id', async function (req, res) {
+        try {
+            var r = await transaction.run(async function (tx) {
+                var found = await loadOwnTask(req, tx, req.params.id);
+                if (found.status !== 200) return found;
+                var stale = checkVersion(req, found.data);
+                if (stale) return stale;
+                return deleteTask(req, tx, found.data, req.query.dependents);
+            }, audit.context(req, 'task'));
+            return send(res, r);
         } catch (err) {
             return res.status(500).json({ message: 'Server error', data: err });
         }
@@ -0,0 +1,57 @@
+var express = require('express');
+var Task = require('../models/task');
+var User = require('../models/user');
+var auth = require('../middleware/auth');
+var audit = require('../lib/audit');
+var pagination = require('../lib/pagination');
+var query = require('../lib/query');
+var purge = require('../lib/purge');
+
+var MODELS = { task: Task, user: User };
+
+module.exports = function (router) {
+    var trash = express.Router();
+
+    // GET /api/trash?resource=task|user - trashed documents, most recently deleted first
+    trash.get('/', function (req, res) {
+        var resource = req.query.resource || 'task';
+        var Model = MODELS[resource];
+        if (!Model) {
+            return res.status(400).json({ message: 'Bad Request: resource must be task or user', data: {} });
+        }
+        // users see their own trashed tasks, only admins see trashed users
+        if (resource === 'user' && !auth.isAdmin(req.user)) {
+            return res.status(403).json({ message: 'Forbidden: requires role admin', data: {} });
+        }
+        try {
+            var q = query.fromRequest(Model, req.query);
+        } catch (err) {
+            return res.status(400).json({ message: 'Bad Request: ' + err.message, data: err.details });
+        }
+        var where = { $and: [q.where, { deletedAt: { $ne: null } }] };
+        if (resource === 'task' && !auth.isAdmin(req.user)) {
+            where.$and.push({ assignedUser: req.user._id.toString() });
+        }
+
+        var params = { where: where, sort: q.sort || { deletedAt: -1 }, select: q.select, withDeleted: true };
+        pagination.paginate(Model, req, params).then(function (page) {
+            res.set('Link', pagination.linkHeader(req, page.meta));
+            return res.status(200).json({ message: 'OK', data: page.data, meta: page.meta });
+        }).catch(function (err) {
+            if (err.status === 400) return res.status(400).json({ message: 'Bad Request: ' + err.message, data: {} });
+            return res.status(500).json({ message: 'Server error', data: err });
+        });
+    });
+
+    // POST /api/trash/purge - delete expired trash for good now, or all of it with { all: true } (admin only)
+    trash.post('/purge', auth.requireRole('admin'), function (req, res) {
+        var all = req.body.all === true || req.body.all === 'true';
+        purge.purge(all ? null : purge.expiredBefore(), audit.context(req, '')).then(function (counts) {
+            return res.status(200).json({ message: 'Trash purged', data: counts });
+        }).catch(function (err) {
+            return res.status(500).json({ message: 'Server error', data: err });
+        });
+    });
+
+    return trash;
+};
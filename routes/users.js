@@ -1,113 +1,361 @@
 var express = require('express');
-var mongoose = require('mongoose');
 var User = require('../models/user');
 var Task = require('../models/task');
+var Notification = require('../models/notification');
+var Comment = require('../models/comment');
+var Attachment = require('../models/attachment');
+var store = require('../lib/store');
+var auth = require('../middleware/auth');
+var transaction = require('../lib/transaction');
+var audit = require('../lib/audit');
+var patch = require('../lib/patch');
+var bulk = require('../lib/bulk');
+var openapi = require('../lib/openapi');
+var pagination = require('../lib/pagination');
+var query = require('../lib/query');
+var search = require('../lib/search');
+var projects = require('../lib/projects');
+var versioning = require('../lib/versioning');
 
 module.exports = function (router) {
     var users = express.Router();
 
-    // helper to parse JSON query params safely
-    function parseJSONParam(param) {
-        if (!param) return undefined;
-        try {
-            return JSON.parse(param);
-        } catch (e) {
-            return null; // signal parse error
-        }
+    // only admins may act on other users' accounts
+    function canManageUser(req, id) {
+        return auth.isAdmin(req.user) || req.user._id.toString() === id;
+    }
+
+    // route results are { status, message, data } so single and bulk routes can share them
+    function result(status, message, data) {
+        return { status: status, message: message, data: data };
+    }
+
+    function send(res, r) {
+        if (r.status === 204) return res.status(204).send();
+        if (r.data instanceof User) res.set('ETag', versioning.etag(r.data));
+        return res.status(r.status).json({ message: r.message, data: r.data });
+    }
+
+    // 412 result when the request's If-Match names another version of user, null if it may be written
+    function checkVersion(req, user) {
+        if (versioning.ifMatch(req, user)) return null;
+        return result(412, 'Precondition Failed: user has changed, current version is ' + versioning.etag(user), {});
     }
 
     // GET /api/users
     users.get('/', function (req, res) {
-        // support both 'where' and legacy 'filter' (used by db scripts) for select
-        var where = parseJSONParam(req.query.where);
-        var sort = parseJSONParam(req.query.sort);
-        var select = parseJSONParam(req.query.select) || parseJSONParam(req.query.filter);
-        var skip = req.query.skip ? parseInt(req.query.skip) : undefined;
-        var limit = req.query.limit ? parseInt(req.query.limit) : undefined; // users default unlimited
-        var count = req.query.count === 'true' || req.query.count === true;
-
-        if (where === null || sort === null || select === null) {
-            return res.status(400).json({ message: 'Bad Request: malformed JSON in query parameters', data: {} });
+        try {
+            var q = query.fromRequest(User, req.query);
+        } catch (err) {
+            return res.status(400).json({ message: 'Bad Request: ' + err.message, data: err.details });
         }
-
-        var q = User.find(where || {});
-        if (select) q = q.select(select);
-        if (sort) q = q.sort(sort);
-        if (!isNaN(skip)) q = q.skip(skip);
-        if (!isNaN(limit)) q = q.limit(limit);
+        var where = q.where;
+        var count = req.query.count === 'true' || req.query.count === true;
 
         if (count) {
-            User.countDocuments(where || {}).then(function (c) {
+            return store.users.count(where).then(function (c) {
                 return res.status(200).json({ message: 'OK', data: c });
             }).catch(function (err) {
                 return res.status(500).json({ message: 'Server error', data: err });
             });
-        } else {
-            q.exec().then(function (docs) {
-                return res.status(200).json({ message: 'OK', data: docs });
-            }).catch(function (err) {
-                return res.status(500).json({ message: 'Server error', data: err });
-            });
         }
+
+        pagination.paginate(User, req, { where: where, sort: q.sort, select: q.select }).then(function (page) {
+            res.set('Link', pagination.linkHeader(req, page.meta));
+            return res.status(200).json({ message: 'OK', data: page.data, meta: page.meta });
+        }).catch(function (err) {
+            if (err.status === 400) return res.status(400).json({ message: 'Bad Request: ' + err.message, data: {} });
+            return res.status(500).json({ message: 'Server error', data: err });
+        });
     });
 
-    // POST /api/users
-    users.post('/', async function (req, res) {
+    // GET /api/users/search?q= - ranked full-text search over name and email, narrowed by where
+    users.get('/search', function (req, res) {
         try {
-            var name = req.body.name;
-            var email = req.body.email;
-            var pendingTasks = req.body.pendingTasks || [];
+            var q = query.fromRequest(User, req.query);
+        } catch (err) {
+            return res.status(400).json({ message: 'Bad Request: ' + err.message, data: err.details });
+        }
+        search.search(User, req, { where: q.where, select: q.select, language: 'none', fields: ['name', 'email'] }).then(function (found) {
+            return res.status(200).json({ message: 'OK', data: found.data, meta: found.meta });
+        }).catch(function (err) {
+            if (err.status === 400) return res.status(400).json({ message: 'Bad Request: ' + err.message, data: {} });
+            return res.status(500).json({ message: 'Server error', data: err });
+        });
+    });
 
-            if (!name || !email) {
-                return res.status(400).json({ message: 'Bad Request: name and email are required', data: {} });
-            }
+    /*
+     * Check task ids about to be added to userId's pendingTasks: existing,
+     * not completed, in projects userId is a member of, and (for
+     * non-admins) not someone else's.
+     * Resolves with an error result, or null if they can be added.
+     */
+    async function checkNewPendingTasks(req, tx, userId, taskIds) {
+        var tasksFound = await store.tasks.find({ _id: { $in: taskIds } }, tx.opts({ select: '_id completed assignedUser project' }));
+
+        // ensure all referenced tasks actually exist
+        if (tasksFound.length !== taskIds.length) {
+            var foundIds = tasksFound.map(function (t) { return t._id.toString(); });
+            var missing = taskIds.filter(function (x) { return foundIds.indexOf(x.toString()) === -1; });
+            return result(404, 'Not Found: some task ids do not exist', missing);
+        }
+
+        // ensure none of the tasks being added are already completed
+        var completedIds = tasksFound.filter(function (t) { return t.completed === true; }).map(function (t) { return t._id; });
+        if (completedIds.length > 0) {
+            return result(400, 'Bad Request: cannot add completed tasks to pendingTasks', completedIds);
+        }
 
-            // check duplicate email
-            var existing = await User.findOne({ email: email });
-            if (existing) {
-                return res.status(400).json({ message: 'Bad Request: email already exists', data: {} });
+        // non-admins may only pick up unassigned tasks, not take them from someone else
+        if (!auth.isAdmin(req.user)) {
+            var takenIds = tasksFound.filter(function (t) {
+                return t.assignedUser && t.assignedUser !== userId;
+            }).map(function (t) { return t._id; });
+            if (takenIds.length > 0) {
+                return result(403, 'Forbidden: tasks are assigned to another user', takenIds);
             }
+        }
 
-            // If pendingTasks provided, validate ids, ensure tasks exist and none are completed
-            if (Array.isArray(pendingTasks) && pendingTasks.length > 0) {
-                // validate id format first
-                for (var i = 0; i < pendingTasks.length; i++) {
-                    if (!mongoose.Types.ObjectId.isValid(pendingTasks[i])) {
-                        return res.status(400).json({ message: 'Bad Request: invalid task id format in pendingTasks', data: pendingTasks[i] });
-                    }
-                }
+        // project tasks can only go to the project's members
+        var outside = await projects.outsideProjects(tx, tasksFound, userId);
+        if (outside.length > 0) {
+            return result(400, 'Bad Request: user is not a member of the projects of some tasks', outside);
+        }
+        return null;
+    }
 
-                try {
-                    var tasksFound = await Task.find({ _id: { $in: pendingTasks } }).select('_id completed');
-                } catch (e) {
-                    return res.status(400).json({ message: 'Bad Request: invalid task id in pendingTasks', data: e });
-                }
+    // admins create accounts directly, everyone else uses /api/auth/register
+    async function createUser(req, tx, body) {
+        if (!auth.isAdmin(req.user)) {
+            return result(403, 'Forbidden: requires role admin', {});
+        }
+        var invalid = openapi.validate('UserInput', body).errors;
+        if (invalid.length > 0) return openapi.badRequest(invalid);
+
+        var name = body.name;
+        var email = body.email;
+        var password = body.password;
+        var role = body.role || 'user';
+        var pendingTasks = body.pendingTasks || [];
+
+        // check duplicate email, trashed users included
+        var existing = await store.users.findOne({ email: email }, tx.opts({ withDeleted: true }));
+        if (existing) return duplicateEmail(existing);
+
+        // If pendingTasks provided, ensure tasks exist and none are completed
+        if (pendingTasks.length > 0) {
+            var refused = await checkNewPendingTasks(req, tx, null, pendingTasks);
+            if (refused) return refused;
+        }
 
-                // ensure all referenced tasks actually exist
-                if (tasksFound.length !== pendingTasks.length) {
-                    var foundIds = tasksFound.map(function (t) { return t._id.toString(); });
-                    var missing = pendingTasks.filter(function (x) { return foundIds.indexOf(x.toString()) === -1; });
-                    return res.status(404).json({ message: 'Not Found: some task ids do not exist', data: missing });
-                }
+        var u = new User({ name: name, email: email, password: password, role: role, pendingTasks: pendingTasks });
+        var saved = await store.users.save(u, tx.opts());
+        tx.created(User, saved._id);
 
-                var completedIds = tasksFound.filter(function (t) { return t.completed === true; }).map(function (t) { return t._id; });
-                if (completedIds.length > 0) {
-                    return res.status(400).json({ message: 'Bad Request: cannot add completed tasks to pendingTasks', data: completedIds });
-                }
-            }
+        // If pendingTasks provided, remove these task ids from any other user's pendingTasks to avoid stale references
+        if (pendingTasks.length > 0) {
+            var others = { _id: { $ne: saved._id }, pendingTasks: { $in: pendingTasks } };
+            await tx.snapshot(User, others);
+            await store.users.updateMany(others, { $pull: { pendingTasks: { $in: pendingTasks } } }, tx.opts());
 
-            var u = new User({ name: name, email: email, pendingTasks: pendingTasks });
-            var saved = await u.save();
+            // assign tasks to this new user
+            await tx.snapshot(Task, { _id: { $in: pendingTasks } });
+            await store.tasks.updateMany({ _id: { $in: pendingTasks } }, { assignedUser: saved._id.toString(), assignedUserName: saved.name }, tx.opts());
+        }
 
-            // If pendingTasks provided, remove these task ids from any other user's pendingTasks to avoid stale references
-            if (Array.isArray(pendingTasks) && pendingTasks.length > 0) {
-                await User.updateMany({ _id: { $ne: saved._id }, pendingTasks: { $in: pendingTasks } }, { $pull: { pendingTasks: { $in: pendingTasks } } });
+        return result(201, 'User created', saved);
+    }
 
-                // assign tasks to this new user
-                await Task.updateMany({ _id: { $in: pendingTasks } }, { assignedUser: saved._id.toString(), assignedUserName: saved.name });
-            }
+    function duplicateEmail(other) {
+        if (other.deletedAt) return result(400, 'Bad Request: email belongs to a deleted user; restore or purge it first', {});
+        return result(400, 'Bad Request: email already exists', {});
+    }
+
+    // load a user for writing: 403 for other users' accounts, 404 if missing
+    async function loadManagedUser(req, tx, id) {
+        if (!canManageUser(req, id)) {
+            return result(403, 'Forbidden: you can only change your own account', {});
+        }
+        var user = await store.users.findById(id, tx.opts());
+        if (!user) return result(404, 'Not Found', {});
+        return result(200, 'OK', user);
+    }
+
+    /*
+     * Replace user with body, applying the same pendingTasks/assignment rules for
+     * PUT, PATCH and bulk updates. Caller has already loaded the user and checked permissions.
+     */
+    async function replaceUser(req, tx, user, body) {
+        var userId = user._id.toString();
+        var invalid = openapi.validate('UserInput', body).errors;
+        if (invalid.length > 0) return openapi.badRequest(invalid);
+        if (body.role && body.role !== req.user.role && !auth.isAdmin(req.user)) {
+            return result(403, 'Forbidden: only admins can change roles', {});
+        }
+
+        // ensure email uniqueness (exclude this user)
+        var other = await store.users.findOne({ email: body.email, _id: { $ne: userId } }, tx.opts({ withDeleted: true }));
+        if (other) return duplicateEmail(other);
+
+        // If pendingTasks provided, we need to update tasks to point to this user
+        var newPending = body.pendingTasks || [];
 
-            return res.status(201).json({ message: 'User created', data: saved });
+        // tasks that are no longer pending and tasks that are newly added
+        var toRemove = user.pendingTasks.filter(function (t) { return newPending.indexOf(t) === -1; });
+        var toAdd = newPending.filter(function (t) { return user.pendingTasks.indexOf(t) === -1; });
+
+        // Validate newly added tasks before writing anything
+        if (toAdd.length > 0) {
+            var refused = await checkNewPendingTasks(req, tx, userId, toAdd);
+            if (refused) return refused;
+        }
+
+        // Replace fields
+        var oldName = user.name;
+        user.name = body.name;
+        user.email = body.email;
+        user.pendingTasks = newPending;
+        if (body.role) user.role = body.role;
+        if (body.password) user.password = body.password;
+        // ignore any dateCreated provided by client to preserve server-side creation date
+
+        // First, clear assignedUser for tasks that are no longer pending
+        if (toRemove.length > 0) {
+            await tx.snapshot(Task, { _id: { $in: toRemove } });
+            await store.tasks.updateMany({ _id: { $in: toRemove } }, { assignedUser: '', assignedUserName: 'unassigned' }, tx.opts());
+        }
+
+        if (toAdd.length > 0) {
+            // Remove these task ids from any other user's pendingTasks to avoid stale references
+            var others = { _id: { $ne: userId }, pendingTasks: { $in: toAdd } };
+            await tx.snapshot(User, others);
+            await store.users.updateMany(others, { $pull: { pendingTasks: { $in: toAdd } } }, tx.opts());
+
+            // assign tasks to this user
+            await tx.snapshot(Task, { _id: { $in: toAdd } });
+            await store.tasks.updateMany({ _id: { $in: toAdd } }, { assignedUser: userId, assignedUserName: body.name }, tx.opts());
+        }
+
+        await tx.snapshot(User, { _id: user._id });
+        var saved = await store.users.save(user, tx.opts());
+
+        // If name changed, update assignedUserName on all tasks assigned to this user
+        if (oldName !== body.name) {
+            await tx.snapshot(Task, { assignedUser: userId });
+            await store.tasks.updateMany(
+                { assignedUser: userId },
+                { assignedUserName: body.name },
+                tx.opts()
+            );
+            // and the name shown on their comments and attachments
+            await tx.snapshot(Comment, { author: userId });
+            await store.comments.updateMany({ author: userId }, { authorName: body.name }, tx.opts());
+            await tx.snapshot(Attachment, { uploader: userId });
+            await store.attachments.updateMany({ uploader: userId }, { uploaderName: body.name }, tx.opts());
+        }
+        return result(200, 'User updated', saved);
+    }
+
+    // the fields of a user a client can write, as PUT would receive them
+    function writableFields(user) {
+        return {
+            name: user.name,
+            email: user.email,
+            role: user.role,
+            pendingTasks: user.pendingTasks.slice()
+        };
+    }
+
+    // move a user to the trash; the pending tasks it gives up are remembered for a restore
+    async function deleteUser(req, tx, user) {
+        var pending = user.pendingTasks || [];
+        // Unassign all pending tasks
+        if (pending.length > 0) {
+            await tx.snapshot(Task, { _id: { $in: pending } });
+            await store.tasks.updateMany({ _id: { $in: pending } }, { assignedUser: '', assignedUserName: 'unassigned' }, tx.opts());
+        }
+
+        await tx.snapshot(User, { _id: user._id });
+        await store.users.updateOne({ _id: user._id }, {
+            deletedAt: new Date(),
+            pendingTasks: [],
+            deletedLinks: { tasks: pending }
+        }, tx.opts());
+        return result(204, 'User deleted', {});
+    }
+
+    /*
+     * Take a user out of the trash and give back the pending tasks it had,
+     * unless they have been assigned to someone else or deleted since.
+     */
+    async function restoreUser(req, tx, id) {
+        if (!auth.isAdmin(req.user)) {
+            return result(403, 'Forbidden: requires role admin', {});
+        }
+        var user = await store.users.findById(id, tx.opts({ withDeleted: true }));
+        if (!user) return result(404, 'Not Found', {});
+        if (!user.deletedAt) return result(409, 'Conflict: user is not deleted', {});
+
+        var links = (user.deletedLinks && user.deletedLinks.tasks) || [];
+        var unclaimed = links.length === 0 ? [] : await store.tasks.find({ _id: { $in: links }, assignedUser: '' }, tx.opts());
+        var reassign = unclaimed.map(function (t) { return t._id.toString(); });
+        if (reassign.length > 0) {
+            await tx.snapshot(Task, { _id: { $in: reassign } });
+            await store.tasks.updateMany({ _id: { $in: reassign } }, { assignedUser: id, assignedUserName: user.name }, tx.opts());
+        }
+        var pending = unclaimed.filter(function (t) { return !t.completed; }).map(function (t) { return t._id.toString(); });
+
+        await tx.snapshot(User, { _id: user._id });
+        var restored = await store.users.findOneAndUpdate({ _id: user._id }, {
+            deletedAt: null,
+            pendingTasks: pending,
+            $unset: { deletedLinks: 1 }
+        }, tx.opts({ new: true, withDeleted: true }));
+        return result(200, 'User restored', restored);
+    }
+
+    // one operation of POST /api/users/bulk
+    async function runBulkOperation(req, tx, op) {
+        if (op.op === 'create') return createUser(req, tx, op.data || {});
+        if (!op.id) return openapi.badRequest([{ param: 'body', path: 'id', reason: 'is required' }]);
+
+        var found = await loadManagedUser(req, tx, op.id);
+        if (found.status !== 200) return found;
+        var user = found.data;
+
+        if (op.op === 'delete') return deleteUser(req, tx, user);
+
+        var current = writableFields(user);
+        if (op.op === 'assign') {
+            if (!op.tasks) return openapi.badRequest([{ param: 'body', path: 'tasks', reason: 'is required' }]);
+            var added = op.tasks.filter(function (t) { return current.pendingTasks.indexOf(t) === -1; });
+            current.pendingTasks = current.pendingTasks.concat(added);
+            return replaceUser(req, tx, user, current);
+        }
+
+        if (!op.data) return openapi.badRequest([{ param: 'body', path: 'data', reason: 'is required' }]);
+        return replaceUser(req, tx, user, patch.mergePatch(current, op.data));
+    }
+
+    // POST /api/users
+    users.post('/', async function (req, res) {
+        try {
+            var r = await transaction.run(function (tx) {
+                return createUser(req, tx, req.body);
+            }, audit.context(req, 'user'));
+            return send(res, r);
+        } catch (err) {
+            return res.status(500).json({ message: 'Server error', data: err });
+        }
+    });
+
+    // POST /api/users/bulk - { operations: [{ op: create|update|delete|assign, ... }], atomic }
+    users.post('/bulk', async function (req, res) {
+        try {
+            var r = await bulk.run(req.body.operations, req.body.atomic === true, function (op, tx) {
+                return runBulkOperation(req, tx, op);
+            }, audit.context(req, 'user'));
+            return send(res, r);
         } catch (err) {
             return res.status(500).json({ message: 'Server error', data: err });
         }
@@ -115,108 +363,135 @@ module.exports = function (router) {
 
     // GET /api/users/:id
     users.get('/:id', function (req, res) {
-        var select = parseJSONParam(req.query.select) || parseJSONParam(req.query.filter);
-        if (select === null) return res.status(400).json({ message: 'Bad Request: malformed JSON in select', data: {} });
-        // validate id format and return 400 for malformed ids
-        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
-            return res.status(400).json({ message: 'Bad Request: invalid id format', data: {} });
+        try {
+            var select = query.selectFromRequest(User, req.query);
+        } catch (err) {
+            return res.status(400).json({ message: 'Bad Request: ' + err.message, data: err.details });
         }
 
-        var q = User.findById(req.params.id);
-        if (select) q = q.select(select);
-        q.exec().then(function (user) {
+        // the ETag needs _id and __v even if select leaves them out
+        var projection = versioning.projection(select);
+        store.users.findById(req.params.id, { select: projection.select }).then(function (user) {
             if (!user) return res.status(404).json({ message: 'Not Found', data: {} });
-            return res.status(200).json({ message: 'OK', data: user });
+            res.set('ETag', versioning.etag(user));
+            if (versioning.ifNoneMatch(req, user)) return res.status(304).send();
+            var json = user.toJSON();
+            projection.strip.forEach(function (f) { delete json[f]; });
+            return res.status(200).json({ message: 'OK', data: json });
         }).catch(function (err) {
             return res.status(500).json({ message: 'Server error', data: err });
         });
     });
 
-    // PUT /api/users/:id - replace entire user
-    users.put('/:id', async function (req, res) {
+    // GET /api/users/:id/history - audit log of this user, for the user themselves or an admin
+    users.get('/:id/history', function (req, res, next) {
+        if (!canManageUser(req, req.params.id)) {
+            return res.status(403).json({ message: 'Forbidden: you can only view your own history', data: {} });
+        }
+        next();
+    }, audit.historyHandler('user'));
+
+    // POST /api/users/:id/restore - take a user out of the trash (admin only)
+    users.post('/:id/restore', async function (req, res) {
         try {
-            var body = req.body;
-            if (!body.name || !body.email) {
-                return res.status(400).json({ message: 'Bad Request: name and email are required', data: {} });
-            }
+            var r = await transaction.run(function (tx) {
+                return restoreUser(req, tx, req.params.id);
+            }, audit.context(req, 'user'));
+            return send(res, r);
+        } catch (err) {
+            return res.status(500).json({ message: 'Server error', data: err });
+        }
+    });
 
-            // validate user id format
-            if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
-                return res.status(400).json({ message: 'Bad Request: invalid user id format', data: {} });
-            }
+    // only the user themselves or an admin may see or change a user's notifications
+    function notificationsAccess(req, res, next) {
+        if (!canManageUser(req, req.params.id)) {
+            return res.status(403).json({ message: 'Forbidden: you can only see your own notifications', data: {} });
+        }
+        next();
+    }
 
-            // ensure email uniqueness (exclude this user)
-            var other = await User.findOne({ email: body.email, _id: { $ne: req.params.id } });
-            if (other) return res.status(400).json({ message: 'Bad Request: email already exists', data: {} });
+    // GET /api/users/:id/notifications - deadline reminders and overdue notices, newest first; meta.unread counts the unread ones
+    users.get('/:id/notifications', notificationsAccess, function (req, res) {
+        try {
+            var q = query.fromRequest(Notification, req.query);
+        } catch (err) {
+            return res.status(400).json({ message: 'Bad Request: ' + err.message, data: err.details });
+        }
+        var where = { $and: [q.where, { user: req.params.id }] };
+        var params = { where: where, sort: q.sort || { dateCreated: -1 }, select: q.select };
+        Promise.all([
+            pagination.paginate(Notification, req, params),
+            store.notifications.count({ user: req.params.id, read: false })
+        ]).then(function (found) {
+            var page = found[0];
+            page.meta.unread = found[1];
+            res.set('Link', pagination.linkHeader(req, page.meta));
+            return res.status(200).json({ message: 'OK', data: page.data, meta: page.meta });
+        }).catch(function (err) {
+            if (err.status === 400) return res.status(400).json({ message: 'Bad Request: ' + err.message, data: {} });
+            return res.status(500).json({ message: 'Server error', data: err });
+        });
+    });
 
-            var user = await User.findById(req.params.id);
-            if (!user) return res.status(404).json({ message: 'Not Found', data: {} });
+    // POST /api/users/:id/notifications/read - mark all of them read
+    users.post('/:id/notifications/read', notificationsAccess, function (req, res) {
+        store.notifications.updateMany({ user: req.params.id, read: false }, { read: true, readAt: new Date() }).then(function (r) {
+            return res.status(200).json({ message: 'Notifications marked read', data: { updated: r.modified } });
+        }).catch(function (err) {
+            return res.status(500).json({ message: 'Server error', data: err });
+        });
+    });
 
-            // If pendingTasks provided, we need to update tasks to point to this user
-            var newPending = Array.isArray(body.pendingTasks) ? body.pendingTasks : [];
+    // PATCH /api/users/:id/notifications/:notificationId - { read: true|false }
+    users.patch('/:id/notifications/:notificationId', notificationsAccess, function (req, res) {
+        var update = { read: req.body.read, readAt: req.body.read ? new Date() : null };
+        store.notifications.findOneAndUpdate({ _id: req.params.notificationId, user: req.params.id }, update, { new: true }).then(function (notification) {
+            if (!notification) return res.status(404).json({ message: 'Not Found', data: {} });
+            return res.status(200).json({ message: 'Notification updated', data: notification });
+        }).catch(function (err) {
+            return res.status(500).json({ message: 'Server error', data: err });
+        });
+    });
 
-            // First, clear existing pendingTasks' assignedUser for tasks that are no longer pending
-            var toRemove = user.pendingTasks.filter(function (t) { return newPending.indexOf(t) === -1; });
-            if (toRemove.length > 0) {
-                await Task.updateMany({ _id: { $in: toRemove } }, { assignedUser: '', assignedUserName: 'unassigned' });
-            }
+    // PUT /api/users/:id - replace entire user
+    users.put('/:id', async function (req, res) {
+        try {
+            var r = await transaction.run(async function (tx) {
+                var found = await loadManagedUser(req, tx, req.params.id);
+                if (found.status !== 200) return found;
+                var stale = checkVersion(req, found.data);
+                if (stale) return stale;
+                return replaceUser(req, tx, found.data, req.body);
+            }, audit.context(req, 'user'));
+            return send(res, r);
+        } catch (err) {
+            // the user was saved by another request between loading and saving it
+            if (err.name === 'VersionError') return res.status(409).json({ message: 'Conflict: user was changed by another request, try again', data: {} });
+            return res.status(500).json({ message: 'Server error', data: err });
+        }
+    });
 
-            // Then, set assignedUser for newly added tasks
-            var toAdd = newPending.filter(function (t) { return user.pendingTasks.indexOf(t) === -1; });
-            if (toAdd.length > 0) {
-                // validate each id format first
-                for (var i = 0; i < toAdd.length; i++) {
-                    if (!mongoose.Types.ObjectId.isValid(toAdd[i])) {
-                        return res.status(400).json({ message: 'Bad Request: invalid task id format in pendingTasks', data: toAdd[i] });
-                    }
-                }
+    // PATCH /api/users/:id - JSON Merge Patch or JSON Patch against the current user
+    users.patch('/:id', async function (req, res) {
+        try {
+            var r = await transaction.run(async function (tx) {
+                var found = await loadManagedUser(req, tx, req.params.id);
+                if (found.status !== 200) return found;
+                var stale = checkVersion(req, found.data);
+                if (stale) return stale;
 
-                // ensure all tasks exist
                 try {
-                    var tasksFound = await Task.find({ _id: { $in: toAdd } }).select('_id completed');
+                    var body = patch.applyRequestPatch(req, writableFields(found.data));
                 } catch (e) {
-                    return res.status(400).json({ message: 'Bad Request: invalid task id in pendingTasks', data: e });
-                }
-                if (tasksFound.length !== toAdd.length) {
-                    // compute missing ids
-                    var foundIds = tasksFound.map(function (t) { return t._id.toString(); });
-                    var missing = toAdd.filter(function (x) { return foundIds.indexOf(x.toString()) === -1; });
-                    return res.status(404).json({ message: 'Not Found: some task ids do not exist', data: missing });
-                }
-
-                // ensure none of the tasks being added are already completed
-                var completedIds = tasksFound.filter(function (t) { return t.completed === true; }).map(function (t) { return t._id; });
-                if (completedIds.length > 0) {
-                    return res.status(400).json({ message: 'Bad Request: cannot add completed tasks to pendingTasks', data: completedIds });
-                }
-
-                // Remove these task ids from any other user's pendingTasks to avoid stale references
-                await User.updateMany({ _id: { $ne: req.params.id }, pendingTasks: { $in: toAdd } }, { $pull: { pendingTasks: { $in: toAdd } } });
-
-                // assign tasks to this user
-                if (toAdd.length > 0) {
-                    await Task.updateMany({ _id: { $in: toAdd } }, { assignedUser: req.params.id, assignedUserName: body.name });
+                    return result(400, 'Bad Request: ' + e.message, e.details);
                 }
-            }
-
-            // Replace fields
-            var oldName = user.name;
-            user.name = body.name;
-            user.email = body.email;
-            user.pendingTasks = newPending;
-            // ignore any dateCreated provided by client to preserve server-side creation date
-
-            var saved = await user.save();
-
-            // If name changed, update assignedUserName on all tasks assigned to this user
-            if (oldName !== body.name) {
-                await Task.updateMany(
-                    { assignedUser: req.params.id },
-                    { assignedUserName: body.name }
-                );
-            }
-            return res.status(200).json({ message: 'User updated', data: saved });
+                return replaceUser(req, tx, found.data, body);
+            }, audit.context(req, 'user'));
+            return send(res, r);
         } catch (err) {
+            // the user was saved by another request between loading and saving it
+            if (err.name === 'VersionError') return res.status(409).json({ message: 'Conflict: user was changed by another request, try again', data: {} });
             return res.status(500).json({ message: 'Server error', data: err });
         }
     });
@@ -224,21 +499,14 @@ module.exports = function (router) {
     // DELETE /api/users/:id
     users.delete('/:id', async function (req, res) {
         try {
-            // validate id format
-            if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
-                return res.status(400).json({ message: 'Bad Request: invalid user id format', data: {} });
-            }
-            var user = await User.findById(req.params.id);
-            if (!user) return res.status(404).json({ message: 'Not Found', data: {} });
-
-            // Unassign all pending tasks
-            if (user.pendingTasks && user.pendingTasks.length > 0) {
-                await Task.updateMany({ _id: { $in: user.pendingTasks } }, { assignedUser: '', assignedUserName: 'unassigned' });
-            }
-
-            await User.deleteOne({ _id: req.params.id });
-            // 204 No Content
-            return res.status(204).send();
+            var r = await transaction.run(async function (tx) {
+                var found = await loadManagedUser(req, tx, req.params.id);
+                if (found.status !== 200) return found;
+                var stale = checkVersion(req, found.data);
+                if (stale) return stale;
+                return deleteUser(req, tx, found.data);
+            }, audit.context(req, 'user'));
+            return send(res, r);
         } catch (err) {
             return res.status(500).json({ message: 'Server error', data: err });
         }
@@ -0,0 +1,238 @@
+var express = require('express');
+var crypto = require('crypto');
+var mongoose = require('mongoose');
+var Webhook = require('../models/webhook');
+var Delivery = require('../models/delivery');
+var store = require('../lib/store');
+var events = require('../lib/events');
+var webhooks = require('../lib/webhooks');
+var patch = require('../lib/patch');
+var pagination = require('../lib/pagination');
+var query = require('../lib/query');
+
+var MIN_SECRET_LENGTH = 16;
+
+module.exports = function (router) {
+    var hooks = express.Router();
+
+    function badRequest(res, message, data) {
+        return res.status(400).json({ message: 'Bad Request: ' + message, data: data || {} });
+    }
+
+    /*
+     * Validate a subscription body ({ url, events, where, description, secret }).
+     * Returns the fields to store, or { error, details } for a 400.
+     */
+    function readSubscription(body) {
+        var url;
+        try {
+            url = new URL(body.url);
+        } catch (e) {
+            return { error: 'url must be an absolute http(s) URL' };
+        }
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') return { error: 'url must be an absolute http(s) URL' };
+
+        var types = body.events;
+        if (!Array.isArray(types) || types.length === 0) return { error: 'events must be a non-empty array' };
+        var unknown = types.filter(function (t) { return t !== '*' && events.EVENT_TYPES.indexOf(t) === -1; });
+        if (unknown.length > 0) {
+            return { error: 'unknown event types, use * or any of ' + events.EVENT_TYPES.join(', '), details: unknown };
+        }
+
+        var where = body.where;
+        if (typeof where === 'string') {
+            try {
+                where = where ? JSON.parse(where) : undefined;
+            } catch (e) {
+                return { error: 'where: malformed JSON' };
+            }
+        }
+        try {
+            events.compileWhere(where, types);
+        } catch (err) {
+            return { error: err.message, details: err.details };
+        }
+
+        if (body.secret !== undefined && (typeof body.secret !== 'string' || body.secret.length < MIN_SECRET_LENGTH)) {
+            return { error: 'secret must be a string of at least ' + MIN_SECRET_LENGTH + ' characters' };
+        }
+        return {
+            url: url.toString(),
+            events: types,
+            where: where && Object.keys(where).length > 0 ? JSON.stringify(where) : '',
+            description: typeof body.description === 'string' ? body.description : '',
+            secret: body.secret
+        };
+    }
+
+    // the fields of a webhook a client can write, as PUT would receive them (the secret is write-only)
+    function writableFields(hook) {
+        return {
+            url: hook.url,
+            events: hook.events.toObject(),
+            where: hook.where ? JSON.parse(hook.where) : {},
+            description: hook.description
+        };
+    }
+
+    // save validated fields onto hook; the response includes the secret only when it was set in this request
+    async function saveSubscription(res, hook, fields, status, message) {
+        hook.url = fields.url;
+        hook.events = fields.events;
+        hook.where = fields.where;
+        hook.description = fields.description;
+        if (fields.secret) hook.secret = fields.secret;
+        var saved = await store.webhooks.save(hook);
+        var data = saved.toJSON();
+        if (fields.secret) data.secret = fields.secret;
+        else delete data.secret;
+        return res.status(status).json({ message: message, data: data });
+    }
+
+    async function findHookOrReply(req, res) {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            badRequest(res, 'invalid id format');
+            return null;
+        }
+        var hook = await store.webhooks.findById(req.params.id);
+        if (!hook) res.status(404).json({ message: 'Not Found', data: {} });
+        return hook;
+    }
+
+    // GET /api/webhooks
+    hooks.get('/', function (req, res) {
+        try {
+            var q = query.fromRequest(Webhook, req.query);
+        } catch (err) {
+            return badRequest(res, err.message, err.details);
+        }
+        pagination.paginate(Webhook, req, { where: q.where, sort: q.sort, select: q.select }).then(function (page) {
+            res.set('Link', pagination.linkHeader(req, page.meta));
+            return res.status(200).json({ message: 'OK', data: page.data, meta: page.meta });
+        }).catch(function (err) {
+            if (err.status === 400) return badRequest(res, err.message);
+            return res.status(500).json({ message: 'Server error', data: err });
+        });
+    });
+
+    // POST /api/webhooks - the response carries the signing secret, generated unless one is given
+    hooks.post('/', async function (req, res) {
+        try {
+            var fields = readSubscription(req.body || {});
+            if (fields.error) return badRequest(res, fields.error, fields.details);
+            fields.secret = fields.secret || crypto.randomBytes(32).toString('hex');
+            var hook = new Webhook({ owner: req.user._id.toString() });
+            return await saveSubscription(res, hook, fields, 201, 'Webhook created');
+        } catch (err) {
+            return res.status(500).json({ message: 'Server error', data: err });
+        }
+    });
+
+    // GET /api/webhooks/:id
+    hooks.get('/:id', async function (req, res) {
+        try {
+            var hook = await findHookOrReply(req, res);
+            if (!hook) return;
+            return res.status(200).json({ message: 'OK', data: hook });
+        } catch (err) {
+            return res.status(500).json({ message: 'Server error', data: err });
+        }
+    });
+
+    // PUT /api/webhooks/:id - replaces url, events, where and description; the secret only changes if sent
+    hooks.put('/:id', async function (req, res) {
+        try {
+            var hook = await findHookOrReply(req, res);
+            if (!hook) return;
+            var fields = readSubscription(req.body || {});
+            if (fields.error) return badRequest(res, fields.error, fields.details);
+            return await saveSubscription(res, hook, fields, 200, 'Webhook updated');
+        } catch (err) {
+            return res.status(500).json({ message: 'Server error', data: err });
+        }
+    });
+
+    // PATCH /api/webhooks/:id - JSON Merge Patch or JSON Patch
+    hooks.patch('/:id', async function (req, res) {
+        try {
+            var hook = await findHookOrReply(req, res);
+            if (!hook) return;
+            try {
+                var body = patch.applyRequestPatch(req, writableFields(hook));
+            } catch (e) {
+                return badRequest(res, e.message, e.details);
+            }
+            var fields = readSubscription(body);
+            if (fields.error) return badRequest(res, fields.error, fields.details);
+            return await saveSubscription(res, hook, fields, 200, 'Webhook updated');
+        } catch (err) {
+            return res.status(500).json({ message: 'Server error', data: err });
+        }
+    });
+
+    // DELETE /api/webhooks/:id - also drops its delivery log
+    hooks.delete('/:id', async function (req, res) {
+        try {
+            var hook = await findHookOrReply(req, res);
+            if (!hook) return;
+            await store.webhooks.deleteOne({ _id: hook._id });
+            await store.deliveries.deleteMany({ webhook: hook._id.toString() });
+            return res.status(204).send();
+        } catch (err) {
+            return res.status(500).json({ message: 'Server error', data: err });
+        }
+    });
+
+    // GET /api/webhooks/:id/deliveries - delivery log, newest first; where/sort/select as for the list routes
+    hooks.get('/:id/deliveries', async function (req, res) {
+        try {
+            var q = query.fromRequest(Delivery, req.query);
+        } catch (err) {
+            return badRequest(res, err.message, err.details);
+        }
+        try {
+            var hook = await findHookOrReply(req, res);
+            if (!hook) return;
+            var where = { $and: [{ webhook: hook._id.toString() }, q.where] };
+            var page = await pagination.paginate(Delivery, req, { where: where, sort: q.sort || { dateCreated: -1 }, select: q.select });
+            res.set('Link', pagination.linkHeader(req, page.meta));
+            return res.status(200).json({ message: 'OK', data: page.data, meta: page.meta });
+        } catch (err) {
+            if (err.status === 400) return badRequest(res, err.message);
+            return res.status(500).json({ message: 'Server error', data: err });
+        }
+    });
+
+    // POST /api/webhooks/:id/deliveries/:deliveryId/redeliver - retry a failed or dead delivery
+    hooks.post('/:id/deliveries/:deliveryId/redeliver', async function (req, res) {
+        try {
+            var hook = await findHookOrReply(req, res);
+            if (!hook) return;
+            if (!mongoose.Types.ObjectId.isValid(req.params.deliveryId)) return badRequest(res, 'invalid delivery id format');
+            var delivery = await store.deliveries.findOne({ _id: req.params.deliveryId, webhook: hook._id.toString() });
+            if (!delivery) return res.status(404).json({ message: 'Not Found', data: {} });
+            if (hook.status === 'dead') return res.status(409).json({ message: 'Conflict: reactivate the webhook first', data: {} });
+            if (delivery.status === 'pending' || delivery.status === 'succeeded') {
+                return res.status(409).json({ message: 'Conflict: delivery is ' + delivery.status, data: {} });
+            }
+            await webhooks.requeue({ _id: delivery._id });
+            return res.status(202).json({ message: 'Delivery queued', data: {} });
+        } catch (err) {
+            return res.status(500).json({ message: 'Server error', data: err });
+        }
+    });
+
+    // POST /api/webhooks/:id/reactivate - revive a dead webhook and redeliver its dead letters
+    hooks.post('/:id/reactivate', async function (req, res) {
+        try {
+            var hook = await findHookOrReply(req, res);
+            if (!hook) return;
+            var requeued = await webhooks.reactivate(hook._id);
+            return res.status(200).json({ message: 'Webhook reactivated', data: { requeued: requeued } });
+        } catch (err) {
+            return res.status(500).json({ message: 'Server error', data: err });
+        }
+    });
+
+    return hooks;
+};
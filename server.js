@@ -1,48 +1,106 @@
-// Get the packages we need
-var express = require('express'),
-    router = express.Router(),
-    mongoose = require('mongoose'),
-    bodyParser = require('body-parser');
-
 // Read .env file
 require('dotenv').config();
 
-// Create our Express application
-var app = express();
+// Get the packages we need
+var store = require('./lib/store'),
+    webhooks = require('./lib/webhooks'),
+    purge = require('./lib/purge'),
+    reminders = require('./lib/reminders'),
+    workflow = require('./lib/workflow'),
+    health = require('./lib/health'),
+    logger = require('./lib/logger'),
+    app = require('./app');
 
 // Use environment defined port or 3000
 var port = process.env.PORT || 3000;
+// how long in-flight requests get to finish on shutdown before their connections are cut
+var SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 10000;
+var CONNECT_RETRY_MAX_MS = 30000;
 
-// Connect to a MongoDB Atlas - use MONGODB_URI from environment
-if (!process.env.MONGODB_URI) {
-    console.warn('Warning: MONGODB_URI is not set. The application may not be able to connect to the database.');
-} else {
-    mongoose.connect(process.env.MONGODB_URI, { useNewUrlParser: true, useUnifiedTopology: true }).then(function () {
-        console.log('Connected to MongoDB');
+var shuttingDown = false;
+var retryTimer = null;
+
+// background jobs, started once the store is ready
+function startJobs() {
+    // deliver task/user events to webhook subscribers, retrying failed deliveries
+    webhooks.start();
+    // delete trash older than TRASH_RETENTION_DAYS
+    purge.start();
+    // notify assignees of approaching and missed deadlines
+    reminders.start();
+    // tasks saved before the status workflow get the status their completed flag implies
+    workflow.backfill().catch(function (err) {
+        logger.error('Task status backfill failed', { error: err });
+    });
+}
+
+// keep trying to reach MongoDB, waiting longer after each failure; /api/ready answers 503 until then
+function connect(delay) {
+    retryTimer = null;
+    store.connect(process.env.MONGODB_URI).then(function () {
+        logger.info('Connected to MongoDB');
+        if (!shuttingDown) startJobs();
     }).catch(function (err) {
-        console.error('Failed to connect to MongoDB:', err.message || err);
+        if (shuttingDown) return;
+        logger.error('Failed to connect to MongoDB; retrying in ' + delay / 1000 + 's', { error: err });
+        retryTimer = setTimeout(connect, delay, Math.min(delay * 2, CONNECT_RETRY_MAX_MS));
     });
 }
-mongoose.set('useFindAndModify', false);
-
-// Allow CORS so that backend and frontend could be put on different servers
-var allowCrossDomain = function (req, res, next) {
-    res.header("Access-Control-Allow-Origin", "*");
-    res.header("Access-Control-Allow-Headers", "X-Requested-With, X-HTTP-Method-Override, Content-Type, Accept");
-    res.header("Access-Control-Allow-Methods", "POST, GET, PUT, DELETE, OPTIONS");
-    next();
-};
-app.use(allowCrossDomain);
-
-// Use the body-parser package in our application
-app.use(bodyParser.urlencoded({
-    extended: true
-}));
-app.use(bodyParser.json());
-
-// Use routes as a module (see index.js)
-require('./routes')(app, router);
+
+// STORAGE=mongo|memory; by default MongoDB Atlas when MONGODB_URI is set, else the in-memory store
+var storage = store.configured();
+store.use(storage);
+if (storage === 'memory') {
+    logger.warn('Using the in-memory store' + (process.env.STORAGE ? '' : ' because MONGODB_URI is not set') + '. Data is lost when the server stops.');
+    startJobs();
+} else if (!process.env.MONGODB_URI) {
+    logger.error('STORAGE is mongo but MONGODB_URI is not set.');
+    process.exit(1);
+} else {
+    connect(1000);
+}
 
 // Start the server
-app.listen(port);
-console.log('Server running on port ' + port);
+var server = app.listen(port, function () {
+    logger.info('Server running on port ' + port);
+});
+
+/*
+ * Graceful shutdown: report not ready, stop taking connections, let in-flight
+ * requests and job passes finish, then disconnect. Whatever is still running
+ * after SHUTDOWN_TIMEOUT_MS is cut off; a second signal exits at once.
+ */
+function shutdown(signal) {
+    if (shuttingDown) {
+        logger.warn('Received ' + signal + ' again; exiting without waiting');
+        process.exit(1);
+    }
+    shuttingDown = true;
+    logger.info('Received ' + signal + '; shutting down');
+    if (retryTimer) clearTimeout(retryTimer);
+
+    var deadline = setTimeout(function () {
+        logger.error('Shutdown took longer than ' + SHUTDOWN_TIMEOUT_MS + 'ms; closing remaining connections');
+        server.closeAllConnections();
+        process.exit(1);
+    }, SHUTDOWN_TIMEOUT_MS);
+    deadline.unref();
+
+    health.drain();
+    var closed = new Promise(function (resolve) {
+        server.close(resolve);
+    });
+    Promise.all([closed, webhooks.stop(), purge.stop(), reminders.stop()]).then(function () {
+        // Mongoose never finishes disconnecting while the first connection attempt is pending
+        if (store.connectionState() !== 'connecting') return store.disconnect();
+    }).then(function () {
+        logger.info('Shutdown complete');
+        process.exit(0);
+    }).catch(function (err) {
+        logger.error('Shutdown failed', { error: err });
+        process.exit(1);
+    });
+}
+
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);
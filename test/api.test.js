@@ -0,0 +1,537 @@
+/*
+ * The users/tasks API contract, run against every storage backend (see
+ * test/helpers.js): the same requests must get the same answers.
+ */
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var helpers = require('./helpers');
+var csv = require('../lib/csv');
+var store = require('../lib/store');
+
+var describe = test.describe;
+var it = test.it;
+var qs = helpers.qs;
+
+var DAY_MS = 24 * 60 * 60 * 1000;
+
+helpers.backends().forEach(function (backend) {
+    describe('users and tasks API on the ' + backend + ' store', function () {
+        var api;
+        var admin;
+        var member;
+
+        async function register(name, email) {
+            var r = await api.request('POST', '/auth/register', { body: { name: name, email: email, password: 'password123' } });
+            assert.equal(r.status, 201);
+            return { token: r.body.data.token, user: r.body.data.user };
+        }
+
+        async function createUser(name, email, extra) {
+            var r = await api.request('POST', '/users', { token: admin.token, body: Object.assign({ name: name, email: email }, extra) });
+            assert.equal(r.status, 201, r.body.message);
+            return r.body.data;
+        }
+
+        async function createTask(fields) {
+            var body = Object.assign({ deadline: Date.now() + DAY_MS }, fields);
+            var r = await api.request('POST', '/tasks', { token: admin.token, body: body });
+            assert.equal(r.status, 201, r.body.message);
+            return r.body.data;
+        }
+
+        async function getUser(id) {
+            return (await api.request('GET', '/users/' + id, { token: admin.token })).body.data;
+        }
+
+        async function getTask(id) {
+            return (await api.request('GET', '/tasks/' + id, { token: admin.token })).body.data;
+        }
+
+        test.before(async function () {
+            api = await helpers.start(backend);
+            admin = await register('Admin', 'admin@example.com');
+            member = await register('Member', 'member@example.com');
+        });
+
+        test.after(async function () {
+            await api.close();
+        });
+
+        describe('auth', function () {
+            it('refuses requests without a token', async function () {
+                var r = await api.request('GET', '/users');
+                assert.equal(r.status, 401);
+            });
+
+            it('gives the admin role to ADMIN_EMAILS only', function () {
+                assert.equal(admin.user.role, 'admin');
+                assert.equal(member.user.role, 'user');
+                assert.equal(admin.user.password, undefined);
+            });
+
+            it('logs in with the password', async function () {
+                var ok = await api.request('POST', '/auth/login', { body: { email: 'member@example.com', password: 'password123' } });
+                assert.equal(ok.status, 200);
+                var wrong = await api.request('POST', '/auth/login', { body: { email: 'member@example.com', password: 'nope-nope-nope' } });
+                assert.equal(wrong.status, 401);
+            });
+        });
+
+        describe('users', function () {
+            it('creates a user with defaults', async function () {
+                var u = await createUser('Ann', 'ann@example.com');
+                assert.equal(u.name, 'Ann');
+                assert.equal(u.email, 'ann@example.com');
+                assert.deepEqual(u.pendingTasks, []);
+                assert.ok(u._id && u.dateCreated);
+            });
+
+            it('requires name and email, and unique emails', async function () {
+                var missing = await api.request('POST', '/users', { token: admin.token, body: { name: 'No Email' } });
+                assert.equal(missing.status, 400);
+                var duplicate = await api.request('POST', '/users', { token: admin.token, body: { name: 'Ann 2', email: 'ann@example.com' } });
+                assert.equal(duplicate.status, 400);
+                assert.match(duplicate.body.message, /email already exists/);
+            });
+
+            it('keeps tasks of trashed users through an integrity repair', async function () {
+                var u = await createUser('Tess', 'tess@example.com');
+                var t = await createTask({ name: 'Done by Tess', assignedUser: u._id, completed: true });
+                assert.equal((await api.request('DELETE', '/users/' + u._id, { token: admin.token })).status, 204);
+
+                var report = (await api.request('GET', '/admin/integrity', { token: admin.token })).body.data;
+                assert.deepEqual(report.orphanedTasks.filter(function (o) { return o.taskId === t._id; }), []);
+                assert.equal((await api.request('POST', '/admin/integrity/repair', { token: admin.token })).status, 200);
+                assert.equal((await api.request('POST', '/users/' + u._id + '/restore', { token: admin.token })).status, 200);
+                assert.equal((await getTask(t._id)).assignedUser, u._id);
+            });
+
+            it('repairs broken task/user links and counts what it fixed', async function () {
+                var u = await createUser('Rae', 'rae@example.com');
+                var orphan = await createTask({ name: 'Orphan', assignedUser: u._id });
+                var missing = await createTask({ name: 'Missing', assignedUser: u._id });
+                await store.tasks.updateOne({ _id: orphan._id }, { assignedUser: '5f1d7f3e1c9d440000a1b2c3' });
+                await store.users.updateOne({ _id: u._id }, { pendingTasks: [orphan._id] });
+
+                var r = await api.request('POST', '/admin/integrity/repair', { token: admin.token });
+                assert.equal(r.status, 200);
+                assert.deepEqual(r.body.data.fixed, { danglingTaskIds: 1, orphanedTasks: 1, staleAssignedUserNames: 0, missingPendingTasks: 1 });
+                assert.equal((await getTask(orphan._id)).assignedUser, '');
+                assert.deepEqual((await getUser(u._id)).pendingTasks, [missing._id]);
+                r = await api.request('GET', '/admin/integrity', { token: admin.token });
+                assert.deepEqual(r.body.data, { danglingTaskIds: [], orphanedTasks: [], staleAssignedUserNames: [], missingPendingTasks: [] });
+            });
+
+            it('lets only admins create users', async function () {
+                var r = await api.request('POST', '/users', { token: member.token, body: { name: 'X', email: 'x@example.com' } });
+                assert.equal(r.status, 403);
+            });
+
+            it('gets a user by id, 404 when missing and 400 for bad ids', async function () {
+                var u = await createUser('Ben', 'ben@example.com');
+                var found = await api.request('GET', '/users/' + u._id, { token: admin.token });
+                assert.equal(found.status, 200);
+                assert.equal(found.body.data.email, 'ben@example.com');
+                assert.equal((await api.request('GET', '/users/5f1d7f3e1c9d440000a1b2c3', { token: admin.token })).status, 404);
+                assert.equal((await api.request('GET', '/users/not-an-id', { token: admin.token })).status, 400);
+            });
+
+            it('applies select to a single user', async function () {
+                var u = await createUser('Cat', 'cat@example.com');
+                var r = await api.request('GET', '/users/' + u._id + qs({ select: { name: 1 } }), { token: admin.token });
+                assert.deepEqual(Object.keys(r.body.data).sort(), ['_id', 'name']);
+            });
+
+            it('lists users with where, sort, select, skip, limit and count', async function () {
+                await createUser('Zed', 'zed@example.com');
+                await createUser('Yan', 'yan@example.com');
+                var where = { email: { $in: ['zed@example.com', 'yan@example.com', 'ann@example.com'] } };
+
+                var sorted = await api.request('GET', '/users' + qs({ where: where, sort: { name: 1 }, select: { name: 1, _id: 0 } }), { token: admin.token });
+                assert.equal(sorted.status, 200);
+                assert.deepEqual(sorted.body.data, [{ name: 'Ann' }, { name: 'Yan' }, { name: 'Zed' }]);
+
+                var desc = await api.request('GET', '/users' + qs({ where: where, sort: { name: -1 }, skip: '1', limit: '1' }), { token: admin.token });
+                assert.deepEqual(desc.body.data.map(function (u) { return u.name; }), ['Yan']);
+
+                var count = await api.request('GET', '/users' + qs({ where: where, count: 'true' }), { token: admin.token });
+                assert.equal(count.body.data, 3);
+
+                var bad = await api.request('GET', '/users?where=nope', { token: admin.token });
+                assert.equal(bad.status, 400);
+            });
+
+            it('replaces a user with PUT', async function () {
+                var u = await createUser('Dee', 'dee@example.com');
+                var r = await api.request('PUT', '/users/' + u._id, { token: admin.token, body: { name: 'Dee Dee', email: 'deedee@example.com' } });
+                assert.equal(r.status, 200);
+                assert.equal(r.body.data.name, 'Dee Dee');
+                assert.equal((await getUser(u._id)).email, 'deedee@example.com');
+
+                var missing = await api.request('PUT', '/users/5f1d7f3e1c9d440000a1b2c3', { token: admin.token, body: { name: 'N', email: 'n@example.com' } });
+                assert.equal(missing.status, 404);
+                var incomplete = await api.request('PUT', '/users/' + u._id, { token: admin.token, body: { name: 'Only Name' } });
+                assert.equal(incomplete.status, 400);
+            });
+
+            it('deletes a user and unassigns its tasks', async function () {
+                var u = await createUser('Eve', 'eve@example.com');
+                var t = await createTask({ name: 'Eve task', assignedUser: u._id });
+                var r = await api.request('DELETE', '/users/' + u._id, { token: admin.token });
+                assert.equal(r.status, 204);
+                assert.equal((await api.request('GET', '/users/' + u._id, { token: admin.token })).status, 404);
+                var task = await getTask(t._id);
+                assert.equal(task.assignedUser, '');
+                assert.equal(task.assignedUserName, 'unassigned');
+            });
+        });
+
+        describe('tasks', function () {
+            it('creates a task with defaults', async function () {
+                var deadline = Date.now() + 2 * DAY_MS;
+                var t = await createTask({ name: 'Plain', deadline: deadline });
+                assert.equal(t.name, 'Plain');
+                assert.equal(new Date(t.deadline).getTime(), deadline);
+                assert.equal(t.completed, false);
+                assert.equal(t.status, 'todo');
+                assert.equal(t.description, '');
+                assert.equal(t.assignedUser, '');
+            });
+
+            it('requires name and deadline', async function () {
+                var r = await api.request('POST', '/tasks', { token: admin.token, body: { name: 'No deadline' } });
+                assert.equal(r.status, 400);
+            });
+
+            it('adds assigned tasks to the user\'s pendingTasks', async function () {
+                var u = await createUser('Fay', 'fay@example.com');
+                var t = await createTask({ name: 'Assigned', assignedUser: u._id });
+                assert.equal(t.assignedUserName, 'Fay');
+                assert.deepEqual((await getUser(u._id)).pendingTasks, [t._id]);
+
+                var unknown = await api.request('POST', '/tasks', { token: admin.token, body: { name: 'X', deadline: Date.now(), assignedUser: '5f1d7f3e1c9d440000a1b2c3' } });
+                assert.equal(unknown.status, 404);
+            });
+
+            it('lists tasks with where, sort, select, skip, limit and count', async function () {
+                var u = await createUser('Gus', 'gus@example.com');
+                var now = Date.now();
+                await createTask({ name: 'G3', deadline: now + 3 * DAY_MS, assignedUser: u._id });
+                await createTask({ name: 'G1', deadline: now + DAY_MS, assignedUser: u._id });
+                await createTask({ name: 'G2', deadline: now + 2 * DAY_MS, assignedUser: u._id, completed: true });
+                var where = { assignedUser: u._id };
+
+                var byDeadline = await api.request('GET', '/tasks' + qs({ where: where, sort: { deadline: 1 }, select: { name: 1 } }), { token: admin.token });
+                assert.equal(byDeadline.status, 200);
+                assert.deepEqual(byDeadline.body.data.map(function (t) { return t.name; }), ['G1', 'G2', 'G3']);
+                assert.deepEqual(Object.keys(byDeadline.body.data[0]).sort(), ['_id', 'name']);
+
+                var open = await api.request('GET', '/tasks' + qs({ where: { assignedUser: u._id, completed: false }, sort: { name: -1 } }), { token: admin.token });
+                assert.deepEqual(open.body.data.map(function (t) { return t.name; }), ['G3', 'G1']);
+
+                var page = await api.request('GET', '/tasks' + qs({ where: where, sort: { name: 1 }, skip: '1', limit: '1' }), { token: admin.token });
+                assert.deepEqual(page.body.data.map(function (t) { return t.name; }), ['G2']);
+                assert.equal(page.body.meta.total, 3);
+
+                var count = await api.request('GET', '/tasks' + qs({ where: { assignedUser: u._id, deadline: { $gt: now + DAY_MS } }, count: 'true' }), { token: admin.token });
+                assert.equal(count.body.data, 2);
+
+                var user = await getUser(u._id);
+                assert.equal(user.pendingTasks.length, 2);
+            });
+
+            it('moves a task between users\' pendingTasks on PUT', async function () {
+                var a = await createUser('Hal', 'hal@example.com');
+                var b = await createUser('Ida', 'ida@example.com');
+                var t = await createTask({ name: 'Moving', assignedUser: a._id });
+                var r = await api.request('PUT', '/tasks/' + t._id, {
+                    token: admin.token,
+                    body: { name: 'Moved', deadline: Date.now() + DAY_MS, assignedUser: b._id }
+                });
+                assert.equal(r.status, 200);
+                assert.equal(r.body.data.assignedUserName, 'Ida');
+                assert.deepEqual((await getUser(a._id)).pendingTasks, []);
+                assert.deepEqual((await getUser(b._id)).pendingTasks, [t._id]);
+            });
+
+            it('drops completed tasks from pendingTasks', async function () {
+                var u = await createUser('Jo', 'jo@example.com');
+                var t = await createTask({ name: 'Finish me', assignedUser: u._id });
+                var r = await api.request('PUT', '/tasks/' + t._id, {
+                    token: admin.token,
+                    body: { name: 'Finish me', deadline: Date.now() + DAY_MS, assignedUser: u._id, completed: true }
+                });
+                assert.equal(r.status, 200);
+                assert.equal(r.body.data.status, 'done');
+                assert.deepEqual((await getUser(u._id)).pendingTasks, []);
+            });
+
+            it('links pendingTasks to tasks when a user is replaced', async function () {
+                var u = await createUser('Kim', 'kim@example.com');
+                var t = await createTask({ name: 'Claimed' });
+                var r = await api.request('PUT', '/users/' + u._id, { token: admin.token, body: { name: 'Kim', email: 'kim@example.com', pendingTasks: [t._id] } });
+                assert.equal(r.status, 200);
+                var task = await getTask(t._id);
+                assert.equal(task.assignedUser, u._id);
+                assert.equal(task.assignedUserName, 'Kim');
+            });
+
+            it('deletes a task and removes it from pendingTasks', async function () {
+                var u = await createUser('Lou', 'lou@example.com');
+                var t = await createTask({ name: 'Doomed', assignedUser: u._id });
+                var r = await api.request('DELETE', '/tasks/' + t._id, { token: admin.token });
+                assert.equal(r.status, 204);
+                assert.equal((await api.request('GET', '/tasks/' + t._id, { token: admin.token })).status, 404);
+                assert.deepEqual((await getUser(u._id)).pendingTasks, []);
+                assert.equal((await api.request('DELETE', '/tasks/' + t._id, { token: admin.token })).status, 404);
+            });
+
+            it('versions tasks with ETags', async function () {
+                var t = await createTask({ name: 'Versioned' });
+                var first = await api.request('GET', '/tasks/' + t._id, { token: admin.token });
+                var etag = first.headers.get('etag');
+                assert.equal(etag, '"' + t._id + '-0"');
+                var cached = await api.request('GET', '/tasks/' + t._id, { token: admin.token, headers: { 'If-None-Match': etag } });
+                assert.equal(cached.status, 304);
+
+                var body = { name: 'Versioned again', deadline: Date.now() + DAY_MS };
+                var updated = await api.request('PUT', '/tasks/' + t._id, { token: admin.token, body: body, headers: { 'If-Match': etag } });
+                assert.equal(updated.status, 200);
+                assert.equal(updated.headers.get('etag'), '"' + t._id + '-1"');
+                var stale = await api.request('PUT', '/tasks/' + t._id, { token: admin.token, body: body, headers: { 'If-Match': etag } });
+                assert.equal(stale.status, 412);
+            });
+
+            it('lets users change only their own tasks', async function () {
+                var own = await api.request('POST', '/tasks', { token: member.token, body: { name: 'Mine', deadline: Date.now() + DAY_MS, assignedUser: member.user._id } });
+                assert.equal(own.status, 201);
+                var other = await createTask({ name: 'Not mine' });
+                var r = await api.request('DELETE', '/tasks/' + other._id, { token: member.token });
+                assert.equal(r.status, 403);
+            });
+
+            it('leaves reopening finished tasks to admins', async function () {
+                var own = (await api.request('POST', '/tasks', { token: member.token, body: { name: 'Finished', deadline: Date.now() + DAY_MS, assignedUser: member.user._id } })).body.data;
+                var r = await api.request('PATCH', '/tasks/' + own._id, { token: member.token, body: { completed: true } });
+                assert.equal(r.status, 200, r.body.message);
+
+                r = await api.request('PATCH', '/tasks/' + own._id, { token: member.token, body: { status: 'in_progress', completed: false } });
+                assert.equal(r.status, 403);
+                r = await api.request('PATCH', '/tasks/' + own._id, { token: member.token, body: { completed: false } });
+                assert.equal(r.status, 403);
+                assert.equal((await getTask(own._id)).status, 'done');
+                var workflow = await api.request('GET', '/tasks/workflow', { token: member.token });
+                assert.deepEqual(workflow.body.data.next.done, []);
+
+                r = await api.request('PATCH', '/tasks/' + own._id, { token: admin.token, body: { completed: false } });
+                assert.equal(r.status, 200, r.body.message);
+                assert.equal(r.body.data.status, 'todo');
+            });
+
+            it('trashes nothing when a cascade reaches someone else\'s subtask', async function () {
+                var mine = { assignedUser: member.user._id };
+                var parent = (await api.request('POST', '/tasks', { token: member.token, body: Object.assign({ name: 'Parent', deadline: Date.now() + DAY_MS }, mine) })).body.data;
+                var a = (await api.request('POST', '/tasks', { token: member.token, body: Object.assign({ name: 'A', deadline: Date.now() + DAY_MS, parentTask: parent._id }, mine) })).body.data;
+                var b = await createTask({ name: 'B', parentTask: parent._id });
+                var r = await api.request('DELETE', '/tasks/' + parent._id + '?dependents=cascade', { token: member.token });
+                assert.equal(r.status, 403);
+                assert.equal(r.body.data.subtask, b._id);
+                assert.equal((await getTask(a._id)).name, 'A');
+                assert.ok((await getUser(member.user._id)).pendingTasks.indexOf(a._id) !== -1);
+            });
+
+            it('schedules the next instance of a series once, however often an instance is completed', async function () {
+                var t = await createTask({ name: 'Weekly', recurrence: 'FREQ=WEEKLY' });
+                async function setCompleted(completed) {
+                    var r = await api.request('PATCH', '/tasks/' + t._id, { token: admin.token, body: { completed: completed } });
+                    assert.equal(r.status, 200, r.body.message);
+                }
+                await setCompleted(true);
+                await setCompleted(false);
+                await setCompleted(true);
+                var series = await api.request('GET', '/tasks/series/' + t._id, { token: admin.token });
+                assert.deepEqual(series.body.data.map(function (i) { return i.status; }), ['done', 'todo']);
+            });
+
+            it('pages with cursors and refuses tampered ones', async function () {
+                var u = await createUser('Quinn', 'quinn@example.com');
+                await createTask({ name: 'P1', assignedUser: u._id });
+                await createTask({ name: 'P2', assignedUser: u._id });
+                var where = { assignedUser: u._id };
+                var first = await api.request('GET', '/tasks' + qs({ where: where, sort: { deadline: 1 }, limit: '1' }), { token: admin.token });
+                var cursor = first.body.meta.nextCursor;
+                var next = await api.request('GET', '/tasks' + qs({ where: where, sort: { deadline: 1 }, limit: '1', cursor: cursor }), { token: admin.token });
+                assert.deepEqual(next.body.data.map(function (t) { return t.name; }), ['P2']);
+
+                function tampered(values) {
+                    var payload = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'));
+                    payload.v = values;
+                    return Buffer.from(JSON.stringify(payload)).toString('base64');
+                }
+                var id = { $oid: first.body.data[0]._id };
+                var bad = [[{ $regex: '.' }, id], [{ $date: first.body.data[0].deadline }, { $ne: null }], ['2030-01-01', id], [{ $date: 'never' }, id]];
+                for (var i = 0; i < bad.length; i++) {
+                    var r = await api.request('GET', '/tasks' + qs({ where: where, sort: { deadline: 1 }, limit: '1', cursor: tampered(bad[i]) }), { token: admin.token });
+                    assert.equal(r.status, 400, JSON.stringify(bad[i]));
+                    assert.equal(r.body.message, 'Bad Request: malformed cursor');
+                }
+            });
+
+            it('refuses regexes that can backtrack without end', async function () {
+                var patterns = ['(a+)+$', '(a|a)*$', '(a|ab)*c', '(?:x|xy){2,}z'];
+                for (var i = 0; i < patterns.length; i++) {
+                    var r = await api.request('GET', '/tasks' + qs({ where: { name: { $regex: patterns[i] } } }), { token: admin.token });
+                    assert.equal(r.status, 400, patterns[i]);
+                    assert.equal(r.body.data.errors[0].path, 'name.$regex');
+                }
+                var fine = await api.request('GET', '/tasks' + qs({ where: { name: { $regex: '^(Plain|Doomed)$' } } }), { token: admin.token });
+                assert.equal(fine.status, 200);
+            });
+
+            it('unassigns only the open tasks of a member who leaves a project', async function () {
+                var project = (await api.request('POST', '/projects', { token: admin.token, body: { name: 'Handover' } })).body.data;
+                await api.request('POST', '/projects/' + project._id + '/members', { token: admin.token, body: { user: member.user._id } });
+                var open = await createTask({ name: 'Open', project: project._id, assignedUser: member.user._id });
+                var done = await createTask({ name: 'Done', project: project._id, assignedUser: member.user._id, completed: true });
+
+                var r = await api.request('DELETE', '/projects/' + project._id + '/members/' + member.user._id, { token: admin.token });
+                assert.equal(r.status, 204);
+                assert.equal((await getTask(open._id)).assignedUser, '');
+                var kept = await getTask(done._id);
+                assert.equal(kept.assignedUser, member.user._id);
+                assert.equal(kept.assignedUserName, 'Member');
+            });
+
+            it('counts trashed tasks before deleting a project', async function () {
+                var project = (await api.request('POST', '/projects', { token: admin.token, body: { name: 'Wound down' } })).body.data;
+                var task = await createTask({ name: 'Trashed with it', project: project._id });
+                assert.equal((await api.request('DELETE', '/tasks/' + task._id, { token: admin.token })).status, 204);
+
+                var r = await api.request('DELETE', '/projects/' + project._id, { token: admin.token });
+                assert.equal(r.status, 409);
+                assert.equal(r.body.data.tasks, 1);
+                r = await api.request('DELETE', '/projects/' + project._id + '?tasks=detach', { token: admin.token });
+                assert.equal(r.status, 204);
+
+                assert.equal((await api.request('POST', '/tasks/' + task._id + '/restore', { token: admin.token })).status, 200);
+                r = await api.request('PATCH', '/tasks/' + task._id, { token: admin.token, body: { name: 'Back again' } });
+                assert.equal(r.status, 200, r.body.message);
+                assert.equal(r.body.data.project, '');
+            });
+
+            it('takes purged users out of their projects', async function () {
+                var u = await createUser('Pia', 'pia@example.com');
+                var project = (await api.request('POST', '/projects', { token: admin.token, body: { name: 'Staffed' } })).body.data;
+                await api.request('POST', '/projects/' + project._id + '/members', { token: admin.token, body: { user: u._id } });
+                function memberIds() {
+                    return api.request('GET', '/projects/' + project._id + '/members', { token: admin.token }).then(function (r) {
+                        return r.body.data.map(function (m) { return m.user; });
+                    });
+                }
+
+                assert.equal((await api.request('DELETE', '/users/' + u._id, { token: admin.token })).status, 204);
+                // still there while the user can be restored
+                assert.ok((await memberIds()).indexOf(u._id) !== -1);
+                assert.equal((await api.request('POST', '/trash/purge', { token: admin.token, body: { all: true } })).status, 200);
+                assert.deepEqual(await memberIds(), [admin.user._id]);
+            });
+
+            it('finds tasks by text search', async function () {
+                await createTask({ name: 'Quarterly budget review', description: 'numbers' });
+                var r = await api.request('GET', '/tasks/search' + qs({ q: 'budgets' }), { token: admin.token });
+                assert.equal(r.status, 200);
+                assert.equal(r.body.data[0].name, 'Quarterly budget review');
+                assert.match(r.body.data[0].highlights.name, /<mark>budget<\/mark>/);
+            });
+        });
+
+        describe('import and export', function () {
+            function exportTasks(format, where) {
+                return api.request('GET', '/tasks/export' + qs({ format: format, where: where }), { token: admin.token });
+            }
+
+            function importCsv(text, options) {
+                return api.request('POST', '/tasks/import' + qs(options || {}), { token: admin.token, headers: { 'Content-Type': 'text/csv' }, raw: text });
+            }
+
+            it('streams CSV with text a spreadsheet would run defused', async function () {
+                await createTask({ name: '=HYPERLINK("http://evil.example","Open")', description: '-2+3', assignedUser: member.user._id });
+                await createTask({ name: '@Ann, call back', description: 'plain' });
+                var r = await exportTasks('csv', { name: { $in: ['=HYPERLINK("http://evil.example","Open")', '@Ann, call back'] } });
+                assert.equal(r.status, 200);
+                assert.match(r.headers.get('content-type'), /^text\/csv/);
+                assert.equal(r.headers.get('transfer-encoding'), 'chunked');
+
+                var rows = csv.parse(r.body);
+                var columns = rows[0];
+                var byName = {};
+                rows.slice(1).forEach(function (row) { byName[row[columns.indexOf('name')]] = row; });
+                var formula = byName['\'=HYPERLINK("http://evil.example","Open")'];
+                assert.ok(formula, Object.keys(byName).join(' | '));
+                assert.equal(formula[columns.indexOf('description')], '\'-2+3');
+                assert.equal(formula[columns.indexOf('assigneeEmail')], 'member@example.com');
+                assert.ok(byName['\'@Ann, call back']);
+            });
+
+            it('exports each instance of a recurring series once, without a rule', async function () {
+                var first = await createTask({ name: 'Weekly sync', recurrence: 'FREQ=WEEKLY' });
+                var r = await api.request('PATCH', '/tasks/' + first._id, { token: admin.token, body: { completed: true } });
+                assert.equal(r.status, 200, r.body.message);
+
+                r = await exportTasks('ics', { seriesId: first.seriesId });
+                assert.equal(r.status, 200);
+                assert.match(r.headers.get('content-type'), /^text\/calendar/);
+                var uids = r.body.match(/^UID:.*$/mg);
+                assert.equal(uids.length, 2);
+                assert.notEqual(uids[0], uids[1]);
+                assert.doesNotMatch(r.body, /RRULE/);
+                assert.deepEqual(r.body.match(/^STATUS:.*$/mg), ['STATUS:COMPLETED', 'STATUS:NEEDS-ACTION']);
+            });
+
+            it('imports rows through a mapping and reports each one', async function () {
+                var text = 'Title,Due,Owner,Notes\r\n' +
+                    'Imported one,2031-01-02T09:00:00Z,MEMBER@example.com,first\r\n' +
+                    'Imported two,someday,,second\r\n' +
+                    'Imported three,2031-01-03T09:00:00Z,nobody@example.com,third\r\n' +
+                    ',2031-01-04T09:00:00Z,,fourth\r\n';
+                var mapping = { name: 'Title', deadline: 'Due', assigneeEmail: 'Owner', description: 'Notes' };
+                var imported = { name: { $regex: '^Imported' } };
+
+                var r = await importCsv(text, { mapping: mapping, dryRun: 'true' });
+                assert.equal(r.status, 200);
+                assert.equal(r.body.data.created, 0);
+                assert.deepEqual(r.body.data.rows.map(function (row) { return [row.row, row.status]; }), [[2, 200], [3, 400], [4, 404], [5, 400]]);
+                assert.match(r.body.data.rows[1].message, /invalid deadline/);
+                assert.match(r.body.data.rows[2].message, /no user with email nobody@example.com/);
+                assert.equal((await api.request('GET', '/tasks' + qs({ where: imported, count: 'true' }), { token: admin.token })).body.data, 0);
+
+                r = await importCsv(text, { mapping: mapping, atomic: 'true' });
+                assert.equal(r.status, 400);
+                assert.equal(r.body.data.created, 0);
+
+                r = await importCsv(text, { mapping: mapping });
+                assert.equal(r.status, 200);
+                assert.deepEqual([r.body.data.total, r.body.data.created, r.body.data.failed], [4, 1, 3]);
+                var task = await getTask(r.body.data.rows[0].data._id);
+                assert.equal(task.name, 'Imported one');
+                assert.equal(task.description, 'first');
+                assert.equal(task.deadline, '2031-01-02T09:00:00.000Z');
+                assert.equal(task.assignedUser, member.user._id);
+                assert.equal(task.assignedUserName, 'Member');
+                assert.ok((await getUser(member.user._id)).pendingTasks.indexOf(task._id) !== -1);
+            });
+
+            it('reads its own CSV export back in', async function () {
+                await createTask({ name: '+Round trip', description: '=1+1', assignedUser: member.user._id });
+                var exported = await exportTasks('csv', { name: '+Round trip' });
+                var r = await importCsv(exported.body);
+                assert.equal(r.status, 200, r.body.message);
+                assert.equal(r.body.data.created, 1);
+                var copy = await getTask(r.body.data.rows[0].data._id);
+                assert.equal(copy.name, '+Round trip');
+                assert.equal(copy.description, '=1+1');
+                assert.equal(copy.assignedUser, member.user._id);
+            });
+        });
+    });
+});
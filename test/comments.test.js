@@ -0,0 +1,235 @@
+/*
+ * Comments and attachments of tasks, on every storage backend (see
+ * test/helpers.js). Attachments go to a temporary directory.
+ */
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var uploads = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-'));
+process.env.ATTACHMENT_DIR = uploads;
+process.env.ATTACHMENT_STORAGE = 'disk';
+process.env.ATTACHMENT_MAX_BYTES = '1024';
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var helpers = require('./helpers');
+var store = require('../lib/store');
+var multipart = require('../lib/multipart');
+
+var describe = test.describe;
+var it = test.it;
+var qs = helpers.qs;
+
+var BOUNDARY = 'test-boundary-7MA4YWxkTrZu0gW';
+
+// a multipart/form-data body with the given parts ({ name, filename, type, content })
+function multipartBody(parts) {
+    var chunks = parts.map(function (p) {
+        var disposition = 'form-data; name="' + p.name + '"' + (p.filename ? '; filename="' + p.filename + '"' : '');
+        var head = '--' + BOUNDARY + '\r\nContent-Disposition: ' + disposition + '\r\n' + (p.type ? 'Content-Type: ' + p.type + '\r\n' : '') + '\r\n';
+        return Buffer.concat([Buffer.from(head), Buffer.from(p.content), Buffer.from('\r\n')]);
+    });
+    chunks.push(Buffer.from('--' + BOUNDARY + '--\r\n'));
+    return Buffer.concat(chunks);
+}
+
+var MULTIPART = { 'Content-Type': 'multipart/form-data; boundary=' + BOUNDARY };
+
+test.after(function () {
+    fs.rmSync(uploads, { recursive: true, force: true });
+});
+
+helpers.backends().forEach(function (backend) {
+    describe('task comments and attachments on the ' + backend + ' store', function () {
+        var api;
+        var admin;
+        var member;
+        var task;
+
+        async function register(name, email) {
+            var r = await api.request('POST', '/auth/register', { body: { name: name, email: email, password: 'password123' } });
+            assert.equal(r.status, 201);
+            return { token: r.body.data.token, user: r.body.data.user };
+        }
+
+        async function createTask(name) {
+            var r = await api.request('POST', '/tasks', { token: admin.token, body: { name: name, deadline: Date.now() + 86400000 } });
+            assert.equal(r.status, 201);
+            return r.body.data;
+        }
+
+        function comment(taskId, who, body) {
+            return api.request('POST', '/tasks/' + taskId + '/comments', { token: who.token, body: { body: body } });
+        }
+
+        function upload(taskId, who, parts) {
+            return api.request('POST', '/tasks/' + taskId + '/attachments', { token: who.token, headers: MULTIPART, raw: multipartBody(parts) });
+        }
+
+        test.before(async function () {
+            api = await helpers.start(backend);
+            admin = await register('Admin', 'admin@example.com');
+            member = await register('Mia', 'mia@example.com');
+            task = await createTask('Discussed');
+        });
+
+        test.after(async function () {
+            await api.close();
+        });
+
+        describe('comments', function () {
+            it('creates comments by the current user and resolves mentions', async function () {
+                await register('Sam Stone', 'sam@example.com');
+                var r = await comment(task._id, member, 'Ping @admin@EXAMPLE.com and @"sam stone", not @nobody');
+                assert.equal(r.status, 201);
+                assert.equal(r.body.data.author, member.user._id);
+                assert.equal(r.body.data.authorName, 'Mia');
+                assert.equal(r.body.data.mentions.length, 2);
+                assert.ok(r.body.data.mentions.indexOf(admin.user._id) !== -1);
+            });
+
+            it('does not mention anyone for a name several users share', async function () {
+                await register('Twin', 'twin1@example.com');
+                await register('Twin', 'twin2@example.com');
+                var r = await comment(task._id, member, 'hey @twin');
+                assert.deepEqual(r.body.data.mentions, []);
+            });
+
+            it('rejects empty comments and unknown tasks', async function () {
+                assert.equal((await comment(task._id, member, '  ')).status, 400);
+                assert.equal((await comment('5f1d7f3e1c9d440000a1b2c3', member, 'hi')).status, 404);
+                assert.equal((await comment('nope', member, 'hi')).status, 400);
+            });
+
+            it('lists a task\'s comments oldest first, with paging and where', async function () {
+                var t = await createTask('Chatty');
+                await comment(t._id, member, 'one');
+                await comment(t._id, admin, 'two @Mia');
+                await comment(t._id, member, 'three');
+
+                var all = await api.request('GET', '/tasks/' + t._id + '/comments', { token: member.token });
+                assert.equal(all.status, 200);
+                assert.deepEqual(all.body.data.map(function (c) { return c.body; }), ['one', 'two @Mia', 'three']);
+
+                var page = await api.request('GET', '/tasks/' + t._id + '/comments' + qs({ limit: '2' }), { token: member.token });
+                assert.equal(page.body.data.length, 2);
+                assert.equal(page.body.meta.total, 3);
+                var next = await api.request('GET', '/tasks/' + t._id + '/comments' + qs({ limit: '2', cursor: page.body.meta.nextCursor }), { token: member.token });
+                assert.deepEqual(next.body.data.map(function (c) { return c.body; }), ['three']);
+
+                var mentioning = await api.request('GET', '/tasks/' + t._id + '/comments' + qs({ where: { mentions: member.user._id } }), { token: member.token });
+                assert.deepEqual(mentioning.body.data.map(function (c) { return c.body; }), ['two @Mia']);
+            });
+
+            it('lets only the author edit a comment', async function () {
+                var c = (await comment(task._id, member, 'draft')).body.data;
+                var url = '/tasks/' + task._id + '/comments/' + c._id;
+                var byAdmin = await api.request('PUT', url, { token: admin.token, body: { body: 'hijacked' } });
+                assert.equal(byAdmin.status, 403);
+                var edited = await api.request('PUT', url, { token: member.token, body: { body: 'final, cc @Admin' } });
+                assert.equal(edited.status, 200);
+                assert.equal(edited.body.data.body, 'final, cc @Admin');
+                assert.deepEqual(edited.body.data.mentions, [admin.user._id]);
+                assert.ok(edited.body.data.dateEdited);
+            });
+
+            it('lets the author or an admin delete a comment', async function () {
+                var other = await register('Olly', 'olly@example.com');
+                var c = (await comment(task._id, member, 'to be removed')).body.data;
+                var url = '/tasks/' + task._id + '/comments/' + c._id;
+                assert.equal((await api.request('DELETE', url, { token: other.token })).status, 403);
+                assert.equal((await api.request('DELETE', url, { token: admin.token })).status, 204);
+                assert.equal((await api.request('GET', url, { token: member.token })).status, 404);
+            });
+
+            it('renames comment authors with the user', async function () {
+                var sue = await register('Sue', 'sue@example.com');
+                var c = (await comment(task._id, sue, 'hello')).body.data;
+                var r = await api.request('PUT', '/users/' + sue.user._id, { token: sue.token, body: { name: 'Susan', email: 'sue@example.com' } });
+                assert.equal(r.status, 200);
+                var after = await api.request('GET', '/tasks/' + task._id + '/comments/' + c._id, { token: sue.token });
+                assert.equal(after.body.data.authorName, 'Susan');
+            });
+        });
+
+        describe('attachments', function () {
+            it('uploads a file and streams it back', async function () {
+                var r = await upload(task._id, member, [
+                    { name: 'note', content: 'ignored field' },
+                    { name: 'file', filename: 'C:\\docs\\notes.txt', type: 'text/plain', content: 'hello\r\n--not a boundary\r\n' }
+                ]);
+                assert.equal(r.status, 201, r.body.message);
+                assert.equal(r.body.data.filename, 'notes.txt');
+                assert.equal(r.body.data.contentType, 'text/plain');
+                assert.equal(r.body.data.size, 25);
+                assert.equal(r.body.data.uploader, member.user._id);
+
+                var url = '/tasks/' + task._id + '/attachments/' + r.body.data._id;
+                var meta = await api.request('GET', url, { token: admin.token });
+                assert.equal(meta.body.data.filename, 'notes.txt');
+                var content = await api.request('GET', url + '/content', { token: admin.token });
+                assert.equal(content.status, 200);
+                assert.equal(content.body, 'hello\r\n--not a boundary\r\n');
+                assert.match(content.headers.get('content-disposition'), /attachment; filename="notes.txt"/);
+                assert.equal(content.headers.get('x-content-type-options'), 'nosniff');
+
+                var list = await api.request('GET', '/tasks/' + task._id + '/attachments', { token: member.token });
+                assert.deepEqual(list.body.data.map(function (a) { return a._id; }), [r.body.data._id]);
+            });
+
+            it('refuses files over the size limit and types not allowed', async function () {
+                var big = await upload(task._id, member, [{ name: 'file', filename: 'big.txt', type: 'text/plain', content: 'x'.repeat(2048) }]);
+                assert.equal(big.status, 413);
+                var exe = await upload(task._id, member, [{ name: 'file', filename: 'run.exe', type: 'application/x-msdownload', content: 'MZ' }]);
+                assert.equal(exe.status, 415);
+                var none = await upload(task._id, member, [{ name: 'note', content: 'no file' }]);
+                assert.equal(none.status, 400);
+                var json = await api.request('POST', '/tasks/' + task._id + '/attachments', { token: member.token, body: { file: 'x' } });
+                assert.equal(json.status, 415);
+                var fields = [];
+                for (var i = 0; i <= multipart.MAX_FIELDS; i++) fields.push({ name: 'note' + i, content: 'x' });
+                var many = await upload(task._id, member, fields);
+                assert.equal(many.status, 413);
+                assert.match(many.body.message, /more than 10 fields/);
+
+                var list = await api.request('GET', '/tasks/' + task._id + '/attachments', { token: member.token });
+                assert.equal(list.body.data.length, 1);
+                assert.equal(fs.readdirSync(uploads).length, 1);
+            });
+
+            it('lets the uploader or an admin delete an attachment, file included', async function () {
+                var r = await upload(task._id, member, [{ name: 'file', filename: 'a.csv', type: 'text/csv', content: 'a,b\n1,2\n' }]);
+                var url = '/tasks/' + task._id + '/attachments/' + r.body.data._id;
+                var other = await register('Pat', 'pat@example.com');
+                assert.equal((await api.request('DELETE', url, { token: other.token })).status, 403);
+                assert.equal((await api.request('DELETE', url, { token: member.token })).status, 204);
+                assert.equal((await api.request('GET', url + '/content', { token: member.token })).status, 404);
+                assert.equal(fs.existsSync(path.join(uploads, r.body.data._id)), false);
+            });
+        });
+
+        describe('deleting the task', function () {
+            it('keeps comments and attachments in the trash and removes them when purged', async function () {
+                var t = await createTask('Doomed');
+                await comment(t._id, member, 'last words');
+                var file = (await upload(t._id, member, [{ name: 'file', filename: 'x.txt', type: 'text/plain', content: 'bye' }])).body.data;
+
+                assert.equal((await api.request('DELETE', '/tasks/' + t._id, { token: admin.token })).status, 204);
+                assert.equal((await api.request('GET', '/tasks/' + t._id + '/comments', { token: admin.token })).status, 404);
+
+                assert.equal((await api.request('POST', '/tasks/' + t._id + '/restore', { token: admin.token })).status, 200);
+                var restored = await api.request('GET', '/tasks/' + t._id + '/comments', { token: admin.token });
+                assert.equal(restored.body.data.length, 1);
+
+                assert.equal((await api.request('DELETE', '/tasks/' + t._id, { token: admin.token })).status, 204);
+                var purged = await api.request('POST', '/trash/purge', { token: admin.token, body: { all: true } });
+                assert.equal(purged.status, 200);
+                assert.equal(fs.existsSync(path.join(uploads, file._id)), false);
+
+                assert.equal(await store.comments.count({ task: t._id }), 0);
+                assert.equal(await store.attachments.count({ task: t._id }), 0);
+            });
+        });
+    });
+});
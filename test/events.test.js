@@ -0,0 +1,150 @@
+/*
+ * The Server-Sent Events stream (routes/events.js) on every storage backend
+ * (see test/helpers.js): where filters, Last-Event-ID replay and the
+ * bounded replay buffer, kept small here.
+ */
+process.env.EVENT_BUFFER_SIZE = '5';
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var helpers = require('./helpers');
+
+var describe = test.describe;
+var it = test.it;
+var qs = helpers.qs;
+
+var DAY_MS = 24 * 60 * 60 * 1000;
+var TIMEOUT_MS = 3000;
+
+/*
+ * Open the stream at url; resolves with { status, take(n), close() } where
+ * take resolves with the next n messages ({ id, event, data }), comments
+ * and the retry hint left out.
+ */
+async function openStream(url, headers) {
+    var controller = new AbortController();
+    var res = await fetch(url, { headers: headers, signal: controller.signal });
+    var reader = res.body.getReader();
+    var decoder = new TextDecoder();
+    var pending = '';
+    var messages = [];
+
+    function parse(block) {
+        var message = {};
+        block.split('\n').forEach(function (line) {
+            var i = line.indexOf(': ');
+            if (i > 0) message[line.slice(0, i)] = line.slice(i + 2);
+        });
+        if (message.data) message.data = JSON.parse(message.data);
+        return message;
+    }
+
+    async function take(n) {
+        var timer = setTimeout(function () { controller.abort(); }, TIMEOUT_MS);
+        try {
+            while (messages.length < n) {
+                var chunk = await reader.read();
+                if (chunk.done) break;
+                pending += decoder.decode(chunk.value, { stream: true });
+                var blocks = pending.split('\n\n');
+                pending = blocks.pop();
+                blocks.map(parse).filter(function (m) { return m.event; }).forEach(function (m) { messages.push(m); });
+            }
+        } finally {
+            clearTimeout(timer);
+        }
+        assert.ok(messages.length >= n, 'expected ' + n + ' messages, got ' + messages.length);
+        return messages.splice(0, n);
+    }
+
+    return {
+        status: res.status,
+        take: take,
+        close: function () { controller.abort(); }
+    };
+}
+
+helpers.backends().forEach(function (backend) {
+    describe('event stream on the ' + backend + ' store', function () {
+        var api;
+        var admin;
+        var member;
+        var streams = [];
+
+        test.before(async function () {
+            api = await helpers.start(backend);
+            var r = await api.request('POST', '/auth/register', { body: { name: 'Admin', email: 'admin@example.com', password: 'password123' } });
+            admin = r.body.data;
+            r = await api.request('POST', '/auth/register', { body: { name: 'Member', email: 'member@example.com', password: 'password123' } });
+            member = r.body.data;
+        });
+
+        test.afterEach(function () {
+            streams.forEach(function (s) { s.close(); });
+            streams = [];
+        });
+
+        test.after(async function () {
+            await api.close();
+        });
+
+        async function listen(params, headers) {
+            var s = await openStream(api.origin + '/api/events' + qs(params), Object.assign({ Authorization: 'Bearer ' + admin.token }, headers));
+            streams.push(s);
+            return s;
+        }
+
+        function createTask(name, fields) {
+            var body = Object.assign({ name: name, deadline: Date.now() + DAY_MS }, fields);
+            return api.request('POST', '/tasks', { token: admin.token, body: body }).then(function (r) {
+                assert.equal(r.status, 201, r.body.message);
+                return r.body.data;
+            });
+        }
+
+        it('filters on task fields without naming the resource', async function () {
+            var stream = await listen({ where: { assignedUser: member.user._id } });
+            assert.equal(stream.status, 200);
+            await createTask('Someone else\'s');
+            await api.request('POST', '/users', { token: admin.token, body: { name: 'Newcomer', email: 'newcomer@example.com' } });
+            var mine = await createTask('Mine', { assignedUser: member.user._id });
+
+            var messages = await stream.take(1);
+            assert.equal(messages[0].event, 'task.created');
+            assert.equal(messages[0].data.resourceId, mine._id);
+
+            var r = await api.request('GET', '/events' + qs({ where: { nosuchfield: 1 } }), { token: admin.token });
+            assert.equal(r.status, 400);
+        });
+
+        it('replays what a reconnecting client missed', async function () {
+            var stream = await listen({ resource: 'task', types: 'task.created' });
+            await createTask('Seen');
+            var seen = (await stream.take(1))[0];
+            stream.close();
+
+            await createTask('Missed one');
+            await createTask('Missed two');
+            var again = await listen({ resource: 'task', types: 'task.created' }, { 'Last-Event-ID': seen.id });
+            var missed = await again.take(2);
+            assert.deepEqual(missed.map(function (m) { return m.data.data.name; }), ['Missed one', 'Missed two']);
+
+            var byQuery = await listen({ resource: 'task', types: 'task.created', lastEventId: seen.id });
+            assert.deepEqual((await byQuery.take(2)).map(function (m) { return m.id; }), missed.map(function (m) { return m.id; }));
+        });
+
+        it('asks for a resync once the last event seen has left the buffer', async function () {
+            var stream = await listen({ resource: 'task' });
+            await createTask('Old');
+            var old = (await stream.take(1))[0];
+            stream.close();
+
+            // five more events push it out of a buffer of five
+            for (var i = 0; i < 5; i++) await createTask('Filler ' + i);
+            var again = await listen({ resource: 'task' }, { 'Last-Event-ID': old.id });
+            var first = (await again.take(1))[0];
+            assert.equal(first.event, 'resync');
+            assert.deepEqual(first.data, {});
+        });
+    });
+});
@@ -0,0 +1,88 @@
+/*
+ * Health and readiness checks, /metrics and request ids (see
+ * lib/health.js, lib/metrics.js and lib/logger.js).
+ */
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var helpers = require('./helpers');
+var health = require('../lib/health');
+
+var describe = test.describe;
+var it = test.it;
+
+describe('health, readiness and metrics', function () {
+    var api;
+    var token;
+
+    test.before(async function () {
+        api = await helpers.start('memory');
+        var r = await api.request('POST', '/auth/register', { body: { name: 'Admin', email: 'admin@example.com', password: 'password123' } });
+        token = r.body.data.token;
+    });
+
+    test.after(async function () {
+        await api.close();
+    });
+
+    it('answers /api without giving anything away', async function () {
+        var r = await api.request('GET', '/');
+        assert.equal(r.status, 200);
+        assert.doesNotMatch(JSON.stringify(r.body), /connection string/);
+    });
+
+    it('reports liveness and readiness', async function () {
+        var live = await api.request('GET', '/health');
+        assert.equal(live.status, 200);
+        assert.equal(live.body.data.status, 'ok');
+
+        var ready = await api.request('GET', '/ready');
+        assert.equal(ready.status, 200);
+        assert.deepEqual(ready.body.data, { ready: true, store: 'memory', database: 'connected', draining: false });
+    });
+
+    it('gives every response a request id, keeping a sane one from the client', async function () {
+        var generated = await api.request('GET', '/health');
+        assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+        var kept = await api.request('GET', '/health', { headers: { 'X-Request-Id': 'trace-42' } });
+        assert.equal(kept.headers.get('x-request-id'), 'trace-42');
+        var replaced = await api.request('GET', '/health', { headers: { 'X-Request-Id': 'no spaces <here>' } });
+        assert.notEqual(replaced.headers.get('x-request-id'), 'no spaces <here>');
+    });
+
+    it('exports request and storage metrics labelled by route pattern', async function () {
+        var task = await api.request('POST', '/tasks', { token: token, body: { name: 'Measured', deadline: Date.now() + 86400000 } });
+        await api.request('GET', '/tasks/' + task.body.data._id, { token: token });
+        await api.request('GET', '/tasks/' + task.body.data._id + '/comments', { token: token });
+
+        var res = await fetch(api.origin + '/metrics');
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+        var text = await res.text();
+        assert.match(text, /^http_requests_total\{method="GET",route="\/api\/tasks\/:id",status="200"\} 1$/m);
+        assert.match(text, /^http_requests_total\{method="GET",route="\/api\/tasks\/:id\/comments",status="200"\} 1$/m);
+        assert.match(text, /^http_request_duration_seconds_bucket\{method="POST",route="\/api\/tasks",status="201",le="\+Inf"\} 1$/m);
+        assert.match(text, /^db_operation_duration_seconds_count\{store="memory",model="Task",operation="save",outcome="ok"\} \d+$/m);
+        assert.doesNotMatch(text, new RegExp(task.body.data._id));
+    });
+
+    it('requires METRICS_TOKEN when it is set', async function () {
+        process.env.METRICS_TOKEN = 'scrape-me';
+        try {
+            assert.equal((await fetch(api.origin + '/metrics')).status, 401);
+            var ok = await fetch(api.origin + '/metrics', { headers: { Authorization: 'Bearer scrape-me' } });
+            assert.equal(ok.status, 200);
+        } finally {
+            delete process.env.METRICS_TOKEN;
+        }
+    });
+
+    // last: draining cannot be undone
+    it('stops being ready and closes connections once draining', async function () {
+        health.drain();
+        var ready = await api.request('GET', '/ready');
+        assert.equal(ready.status, 503);
+        assert.equal(ready.body.data.draining, true);
+        assert.equal(ready.headers.get('connection'), 'close');
+        assert.equal((await api.request('GET', '/health')).status, 200);
+    });
+});
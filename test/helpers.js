@@ -0,0 +1,85 @@
+/*
+ * Helpers for the HTTP tests: run the app (app.js) on a free port over one
+ * of the storage backends (lib/store) and make requests to it.
+ */
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.ADMIN_EMAILS = 'admin@example.com';
+// request logs (lib/logger.js) would drown the test output
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+var store = require('../lib/store');
+
+var REPOSITORIES = ['tasks', 'users', 'projects', 'notifications', 'webhooks', 'deliveries', 'auditEntries', 'comments', 'attachments'];
+
+// memory always; mongo too when TEST_MONGODB_URI names a database the tests may empty
+function backends() {
+    return process.env.TEST_MONGODB_URI ? ['memory', 'mongo'] : ['memory'];
+}
+
+// delete everything, audit log included
+async function clear() {
+    for (var i = 0; i < REPOSITORIES.length; i++) {
+        await store[REPOSITORIES[i]].deleteMany({}, { raw: true });
+    }
+}
+
+// ?where=...&sort=... with each param JSON-encoded (strings are passed as they are)
+function qs(params) {
+    return '?' + Object.keys(params).map(function (k) {
+        var v = typeof params[k] === 'string' ? params[k] : JSON.stringify(params[k]);
+        return encodeURIComponent(k) + '=' + encodeURIComponent(v);
+    }).join('&');
+}
+
+/*
+ * Start the app on an empty store of the named backend. Resolves with
+ * { origin, request(method, path, { token, body, raw, headers }), close() }:
+ * paths are under origin + /api, body is sent as JSON, raw as it is.
+ * request resolves with { status, headers, body } where body is the parsed
+ * JSON, or the text of other responses.
+ */
+async function start(backend) {
+    store.use(backend);
+    if (backend === 'mongo') {
+        await store.connect(process.env.TEST_MONGODB_URI);
+        await clear();
+    }
+    var app = require('../app');
+    var server = await new Promise(function (resolve) {
+        var s = app.listen(0, '127.0.0.1', function () { resolve(s); });
+    });
+    var origin = 'http://127.0.0.1:' + server.address().port;
+    var base = origin + '/api';
+
+    async function request(method, path, options) {
+        options = options || {};
+        var headers = Object.assign({}, options.headers);
+        if (options.token) headers.Authorization = 'Bearer ' + options.token;
+        var body = options.raw;
+        if (options.body !== undefined) {
+            headers['Content-Type'] = 'application/json';
+            body = JSON.stringify(options.body);
+        }
+        var res = await fetch(base + path, { method: method, headers: headers, body: body });
+        var text = await res.text();
+        var json = /^application\/json/.test(res.headers.get('content-type') || '');
+        return { status: res.status, headers: res.headers, body: json && text ? JSON.parse(text) : text || null };
+    }
+
+    async function close() {
+        server.closeAllConnections();
+        await new Promise(function (resolve) { server.close(resolve); });
+        if (backend === 'mongo') {
+            await clear();
+            await store.disconnect();
+        }
+    }
+
+    return { origin: origin, request: request, close: close };
+}
+
+module.exports = {
+    backends: backends,
+    qs: qs,
+    start: start
+};
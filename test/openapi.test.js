@@ -0,0 +1,294 @@
+/*
+ * The API description (lib/openapi) against the app: every route is
+ * described, every response below matches the description of its
+ * operation and status, and requests that do not match it are refused
+ * with each field error listed.
+ */
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var helpers = require('./helpers');
+var openapi = require('../lib/openapi');
+var schema = require('../lib/schema');
+var workflow = require('../lib/workflow');
+
+var describe = test.describe;
+var it = test.it;
+var qs = helpers.qs;
+
+var DAY_MS = 24 * 60 * 60 * 1000;
+
+// the path a router was mounted at, from its regexp: ^\/tasks(?:\/([^/]+?))\/comments\/?(?=\/|$) is /tasks/:id/comments
+function mountPath(layer) {
+    var keys = layer.keys.slice();
+    return layer.regexp.source
+        .replace(/^\^/, '')
+        .replace('\\/?(?=\\/|$)', '')
+        .replace(/\(\?:\\\/\(\[\^\/\]\+\?\)\)/g, function () { return '/:' + keys.shift().name; })
+        .replace(/\\\//g, '/');
+}
+
+// 'GET /api/tasks/:id' for every route of the app
+function appRoutes(stack, prefix, routes) {
+    stack.forEach(function (layer) {
+        if (layer.route) {
+            var path = (prefix + layer.route.path).replace(/(.)\/$/, '$1');
+            Object.keys(layer.route.methods).forEach(function (method) {
+                routes.push(method.toUpperCase() + ' ' + path);
+            });
+        } else if (layer.handle && layer.handle.stack) {
+            appRoutes(layer.handle.stack, prefix + mountPath(layer), routes);
+        }
+    });
+    return routes;
+}
+
+// the same for the description: /tasks/{id} under the /api server becomes /api/tasks/:id
+function describedRoutes() {
+    var routes = [];
+    Object.keys(openapi.document.paths).forEach(function (path) {
+        var item = openapi.document.paths[path];
+        var server = item.servers ? item.servers[0].url : openapi.document.servers[0].url;
+        var full = (server.replace(/\/$/, '') + path.replace(/\{(\w+)\}/g, ':$1')).replace(/(.)\/$/, '$1');
+        ['get', 'put', 'post', 'patch', 'delete'].forEach(function (method) {
+            if (item[method]) routes.push(method.toUpperCase() + ' ' + full);
+        });
+    });
+    return routes;
+}
+
+// assert r (from api.request) is a response the description has for method and path
+function assertConforms(method, path, r) {
+    var found = openapi.findOperation(method, path.split('?')[0]);
+    assert.ok(found, method + ' ' + path + ' is not described');
+    var described = found.operation.responses[r.status] || found.operation.responses.default;
+    assert.ok(described, method + ' ' + path + ' answered ' + r.status + ', which is not described');
+    var response = schema.resolve(openapi.document, described);
+    var media = response.content && response.content['application/json'];
+    if (!media || typeof r.body !== 'object' || r.body === null) return;
+    var errors = openapi.validate(media.schema, r.body).errors;
+    assert.deepEqual(errors, [], method + ' ' + path + ' ' + r.status + ' does not match the description');
+}
+
+helpers.backends().forEach(function (backend) {
+    describe('API description on the ' + backend + ' store', function () {
+        var api;
+        var admin;
+        var member;
+
+        // api.request, checking the response against the description
+        async function call(method, path, options) {
+            var r = await api.request(method, path, options);
+            assertConforms(method, path, r);
+            return r;
+        }
+
+        async function register(name, email) {
+            var r = await call('POST', '/auth/register', { body: { name: name, email: email, password: 'password123' } });
+            assert.equal(r.status, 201);
+            return { token: r.body.data.token, user: r.body.data.user };
+        }
+
+        function form(fields) {
+            return {
+                token: admin.token,
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                raw: new URLSearchParams(fields).toString()
+            };
+        }
+
+        test.before(async function () {
+            api = await helpers.start(backend);
+            admin = await register('Admin', 'admin@example.com');
+            member = await register('Member', 'member@example.com');
+        });
+
+        test.after(async function () {
+            await api.close();
+        });
+
+        it('describes every route the app serves, and no others', function () {
+            var app = require('../app');
+            var served = appRoutes(app._router.stack, '', []).sort();
+            assert.deepEqual(served, describedRoutes().sort());
+        });
+
+        it('only describes constraints the validator checks', function () {
+            var described = {
+                type: 'object',
+                properties: {
+                    size: { type: 'integer', exclusiveMinimum: 0, description: 'bytes' },
+                    when: { type: 'string', format: 'date' },
+                    tags: { type: 'array', items: { not: { enum: [''] } } }
+                },
+                anyOf: [{ type: 'tuple' }]
+            };
+            assert.deepEqual(schema.unsupported(described, '#'), [
+                '#.properties.size.exclusiveMinimum',
+                '#.properties.when.format',
+                '#.properties.tags.items.not',
+                '#.anyOf[0].type'
+            ]);
+            assert.deepEqual(schema.unsupported(openapi.document.components.schemas.TaskInput, '#'), []);
+        });
+
+        it('serves the description without a token', async function () {
+            var r = await call('GET', '/openapi.json');
+            assert.equal(r.status, 200);
+            assert.equal(r.body.openapi, '3.0.3');
+            assert.ok(r.body.paths['/tasks/{id}']);
+            var links = await call('GET', '/');
+            assert.equal(links.body.data.openapi, '/api/openapi.json');
+        });
+
+        it('answers users routes as described', async function () {
+            var created = await call('POST', '/users', { token: admin.token, body: { name: 'Uma', email: 'uma@example.com' } });
+            assert.equal(created.status, 201);
+            var id = created.body.data._id;
+            await call('GET', '/users' + qs({ sort: { name: 1 }, limit: 2 }), { token: admin.token });
+            await call('GET', '/users?count=true', { token: admin.token });
+            await call('GET', '/users/search?q=uma', { token: admin.token });
+            await call('GET', '/users/' + id, { token: admin.token });
+            await call('PUT', '/users/' + id, { token: admin.token, body: { name: 'Uma B', email: 'uma@example.com' } });
+            await call('PATCH', '/users/' + id, { token: admin.token, body: { name: 'Uma C' } });
+            await call('GET', '/users/' + id + '/history', { token: admin.token });
+            await call('GET', '/users/' + id + '/notifications', { token: admin.token });
+            await call('POST', '/users/' + id + '/notifications/read', { token: admin.token });
+            var bulk = await call('POST', '/users/bulk', { token: admin.token, body: { operations: [{ op: 'update', id: id, data: { name: 'Uma D' } }] } });
+            assert.equal(bulk.body.data.succeeded, 1);
+            var forbidden = await call('DELETE', '/users/' + id, { token: member.token });
+            assert.equal(forbidden.status, 403);
+            assert.equal((await call('DELETE', '/users/' + id, { token: admin.token })).status, 204);
+            await call('GET', '/trash?resource=user', { token: admin.token });
+            assert.equal((await call('POST', '/users/' + id + '/restore', { token: admin.token })).status, 200);
+            assert.equal((await call('GET', '/users/000000000000000000000000', { token: admin.token })).status, 404);
+            assert.equal((await call('GET', '/users')).status, 401);
+        });
+
+        it('answers tasks routes as described', async function () {
+            var parent = (await call('POST', '/tasks', { token: admin.token, body: { name: 'Plan', deadline: Date.now() + DAY_MS } })).body.data;
+            var created = await call('POST', '/tasks', {
+                token: admin.token,
+                body: { name: 'Write', deadline: new Date(Date.now() + 2 * DAY_MS).toISOString(), assignedUser: member.user._id, parentTask: parent._id, recurrence: 'FREQ=WEEKLY;COUNT=3' }
+            });
+            assert.equal(created.status, 201, created.body.message);
+            var task = created.body.data;
+            await call('GET', '/tasks' + qs({ where: { completed: false }, select: { name: 1 } }), { token: admin.token });
+            await call('GET', '/tasks?count=true', { token: admin.token });
+            await call('GET', '/tasks/workflow', { token: admin.token });
+            await call('GET', '/tasks/search?q=write', { token: admin.token });
+            await call('GET', '/tasks/export?format=json', { token: admin.token });
+            await call('GET', '/tasks/' + task._id, { token: member.token });
+            var etag = (await call('GET', '/tasks/' + task._id, { token: admin.token })).headers.get('etag');
+            assert.equal((await call('GET', '/tasks/' + task._id, { token: admin.token, headers: { 'If-None-Match': etag } })).status, 304);
+            await call('GET', '/tasks/' + parent._id + '/subtasks?depth=2', { token: admin.token });
+            await call('GET', '/tasks/' + task._id + '/dependencies', { token: admin.token });
+            await call('GET', '/tasks/series/' + task.seriesId, { token: admin.token });
+            await call('PATCH', '/tasks/series/' + task.seriesId, { token: admin.token, body: { description: 'weekly' } });
+            await call('PATCH', '/tasks/' + task._id, { token: admin.token, body: { completed: true } });
+            await call('GET', '/tasks/' + task._id + '/history', { token: admin.token });
+            await call('PUT', '/tasks/' + parent._id, { token: admin.token, body: { name: 'Plan again', deadline: Date.now() + DAY_MS } });
+            var bulk = await call('POST', '/tasks/bulk', {
+                token: admin.token,
+                body: { atomic: true, operations: [{ op: 'create', data: { name: 'Bulk', deadline: Date.now() + DAY_MS } }, { op: 'assign', id: parent._id, assignedUser: member.user._id }] }
+            });
+            assert.equal(bulk.body.data.succeeded, 2);
+            var imported = await call('POST', '/tasks/import', { token: admin.token, body: { csv: 'name,deadline\nImported,2030-01-01T00:00:00Z\n', dryRun: true } });
+            assert.equal(imported.status, 200);
+            await call('GET', '/users/' + member.user._id + '/notifications', { token: member.token });
+            assert.equal((await call('DELETE', '/tasks/' + parent._id + '?dependents=reparent', { token: admin.token })).status, 204);
+            await call('GET', '/trash', { token: admin.token });
+            await call('POST', '/tasks/' + parent._id + '/restore', { token: admin.token });
+            await call('GET', '/stats', { token: admin.token });
+            await call('GET', '/admin/integrity', { token: admin.token });
+            assert.equal((await call('GET', '/admin/integrity', { token: member.token })).status, 403);
+        });
+
+        it('answers projects and comments routes as described', async function () {
+            var project = (await call('POST', '/projects', { token: admin.token, body: { name: 'Launch' } })).body.data;
+            await call('GET', '/projects', { token: admin.token });
+            await call('GET', '/projects/' + project._id, { token: admin.token });
+            await call('PATCH', '/projects/' + project._id, { token: admin.token, body: { description: 'the big one' } });
+            await call('POST', '/projects/' + project._id + '/members', { token: admin.token, body: { user: member.user._id } });
+            await call('GET', '/projects/' + project._id + '/members', { token: admin.token });
+            var task = (await call('POST', '/tasks', { token: admin.token, body: { name: 'Ship', deadline: Date.now() + DAY_MS, project: project._id } })).body.data;
+            await call('GET', '/projects/' + project._id + '/tasks', { token: admin.token });
+            var comment = await call('POST', '/tasks/' + task._id + '/comments', { token: admin.token, body: { body: 'Hi @Member' } });
+            assert.equal(comment.status, 201);
+            await call('GET', '/tasks/' + task._id + '/comments', { token: admin.token });
+            await call('PUT', '/tasks/' + task._id + '/comments/' + comment.body.data._id, { token: admin.token, body: { body: 'Hello' } });
+            await call('GET', '/tasks/' + task._id + '/attachments', { token: admin.token });
+            assert.equal((await call('DELETE', '/projects/' + project._id, { token: admin.token })).status, 409);
+            await call('GET', '/webhooks', { token: admin.token });
+        });
+
+        it('lists every field error of a request that does not match', async function () {
+            var r = await call('POST', '/tasks', { token: admin.token, body: {} });
+            assert.equal(r.status, 400);
+            assert.deepEqual(r.body.data.errors.map(function (e) { return e.path; }), ['name', 'deadline']);
+
+            r = await call('POST', '/tasks', { token: admin.token, body: { name: 'Bad', deadline: 'someday', blockedBy: ['nope'], status: 'lost' } });
+            assert.deepEqual(r.body.data.errors, [
+                { param: 'body', path: 'deadline', reason: 'must be an integer or a date-time' },
+                { param: 'body', path: 'blockedBy[0]', reason: 'must be a 24-character hex id' },
+                { param: 'body', path: 'status', reason: 'must be one of ' + workflow.STATUSES.join(', ') }
+            ]);
+
+            r = await call('POST', '/users', { token: admin.token, body: { name: '', email: 'nope', role: 'root' } });
+            assert.equal(r.status, 400);
+            assert.equal(r.body.data.errors.length, 3);
+            assert.match(r.body.message, /^Bad Request: body\.name: must not be empty; /);
+
+            r = await call('GET', '/tasks?limit=many&skip=-1', { token: admin.token });
+            assert.deepEqual(r.body.data.errors, [
+                { param: 'limit', path: '', reason: 'must be an integer' },
+                { param: 'skip', path: '', reason: 'must be at least 0' }
+            ]);
+
+            r = await call('GET', '/users/not-an-id', { token: admin.token });
+            assert.deepEqual(r.body.data.errors, [{ param: 'id', path: '', reason: 'must be a 24-character hex id' }]);
+
+            r = await call('POST', '/users/bulk', { token: admin.token, body: { operations: [{ op: 'update', id: 'x' }, { op: 'rename' }] } });
+            assert.deepEqual(r.body.data.errors.map(function (e) { return e.path; }), ['operations[0].id', 'operations[1].op']);
+
+            r = await call('GET', '/tasks' + qs({ where: { deadline: { $gt: 'never' } } }), { token: admin.token });
+            assert.deepEqual(r.body.data.errors, [{ param: 'where', path: 'deadline.$gt', reason: 'invalid date' }]);
+        });
+
+        it('checks PATCH results and bulk operations like PUT bodies', async function () {
+            var task = (await call('POST', '/tasks', { token: admin.token, body: { name: 'Keep', deadline: Date.now() + DAY_MS } })).body.data;
+            // null removes name from the task, which PUT would refuse too
+            var r = await call('PATCH', '/tasks/' + task._id, { token: admin.token, body: { name: null } });
+            assert.equal(r.status, 400);
+            assert.deepEqual(r.body.data.errors, [{ param: 'body', path: 'name', reason: 'is required' }]);
+
+            r = await call('POST', '/tasks/bulk', { token: admin.token, body: { operations: [{ op: 'update', id: task._id, data: { deadline: 'soon' } }] } });
+            assert.equal(r.body.data.failed, 1);
+            assert.deepEqual(r.body.data.results[0].data.errors, [{ param: 'body', path: 'deadline', reason: 'must be an integer or a date-time' }]);
+        });
+
+        it('reads form bodies as the types the description asks for', async function () {
+            // as database_scripts/dbFill.py sends them
+            var deadline = Date.now() + DAY_MS;
+            var r = await call('POST', '/tasks', form({ name: 'Form', deadline: deadline + '.0', completed: 'false', assignedUser: '' }));
+            assert.equal(r.status, 201, r.body.message);
+            assert.equal(new Date(r.body.data.deadline).getTime(), deadline);
+            assert.equal(r.body.data.completed, false);
+
+            r = await call('POST', '/tasks', form({ name: 'Form', deadline: 'tomorrow', completed: 'maybe' }));
+            assert.deepEqual(r.body.data.errors.map(function (e) { return e.path; }), ['deadline', 'completed']);
+        });
+
+        it('keeps ISO deadlines as the date they name', async function () {
+            var task = (await call('POST', '/tasks', { token: admin.token, body: { name: 'Dated', deadline: Date.now() + DAY_MS } })).body.data;
+            var r = await call('PUT', '/tasks/' + task._id, { token: admin.token, body: { name: 'Dated', deadline: '2031-05-01T12:00:00.000Z' } });
+            assert.equal(r.status, 200);
+            assert.equal(r.body.data.deadline, '2031-05-01T12:00:00.000Z');
+        });
+
+        it('refuses bodies of a type the route does not take', async function () {
+            var r = await call('POST', '/tasks', { token: admin.token, headers: { 'Content-Type': 'text/plain' }, raw: 'name=x' });
+            assert.equal(r.status, 415);
+            assert.match(r.body.message, /application\/json or application\/x-www-form-urlencoded/);
+        });
+    });
+});
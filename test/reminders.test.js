@@ -0,0 +1,136 @@
+/*
+ * Deadline reminders (lib/reminders.js) on every storage backend (see
+ * test/helpers.js), scanning at chosen times instead of on the clock:
+ * which lead time a task is reminded for, overdue notices, no duplicates
+ * across restarts, and reading notifications through the API.
+ */
+process.env.REMINDER_LEAD_TIMES = '24h,1h';
+process.env.NOTIFY_CHANNELS = 'console';
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var helpers = require('./helpers');
+var reminders = require('../lib/reminders');
+
+var describe = test.describe;
+var it = test.it;
+var qs = helpers.qs;
+
+var MINUTE_MS = 60 * 1000;
+var HOUR_MS = 60 * MINUTE_MS;
+var DAY_MS = 24 * HOUR_MS;
+
+// a fresh copy of lib/reminders, as a restarted server would load it
+function restartedReminders() {
+    delete require.cache[require.resolve('../lib/reminders')];
+    return require('../lib/reminders');
+}
+
+helpers.backends().forEach(function (backend) {
+    describe('deadline reminders on the ' + backend + ' store', function () {
+        var api;
+        var admin;
+        var member;
+        // deadlines well ahead of the real clock, so only the scans below see them
+        var due = new Date(Math.ceil((Date.now() + 30 * DAY_MS) / HOUR_MS) * HOUR_MS);
+
+        function at(offsetMs) {
+            return new Date(due.getTime() + offsetMs);
+        }
+
+        async function register(name, email) {
+            var r = await api.request('POST', '/auth/register', { body: { name: name, email: email, password: 'password123' } });
+            return r.body.data;
+        }
+
+        async function createTask(fields) {
+            var r = await api.request('POST', '/tasks', { token: admin.token, body: Object.assign({ deadline: due.getTime() }, fields) });
+            assert.equal(r.status, 201, r.body.message);
+            return r.body.data;
+        }
+
+        async function notifications(user, params) {
+            var r = await api.request('GET', '/users/' + user.user._id + '/notifications' + qs(params || {}), { token: user.token });
+            assert.equal(r.status, 200, r.body.message);
+            return r.body;
+        }
+
+        test.before(async function () {
+            api = await helpers.start(backend);
+            admin = await register('Admin', 'admin@example.com');
+            member = await register('Member', 'member@example.com');
+        });
+
+        test.after(async function () {
+            await api.close();
+        });
+
+        it('reminds once per lead time, then once when overdue', async function () {
+            var task = await createTask({ name: 'Report', assignedUser: member.user._id });
+            await createTask({ name: 'Nobody\'s' });
+            await createTask({ name: 'Finished', assignedUser: member.user._id, completed: true });
+
+            assert.equal(await reminders.scan(at(-25 * HOUR_MS)), 0);
+            assert.equal(await reminders.scan(at(-23 * HOUR_MS)), 1);
+            assert.equal(await reminders.scan(at(-22 * HOUR_MS)), 0);
+            assert.equal(await reminders.scan(at(-30 * MINUTE_MS)), 1);
+            assert.equal(await reminders.scan(at(-10 * MINUTE_MS)), 0);
+            assert.equal(await reminders.scan(at(MINUTE_MS)), 1);
+            assert.equal(await reminders.scan(at(HOUR_MS)), 0);
+
+            var list = (await notifications(member, { sort: { dateCreated: 1 } })).data;
+            assert.deepEqual(list.map(function (n) { return [n.task, n.kind, n.leadMinutes]; }), [
+                [task._id, 'reminder', 24 * 60],
+                [task._id, 'reminder', 60],
+                [task._id, 'overdue', 0]
+            ]);
+            assert.match(list[0].message, /"Report" is due in 23 hours/);
+            assert.match(list[2].message, /"Report" is overdue/);
+            assert.deepEqual(list[0].deliveries.map(function (d) { return [d.channel, d.status]; }), [['console', 'sent']]);
+        });
+
+        it('only gives the shortest lead time a task is already within', async function () {
+            var task = await createTask({ name: 'Last minute', assignedUser: member.user._id, deadline: at(2 * DAY_MS).getTime() });
+            assert.equal(await reminders.scan(at(2 * DAY_MS - 30 * MINUTE_MS)), 1);
+            var list = (await notifications(member, { where: { task: task._id } })).data;
+            assert.deepEqual(list.map(function (n) { return n.leadMinutes; }), [60]);
+        });
+
+        it('sends nothing twice after a restart, but again for a new deadline', async function () {
+            var task = await createTask({ name: 'Restarted', assignedUser: member.user._id, deadline: at(DAY_MS).getTime() });
+            var now = at(DAY_MS - 2 * HOUR_MS);
+            assert.equal(await reminders.scan(now), 1);
+            assert.equal(await restartedReminders().scan(now), 0);
+
+            var moved = at(DAY_MS + 30 * MINUTE_MS).getTime();
+            var r = await api.request('PATCH', '/tasks/' + task._id, { token: admin.token, body: { deadline: moved } });
+            assert.equal(r.status, 200, r.body.message);
+            assert.equal(await restartedReminders().scan(now), 1);
+            assert.equal((await notifications(member, { where: { task: task._id } })).data.length, 2);
+        });
+
+        it('lets users read their own notifications', async function () {
+            var body = await notifications(member);
+            var total = body.data.length;
+            assert.ok(total >= 3);
+            assert.equal(body.meta.unread, total);
+            var newest = body.data[0];
+
+            var r = await api.request('PATCH', '/users/' + member.user._id + '/notifications/' + newest._id, { token: member.token, body: { read: true } });
+            assert.equal(r.status, 200);
+            assert.equal(r.body.data.read, true);
+            assert.ok(r.body.data.readAt);
+            assert.equal((await notifications(member)).meta.unread, total - 1);
+            assert.deepEqual((await notifications(member, { where: { read: true } })).data.map(function (n) { return n._id; }), [newest._id]);
+
+            r = await api.request('PATCH', '/users/' + member.user._id + '/notifications/' + newest._id, { token: member.token, body: { read: false } });
+            assert.equal(r.body.data.read, false);
+            r = await api.request('POST', '/users/' + member.user._id + '/notifications/read', { token: member.token });
+            assert.equal(r.status, 200);
+            assert.equal((await notifications(member)).meta.unread, 0);
+
+            r = await api.request('GET', '/users/' + admin.user._id + '/notifications', { token: member.token });
+            assert.equal(r.status, 403);
+        });
+    });
+});
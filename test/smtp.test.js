@@ -0,0 +1,196 @@
+/*
+ * The SMTP client (lib/smtp.js) against a fake server on a local port:
+ * replies spread over several lines, messages whose lines start with a
+ * dot, and servers that refuse to go on without STARTTLS.
+ */
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var net = require('net');
+var smtp = require('../lib/smtp');
+
+var describe = test.describe;
+var it = test.it;
+
+var ENV = ['SMTP_HOST', 'SMTP_PORT', 'SMTP_SECURE', 'SMTP_USER', 'SMTP_PASS', 'SMTP_FROM'];
+
+var REPLIES = {
+    greeting: '220 fake ESMTP',
+    EHLO: '250-fake greets you\r\n250-8BITMIME\r\n250-AUTH PLAIN LOGIN\r\n250 SIZE 1000000',
+    AUTH: '235 2.7.0 accepted',
+    MAIL: '250 2.1.0 ok',
+    RCPT: '250 2.1.5 ok',
+    DATA: '354 end with <CRLF>.<CRLF>',
+    message: '250 2.0.0 queued',
+    QUIT: '221 2.0.0 bye',
+    other: '502 5.5.1 not implemented'
+};
+
+/*
+ * A server answering each command with replies[verb] (REPLIES unless
+ * given, replies.other for lines without a known verb; a function is
+ * called with the line, and null hangs up instead). Resolves with
+ * { port, commands, message, close }: commands as received, and the lines
+ * of the last message with dot-stuffing undone, as a real server would.
+ */
+function fakeServer(replies) {
+    replies = Object.assign({}, REPLIES, replies);
+    var seen = { commands: [], message: null };
+    var server = net.createServer(function (socket) {
+        var pending = '';
+        var data = null;
+        socket.setEncoding('utf8');
+        function answer(reply) {
+            if (reply === null) return socket.destroy();
+            socket.write(reply + '\r\n');
+        }
+        socket.on('data', function (chunk) {
+            pending += chunk;
+            var lines = pending.split('\r\n');
+            pending = lines.pop();
+            lines.forEach(function (line) {
+                if (data) {
+                    if (line !== '.') return data.push(line[0] === '.' ? line.slice(1) : line);
+                    seen.message = data;
+                    data = null;
+                    return answer(replies.message);
+                }
+                seen.commands.push(line);
+                var verb = line.split(' ')[0].toUpperCase();
+                if (verb === 'DATA' && /^354/.test(replies.DATA)) data = [];
+                var reply = replies[verb] === undefined ? replies.other : replies[verb];
+                answer(typeof reply === 'function' ? reply(line) : reply);
+            });
+        });
+        socket.on('error', function () {});
+        answer(replies.greeting);
+    });
+    return new Promise(function (resolve) {
+        server.listen(0, '127.0.0.1', function () {
+            seen.port = server.address().port;
+            seen.close = function () {
+                return new Promise(function (done) { server.close(done); });
+            };
+            resolve(seen);
+        });
+    });
+}
+
+// the headers and decoded text of a message the server received
+function parse(lines) {
+    var blank = lines.indexOf('');
+    var headers = {};
+    lines.slice(0, blank).forEach(function (line) {
+        var i = line.indexOf(': ');
+        headers[line.slice(0, i)] = line.slice(i + 2);
+    });
+    return { headers: headers, text: Buffer.from(lines.slice(blank + 1).join(''), 'base64').toString('utf8') };
+}
+
+describe('smtp', function () {
+    var env = {};
+    var server;
+
+    test.beforeEach(function () {
+        ENV.forEach(function (name) { env[name] = process.env[name]; });
+        process.env.SMTP_HOST = '127.0.0.1';
+        process.env.SMTP_FROM = 'tasks@example.com';
+        delete process.env.SMTP_SECURE;
+        delete process.env.SMTP_USER;
+        delete process.env.SMTP_PASS;
+    });
+
+    test.afterEach(async function () {
+        ENV.forEach(function (name) {
+            if (env[name] === undefined) delete process.env[name];
+            else process.env[name] = env[name];
+        });
+        if (server) await server.close();
+        server = null;
+    });
+
+    async function listen(replies) {
+        server = await fakeServer(replies);
+        process.env.SMTP_PORT = String(server.port);
+        return server;
+    }
+
+    it('sends a message through the whole session', async function () {
+        await listen();
+        await smtp.send({ to: 'ann@example.com', subject: 'Überfällig', text: 'Write the report\nby Friday' });
+        assert.deepEqual(server.commands.map(function (c) { return c.split(' ')[0]; }), ['EHLO', 'MAIL', 'RCPT', 'DATA', 'QUIT']);
+        assert.equal(server.commands[1], 'MAIL FROM:<tasks@example.com>');
+        assert.equal(server.commands[2], 'RCPT TO:<ann@example.com>');
+        var message = parse(server.message);
+        assert.equal(message.headers.To, 'ann@example.com');
+        assert.equal(message.headers.Subject, '=?UTF-8?B?' + Buffer.from('Überfällig').toString('base64') + '?=');
+        assert.equal(message.text, 'Write the report\r\nby Friday');
+    });
+
+    it('keeps lines that start with a dot inside the message', async function () {
+        await listen();
+        var text = 'Steps:\n.\n.hidden file\n..\nend';
+        await smtp.send({ to: 'ann@example.com', subject: 'Dots', text: text });
+        // the message did not end early, so nothing after DATA was read as a command
+        assert.deepEqual(server.commands.slice(-2), ['DATA', 'QUIT']);
+        assert.equal(parse(server.message).text, text.replace(/\n/g, '\r\n'));
+    });
+
+    it('reads the extensions of a reply over several lines', async function () {
+        var prompts = ['334 UGFzc3dvcmQ6', '235 2.7.0 accepted'];
+        await listen({
+            EHLO: '250-fake greets you\r\n250-AUTH LOGIN\r\n250 8BITMIME',
+            AUTH: '334 VXNlcm5hbWU6',
+            other: function () { return prompts.shift(); }
+        });
+        process.env.SMTP_USER = 'ann';
+        process.env.SMTP_PASS = 'secret';
+        await smtp.send({ to: 'ann@example.com', subject: 'Login', text: 'hi' });
+        // AUTH is on a line in the middle, and only offers LOGIN: the user, then the password
+        assert.deepEqual(server.commands.slice(1, 4), [
+            'AUTH LOGIN',
+            Buffer.from('ann').toString('base64'),
+            Buffer.from('secret').toString('base64')
+        ]);
+    });
+
+    it('logs in with AUTH PLAIN when the server offers it', async function () {
+        await listen();
+        process.env.SMTP_USER = 'ann';
+        process.env.SMTP_PASS = 'secret';
+        await smtp.send({ to: 'ann@example.com', subject: 'Plain', text: 'hi' });
+        assert.equal(server.commands[1], 'AUTH PLAIN ' + Buffer.from('\0ann\0secret').toString('base64'));
+    });
+
+    it('reports every line of a multi-line refusal', async function () {
+        await listen({ RCPT: '550-5.1.1 no such mailbox\r\n550 5.1.1 try another address' });
+        await assert.rejects(smtp.send({ to: 'nobody@example.com', subject: 'Lost', text: 'hi' }),
+            /replied 550 5\.1\.1 no such mailbox 5\.1\.1 try another address/);
+        assert.equal(server.message, null);
+    });
+
+    it('gives up when the server insists on STARTTLS', async function () {
+        await listen({
+            EHLO: '250-fake greets you\r\n250-STARTTLS\r\n250 8BITMIME',
+            MAIL: '530 5.7.0 Must issue a STARTTLS command first'
+        });
+        await assert.rejects(smtp.send({ to: 'ann@example.com', subject: 'Secret', text: 'hi' }), /replied 530 5\.7\.0 Must issue a STARTTLS/);
+        // STARTTLS is not supported, so nothing is sent in the clear past the refusal
+        assert.ok(server.commands.indexOf('STARTTLS') === -1);
+        assert.equal(server.message, null);
+    });
+
+    it('fails when the server refuses TLS or hangs up', async function () {
+        await listen({ greeting: '554 5.7.0 TLS required' });
+        await assert.rejects(smtp.send({ to: 'ann@example.com', subject: 'x', text: 'hi' }), /replied 554 5\.7\.0 TLS required/);
+        await server.close();
+
+        await listen({ EHLO: '250-fake greets you\r\n250 STARTTLS', MAIL: null });
+        await assert.rejects(smtp.send({ to: 'ann@example.com', subject: 'x', text: 'hi' }), /SMTP connection closed/);
+    });
+
+    it('refuses recipients that would break the envelope', async function () {
+        await listen();
+        await assert.rejects(smtp.send({ to: 'ann@example.com>\r\nRCPT TO:<eve@example.com', subject: 'x', text: 'hi' }), /invalid recipient/);
+        assert.deepEqual(server.commands, []);
+    });
+});
@@ -0,0 +1,146 @@
+/*
+ * Task statistics (lib/stats.js, GET /api/stats) on every storage backend
+ * (see test/helpers.js). The numbers come from a MongoDB aggregation, so
+ * they are only checked on the mongo store; the memory store answers 501.
+ */
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var helpers = require('./helpers');
+var store = require('../lib/store');
+
+var describe = test.describe;
+var it = test.it;
+var qs = helpers.qs;
+
+var YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+helpers.backends().forEach(function (backend) {
+    describe('stats on the ' + backend + ' store', function () {
+        var api;
+        var admin;
+        var member;
+        var mongoOnly = { skip: backend !== 'mongo' && 'the memory store has no aggregation pipeline' };
+
+        async function register(name, email) {
+            var r = await api.request('POST', '/auth/register', { body: { name: name, email: email, password: 'password123' } });
+            return r.body.data;
+        }
+
+        // create a task, then backdate it: dateCreated and completedAt are set by the server otherwise
+        async function createTask(fields, dates) {
+            var r = await api.request('POST', '/tasks', { token: admin.token, body: fields });
+            assert.equal(r.status, 201, r.body.message);
+            await store.tasks.updateOne({ _id: r.body.data._id }, dates);
+            return r.body.data;
+        }
+
+        async function stats(params) {
+            var r = await api.request('GET', '/stats' + qs(params || {}), { token: admin.token });
+            assert.equal(r.status, 200, r.body.message);
+            return r.body.data;
+        }
+
+        test.before(async function () {
+            api = await helpers.start(backend);
+            admin = await register('Admin', 'admin@example.com');
+            member = await register('Member', 'member@example.com');
+            if (backend !== 'mongo') return;
+
+            // inserted out of date order, so only sorting on dateCreated finds the newest name
+            await createTask(
+                { name: 'Late', assignedUser: member.user._id, completed: true, deadline: '2025-03-05T12:00:00Z' },
+                { dateCreated: new Date('2025-03-04T09:00:00Z'), completedAt: new Date('2025-03-05T16:00:00Z') }
+            );
+            await createTask(
+                { name: 'Overdue', assignedUser: member.user._id, deadline: '2025-03-12T12:00:00Z' },
+                { dateCreated: new Date('2025-03-10T09:00:00Z') }
+            );
+            await createTask(
+                { name: 'Not due yet', deadline: Date.now() + YEAR_MS },
+                { dateCreated: new Date('2025-04-01T09:00:00Z') }
+            );
+            await createTask(
+                { name: 'On time', assignedUser: member.user._id, completed: true, deadline: '2025-03-05T12:00:00Z' },
+                { dateCreated: new Date('2025-03-03T09:00:00Z'), completedAt: new Date('2025-03-04T02:00:00Z'), assignedUserName: 'Old name' }
+            );
+        });
+
+        test.after(async function () {
+            await api.close();
+        });
+
+        it('answers 501 without an aggregation pipeline', { skip: backend === 'mongo' }, async function () {
+            var r = await api.request('GET', '/stats', { token: admin.token });
+            assert.equal(r.status, 501);
+            assert.match(r.body.message, /^Not Implemented: /);
+        });
+
+        it('refuses bad options', async function () {
+            var r = await api.request('GET', '/stats' + qs({ interval: 'year' }), { token: admin.token });
+            assert.equal(r.status, 400);
+            r = await api.request('GET', '/stats' + qs({ timezone: 'Mars/Olympus' }), { token: admin.token });
+            assert.equal(r.status, 400);
+            r = await api.request('GET', '/stats' + qs({ from: 'soon' }), { token: admin.token });
+            assert.equal(r.status, 400);
+        });
+
+        it('counts open, completed and overdue tasks, overall and per user', mongoOnly, async function () {
+            var data = await stats();
+            assert.deepEqual(data.totals, {
+                total: 4,
+                open: 2,
+                completed: 2,
+                overdue: 1,
+                completedOnTime: 1,
+                completionRate: 0.5,
+                onTimeRate: 0.5,
+                // 17 hours and 31 hours from creation to completion
+                avgCompletionHours: 24
+            });
+            assert.deepEqual(data.users.map(function (u) {
+                return [u.userId, u.userName, u.total, u.open, u.completed, u.overdue, u.completionRate];
+            }), [
+                [member.user._id, 'Member', 3, 1, 2, 1, 0.67],
+                ['', 'unassigned', 1, 1, 0, 0, 0]
+            ]);
+        });
+
+        it('counts per day, week and month', mongoOnly, async function () {
+            var data = await stats({ interval: 'day' });
+            assert.deepEqual(data.timeline.created, [
+                { period: '2025-03-03', count: 1 },
+                { period: '2025-03-04', count: 1 },
+                { period: '2025-03-10', count: 1 },
+                { period: '2025-04-01', count: 1 }
+            ]);
+            assert.deepEqual(data.timeline.completed, [{ period: '2025-03-04', count: 1 }, { period: '2025-03-05', count: 1 }]);
+            assert.deepEqual(data.overdueByDeadline, [{ period: '2025-03-12', count: 1 }]);
+
+            data = await stats({ interval: 'week' });
+            assert.deepEqual(data.timeline.created, [
+                { period: '2025-W10', count: 2 },
+                { period: '2025-W11', count: 1 },
+                { period: '2025-W14', count: 1 }
+            ]);
+            assert.deepEqual(data.timeline.completed, [{ period: '2025-W10', count: 2 }]);
+            assert.deepEqual(data.overdueByDeadline, [{ period: '2025-W11', count: 1 }]);
+
+            data = await stats({ interval: 'month' });
+            assert.deepEqual(data.timeline.created, [{ period: '2025-03', count: 3 }, { period: '2025-04', count: 1 }]);
+            assert.deepEqual(data.timeline.completed, [{ period: '2025-03', count: 2 }]);
+
+            // 02:00 UTC on the 4th is still the evening of the 3rd in New York
+            data = await stats({ interval: 'day', timezone: 'America/New_York' });
+            assert.deepEqual(data.timeline.completed, [{ period: '2025-03-03', count: 1 }, { period: '2025-03-05', count: 1 }]);
+        });
+
+        it('limits totals to tasks created in the range and the timeline to events in it', mongoOnly, async function () {
+            var data = await stats({ from: '2025-03-04T00:00:00Z', to: '2025-03-31T00:00:00Z', interval: 'month' });
+            assert.equal(data.totals.total, 2);
+            assert.equal(data.totals.overdue, 1);
+            assert.deepEqual(data.timeline.created, [{ period: '2025-03', count: 2 }]);
+            // the task created on the 3rd was completed on the 4th
+            assert.deepEqual(data.timeline.completed, [{ period: '2025-03', count: 2 }]);
+        });
+    });
+});
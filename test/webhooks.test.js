@@ -0,0 +1,192 @@
+/*
+ * Webhook deliveries (lib/webhooks.js) to a receiver on a local port, on
+ * every storage backend (see test/helpers.js): signatures, where filters,
+ * retries with backoff, the dead-letter state and reactivation. Retries
+ * are milliseconds apart here instead of seconds.
+ */
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+process.env.WEBHOOK_RETRY_BASE_MS = '40';
+process.env.WEBHOOK_DEAD_AFTER = '2';
+process.env.WEBHOOK_POLL_MS = '20';
+process.env.WEBHOOK_TIMEOUT_MS = '2000';
+
+var crypto = require('crypto');
+var http = require('http');
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var helpers = require('./helpers');
+var webhooks = require('../lib/webhooks');
+
+var describe = test.describe;
+var it = test.it;
+
+var DAY_MS = 24 * 60 * 60 * 1000;
+var SECRET = 'a-secret-of-enough-length';
+
+/*
+ * An HTTP server recording every request ({ path, headers, body }) and
+ * answering with receiver.status.
+ */
+function startReceiver() {
+    var receiver = { requests: [], status: 200 };
+    var server = http.createServer(function (req, res) {
+        var chunks = [];
+        req.on('data', function (c) { chunks.push(c); });
+        req.on('end', function () {
+            receiver.requests.push({ path: req.url, headers: req.headers, body: Buffer.concat(chunks).toString('utf8') });
+            res.statusCode = receiver.status;
+            res.end();
+        });
+    });
+    return new Promise(function (resolve) {
+        server.listen(0, '127.0.0.1', function () {
+            receiver.url = 'http://127.0.0.1:' + server.address().port;
+            receiver.close = function () {
+                server.closeAllConnections();
+                return new Promise(function (done) { server.close(done); });
+            };
+            resolve(receiver);
+        });
+    });
+}
+
+// wait until check() resolves truthy, polling; fails after timeoutMs
+async function eventually(check, timeoutMs) {
+    var deadline = Date.now() + (timeoutMs || 3000);
+    for (;;) {
+        var value = await check();
+        if (value) return value;
+        if (Date.now() > deadline) assert.fail('timed out waiting for ' + check.toString());
+        await new Promise(function (resolve) { setTimeout(resolve, 10); });
+    }
+}
+
+helpers.backends().forEach(function (backend) {
+    describe('webhooks on the ' + backend + ' store', function () {
+        var api;
+        var admin;
+        var receiver;
+
+        test.before(async function () {
+            api = await helpers.start(backend);
+            var r = await api.request('POST', '/auth/register', { body: { name: 'Admin', email: 'admin@example.com', password: 'password123' } });
+            admin = r.body.data.token;
+            receiver = await startReceiver();
+            webhooks.start();
+        });
+
+        test.after(async function () {
+            await webhooks.stop();
+            await receiver.close();
+            await api.close();
+        });
+
+        async function subscribe(path, fields) {
+            var body = Object.assign({ url: receiver.url + path, events: ['task.created'], secret: SECRET }, fields);
+            var r = await api.request('POST', '/webhooks', { token: admin, body: body });
+            assert.equal(r.status, 201, r.body.message);
+            return r.body.data;
+        }
+
+        function createTask(name) {
+            return api.request('POST', '/tasks', { token: admin, body: { name: name, deadline: Date.now() + DAY_MS } });
+        }
+
+        async function deliveries(hook) {
+            return (await api.request('GET', '/webhooks/' + hook._id + '/deliveries', { token: admin })).body.data;
+        }
+
+        function received(path) {
+            return receiver.requests.filter(function (r) { return r.path === path; });
+        }
+
+        it('signs the timestamp and body of each delivery and logs it', async function () {
+            var hook = await subscribe('/signed');
+            var task = (await createTask('Signed')).body.data;
+
+            var request = (await eventually(function () {
+                var found = received('/signed');
+                return found.length > 0 && found;
+            }))[0];
+            var payload = JSON.parse(request.body);
+            assert.equal(payload.type, 'task.created');
+            assert.equal(payload.resourceId, task._id);
+            assert.equal(payload.data.name, 'Signed');
+            assert.equal(request.headers['x-webhook-event'], 'task.created');
+            assert.equal(request.headers['x-webhook-id'], hook._id);
+            var timestamp = request.headers['x-webhook-timestamp'];
+            var expected = 'sha256=' + crypto.createHmac('sha256', SECRET).update(timestamp + '.' + request.body).digest('hex');
+            assert.equal(request.headers['x-webhook-signature'], expected);
+            assert.equal(webhooks.sign(SECRET, timestamp, request.body), expected);
+
+            var log = await eventually(async function () {
+                var found = await deliveries(hook);
+                return found.length === 1 && found[0].status === 'succeeded' && found;
+            });
+            assert.equal(log[0]._id, request.headers['x-webhook-delivery']);
+            assert.equal(log[0].attempts.length, 1);
+            assert.equal(log[0].attempts[0].statusCode, 200);
+        });
+
+        it('only delivers events that pass the where filter', async function () {
+            var hook = await subscribe('/filtered', { where: { name: { $regex: '^Urgent' } } });
+            await createTask('Routine chore');
+            await createTask('Urgent fix');
+
+            await eventually(async function () { return (await deliveries(hook)).length > 0; });
+            // the other task's event came first, so had it matched it would be logged by now
+            await new Promise(function (resolve) { setTimeout(resolve, 100); });
+            var log = await deliveries(hook);
+            assert.equal(log.length, 1);
+            assert.equal(log[0].payload.data.name, 'Urgent fix');
+            assert.deepEqual(received('/filtered').map(function (r) { return JSON.parse(r.body).data.name; }), ['Urgent fix']);
+        });
+
+        it('retries with backoff, then gives up on the webhook until it is reactivated', async function () {
+            receiver.status = 500;
+            var hook = await subscribe('/flaky', { events: ['task.updated'] });
+            var task = (await createTask('Flaky')).body.data;
+            await api.request('PATCH', '/tasks/' + task._id, { token: admin, body: { description: 'once' } });
+
+            var first = await eventually(async function () {
+                var found = await deliveries(hook);
+                return found.length === 1 && found[0].status === 'failed' && found[0];
+            });
+            assert.equal(first.attempts.length, webhooks.MAX_ATTEMPTS);
+            assert.ok(first.attempts.every(function (a) { return a.statusCode === 500 && a.error === 'HTTP 500'; }));
+            var gaps = first.attempts.slice(1).map(function (a, i) {
+                return new Date(a.at).getTime() - new Date(first.attempts[i].at).getTime();
+            });
+            // 40ms, then 80ms, each with up to 10% jitter
+            assert.ok(gaps[0] >= 40, 'first retry after ' + gaps[0] + 'ms');
+            assert.ok(gaps[1] >= 80, 'second retry after ' + gaps[1] + 'ms');
+
+            // a second delivery failing all its attempts marks the webhook dead
+            await api.request('PATCH', '/tasks/' + task._id, { token: admin, body: { description: 'twice' } });
+            await eventually(async function () {
+                return (await api.request('GET', '/webhooks/' + hook._id, { token: admin })).body.data.status === 'dead';
+            });
+            var requests = received('/flaky').length;
+            await api.request('PATCH', '/tasks/' + task._id, { token: admin, body: { description: 'dead letter' } });
+            var dead = await eventually(async function () {
+                var found = (await deliveries(hook)).filter(function (d) { return d.status === 'dead'; });
+                return found.length === 1 && found[0];
+            });
+            assert.equal(dead.payload.data.description, 'dead letter');
+            assert.deepEqual(dead.attempts, []);
+            assert.equal(received('/flaky').length, requests);
+
+            receiver.status = 200;
+            var r = await api.request('POST', '/webhooks/' + hook._id + '/reactivate', { token: admin });
+            assert.equal(r.status, 200);
+            assert.equal(r.body.data.requeued, 1);
+            await eventually(async function () {
+                var found = await deliveries(hook);
+                return found.filter(function (d) { return d.status === 'succeeded'; }).length === 1;
+            });
+            var hookNow = (await api.request('GET', '/webhooks/' + hook._id, { token: admin })).body.data;
+            assert.equal(hookNow.status, 'active');
+            assert.equal(hookNow.consecutiveFailures, 0);
+        });
+    });
+});